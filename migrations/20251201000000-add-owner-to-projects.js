@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Migration to add owner_id to projects table
+ * Every project now belongs to the user that created it. Existing projects are
+ * assigned to the oldest user so they do not become orphaned.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('projects', 'owner_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'User that owns the project'
+      }, { transaction });
+
+      // Asignar los proyectos existentes al primer usuario registrado
+      await queryInterface.sequelize.query(`
+        UPDATE "projects"
+        SET owner_id = (SELECT id FROM "users" ORDER BY id ASC LIMIT 1)
+        WHERE owner_id IS NULL
+      `, { transaction });
+
+      // Todo proyecto tiene propietario (falla, y no se aplica nada, si hay proyectos pero ningún usuario)
+      await queryInterface.changeColumn('projects', 'owner_id', {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      }, { transaction });
+
+      await queryInterface.addIndex('projects', ['owner_id'], { transaction });
+
+      await transaction.commit();
+      console.log('✅ Successfully added owner_id to projects table');
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('projects', ['owner_id']);
+    await queryInterface.removeColumn('projects', 'owner_id');
+
+    console.log('✅ Successfully removed owner_id from projects table');
+  }
+};
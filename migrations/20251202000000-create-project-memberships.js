@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Migration to replace the free-form projects.members JSON with real memberships
+ * - Adds users.email so invitations can be matched to accounts
+ * - Creates project_memberships (owner / editor / viewer / guest)
+ * - Migrates project owners and JSON members (matched by email or username when a user exists,
+ *   otherwise kept as pending invitations)
+ * - Adds tasks.assigned_user_id and links it from the assigned_member email
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Paso 1: Email de los usuarios
+      await queryInterface.addColumn('users', 'email', {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true
+      }, { transaction });
+
+      // Paso 2: Tabla de membresías
+      await queryInterface.createTable('project_memberships', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        project_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'projects', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        role: {
+          type: Sequelize.ENUM('owner', 'editor', 'viewer', 'guest'),
+          allowNull: false,
+          defaultValue: 'viewer'
+        },
+        invited_email: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        invited_name: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        invited_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('project_memberships', ['project_id', 'user_id'], { unique: true, transaction });
+      await queryInterface.addIndex('project_memberships', ['project_id', 'invited_email'], { unique: true, transaction });
+      await queryInterface.addIndex('project_memberships', ['user_id'], { transaction });
+
+      // Paso 3: Los propietarios actuales pasan a ser miembros con rol owner
+      await queryInterface.sequelize.query(`
+        INSERT INTO "project_memberships" (project_id, user_id, role, created_at, updated_at)
+        SELECT id, owner_id, 'owner', NOW(), NOW()
+        FROM "projects"
+        WHERE owner_id IS NOT NULL
+      `, { transaction });
+
+      // Paso 4: Migrar los miembros del JSON
+      const [projects] = await queryInterface.sequelize.query(
+        'SELECT id, owner_id, members FROM "projects" WHERE members IS NOT NULL',
+        { transaction }
+      );
+
+      for (const project of projects) {
+        const members = Array.isArray(project.members) ? project.members : [];
+
+        for (const member of members) {
+          if (!member || !member.email) continue;
+          const email = String(member.email).trim().toLowerCase();
+
+          const [users] = await queryInterface.sequelize.query(
+            'SELECT id FROM "users" WHERE LOWER(email) = :email OR LOWER(username) = :email ORDER BY id ASC LIMIT 1',
+            { replacements: { email }, transaction }
+          );
+          const userId = users.length > 0 ? users[0].id : null;
+
+          if (userId) {
+            await queryInterface.sequelize.query(`
+              INSERT INTO "project_memberships" (project_id, user_id, role, created_at, updated_at)
+              VALUES (:projectId, :userId, 'editor', NOW(), NOW())
+              ON CONFLICT DO NOTHING
+            `, { replacements: { projectId: project.id, userId }, transaction });
+          } else {
+            await queryInterface.sequelize.query(`
+              INSERT INTO "project_memberships" (project_id, role, invited_email, invited_name, invited_by, created_at, updated_at)
+              VALUES (:projectId, 'editor', :email, :name, :ownerId, NOW(), NOW())
+              ON CONFLICT DO NOTHING
+            `, { replacements: { projectId: project.id, email, name: member.name || null, ownerId: project.owner_id }, transaction });
+          }
+        }
+      }
+
+      await queryInterface.removeColumn('projects', 'members', { transaction });
+
+      // Paso 5: Vincular las tareas asignadas con usuarios reales
+      await queryInterface.addColumn('tasks', 'assigned_user_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }, { transaction });
+
+      await queryInterface.sequelize.query(`
+        UPDATE "tasks" t
+        SET assigned_user_id = u.id
+        FROM "users" u
+        WHERE t.assigned_member IS NOT NULL
+          AND (LOWER(u.email) = LOWER(t.assigned_member) OR LOWER(u.username) = LOWER(t.assigned_member))
+          AND EXISTS (
+            SELECT 1 FROM "project_memberships" pm
+            WHERE pm.project_id = t.project_id AND pm.user_id = u.id
+          )
+      `, { transaction });
+
+      await transaction.commit();
+      console.log('✅ Successfully migrated project members to project_memberships');
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('tasks', 'assigned_user_id', { transaction });
+
+      // Reconstruir el JSON de miembros a partir de las membresías (sin el propietario)
+      await queryInterface.addColumn('projects', 'members', {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Array of project members with name and email'
+      }, { transaction });
+
+      await queryInterface.sequelize.query(`
+        UPDATE "projects" p
+        SET members = sub.members
+        FROM (
+          SELECT pm.project_id,
+                 jsonb_agg(jsonb_build_object(
+                   'name', COALESCE(u.name, pm.invited_name),
+                   'email', COALESCE(u.email, u.username, pm.invited_email)
+                 )) AS members
+          FROM "project_memberships" pm
+          LEFT JOIN "users" u ON u.id = pm.user_id
+          WHERE pm.role <> 'owner'
+          GROUP BY pm.project_id
+        ) sub
+        WHERE p.id = sub.project_id
+      `, { transaction });
+
+      await queryInterface.dropTable('project_memberships', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_project_memberships_role";', { transaction });
+      await queryInterface.removeColumn('users', 'email', { transaction });
+
+      await transaction.commit();
+      console.log('✅ Successfully reverted project memberships to JSON members');
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Migration to store refresh tokens
+ * - Creates the sessions table (one row per refresh token, grouped by token family)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('sessions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      family_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_reason: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      replaced_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('sessions', ['user_id']);
+    await queryInterface.addIndex('sessions', ['family_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('sessions');
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Migration for brute-force protection on login
+ * - Creates the login_attempts table (failed attempts per username and per IP)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('login_attempts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      failures: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_failure_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      locked_until: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('login_attempts');
+  }
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Migration to support optional two-factor authentication (TOTP)
+ * - Adds the 2FA flag, secret, hashed recovery codes and last accepted time step to users
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('users', 'two_factor_enabled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction });
+
+      await queryInterface.addColumn('users', 'two_factor_secret', {
+        type: Sequelize.STRING,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('users', 'two_factor_recovery_codes', {
+        type: Sequelize.JSON,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('users', 'two_factor_last_step', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('users', 'two_factor_last_step', { transaction });
+      await queryInterface.removeColumn('users', 'two_factor_recovery_codes', { transaction });
+      await queryInterface.removeColumn('users', 'two_factor_secret', { transaction });
+      await queryInterface.removeColumn('users', 'two_factor_enabled', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
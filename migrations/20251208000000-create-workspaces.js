@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Migration to add workspaces above projects
+ * - Creates workspaces and workspace_memberships (admin / member)
+ * - Creates a default workspace with every existing user (the oldest user is its admin)
+ * - Adds projects.workspace_id and moves every existing project into the default workspace
+ * - Replaces the global unique constraint on projects.title with a per-workspace one
+ * - Adds sessions.workspace_id to remember the workspace selected in each session
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Paso 1: Tablas de espacios de trabajo
+      await queryInterface.createTable('workspaces', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        created_by: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.createTable('workspace_memberships', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        workspace_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'workspaces', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        role: {
+          type: Sequelize.ENUM('admin', 'member'),
+          allowNull: false,
+          defaultValue: 'member'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('workspace_memberships', ['workspace_id', 'user_id'], {
+        unique: true,
+        transaction
+      });
+
+      // Paso 2: Espacio de trabajo por defecto con todos los usuarios existentes
+      const [[firstUser]] = await queryInterface.sequelize.query(
+        'SELECT id FROM "users" ORDER BY id ASC LIMIT 1',
+        { transaction }
+      );
+
+      const [[defaultWorkspace]] = await queryInterface.sequelize.query(`
+        INSERT INTO "workspaces" (name, created_by, created_at, updated_at)
+        VALUES ('Default', :createdBy, NOW(), NOW())
+        RETURNING id
+      `, { replacements: { createdBy: firstUser ? firstUser.id : null }, transaction });
+
+      await queryInterface.sequelize.query(`
+        INSERT INTO "workspace_memberships" (workspace_id, user_id, role, created_at, updated_at)
+        SELECT :workspaceId, u.id, CASE WHEN u.id = :adminId THEN 'admin' ELSE 'member' END::"enum_workspace_memberships_role", NOW(), NOW()
+        FROM "users" u
+      `, { replacements: { workspaceId: defaultWorkspace.id, adminId: firstUser ? firstUser.id : null }, transaction });
+
+      // Paso 3: Mover los proyectos existentes al espacio de trabajo por defecto
+      await queryInterface.addColumn('projects', 'workspace_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'workspaces', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      }, { transaction });
+
+      await queryInterface.sequelize.query(
+        'UPDATE "projects" SET workspace_id = :workspaceId',
+        { replacements: { workspaceId: defaultWorkspace.id }, transaction }
+      );
+
+      await queryInterface.changeColumn('projects', 'workspace_id', {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      }, { transaction });
+
+      // Paso 4: El título del proyecto pasa a ser único por espacio de trabajo
+      await queryInterface.sequelize.query(
+        'ALTER TABLE "projects" DROP CONSTRAINT IF EXISTS "projects_title_key"',
+        { transaction }
+      );
+      await queryInterface.addIndex('projects', ['workspace_id', 'title'], {
+        unique: true,
+        transaction
+      });
+
+      // Paso 5: Espacio de trabajo seleccionado en cada sesión
+      await queryInterface.addColumn('sessions', 'workspace_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'workspaces', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('sessions', 'workspace_id', { transaction });
+      await queryInterface.removeIndex('projects', ['workspace_id', 'title'], { transaction });
+      await queryInterface.removeColumn('projects', 'workspace_id', { transaction });
+      await queryInterface.addConstraint('projects', {
+        fields: ['title'],
+        type: 'unique',
+        name: 'projects_title_key',
+        transaction
+      });
+      await queryInterface.dropTable('workspace_memberships', { transaction });
+      await queryInterface.dropTable('workspaces', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_workspace_memberships_role"', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
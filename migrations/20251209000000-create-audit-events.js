@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Migration for the audit log
+ * - Creates the audit_events table (who changed which project, task or membership, from where, and the before/after values)
+ * - Project and entity IDs are not foreign keys so events survive deletions
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('audit_events', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      workspace_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      project_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      entity_type: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      source: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+        defaultValue: 'rest'
+      },
+      before: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      after: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('audit_events', ['entity_type', 'entity_id']);
+    await queryInterface.addIndex('audit_events', ['project_id']);
+    await queryInterface.addIndex('audit_events', ['workspace_id', 'created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('audit_events');
+  }
+};
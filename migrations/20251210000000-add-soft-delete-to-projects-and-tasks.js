@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Migration for the trash bin (soft delete)
+ * - Adds deleted_at to projects and tasks
+ * - The per-workspace unique title only applies to projects that are not in the trash
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('projects', 'deleted_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('tasks', 'deleted_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addIndex('projects', ['deleted_at'], { transaction });
+      await queryInterface.addIndex('tasks', ['deleted_at'], { transaction });
+
+      // Un proyecto en la papelera no bloquea su título
+      await queryInterface.removeIndex('projects', ['workspace_id', 'title'], { transaction });
+      await queryInterface.addIndex('projects', ['workspace_id', 'title'], {
+        unique: true,
+        where: { deleted_at: null },
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Los elementos de la papelera se eliminan definitivamente
+      await queryInterface.sequelize.query('DELETE FROM "tasks" WHERE deleted_at IS NOT NULL', { transaction });
+      await queryInterface.sequelize.query('DELETE FROM "projects" WHERE deleted_at IS NOT NULL', { transaction });
+
+      await queryInterface.removeIndex('projects', ['workspace_id', 'title'], { transaction });
+      await queryInterface.addIndex('projects', ['workspace_id', 'title'], { unique: true, transaction });
+      await queryInterface.removeIndex('tasks', ['deleted_at'], { transaction });
+      await queryInterface.removeIndex('projects', ['deleted_at'], { transaction });
+      await queryInterface.removeColumn('tasks', 'deleted_at', { transaction });
+      await queryInterface.removeColumn('projects', 'deleted_at', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
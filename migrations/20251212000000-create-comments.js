@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Migration for task comments
+ * - Creates the comments table (markdown body, author, one-level threads and resolved @mentions)
+ * - Comments are deleted with their task; replies are deleted with their parent comment
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('comments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      task_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'tasks', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      author_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      parent_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'comments', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      mentions: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      edited_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('comments', ['task_id', 'created_at']);
+    await queryInterface.addIndex('comments', ['parent_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('comments');
+  }
+};
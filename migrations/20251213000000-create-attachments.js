@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Migration for task attachments
+ * - Creates the attachments table (file metadata; the files live in the attachment storage)
+ * - Attachments are deleted with their task and project
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('attachments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      task_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'tasks', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      project_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'projects', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      uploaded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      mime_type: {
+        type: Sequelize.STRING(128),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      checksum: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      storage_key: {
+        type: Sequelize.STRING(512),
+        allowNull: false,
+        unique: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('attachments', ['task_id']);
+    await queryInterface.addIndex('attachments', ['project_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('attachments');
+  }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Migration for subtasks
+ * - Adds parent_task_id to tasks (one level of nesting, checked by the API)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('tasks', 'parent_task_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'tasks', key: 'id' },
+        onDelete: 'CASCADE' // Si se elimina definitivamente la tarea principal, se eliminan sus subtareas
+      }, { transaction });
+
+      await queryInterface.addIndex('tasks', ['parent_task_id'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeIndex('tasks', ['parent_task_id'], { transaction });
+      await queryInterface.removeColumn('tasks', 'parent_task_id', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
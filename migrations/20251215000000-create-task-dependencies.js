@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Migration for task dependencies
+ * - Creates the task_dependencies table ("task_id is blocked by blocked_by_task_id")
+ * - Links are deleted with either of their tasks
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_dependencies', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      task_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'tasks', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      blocked_by_task_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'tasks', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('task_dependencies', ['task_id', 'blocked_by_task_id'], { unique: true });
+    await queryInterface.addIndex('task_dependencies', ['blocked_by_task_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_dependencies');
+  }
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Migration for recurring tasks
+ * - Adds the recurrence rule (RRULE subset) to tasks
+ * - Adds the series (first occurrence) and the next generated occurrence of each task
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('tasks', 'recurrence_rule', {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('tasks', 'recurrence_series_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('tasks', 'next_occurrence_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'tasks', key: 'id' },
+        onDelete: 'SET NULL' // Si se elimina la siguiente repetición, puede volver a generarse
+      }, { transaction });
+
+      await queryInterface.addIndex('tasks', ['recurrence_series_id'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeIndex('tasks', ['recurrence_series_id'], { transaction });
+      await queryInterface.removeColumn('tasks', 'next_occurrence_id', { transaction });
+      await queryInterface.removeColumn('tasks', 'recurrence_series_id', { transaction });
+      await queryInterface.removeColumn('tasks', 'recurrence_rule', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
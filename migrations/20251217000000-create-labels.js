@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Migration for task labels
+ * - Creates the labels table (labels of each project, with a hex color)
+ * - Creates the task_labels table (labels put on each task)
+ * - Labels are deleted with their project, and links with either their task or their label
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('labels', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        project_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'projects', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        color: {
+          type: Sequelize.STRING(7),
+          allowNull: false,
+          defaultValue: '#6c757d'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('labels', ['project_id', 'name'], { unique: true, transaction });
+
+      await queryInterface.createTable('task_labels', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        task_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'tasks', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        label_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'labels', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('task_labels', ['task_id', 'label_id'], { unique: true, transaction });
+      await queryInterface.addIndex('task_labels', ['label_id'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_labels');
+    await queryInterface.dropTable('labels');
+  }
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Migration for time tracking
+ * - Adds the estimated work (minutes) to tasks
+ * - Creates the time_entries table (timers and manual entries), deleted with their task
+ * - A user can only have one running timer (partial unique index)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('tasks', 'estimated_minutes', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.createTable('time_entries', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        task_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'tasks', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        started_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        ended_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        duration_seconds: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        note: {
+          type: Sequelize.STRING(1000),
+          allowNull: true
+        },
+        billable: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('time_entries', ['task_id'], { transaction });
+      await queryInterface.addIndex('time_entries', ['user_id', 'started_at'], { transaction });
+      await queryInterface.addIndex('time_entries', ['user_id'], {
+        unique: true,
+        where: { ended_at: null },
+        name: 'time_entries_running_timer',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('time_entries', { transaction });
+      await queryInterface.removeColumn('tasks', 'estimated_minutes', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
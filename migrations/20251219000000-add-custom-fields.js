@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Migration for custom fields
+ * - Adds the custom field definitions (typed, per project) to projects
+ * - Adds the custom field values (by field ID) to tasks
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('projects', 'custom_fields', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Array of typed custom field definitions for the tasks of the project'
+      }, { transaction });
+
+      await queryInterface.addColumn('tasks', 'custom_fields', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeColumn('tasks', 'custom_fields', { transaction });
+      await queryInterface.removeColumn('projects', 'custom_fields', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const { initialRanks } = require('../src/utils/rank');
+
+/**
+ * Migration for the order of the cards in the Kanban columns
+ * - Adds the rank key (position) to tasks
+ * - Ranks the existing tasks of each column in the order they were shown (newest first)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.addColumn('tasks', 'position', {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      }, { transaction });
+
+      const [tasks] = await queryInterface.sequelize.query(
+        'SELECT id, project_id, status FROM "tasks" ORDER BY project_id ASC, status ASC, creation_date DESC, id DESC',
+        { transaction }
+      );
+
+      // Agrupar por columna (proyecto y estado) manteniendo el orden
+      const columns = new Map();
+      for (const task of tasks) {
+        const key = `${task.project_id}:${task.status}`;
+        if (!columns.has(key)) columns.set(key, []);
+        columns.get(key).push(task.id);
+      }
+
+      for (const ids of columns.values()) {
+        const ranks = initialRanks(ids.length);
+        for (const [index, id] of ids.entries()) {
+          await queryInterface.sequelize.query(
+            'UPDATE "tasks" SET position = :position WHERE id = :id',
+            { replacements: { position: ranks[index], id }, transaction }
+          );
+        }
+      }
+
+      await queryInterface.addIndex('tasks', ['project_id', 'status', 'position'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeIndex('tasks', ['project_id', 'status', 'position'], { transaction });
+      await queryInterface.removeColumn('tasks', 'position', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+// Propiedades de las columnas añadidas con las reglas de columna (ver src/services/columns.js)
+const COLUMN_POLICY_KEYS = ['wipLimit', 'done', 'cancelled', 'requiredFields'];
+
+/**
+ * Migration for the Kanban column policies
+ * - Marks the existing `completed` and `cancelled` columns as done and cancelled,
+ *   so every board states which columns close its tasks
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const [projects] = await queryInterface.sequelize.query(
+        'SELECT id, kanban_columns FROM "projects"',
+        { transaction }
+      );
+
+      for (const project of projects) {
+        const columns = project.kanban_columns || [];
+        // Los tableros que ya marcan alguna columna se dejan como están
+        if (columns.some(column => column.done === true || column.cancelled === true)) continue;
+
+        const flagged = columns.map(column => {
+          if (column.id === 'completed') return { ...column, done: true };
+          if (column.id === 'cancelled') return { ...column, cancelled: true };
+          return column;
+        });
+        await queryInterface.sequelize.query(
+          'UPDATE "projects" SET kanban_columns = CAST(:columns AS JSONB) WHERE id = :id',
+          { replacements: { columns: JSON.stringify(flagged), id: project.id }, transaction }
+        );
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const [projects] = await queryInterface.sequelize.query(
+        'SELECT id, kanban_columns FROM "projects"',
+        { transaction }
+      );
+
+      for (const project of projects) {
+        const columns = (project.kanban_columns || []).map(column => Object.fromEntries(
+          Object.entries(column).filter(([key]) => !COLUMN_POLICY_KEYS.includes(key))
+        ));
+        await queryInterface.sequelize.query(
+          'UPDATE "projects" SET kanban_columns = CAST(:columns AS JSONB) WHERE id = :id',
+          { replacements: { columns: JSON.stringify(columns), id: project.id }, transaction }
+        );
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
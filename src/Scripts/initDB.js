@@ -1,5 +1,5 @@
 const path = require('path');
-const { sequelize, User, Project, Task } = require(path.join(__dirname, '..', 'models'));
+const { sequelize, User, Project, Task, Workspace, WorkspaceMembership } = require(path.join(__dirname, '..', 'models'));
 const bcrypt = require('bcryptjs');
 
 async function initDB() {
@@ -17,6 +17,10 @@ async function initDB() {
          name: 'Admin User'
        });
 
+       // Espacio de trabajo por defecto, administrado por el usuario admin
+       const workspace = await Workspace.create({ name: 'Default', createdBy: admin.id });
+       await WorkspaceMembership.create({ workspaceId: workspace.id, userId: admin.id, role: 'admin' });
+
        const existingProjects = await Project.count();
 
        if (existingProjects === 0) {
@@ -25,13 +29,17 @@ async function initDB() {
           title: 'Project 1', 
           description: 'First test project',
           priority: 'high',
-          culmination_date: new Date(2024, 6, 15) // Ejemplo: 15 de junio de 2024
+          culmination_date: new Date(2024, 6, 15), // Ejemplo: 15 de junio de 2024
+          ownerId: admin.id,
+          workspaceId: workspace.id
         });
 
         const project2 = await Project.create({ 
           title: 'Project 2', 
           description: 'Second test project',
-          priority: 'medium'
+          priority: 'medium',
+          ownerId: admin.id,
+          workspaceId: workspace.id
         });
     
         await Task.create({ 
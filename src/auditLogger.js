@@ -0,0 +1,29 @@
+const winston = require('winston'); // Import the Winston logging library
+
+// Logger dedicated to security-relevant events (lockouts, suspicious activity...).
+// Entries are kept in their own file so they are not rotated away with the regular logs.
+const auditLogger = winston.createLogger({
+  level: 'info',
+
+  format: winston.format.combine(
+    winston.format.timestamp(), // Add a timestamp to each audit entry
+    winston.format.json()       // Format audit entries as JSON
+  ),
+
+  transports: [
+    new winston.transports.Console(),                   // Also show audit entries in the console
+    new winston.transports.File({ filename: 'audit.log' }) // Persist audit entries to 'audit.log'
+  ],
+});
+
+/**
+ * Records a security audit entry.
+ * @param {string} event - Event name (e.g. 'auth.lockout')
+ * @param {Object} data - Event details. Never include passwords or tokens.
+ */
+function audit(event, data = {}) {
+  auditLogger.warn(event, { event, ...data });
+}
+
+// Export the audit function and the underlying logger
+module.exports = { audit, auditLogger };
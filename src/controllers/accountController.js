@@ -0,0 +1,160 @@
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const User = require('../models/user');
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { formatProfile, deleteAccount } = require('../services/account');
+const { revokeAllUserSessions } = require('../services/session');
+
+const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+
+/**
+ * Devuelve el perfil del usuario autenticado.
+ */
+async function getProfile(req, res) {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    res.status(200).json(formatProfile(user));
+  } catch (error) {
+    logger.error('Error getting profile', error);
+    res.status(500).json({ message: 'Error getting profile.' });
+  }
+}
+
+/**
+ * Actualiza el perfil del usuario autenticado (`name`, `username`, `email`).
+ * La contraseña se cambia con PUT /api/auth/me/password.
+ */
+async function updateProfile(req, res) {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    const updates = {};
+
+    if (req.body.name !== undefined) {
+      if (!String(req.body.name).trim()) {
+        return res.status(400).json({ message: 'Name cannot be empty.' });
+      }
+      updates.name = String(req.body.name).trim();
+    }
+
+    if (req.body.username !== undefined && req.body.username !== user.username) {
+      const username = String(req.body.username).trim();
+      if (!username) {
+        return res.status(400).json({ message: 'Username cannot be empty.' });
+      }
+      if (await User.findOne({ where: { username, id: { [Op.ne]: user.id } } })) {
+        return res.status(409).json({ message: 'The username is already in use.' });
+      }
+      updates.username = username;
+    }
+
+    if (req.body.email !== undefined) {
+      const email = req.body.email ? String(req.body.email).trim().toLowerCase() : null;
+      if (email && await User.findOne({ where: { email, id: { [Op.ne]: user.id } } })) {
+        return res.status(409).json({ message: 'The email is already in use.' });
+      }
+      updates.email = email;
+    }
+
+    await user.update(updates);
+
+    logger.info(`Profile updated: ${user.id}`);
+    res.status(200).json(formatProfile(user));
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors.map(e => e.message) });
+    }
+    logger.error('Error updating profile', error);
+    res.status(500).json({ message: 'Error updating profile.' });
+  }
+}
+
+/**
+ * Cambia la contraseña del usuario autenticado.
+ * Exige la contraseña actual y cierra el resto de sesiones abiertas.
+ */
+async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required.' });
+    }
+
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    // Volver a verificar la contraseña actual
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect.' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+    await user.update({ password: hashedPassword });
+
+    // Mantener la sesión actual y revocar las demás
+    const revoked = await revokeAllUserSessions(user.id, 'password_changed', { exceptFamilyId: req.user.sid });
+
+    logger.info(`Password changed for user ${user.id} (${revoked} other session token(s) revoked)`);
+    res.status(200).json({ message: 'Password changed successfully.' });
+  } catch (error) {
+    logger.error('Error changing password', error);
+    res.status(500).json({ message: 'Error changing password.' });
+  }
+}
+
+/**
+ * Elimina la cuenta del usuario autenticado. Requiere la contraseña actual.
+ * Los proyectos propios indicados en `transfers` ({ projectId: userId }) pasan a otro miembro;
+ * el resto se eliminan junto con sus tareas.
+ */
+async function deleteProfile(req, res) {
+  try {
+    const { password, transfers } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required.' });
+    }
+    if (transfers !== undefined && (typeof transfers !== 'object' || transfers === null || Array.isArray(transfers))) {
+      return res.status(400).json({ message: 'transfers must be an object mapping project IDs to user IDs.' });
+    }
+
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect.' });
+    }
+
+    const result = await deleteAccount(user.id, transfers || {});
+
+    res.status(200).json({ message: 'Account deleted successfully.', ...result });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Error deleting account', error);
+    res.status(500).json({ message: 'Error deleting account.' });
+  }
+}
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteProfile
+};
@@ -2,6 +2,12 @@ const Task = require('../models/task');
 const Project = require('../models/project');
 const logger = require('../logger');
 const { Op } = require('sequelize');
+const { getAccessibleProjectIds, findAccessibleProject } = require('../services/projectAccess');
+const { getOpenBlockers } = require('../services/dependencies');
+const { getLabelCounts } = require('../services/labels');
+const { getLoggedMinutes, toHours } = require('../services/timeTracking');
+const { describeCustomFields } = require('../services/customFields');
+const { getStatusSemantics, loadStatusSemantics } = require('../services/columns');
 
 /**
  * Helper function to normalize dates to YYYY-MM-DD format
@@ -46,7 +52,37 @@ function daysUntil(dateString) {
 }
 
 /**
- * Get full context of all projects and tasks for Claude assistant
+ * Helper function to map the given projects to the meaning of their statuses (done/cancelled columns)
+ */
+function semanticsByProject(projects) {
+  return new Map(projects.map(project => [project.id, getStatusSemantics(project)]));
+}
+
+/**
+ * Helper function to tell whether a task is open, done or cancelled on its project's board
+ */
+function statusKind(task, semantics) {
+  const { doneStatuses, cancelledStatuses } = semantics.get(task.projectId);
+  if (doneStatuses.includes(task.status)) return 'done';
+  if (cancelledStatuses.includes(task.status)) return 'cancelled';
+  return 'open';
+}
+
+/**
+ * Helper function to list the custom fields of a project (without task values)
+ */
+function formatCustomFieldDefinitions(project) {
+  return (project.custom_fields || []).map(({ id, name, type, options, required }) => ({
+    id,
+    name,
+    type,
+    ...(options ? { options } : {}),
+    required: required === true
+  }));
+}
+
+/**
+ * Get full context of the user's projects and tasks for Claude assistant
  * 
  * @route GET /api/assistant/context
  * @returns {Object} Complete context with projects, tasks, and analytics
@@ -55,8 +91,9 @@ async function getFullContext(req, res) {
   try {
     logger.info('Getting full context for assistant');
     
-    // Get all projects with their tasks
+    // Get all projects of the user with their tasks
     const projects = await Project.findAll({
+      where: { id: await getAccessibleProjectIds(req.user.userId, { workspaceId: req.workspace.id }) },
       include: [{
         model: Task,
         required: false
@@ -64,14 +101,17 @@ async function getFullContext(req, res) {
       order: [['creation_date', 'DESC']]
     });
     
-    // Get all tasks (for global statistics)
+    // Get all tasks of the user's projects (for global statistics)
     const allTasks = await Task.findAll({
+      where: { projectId: projects.map(p => p.id) },
       include: [{
         model: Project,
         attributes: ['id', 'title', 'priority']
       }],
       order: [['completion_date', 'ASC']]
     });
+    // Done and cancelled columns depend on each project's board
+    const semantics = semanticsByProject(projects);
     
     // Calculate statistics
     const totalProjects = projects.length;
@@ -80,8 +120,8 @@ async function getFullContext(req, res) {
     const tasksByStatus = {
       pending: allTasks.filter(t => t.status === 'pending').length,
       in_progress: allTasks.filter(t => t.status === 'in_progress').length,
-      completed: allTasks.filter(t => t.status === 'completed').length,
-      cancelled: allTasks.filter(t => t.status === 'cancelled').length
+      completed: allTasks.filter(t => statusKind(t, semantics) === 'done').length,
+      cancelled: allTasks.filter(t => statusKind(t, semantics) === 'cancelled').length
     };
     
     const projectsByPriority = {
@@ -96,7 +136,7 @@ async function getFullContext(req, res) {
     nextWeek.setDate(nextWeek.getDate() + 7);
     
     const upcomingTasks = allTasks.filter(task => {
-      if (!task.completion_date || task.status === 'completed' || task.status === 'cancelled') return false;
+      if (!task.completion_date || statusKind(task, semantics) !== 'open') return false;
       const taskDate = new Date(task.completion_date);
       return taskDate >= today && taskDate <= nextWeek;
     }).map(task => ({
@@ -112,7 +152,7 @@ async function getFullContext(req, res) {
     
     // Get overdue tasks
     const overdueTasks = allTasks.filter(task => {
-      if (!task.completion_date || task.status === 'completed' || task.status === 'cancelled') return false;
+      if (!task.completion_date || statusKind(task, semantics) !== 'open') return false;
       const taskDate = new Date(task.completion_date);
       return taskDate < today;
     }).map(task => ({
@@ -138,8 +178,9 @@ async function getFullContext(req, res) {
         totalTasks: projectTasks.length,
         pendingTasks: projectTasks.filter(t => t.status === 'pending').length,
         inProgressTasks: projectTasks.filter(t => t.status === 'in_progress').length,
-        completedTasks: projectTasks.filter(t => t.status === 'completed').length,
-        cancelledTasks: projectTasks.filter(t => t.status === 'cancelled').length,
+        completedTasks: projectTasks.filter(t => statusKind(t, semantics) === 'done').length,
+        cancelledTasks: projectTasks.filter(t => statusKind(t, semantics) === 'cancelled').length,
+        customFields: formatCustomFieldDefinitions(project),
         tasks: projectTasks.map(task => ({
           id: task.id,
           title: task.title,
@@ -147,7 +188,8 @@ async function getFullContext(req, res) {
           status: task.status,
           creation_date: normalizeDateForResponse(task.creation_date),
           completion_date: normalizeDateForResponse(task.completion_date),
-          daysUntil: daysUntil(task.completion_date)
+          daysUntil: daysUntil(task.completion_date),
+          customFields: describeCustomFields(project, task.customFields)
         }))
       };
     });
@@ -190,7 +232,7 @@ async function getProjectDetails(req, res) {
     
     logger.info(`Getting project details for ID: ${id}`);
     
-    const project = await Project.findByPk(id, {
+    const project = await findAccessibleProject(id, req.user.userId, {
       include: [{
         model: Task,
         required: false
@@ -202,34 +244,41 @@ async function getProjectDetails(req, res) {
     }
     
     const tasks = project.Tasks || [];
+    const semantics = semanticsByProject([project]);
     
     // Calculate project statistics
     const stats = {
       totalTasks: tasks.length,
       pendingTasks: tasks.filter(t => t.status === 'pending').length,
       inProgressTasks: tasks.filter(t => t.status === 'in_progress').length,
-      completedTasks: tasks.filter(t => t.status === 'completed').length,
-      cancelledTasks: tasks.filter(t => t.status === 'cancelled').length,
+      completedTasks: tasks.filter(t => statusKind(t, semantics) === 'done').length,
+      cancelledTasks: tasks.filter(t => statusKind(t, semantics) === 'cancelled').length,
       completionRate: tasks.length > 0 
-        ? Math.round((tasks.filter(t => t.status === 'completed').length / tasks.length) * 100)
+        ? Math.round((tasks.filter(t => statusKind(t, semantics) === 'done').length / tasks.length) * 100)
         : 0
     };
     
     // Get upcoming tasks for this project
     const today = new Date();
     const upcomingTasks = tasks.filter(task => {
-      if (!task.completion_date || task.status === 'completed' || task.status === 'cancelled') return false;
+      if (!task.completion_date || statusKind(task, semantics) !== 'open') return false;
       const taskDate = new Date(task.completion_date);
       return taskDate >= today;
     }).sort((a, b) => new Date(a.completion_date) - new Date(b.completion_date));
     
     // Get overdue tasks
     const overdueTasks = tasks.filter(task => {
-      if (!task.completion_date || task.status === 'completed' || task.status === 'cancelled') return false;
+      if (!task.completion_date || statusKind(task, semantics) !== 'open') return false;
       const taskDate = new Date(task.completion_date);
       return taskDate < today;
     });
     
+    // Get open tasks blocked by other open tasks
+    const openTasks = tasks.filter(task => statusKind(task, semantics) === 'open');
+    const openBlockers = await getOpenBlockers(openTasks.map(task => task.id));
+    const blockedTasks = openTasks.filter(task => openBlockers.has(task.id));
+    stats.blockedTasks = blockedTasks.length;
+    
     const projectDetails = {
       id: project.id,
       title: project.title,
@@ -239,6 +288,7 @@ async function getProjectDetails(req, res) {
       culmination_date: normalizeDateForResponse(project.culmination_date),
       daysUntilCulmination: daysUntil(project.culmination_date),
       statistics: stats,
+      customFields: formatCustomFieldDefinitions(project),
       tasks: tasks.map(task => ({
         id: task.id,
         title: task.title,
@@ -247,7 +297,8 @@ async function getProjectDetails(req, res) {
         creation_date: normalizeDateForResponse(task.creation_date),
         completion_date: normalizeDateForResponse(task.completion_date),
         daysUntil: daysUntil(task.completion_date),
-        isOverdue: daysUntil(task.completion_date) < 0 && task.status !== 'completed' && task.status !== 'cancelled'
+        isOverdue: daysUntil(task.completion_date) < 0 && statusKind(task, semantics) === 'open',
+        customFields: describeCustomFields(project, task.customFields)
       })),
       upcomingTasks: upcomingTasks.map(task => ({
         id: task.id,
@@ -262,6 +313,17 @@ async function getProjectDetails(req, res) {
         completion_date: normalizeDateForResponse(task.completion_date),
         daysOverdue: Math.abs(daysUntil(task.completion_date)),
         status: task.status
+      })),
+      blockedTasks: blockedTasks.map(task => ({
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        completion_date: normalizeDateForResponse(task.completion_date),
+        blockedBy: openBlockers.get(task.id).map(blocker => ({
+          id: blocker.id,
+          title: blocker.title,
+          status: blocker.status
+        }))
       }))
     };
     
@@ -297,9 +359,7 @@ async function getUpcomingTasks(req, res) {
         completion_date: {
           [Op.between]: [today, futureDate]
         },
-        status: {
-          [Op.notIn]: ['completed', 'cancelled']
-        }
+        projectId: await getAccessibleProjectIds(req.user.userId, { workspaceId: req.workspace.id })
       },
       include: [{
         model: Project,
@@ -307,8 +367,10 @@ async function getUpcomingTasks(req, res) {
       }],
       order: [['completion_date', 'ASC']]
     });
+    // Leave out done and cancelled tasks (which columns those are depends on each board)
+    const semantics = await loadStatusSemantics(tasks.map(task => task.projectId));
     
-    const upcomingTasks = tasks.map(task => ({
+    const upcomingTasks = tasks.filter(task => statusKind(task, semantics) === 'open').map(task => ({
       id: task.id,
       title: task.title,
       description: task.description,
@@ -340,25 +402,28 @@ async function getAnalytics(req, res) {
     logger.info('Getting analytics');
     
     const projects = await Project.findAll({
+      where: { id: await getAccessibleProjectIds(req.user.userId, { workspaceId: req.workspace.id }) },
       include: [{ model: Task, required: false }]
     });
     
     const allTasks = await Task.findAll({
+      where: { projectId: projects.map(p => p.id) },
       include: [{ model: Project, attributes: ['id', 'title', 'priority'] }]
     });
+    const semantics = semanticsByProject(projects);
     
     // Calculate various metrics
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
     const overdueTasks = allTasks.filter(task => {
-      if (!task.completion_date || task.status === 'completed' || task.status === 'cancelled') return false;
+      if (!task.completion_date || statusKind(task, semantics) !== 'open') return false;
       const taskDate = new Date(task.completion_date);
       return taskDate < today;
     });
     
     const upcomingTasks = allTasks.filter(task => {
-      if (!task.completion_date || task.status === 'completed' || task.status === 'cancelled') return false;
+      if (!task.completion_date || statusKind(task, semantics) !== 'open') return false;
       const taskDate = new Date(task.completion_date);
       const nextWeek = new Date(today);
       nextWeek.setDate(nextWeek.getDate() + 7);
@@ -366,7 +431,7 @@ async function getAnalytics(req, res) {
     });
     
     const completedThisWeek = allTasks.filter(task => {
-      if (task.status !== 'completed') return false;
+      if (statusKind(task, semantics) !== 'done') return false;
       const taskDate = new Date(task.updatedAt);
       const weekAgo = new Date(today);
       weekAgo.setDate(weekAgo.getDate() - 7);
@@ -386,7 +451,7 @@ async function getAnalytics(req, res) {
       .filter(p => (p.Tasks || []).length > 0)
       .map(p => {
         const tasks = p.Tasks || [];
-        const completed = tasks.filter(t => t.status === 'completed').length;
+        const completed = tasks.filter(t => statusKind(t, semantics) === 'done').length;
         return {
           project: p,
           completionRate: (completed / tasks.length) * 100
@@ -396,18 +461,44 @@ async function getAnalytics(req, res) {
     
     const bestPerformingProject = projectCompletionRates[0] || null;
     
+    // Tasks per label (labels belong to a project)
+    const labelCounts = (await getLabelCounts(projects.map(p => p.id)))
+      .map(label => ({
+        ...label,
+        projectName: (projects.find(p => p.id === label.projectId) || {}).title || 'Unknown'
+      }))
+      .sort((a, b) => b.taskCount - a.taskCount);
+    
+    // Estimated vs. logged hours; tasks whose logged time exceeds their estimate
+    const loggedMinutes = await getLoggedMinutes(allTasks.map(task => task.id));
+    const estimatedTasks = allTasks.filter(task => task.estimatedMinutes !== null && task.estimatedMinutes !== undefined);
+    const tasksOverEstimate = estimatedTasks
+      .filter(task => (loggedMinutes.get(task.id) || 0) > task.estimatedMinutes)
+      .map(task => {
+        const logged = loggedMinutes.get(task.id) || 0;
+        return {
+          id: task.id,
+          title: task.title,
+          projectName: task.Project ? task.Project.title : 'Unknown',
+          estimatedHours: toHours(task.estimatedMinutes),
+          loggedHours: toHours(logged),
+          overByHours: toHours(logged - task.estimatedMinutes)
+        };
+      })
+      .sort((a, b) => b.overByHours - a.overByHours);
+    
     const analytics = {
       overview: {
         totalProjects: projects.length,
         totalTasks: allTasks.length,
         pendingTasks: allTasks.filter(t => t.status === 'pending').length,
         inProgressTasks: allTasks.filter(t => t.status === 'in_progress').length,
-        completedTasks: allTasks.filter(t => t.status === 'completed').length,
+        completedTasks: allTasks.filter(t => statusKind(t, semantics) === 'done').length,
         overdueTasks: overdueTasks.length,
         upcomingTasks: upcomingTasks.length,
         completedThisWeek: completedThisWeek.length,
         overallCompletionRate: allTasks.length > 0
-          ? Math.round((allTasks.filter(t => t.status === 'completed').length / allTasks.length) * 100)
+          ? Math.round((allTasks.filter(t => statusKind(t, semantics) === 'done').length / allTasks.length) * 100)
           : 0
       },
       insights: {
@@ -434,7 +525,15 @@ async function getAnalytics(req, res) {
           projectName: task.Project ? task.Project.title : 'Unknown'
         }))
       },
-      recommendations: generateRecommendations(allTasks, projects, overdueTasks, upcomingTasks)
+      labels: labelCounts,
+      time: {
+        estimatedHours: toHours(estimatedTasks.reduce((total, task) => total + task.estimatedMinutes, 0)),
+        loggedHours: toHours([...loggedMinutes.values()].reduce((total, minutes) => total + minutes, 0)),
+        // Only the tasks with an estimate, to compare like with like
+        loggedHoursOnEstimatedTasks: toHours(estimatedTasks.reduce((total, task) => total + (loggedMinutes.get(task.id) || 0), 0)),
+        tasksOverEstimate
+      },
+      recommendations: generateRecommendations(allTasks, projects, overdueTasks, upcomingTasks, tasksOverEstimate)
     };
     
     logger.info('Analytics generated successfully');
@@ -449,7 +548,7 @@ async function getAnalytics(req, res) {
 /**
  * Generate recommendations based on current tasks and projects
  */
-function generateRecommendations(allTasks, projects, overdueTasks, upcomingTasks) {
+function generateRecommendations(allTasks, projects, overdueTasks, upcomingTasks, tasksOverEstimate = []) {
   const recommendations = [];
   
   // Check for overdue tasks
@@ -497,6 +596,15 @@ function generateRecommendations(allTasks, projects, overdueTasks, upcomingTasks
     }
   }
   
+  // Check for tasks over their estimate
+  if (tasksOverEstimate.length > 0) {
+    recommendations.push({
+      type: 'budget',
+      message: `${tasksOverEstimate.length} task${tasksOverEstimate.length > 1 ? 's have' : ' has'} more hours logged than estimated. Review the estimates or the scope.`,
+      action: 'review_over_estimate_tasks'
+    });
+  }
+  
   return recommendations;
 }
 
@@ -0,0 +1,103 @@
+const Task = require('../models/task');
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { listAttachments, addAttachment, openAttachment, deleteAttachment } = require('../services/attachments');
+
+/**
+ * Carga la tarea de la ruta. El middleware authorizeProject ya verificó el acceso a su proyecto.
+ * @param {Object} req - Solicitud con el parámetro `:id`
+ * @returns {Promise<Task|null>} La tarea, o null si no existe
+ */
+function loadTask(req) {
+  return Task.findByPk(req.params.id, { attributes: ['id', 'projectId'] });
+}
+
+/**
+ * Lista los adjuntos de una tarea junto con el espacio usado por el proyecto.
+ */
+async function getTaskAttachments(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    res.status(200).json(await listAttachments(task));
+  } catch (error) {
+    logger.error(`Error getting attachments: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting attachments' });
+  }
+}
+
+/**
+ * Adjunta un archivo (campo multipart `file`) a una tarea.
+ */
+async function uploadTaskAttachment(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const attachment = await addAttachment(task, req.user.userId, req.file);
+
+    logger.info(`Attachment ${attachment.id} (${attachment.mimeType}, ${attachment.size} bytes) added to task ${task.id}`);
+    res.status(201).json(attachment);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error uploading attachment: ${error.message}`, error);
+    res.status(500).json({ message: 'Error uploading attachment' });
+  }
+}
+
+/**
+ * Descarga un adjunto. Se sirve siempre como descarga y con el tipo detectado al subirlo,
+ * para que el navegador no lo interprete (por ejemplo, HTML o SVG).
+ */
+async function downloadTaskAttachment(req, res) {
+  try {
+    const { attachment, stream } = await openAttachment(req.params.id, req.params.attachmentId);
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename="${attachment.filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+
+    stream.on('error', (error) => {
+      logger.error(`Error streaming attachment ${attachment.id}: ${error.message}`);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error downloading attachment: ${error.message}`, error);
+    res.status(500).json({ message: 'Error downloading attachment' });
+  }
+}
+
+/**
+ * Elimina un adjunto y su archivo.
+ */
+async function deleteTaskAttachment(req, res) {
+  try {
+    await deleteAttachment(req.params.id, req.params.attachmentId);
+
+    logger.info(`Attachment ${req.params.attachmentId} deleted from task ${req.params.id}`);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error deleting attachment: ${error.message}`, error);
+    res.status(500).json({ message: 'Error deleting attachment' });
+  }
+}
+
+module.exports = { getTaskAttachments, uploadTaskAttachment, downloadTaskAttachment, deleteTaskAttachment };
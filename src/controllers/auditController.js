@@ -0,0 +1,26 @@
+const logger = require('../logger');
+const { listAuditEvents } = require('../services/audit');
+const { getAccessibleProjectIds } = require('../services/projectAccess');
+
+/**
+ * Lista los eventos de auditoría del espacio de trabajo activo, del más reciente al más antiguo.
+ *
+ * Los administradores del espacio de trabajo ven todos sus eventos (incluidos los de proyectos
+ * eliminados); el resto de usuarios, los de los proyectos a los que tienen acceso.
+ * Filtros: entityType, entityId, projectId, actorId, action, source, from, to, page y limit.
+ */
+async function getAuditEvents(req, res) {
+  try {
+    const projectIds = req.workspace.role === 'admin'
+      ? null
+      : await getAccessibleProjectIds(req.user.userId, { workspaceId: req.workspace.id });
+
+    const result = await listAuditEvents({ workspaceId: req.workspace.id, projectIds }, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error getting audit events: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting audit events' });
+  }
+}
+
+module.exports = { getAuditEvents };
@@ -1,13 +1,29 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const sequelize = require('../config/database');
 const User = require('../models/user');
 const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { AuthError, sendAuthError } = require('../utils/authErrors');
+const { claimPendingInvitations } = require('../services/membership');
+const { createWorkspace } = require('../services/workspace');
+const {
+  createSession,
+  rotateSession,
+  revokeFamily,
+  revokeAllUserSessions,
+  requestMeta
+} = require('../services/session');
+const { checkLoginAllowed, registerFailedLogin, registerSuccessfulLogin } = require('../services/loginThrottle');
+const { createLoginChallenge, resolveLoginChallenge, verifySecondFactor } = require('../services/twoFactor');
+const { requestPasswordReset, resetPassword: resetPasswordWithToken } = require('../services/passwordReset');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h'; // Valor por defecto de 1 hora
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
 
+// Hash que se compara cuando el usuario no existe, para que el login tarde lo mismo (mismo coste que los reales)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password-for-unknown-users', BCRYPT_SALT_ROUNDS);
+
 // ⚠ Verificar que JWT_SECRET esté configurado
 if (!JWT_SECRET) {
   console.error("ERROR: JWT_SECRET is not defined in the .env file");
@@ -16,7 +32,8 @@ if (!JWT_SECRET) {
 
 /**
  * Handles user registration by validating input, checking for existing users,
- * hashing the password, creating a new user, and generating a JWT token.
+ * hashing the password, creating a new user, and starting a session
+ * (short-lived access token + refresh token).
  *
  * @async
  * @function register
@@ -25,44 +42,71 @@ if (!JWT_SECRET) {
  * @param {string} req.body.username - The username of the user.
  * @param {string} req.body.password - The password of the user.
  * @param {string} req.body.name - The name of the user.
+ * @param {string} [req.body.email] - Optional email. Pending project invitations sent to it are linked to the new account.
+ * A personal workspace is created for the new user and becomes their default workspace.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with a success message and token
- * if registration is successful, or an error message if it fails.
+ * @returns {Promise<void>} Sends a JSON response with a success message, the access token
+ * and the refresh token if registration is successful, or an error message if it fails.
  */
 async function register(req, res) {
   try {
     const { username, password, name } = req.body;
+    const email = req.body.email ? String(req.body.email).trim().toLowerCase() : null;
 
     // Validar datos obligatorios
-    if (!username || !password || !name) {
-      return res.status(400).json({ message: 'All fields are required.' });
+    const missingFields = ['username', 'password', 'name'].filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return sendAuthError(res, 'VALIDATION_ERROR', { fields: missingFields });
     }
 
     // Verificar si el usuario ya existe
     const existingUser = await User.findOne({ where: { username } });
     if (existingUser) {
-      return res.status(409).json({ message: 'The username is already in use.' });
+      return sendAuthError(res, 'USERNAME_TAKEN');
+    }
+
+    // Verificar si el email ya está registrado
+    if (email && await User.findOne({ where: { email } })) {
+      return sendAuthError(res, 'EMAIL_TAKEN');
     }
 
     // Hashear la contraseña antes de guardarla
     const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
-    const user = await User.create({ username, password: hashedPassword, name });
 
-    // Generar token con más información
-    const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    // El usuario, su espacio de trabajo y sus invitaciones se guardan juntos: si algo falla no queda una cuenta sin espacio
+    const user = await sequelize.transaction(async (transaction) => {
+      const created = await User.create({ username, password: hashedPassword, name, email }, { transaction });
+
+      // Cada usuario nuevo empieza con su propio espacio de trabajo (será el predeterminado)
+      await createWorkspace(`${name}'s workspace`, created.id, { transaction });
+
+      // Vincular las invitaciones a proyectos enviadas a este email
+      await claimPendingInvitations(created, { transaction });
+      return created;
+    });
+
+    // Iniciar sesión: access token de corta duración + refresh token
+    const session = await createSession(user, requestMeta(req));
 
     // Loggear el registro del usuario
     logger.info(`User registered: ${user.id}`);
-    res.status(201).json({ message: 'User registered successfully.', token });
+    res.status(201).json({ message: 'User registered successfully.', ...session });
   } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return sendAuthError(res, 'VALIDATION_ERROR', { fields: error.errors.map(e => e.path) });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      const field = error.errors[0] && error.errors[0].path;
+      return sendAuthError(res, field === 'email' ? 'EMAIL_TAKEN' : 'USERNAME_TAKEN');
+    }
     logger.error('Error registering user', error);
-    console.error(error);
-    res.status(500).json({ message: 'Error registering user.' });
+    sendAuthError(res, 'AUTH_SERVER_ERROR');
   }
 }
 
 /**
- * Handles user login by validating credentials and generating a JWT token.
+ * Handles user login by validating credentials and starting a new session
+ * (short-lived access token + refresh token).
  *
  * @async
  * @function login
@@ -80,114 +124,254 @@ async function register(req, res) {
  * 1. Extracts the username and password from the request body.
  * 2. Searches for the user in the database using the provided username.
  * 3. Validates the provided password against the stored password hash.
- * 4. If the credentials are valid, generates a JWT token and sends it in the response.
- * 5. Handles and logs errors at various stages, returning appropriate HTTP status codes and error messages.
+ * 4. If the credentials are valid, starts a new session and sends the access and refresh tokens in the response.
+ *    If the user has two-factor authentication enabled, only a short-lived `challengeToken` is returned
+ *    and the session is created by `verifyTwoFactorLogin`.
+ * 5. Errors are answered with the stable codes of `utils/authErrors` (`INVALID_CREDENTIALS` for both an
+ *    unknown username and a wrong password) and never include internal details.
  */
 async function login(req, res) {
   try {
     const { username, password } = req.body;
 
-    // Log more detailed debugging information
-    console.error(`Login attempt for username: ${username}`);
-    console.error(`Input password length: ${password.length}`);
-
-    // Buscar usuario en la base de datos
-    const user = await User.findOne({ where: { username } });
-    if (!user) {
-      console.error(`User not found: ${username}`);
-      return res.status(401).json({ 
-        error: 'AUTH_ERROR',
-        message: 'User not found.',
-        details: { username }
+    if (!username || !password) {
+      return sendAuthError(res, 'VALIDATION_ERROR', {
+        fields: ['username', 'password'].filter(field => !req.body[field])
       });
     }
 
-    // Log additional user details for debugging
-    console.error(`User found: ${user.username}`);
-    console.error(`Stored password hash length: ${user.password.length}`);
+    // Protección contra fuerza bruta: rechazar mientras el usuario o la IP estén bloqueados
+    const throttle = await checkLoginAllowed(username, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return sendAuthError(res, 'TOO_MANY_ATTEMPTS', { retryAfter: throttle.retryAfter });
+    }
+
+    // Buscar usuario en la base de datos
+    const user = await User.findOne({ where: { username } });
 
-    // Comparación de contraseña con más detalles
+    // Usuario inexistente y contraseña incorrecta responden igual para no revelar qué cuentas existen
+    // (también en el tiempo de respuesta: sin usuario se compara igualmente contra un hash fijo)
     let isMatch = false;
-    try {
-      // Agregar más información de depuración
-      console.error('Attempting password comparison');
-      
-      isMatch = await bcrypt.compare(password, user.password);
-      
-      console.error(`Password comparison result: ${isMatch}`);
-    } catch (compareError) {
-      console.error('Error during password comparison:', compareError);
-      return res.status(500).json({
-        error: 'BCRYPT_ERROR',
-        message: 'Error during password comparison.',
-        details: {
-          errorMessage: compareError.message,
-          errorStack: compareError.stack
-        }
-      });
+    if (user) {
+      isMatch = await bcrypt.compare(String(password), user.password);
+    } else {
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
     }
-    
-    // Verificación de contraseña
     if (!isMatch) {
-      console.error('Password does not match');
-      return res.status(401).json({ 
-        error: 'AUTH_ERROR',
-        message: 'Invalid credentials.',
-        details: { 
-          usernameFound: !!user,
-          passwordMatch: isMatch,
-          storedPasswordLength: user.password.length,
-          inputPasswordLength: password.length
-        }
+      logger.warn(`Failed login attempt${user ? ` for user ${user.id}` : ' for an unknown username'}`);
+      await registerFailedLogin(username, req.ip);
+      return sendAuthError(res, 'INVALID_CREDENTIALS');
+    }
+
+    // Con 2FA activado el token solo se emite tras verificar el código (POST /api/auth/2fa/verify)
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required.',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
       });
     }
 
-    // Generar token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        username: user.username
-      },
-      process.env.JWT_SECRET,
-      { 
-        expiresIn: JWT_EXPIRES_IN,
-        algorithm: 'HS256'
-      }
-    );
+    await registerSuccessfulLogin(username);
+
+    // Iniciar una nueva sesión (nueva familia de refresh tokens)
+    const session = await createSession(user, requestMeta(req));
+
+    logger.info(`User logged in: ${user.id}`);
 
     // Respuesta exitosa
     res.status(200).json({ 
       message: 'Login successful.',
-      token
+      ...session
     });
 
   } catch (error) {
-    console.error('Unexpected login error:', error);
-    res.status(500).json({ 
-      error: 'SERVER_ERROR',
-      message: 'Error logging in.',
-      details: error.message
-    });
+    logger.error('Unexpected login error', error);
+    sendAuthError(res, 'AUTH_SERVER_ERROR');
   }
 }
 
 
+/**
+ * Second step of the login for users with two-factor authentication. Exchanges the
+ * challenge token returned by `login` and a TOTP code (or a recovery code) for a session.
+ * Failed codes count as failed login attempts for the brute-force protection.
+ *
+ * @async
+ * @function verifyTwoFactorLogin
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.challengeToken - The token returned by the login.
+ * @param {string} [req.body.code] - The current TOTP code.
+ * @param {string} [req.body.recoveryCode] - A recovery code, instead of the TOTP code.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends the access and refresh tokens, or an auth error.
+ */
+async function verifyTwoFactorLogin(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return sendAuthError(res, 'VALIDATION_ERROR', {
+        fields: !challengeToken ? ['challengeToken'] : ['code']
+      });
+    }
+
+    const user = await resolveLoginChallenge(challengeToken);
+
+    const throttle = await checkLoginAllowed(user.username, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return sendAuthError(res, 'TOO_MANY_ATTEMPTS', { retryAfter: throttle.retryAfter });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      logger.warn(`Failed two-factor verification for user ${user.id}`);
+      await registerFailedLogin(user.username, req.ip);
+      return sendAuthError(res, 'TWO_FACTOR_CODE_INVALID');
+    }
+
+    await registerSuccessfulLogin(user.username);
+    const session = await createSession(user, requestMeta(req));
+
+    logger.info(`User logged in with two-factor authentication: ${user.id}`);
+    res.status(200).json({ message: 'Login successful.', ...session });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Error verifying two-factor login', error);
+    sendAuthError(res, 'AUTH_SERVER_ERROR');
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented refresh token is rotated and can no longer be used; presenting
+ * it again revokes every token of its login (token family).
+ *
+ * @async
+ * @function refresh
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.refreshToken - The refresh token received on login or on the previous refresh.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the new tokens, or 401 if the refresh token is not valid.
+ */
+async function refresh(req, res) {
+  try {
+    const session = await rotateSession(req.body.refreshToken, requestMeta(req));
+    res.status(200).json({ message: 'Token refreshed successfully.', ...session });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Error refreshing token', error);
+    sendAuthError(res, 'AUTH_SERVER_ERROR');
+  }
+}
+
 /**
  * Handles the user logout process.
- * Sends a success response if the logout is completed successfully,
- * or an error response if an issue occurs during the process.
+ * Revokes the session the access token belongs to, so both its refresh token
+ * and the access token itself stop being accepted.
  *
+ * @async
  * @param {Object} req - The HTTP request object.
+ * @param {Object} req.user - The authenticated user (includes the `sid` of the session).
  * @param {Object} res - The HTTP response object.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function logout(req, res) {
+async function logout(req, res) {
   try {
+    await revokeFamily(req.user.sid, 'logout');
+    logger.info(`User logged out: ${req.user.userId}`);
     res.status(200).json({ message: "Logout successful." });
   } catch (error) {
-    console.error(error);
+    logger.error('Error during logout', error);
     res.status(500).json({ message: "Error during logout." });
   }
 }
 
-module.exports = { register, login, logout };
+/**
+ * Logs the user out of every device by revoking all their sessions.
+ *
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the number of revoked sessions.
+ */
+async function logoutAll(req, res) {
+  try {
+    const revoked = await revokeAllUserSessions(req.user.userId, 'logout_all');
+    logger.info(`User ${req.user.userId} logged out from all devices (${revoked} token(s) revoked)`);
+    res.status(200).json({ message: "Logged out from all devices.", revoked });
+  } catch (error) {
+    logger.error('Error during logout from all devices', error);
+    res.status(500).json({ message: "Error during logout." });
+  }
+}
+
+/**
+ * Starts the password recovery flow. If an account with the given username or
+ * email exists and has an email address, a single-use reset link is sent to it.
+ * The response is always the same so it cannot be used to discover accounts.
+ *
+ * @async
+ * @function forgotPassword
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} [req.body.username] - The username of the account.
+ * @param {string} [req.body.email] - The email of the account.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>}
+ */
+async function forgotPassword(req, res) {
+  try {
+    await requestPasswordReset(req.body.username || req.body.email);
+  } catch (error) {
+    // El error se registra pero no se expone, para no revelar si la cuenta existe
+    logger.error('Error requesting password reset', error);
+  }
+
+  res.status(200).json({ message: 'If the account exists, a password reset email has been sent.' });
+}
+
+/**
+ * Sets a new password with a reset token received by email. The token can only
+ * be used once and every session of the user is closed.
+ *
+ * @async
+ * @function resetPassword
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.token - The reset token.
+ * @param {string} req.body.newPassword - The new password.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends 200 on success or 400 if the token is invalid or expired.
+ */
+async function resetPassword(req, res) {
+  try {
+    await resetPasswordWithToken(req.body.token, req.body.newPassword);
+    res.status(200).json({ message: 'Password has been reset successfully.' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Error resetting password', error);
+    res.status(500).json({ message: 'Error resetting password.' });
+  }
+}
+
+module.exports = {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,105 @@
+const Task = require('../models/task');
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { listComments, createComment, updateComment, deleteComment } = require('../services/comments');
+
+/**
+ * Carga la tarea de la ruta. El middleware authorizeProject ya verificó el acceso a su proyecto.
+ * @param {Object} req - Solicitud con el parámetro `:id`
+ * @returns {Promise<Task|null>} La tarea, o null si no existe
+ */
+function loadTask(req) {
+  return Task.findByPk(req.params.id, { attributes: ['id', 'projectId'] });
+}
+
+/**
+ * Lista los comentarios de una tarea (del más antiguo al más reciente) con sus respuestas.
+ * Se pagina por comentarios principales con `page` y `limit`.
+ */
+async function getTaskComments(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const result = await listComments(task.id, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error getting comments: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting comments' });
+  }
+}
+
+/**
+ * Añade un comentario (o una respuesta, con `parentId`) a una tarea.
+ * Las menciones @usuario se resuelven contra los miembros del proyecto.
+ */
+async function createTaskComment(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const { body, parentId } = req.body;
+    const comment = await createComment(task, req.user.userId, { body, parentId });
+
+    logger.info(`Comment ${comment.id} added to task ${task.id}`);
+    res.status(201).json(comment);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error creating comment: ${error.message}`, error);
+    res.status(500).json({ message: 'Error creating comment' });
+  }
+}
+
+/**
+ * Edita un comentario. Solo puede hacerlo su autor.
+ */
+async function updateTaskComment(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const comment = await updateComment(task, req.params.commentId, req.user.userId, req.body.body);
+
+    logger.info(`Comment ${comment.id} edited`);
+    res.status(200).json(comment);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error updating comment: ${error.message}`, error);
+    res.status(500).json({ message: 'Error updating comment' });
+  }
+}
+
+/**
+ * Elimina un comentario junto con sus respuestas. Solo puede hacerlo su autor.
+ */
+async function deleteTaskComment(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    await deleteComment(task, req.params.commentId, req.user.userId);
+
+    logger.info(`Comment ${req.params.commentId} deleted`);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error deleting comment: ${error.message}`, error);
+    res.status(500).json({ message: 'Error deleting comment' });
+  }
+}
+
+module.exports = { getTaskComments, createTaskComment, updateTaskComment, deleteTaskComment };
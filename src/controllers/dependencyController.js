@@ -0,0 +1,79 @@
+const Task = require('../models/task');
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { listDependencies, addDependency, removeDependency } = require('../services/dependencies');
+
+/**
+ * Carga la tarea de la ruta. El middleware authorizeProject ya verificó el acceso a su proyecto.
+ * @param {Object} req - Solicitud con el parámetro `:id`
+ * @returns {Promise<Task|null>} La tarea, o null si no existe
+ */
+function loadTask(req) {
+  return Task.findByPk(req.params.id, { attributes: ['id', 'projectId'] });
+}
+
+/**
+ * Lista las tareas que bloquean a una tarea (`blockedBy`) y las que ella bloquea (`blocking`).
+ */
+async function getTaskDependencies(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    res.status(200).json(await listDependencies(task.id));
+  } catch (error) {
+    logger.error(`Error getting dependencies: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting dependencies' });
+  }
+}
+
+/**
+ * Marca una tarea como bloqueada por otra del mismo proyecto (`blockedByTaskId`).
+ * Se rechazan las dependencias que formarían un ciclo.
+ */
+async function createTaskDependency(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const dependencies = await addDependency(task, req.body.blockedByTaskId, req.user.userId);
+
+    logger.info(`Task ${task.id} is now blocked by task ${req.body.blockedByTaskId}`);
+    res.status(201).json(dependencies);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error creating dependency: ${error.message}`, error);
+    res.status(500).json({ message: 'Error creating dependency' });
+  }
+}
+
+/**
+ * Elimina una dependencia: la tarea deja de estar bloqueada por `:blockedByTaskId`.
+ */
+async function deleteTaskDependency(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    await removeDependency(task, req.params.blockedByTaskId);
+
+    logger.info(`Task ${task.id} is no longer blocked by task ${req.params.blockedByTaskId}`);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error deleting dependency: ${error.message}`, error);
+    res.status(500).json({ message: 'Error deleting dependency' });
+  }
+}
+
+module.exports = { getTaskDependencies, createTaskDependency, deleteTaskDependency };
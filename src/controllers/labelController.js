@@ -0,0 +1,80 @@
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { listLabels, createLabel, updateLabel, deleteLabel } = require('../services/labels');
+
+/**
+ * ID del proyecto de la ruta. El middleware authorizeProject ya verificó que existe y que el usuario tiene acceso.
+ * @param {Object} req - Solicitud con el parámetro `:id`
+ * @returns {number} ID del proyecto
+ */
+function projectOf(req) {
+  return Number(req.params.id);
+}
+
+/**
+ * Lista las etiquetas de un proyecto con el número de tareas que tienen cada una.
+ */
+async function getProjectLabels(req, res) {
+  try {
+    res.status(200).json(await listLabels(projectOf(req)));
+  } catch (error) {
+    logger.error(`Error getting labels: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting labels' });
+  }
+}
+
+/**
+ * Crea una etiqueta en el proyecto (`name` y, opcionalmente, `color` en hexadecimal).
+ */
+async function createProjectLabel(req, res) {
+  try {
+    const label = await createLabel(projectOf(req), req.body);
+
+    logger.info(`Label ${label.id} created in project ${projectOf(req)}`);
+    res.status(201).json(label);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error creating label: ${error.message}`, error);
+    res.status(500).json({ message: 'Error creating label' });
+  }
+}
+
+/**
+ * Cambia el nombre o el color de una etiqueta del proyecto.
+ */
+async function updateProjectLabel(req, res) {
+  try {
+    const label = await updateLabel(projectOf(req), req.params.labelId, req.body);
+
+    logger.info(`Label ${label.id} updated in project ${projectOf(req)}`);
+    res.status(200).json(label);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error updating label: ${error.message}`, error);
+    res.status(500).json({ message: 'Error updating label' });
+  }
+}
+
+/**
+ * Elimina una etiqueta del proyecto y la quita de sus tareas.
+ */
+async function deleteProjectLabel(req, res) {
+  try {
+    await deleteLabel(projectOf(req), req.params.labelId);
+
+    logger.info(`Label ${req.params.labelId} deleted from project ${projectOf(req)}`);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error deleting label: ${error.message}`, error);
+    res.status(500).json({ message: 'Error deleting label' });
+  }
+}
+
+module.exports = { getProjectLabels, createProjectLabel, updateProjectLabel, deleteProjectLabel };
@@ -0,0 +1,148 @@
+const Task = require('../models/task');
+const ProjectMembership = require('../models/projectMembership');
+const { PROJECT_ROLES } = require('../models/projectMembership');
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { findAccessibleProject } = require('../services/projectAccess');
+const { listProjectMembers, inviteMember } = require('../services/membership');
+const { stopRunningTimers } = require('../services/timeTracking');
+
+/**
+ * Recupera los miembros (activos e invitados) de un proyecto específico.
+ */
+async function getProjectMembers(req, res) {
+  try {
+    const { id } = req.params;
+
+    const project = await findAccessibleProject(id, req.user.userId, { attributes: ['id'] });
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const members = await listProjectMembers(project.id);
+
+    logger.info(`Project members retrieved for project: ${id}`);
+    res.status(200).json(members);
+  } catch (error) {
+    logger.error('Error getting project members', error);
+    res.status(500).json({ message: 'Error getting project members' });
+  }
+}
+
+/**
+ * Invita a un usuario al proyecto por `userId`, `username` o `email`.
+ * Si el email no pertenece a ningún usuario registrado, la invitación queda pendiente.
+ */
+async function addProjectMember(req, res) {
+  try {
+    // El middleware authorizeProject('members:manage') ya verificó que el usuario es el propietario
+    const project = await findAccessibleProject(req.params.id, req.user.userId, { attributes: ['id'] });
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { userId, username, email, name, role } = req.body;
+    const membership = await inviteMember(project.id, { userId, username, email, name, role }, req.user.userId);
+
+    logger.info(`Member ${membership.id} added to project ${project.id} with role ${membership.role}`);
+
+    const members = await listProjectMembers(project.id);
+    res.status(201).json(members.find(member => member.id === membership.id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    // Un email inválido (p. ej. con comodines) no encuentra a nadie y no puede quedar como invitación pendiente
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+    logger.error('Error adding project member', error);
+    res.status(500).json({ message: 'Error adding project member' });
+  }
+}
+
+/**
+ * Cambia el rol de un miembro del proyecto. El rol 'owner' no se puede asignar ni retirar aquí.
+ */
+async function updateProjectMemberRole(req, res) {
+  try {
+    // El middleware authorizeProject('members:manage') ya verificó que el usuario es el propietario
+    const project = await findAccessibleProject(req.params.id, req.user.userId, { attributes: ['id'] });
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { role } = req.body;
+    const assignableRoles = PROJECT_ROLES.filter(r => r !== 'owner');
+    if (!assignableRoles.includes(role)) {
+      return res.status(400).json({ message: `Invalid role '${role}'. Valid roles: ${assignableRoles.join(', ')}` });
+    }
+
+    const membership = await ProjectMembership.findOne({
+      where: { id: req.params.memberId, projectId: project.id }
+    });
+    if (!membership) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (membership.role === 'owner') {
+      return res.status(400).json({ message: 'The role of the project owner cannot be changed' });
+    }
+
+    membership.role = role;
+    await membership.save();
+
+    logger.info(`Member ${membership.id} of project ${project.id} changed to role ${role}`);
+
+    const members = await listProjectMembers(project.id);
+    res.status(200).json(members.find(member => member.id === membership.id));
+  } catch (error) {
+    logger.error('Error updating project member', error);
+    res.status(500).json({ message: 'Error updating project member' });
+  }
+}
+
+/**
+ * Elimina un miembro (o una invitación pendiente) del proyecto.
+ * Las tareas asignadas al miembro quedan sin asignar.
+ */
+async function removeProjectMember(req, res) {
+  try {
+    // El middleware authorizeProject('members:manage') ya verificó que el usuario es el propietario
+    const project = await findAccessibleProject(req.params.id, req.user.userId, { attributes: ['id'] });
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const membership = await ProjectMembership.findOne({
+      where: { id: req.params.memberId, projectId: project.id }
+    });
+    if (!membership) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (membership.role === 'owner') {
+      return res.status(400).json({ message: 'The project owner cannot be removed' });
+    }
+
+    if (membership.userId) {
+      await Task.update(
+        { assignedUserId: null, assigned_member: null },
+        { where: { projectId: project.id, assignedUserId: membership.userId } }
+      );
+      // Sin acceso al proyecto ya no podría parar sus temporizadores
+      await stopRunningTimers({ projectIds: [project.id], userId: membership.userId });
+    }
+
+    await membership.destroy();
+
+    logger.info(`Member ${membership.id} removed from project ${project.id}`);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Error removing project member', error);
+    res.status(500).json({ message: 'Error removing project member' });
+  }
+}
+
+module.exports = { getProjectMembers, addProjectMember, updateProjectMemberRole, removeProjectMember };
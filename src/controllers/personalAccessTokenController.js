@@ -0,0 +1,60 @@
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { listTokens, createToken, revokeToken } = require('../services/personalAccessToken');
+
+/**
+ * Lista los tokens de acceso personal del usuario (sin el valor del token).
+ */
+async function getPersonalAccessTokens(req, res) {
+  try {
+    const tokens = await listTokens(req.user.userId);
+    res.status(200).json(tokens);
+  } catch (error) {
+    logger.error('Error listing personal access tokens', error);
+    res.status(500).json({ message: 'Error listing personal access tokens.' });
+  }
+}
+
+/**
+ * Crea un token de acceso personal. El valor del token solo se devuelve en esta respuesta.
+ */
+async function createPersonalAccessToken(req, res) {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const { token, personalAccessToken } = await createToken(req.user.userId, { name, scopes, expiresAt });
+
+    res.status(201).json({
+      message: 'Personal access token created. Copy it now: it will not be shown again.',
+      token,
+      ...personalAccessToken
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Error creating personal access token', error);
+    res.status(500).json({ message: 'Error creating personal access token.' });
+  }
+}
+
+/**
+ * Revoca un token de acceso personal del usuario.
+ */
+async function revokePersonalAccessToken(req, res) {
+  try {
+    await revokeToken(req.user.userId, req.params.id);
+    res.status(200).json({ message: 'Personal access token revoked.' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Error revoking personal access token', error);
+    res.status(500).json({ message: 'Error revoking personal access token.' });
+  }
+}
+
+module.exports = {
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken
+};
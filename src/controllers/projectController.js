@@ -2,6 +2,13 @@ const { Op } = require('sequelize');
 const Project = require('../models/project');
 const logger = require('../logger');
 const Task = require('../models/task');
+const sequelize = require('../config/database');
+const HttpError = require('../utils/httpError');
+const { getAccessibleProjectIds, findAccessibleProject } = require('../services/projectAccess');
+const { listProjectMembers, inviteMember } = require('../services/membership');
+const { trashProject } = require('../services/trash');
+const { pruneCustomFieldValues } = require('../services/customFields');
+const { getStatusSemantics, planColumnMigration, applyColumnMigration } = require('../services/columns');
 
 /**
  * Helper function to normalize dates to YYYY-MM-DD format
@@ -27,7 +34,34 @@ function normalizeDateForResponse(dateValue) {
 }
 
 /**
- * Crea un nuevo proyecto con los detalles proporcionados.
+ * Invita como editores a los miembros enviados en el formato heredado `[{ name, email }]`,
+ * omitiendo los que ya pertenecen al proyecto.
+ */
+async function inviteLegacyMembers(projectId, members, invitedBy, transaction) {
+  if (!Array.isArray(members)) return;
+
+  const currentMembers = await listProjectMembers(projectId, { transaction });
+  const currentEmails = currentMembers
+    .map(member => member.email && member.email.toLowerCase())
+    .filter(Boolean);
+
+  for (const member of members) {
+    if (!member || !member.email || currentEmails.includes(member.email.toLowerCase())) continue;
+
+    try {
+      await inviteMember(projectId, { email: member.email, name: member.name, role: 'editor' }, invitedBy, { transaction });
+    } catch (error) {
+      // Un miembro que ya pertenece al proyecto (por ejemplo, por su username) no es un error
+      if (!(error instanceof HttpError) || error.status !== 409) throw error;
+    }
+    currentEmails.push(member.email.toLowerCase());
+  }
+}
+
+/**
+ * Crea un nuevo proyecto con los detalles proporcionados en el espacio de trabajo activo.
+ * El usuario autenticado queda como propietario y los `members` enviados se invitan como editores.
+ * El título debe ser único dentro del espacio de trabajo.
  */
 async function createProject(req, res) {
     try {
@@ -38,10 +72,11 @@ async function createProject(req, res) {
         culmination_date,
         members,
         kanban_template,
-        kanban_columns
+        kanban_columns,
+        custom_fields
       } = req.body;
 
-      const existingProject = await Project.findOne({ where: { title } });
+      const existingProject = await Project.findOne({ where: { title, workspaceId: req.workspace.id } });
       if (existingProject) {
           return res.status(400).json({ message: 'The project name is already in use, please change it.' });
       }
@@ -55,14 +90,21 @@ async function createProject(req, res) {
         }
       }
 
-      const project = await Project.create({
-        title,
-        description,
-        priority,
-        culmination_date,
-        members,
-        kanban_template: kanban_template || 'default',
-        kanban_columns: kanban_columns || undefined // usa default del modelo
+      const project = await sequelize.transaction(async (transaction) => {
+        const created = await Project.create({
+          title,
+          description,
+          priority,
+          culmination_date,
+          kanban_template: kanban_template || 'default',
+          kanban_columns: kanban_columns || undefined, // usa default del modelo
+          custom_fields: custom_fields || undefined,
+          ownerId: req.user.userId,
+          workspaceId: req.workspace.id
+        }, { transaction });
+
+        await inviteLegacyMembers(created.id, members, req.user.userId, transaction);
+        return created;
       });
       logger.info(`Project created: ${project.id} with template: ${project.kanban_template}`);
 
@@ -76,6 +118,10 @@ async function createProject(req, res) {
     } catch (error) {
       logger.error('Error creating project', error);
 
+      if (error instanceof HttpError) {
+        return res.status(error.status).json(error.toJSON());
+      }
+
       // Manejar errores de validación de Sequelize
       if (error.name === 'SequelizeValidationError') {
         return res.status(400).json({
@@ -89,11 +135,13 @@ async function createProject(req, res) {
 }
 
 /**
- * Recupera todos los proyectos de la base de datos.
+ * Recupera todos los proyectos del usuario autenticado en el espacio de trabajo activo.
  */
 async function getAllProjects(req, res) {
   try {
-    const projects = await Project.findAll();
+    const projects = await Project.findAll({
+      where: { id: await getAccessibleProjectIds(req.user.userId, { workspaceId: req.workspace.id }) }
+    });
 
     // ✅ NORMALIZAR fechas para todos los proyectos
     const projectsResponse = projects.map(project => {
@@ -112,6 +160,8 @@ async function getAllProjects(req, res) {
 
 /**
  * Actualiza un proyecto existente en la base de datos.
+ * Al cambiar las columnas, `column_mapping` (columna anterior → columna nueva) indica a dónde van las tareas
+ * de las columnas renombradas o eliminadas, y `dry_run` informa de las tareas que se moverían sin guardar nada.
  */
 async function updateProject(req, res) {
   try {
@@ -123,10 +173,13 @@ async function updateProject(req, res) {
       culmination_date,
       members,
       kanban_template,
-      kanban_columns
+      kanban_columns,
+      custom_fields,
+      column_mapping,
+      dry_run
     } = req.body;
 
-    const project = await Project.findByPk(id);
+    const project = await findAccessibleProject(id, req.user.userId);
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
@@ -135,6 +188,7 @@ async function updateProject(req, res) {
       const existingProject = await Project.findOne({
         where: {
           title,
+          workspaceId: project.workspaceId,
           id: { [Op.ne]: id }
         }
       });
@@ -144,42 +198,64 @@ async function updateProject(req, res) {
       }
     }
 
-    // Validar si se actualizan columnas - verificar tareas
-    if (kanban_columns && Array.isArray(kanban_columns)) {
-      const tasks = await Task.findAll({ where: { projectId: id } });
-      const newColumnIds = kanban_columns.map(col => col.id);
-      const invalidTasks = tasks.filter(task => !newColumnIds.includes(task.status));
-
-      if (invalidTasks.length > 0) {
-        logger.warn(`Warning: ${invalidTasks.length} tasks have invalid status for new columns`);
-        return res.status(400).json({
-          message: `Cannot update columns: ${invalidTasks.length} tasks have invalid status`,
-          invalidTasks: invalidTasks.map(t => ({ id: t.id, status: t.status }))
-        });
-      }
+    // Al cambiar las columnas, las tareas de las columnas renombradas o eliminadas van a la columna indicada en column_mapping
+    const columnsChanged = Array.isArray(kanban_columns);
+    if (!columnsChanged && (column_mapping !== undefined || dry_run === true)) {
+      return res.status(400).json({ message: 'column_mapping and dry_run require kanban_columns' });
     }
+    const currentColumns = project.kanban_columns;
+    const migrationParams = { projectId: project.id, currentColumns, columns: kanban_columns, mapping: column_mapping };
 
     // ✅ CORREGIDO: Usar !== undefined para permitir valores vacíos
     if (title !== undefined) project.title = title;
     if (description !== undefined) project.description = description;
     if (priority !== undefined) project.priority = priority;
     if (culmination_date !== undefined) project.culmination_date = culmination_date;
-    if (members !== undefined) project.members = members;
     if (kanban_template !== undefined) project.kanban_template = kanban_template;
     if (kanban_columns !== undefined) project.kanban_columns = kanban_columns;
+    if (custom_fields !== undefined) project.custom_fields = custom_fields;
+    const customFieldsChanged = project.changed('custom_fields');
+
+    // Modo de prueba: se validan los cambios y se informa de las tareas que se moverían, sin guardar nada
+    if (dry_run === true) {
+      await project.validate();
+      const plan = await planColumnMigration(migrationParams);
+      return res.status(200).json({ dryRun: true, moves: plan.moves, taskCount: plan.taskCount });
+    }
 
-    await project.save();
-    logger.info(`Project updated: ${project.id}`);
+    // Las columnas nuevas y las tareas que cambian de columna se guardan juntas o no se guarda nada
+    const migration = await sequelize.transaction(async (transaction) => {
+      const plan = columnsChanged ? await planColumnMigration({ ...migrationParams, transaction }) : null;
+      await project.save({ transaction });
+      if (plan) {
+        await applyColumnMigration(plan, { transaction });
+      }
+      // Los valores que ya no encajan con los campos (eliminados, de otro tipo o sin esa opción) se quitan de las tareas
+      if (customFieldsChanged) {
+        await pruneCustomFieldValues(project, transaction);
+      }
+      // Los miembros solo se agregan desde aquí; para quitarlos se usa DELETE /:id/members/:memberId
+      await inviteLegacyMembers(project.id, members, req.user.userId, transaction);
+      return plan;
+    });
+    logger.info(`Project updated: ${project.id}${migration ? ` (${migration.taskCount} tasks moved to new columns)` : ''}`);
 
     // ✅ NORMALIZAR fechas antes de devolver
     const projectResponse = project.toJSON();
     projectResponse.culmination_date = normalizeDateForResponse(project.culmination_date);
     projectResponse.creation_date = normalizeDateForResponse(project.creation_date);
+    if (migration) {
+      projectResponse.columnMigration = { moves: migration.moves, taskCount: migration.taskCount };
+    }
 
     res.status(200).json(projectResponse);
   } catch (error) {
     logger.error(`Error updating project ${error.message}`, error);
 
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     if (error.name === 'SequelizeValidationError') {
       return res.status(400).json({
         message: 'Validation error',
@@ -192,20 +268,21 @@ async function updateProject(req, res) {
 }
 
 /**
- * Elimina un proyecto basado en el ID proporcionado.
+ * Mueve a la papelera un proyecto basado en el ID proporcionado, junto con sus tareas.
  */
 async function deleteProject(req, res) {
   try {
     const { id } = req.params;
 
-    const project = await Project.findByPk(id);
+    const project = await findAccessibleProject(id, req.user.userId);
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    await project.destroy();
+    // Se mueve a la papelera junto con sus tareas
+    await trashProject(project);
 
-    logger.info(`Project deleted: ${project.id}`);
+    logger.info(`Project moved to the trash: ${project.id}`);
     res.status(204).send();
   } catch (error) {
     logger.error('Error deleting project', error);
@@ -220,7 +297,7 @@ async function getProjectById(req, res) {
   try {
     const { id } = req.params;
 
-    const project = await Project.findByPk(id, { include: Task });
+    const project = await findAccessibleProject(id, req.user.userId, { include: Task });
 
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
@@ -250,34 +327,12 @@ async function getProjectById(req, res) {
 }
 
 /**
- * Recupera los miembros de un proyecto específico.
- */
-async function getProjectMembers(req, res) {
-  try {
-    const { id } = req.params;
-
-    const project = await Project.findByPk(id, {
-      attributes: ['members']
-    });
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    logger.info(`Project members retrieved for project: ${id}`);
-    res.status(200).json(project.members || []);
-  } catch (error) {
-    logger.error('Error getting project members', error);
-    res.status(500).json({ message: 'Error getting project members' });
-  }
-}
-
-/**
- * Recupera todos los IDs de los proyectos almacenados.
+ * Recupera todos los IDs de los proyectos del usuario autenticado en el espacio de trabajo activo.
  */
 async function getAllProjectIds(req, res) {
   try {
     const projects = await Project.findAll({
+      where: { id: await getAccessibleProjectIds(req.user.userId, { workspaceId: req.workspace.id }) },
       attributes: ['id']
     });
 
@@ -297,7 +352,7 @@ async function getProjectStatuses(req, res) {
   try {
     const { id } = req.params;
 
-    const project = await Project.findByPk(id, {
+    const project = await findAccessibleProject(id, req.user.userId, {
       attributes: ['id', 'title', 'kanban_template', 'kanban_columns']
     });
 
@@ -305,12 +360,17 @@ async function getProjectStatuses(req, res) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    // Extraer solo los IDs y títulos de las columnas para el frontend
+    // Extraer solo los IDs, títulos y reglas de las columnas para el frontend
+    const { doneStatuses, cancelledStatuses } = getStatusSemantics(project);
     const statuses = project.kanban_columns.map(col => ({
       id: col.id,
       title: col.title,
       color: col.color,
-      icon: col.icon
+      icon: col.icon,
+      wipLimit: col.wipLimit || null,
+      done: doneStatuses.includes(col.id),
+      cancelled: cancelledStatuses.includes(col.id),
+      requiredFields: col.requiredFields || []
     }));
 
     logger.info(`Statuses retrieved for project: ${project.id}`);
@@ -326,4 +386,4 @@ async function getProjectStatuses(req, res) {
   }
 }
 
-module.exports = {createProject, getAllProjects, updateProject, deleteProject, getProjectById, getAllProjectIds, getProjectMembers, getProjectStatuses};
\ No newline at end of file
+module.exports = {createProject, getAllProjects, updateProject, deleteProject, getProjectById, getAllProjectIds, getProjectStatuses};
\ No newline at end of file
@@ -1,7 +1,22 @@
 const { validationResult } = require('express-validator');
 const Task = require('../models/task');
 const Project = require('../models/project');
+const sequelize = require('../config/database');
 const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { getAccessibleProjectIds, findAccessibleProject, findAccessibleTask, getProjectMembership } = require('../services/projectAccess');
+const { resolveAssignee } = require('../services/membership');
+const { getEntityHistory } = require('../services/audit');
+const { trashTask } = require('../services/trash');
+const { listDependencies, unlinkTasks, checkCompletionBlockers } = require('../services/dependencies');
+const { normalizeRecurrence, onStatusChange, skipOccurrence } = require('../services/recurringTasks');
+const { setTaskLabels, removeTaskLabels, getTaskLabels, findTaskIdsByLabels } = require('../services/labels');
+const { getLoggedMinutes, compareWithEstimate } = require('../services/timeTracking');
+const { validateCustomFieldValues, filterTasksByCustomFields, sortTasksByCustomField } = require('../services/customFields');
+const { RANK_ORDER, placeInColumn } = require('../services/taskOrder');
+const { checkColumnEntry } = require('../services/columns');
+const { validateParent, getProgress, listSubtasks, applyParentStatusRules, moveSubtasks } = require('../services/subtasks');
+const { hasPermission, forbiddenBody } = require('../middleware/authorize');
 
 /**
  * Helper function to normalize dates to YYYY-MM-DD format
@@ -36,9 +51,12 @@ async function createTask(req, res) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, creation_date, completion_date, status, projectId, assigned_member } = req.body;
+    const {
+      title, description, creation_date, completion_date, status, projectId, assigned_member, assignedUserId,
+      parentTaskId, recurrence, labelIds, estimatedMinutes, customFields
+    } = req.body;
 
-    const project = await Project.findByPk(projectId);
+    const project = await findAccessibleProject(projectId, req.user.userId);
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
@@ -51,14 +69,49 @@ async function createTask(req, res) {
       });
     }
 
-    const task = await Task.create({
+    // Validar que el miembro asignado pertenezca al proyecto
+    const assignee = (assignedUserId !== undefined || assigned_member !== undefined)
+      ? await resolveAssignee(project.id, { assignedUserId, assignedMember: assigned_member })
+      : {};
+
+    // Una subtarea debe colgar de una tarea principal del mismo proyecto
+    if (parentTaskId) {
+      await validateParent({ parentTaskId, projectId: project.id });
+    }
+
+    // Solo las tareas principales pueden repetirse
+    const recurrenceRule = recurrence !== undefined ? normalizeRecurrence(recurrence) : null;
+    if (recurrenceRule && parentTaskId) {
+      return res.status(400).json({ message: 'Subtasks cannot repeat' });
+    }
+
+    // Los campos personalizados se validan siempre (los obligatorios deben venir al crear la tarea)
+    const customFieldValues = await validateCustomFieldValues(project, customFields !== undefined ? customFields : {});
+
+    const values = {
       title,
       description,
       creation_date,
       completion_date,
       status: status || validStatuses[0], // Usar primera columna por defecto
       projectId,
-      assigned_member
+      parentTaskId: parentTaskId || null,
+      recurrenceRule,
+      estimatedMinutes: estimatedMinutes !== undefined ? estimatedMinutes : null,
+      customFields: customFieldValues,
+      ...assignee
+    };
+
+    // La tarea y sus etiquetas se crean juntas (una etiqueta de otro proyecto anula la creación)
+    const task = await sequelize.transaction(async (transaction) => {
+      // La columna puede tener un límite WIP y exigir campos a las tareas que entran en ella
+      await checkColumnEntry(project, values, { transaction });
+      const created = await Task.create(values, { transaction });
+
+      if (labelIds !== undefined) {
+        await setTaskLabels(created, labelIds, { transaction });
+      }
+      return created;
     });
 
     logger.info(`Task created: ${task.id} with status: ${task.status}`);
@@ -67,26 +120,34 @@ async function createTask(req, res) {
     const taskResponse = task.toJSON();
     taskResponse.completion_date = normalizeDateForResponse(task.completion_date);
     taskResponse.creation_date = normalizeDateForResponse(task.creation_date);
+    taskResponse.labels = (await getTaskLabels([task.id])).get(task.id) || [];
 
     res.status(201).json(taskResponse);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     logger.error(`Error creating task: ${error.message}`, error);
     res.status(500).json({ message: 'Error creating task' });
   }
 }
 
 /**
- * Retrieves all tasks from the database, including their associated projects.
+ * Retrieves all tasks from the projects the user can access, including their associated projects.
  */
 async function getAllTasks(req, res) {
   try {
-    const { assignee, status, dueDate, priority } = req.query;
-    const filters = {};
+    const { assignee, status, dueDate, priority, labels, labelMatch } = req.query;
+    const filters = { projectId: await getAccessibleProjectIds(req.user.userId, { workspaceId: req.workspace.id }) };
 
-    if (assignee) filters.assignee = assignee;
+    if (assignee) filters.assignedUserId = assignee;
     if (status) filters.status = status;
     if (dueDate) filters.completion_date = dueDate;  // Filtra por fecha límite
     if (priority) filters.priority = priority;
+    if (labels) {
+      // Filtra por etiquetas (IDs o nombres); un nombre coincide con la etiqueta de ese nombre en cada proyecto
+      filters.id = await findTaskIdsByLabels(labels, { projectIds: filters.projectId, matchAll: labelMatch === 'all' });
+    }
 
     const tasks = await Task.findAll({
       where: filters,
@@ -101,11 +162,16 @@ async function getAllTasks(req, res) {
 
     logger.info('All tasks retrieved');
 
+    const taskLabels = await getTaskLabels(tasks.map(task => task.id));
+    const loggedMinutes = await getLoggedMinutes(tasks.map(task => task.id));
+
     // ✅ NORMALIZAR fechas para todas las tareas
     const tasksResponse = tasks.map(task => {
       const taskData = task.toJSON();
       taskData.completion_date = normalizeDateForResponse(task.completion_date);
       taskData.creation_date = normalizeDateForResponse(task.creation_date);
+      taskData.labels = taskLabels.get(task.id) || [];
+      taskData.loggedMinutes = loggedMinutes.get(task.id) || 0;
       return taskData;
     });
 
@@ -117,34 +183,70 @@ async function getAllTasks(req, res) {
 }
 
 /**
- * Retrieves all tasks associated with a specific project.
+ * Retrieves the tasks of a project grouped by Kanban column, each column in card order.
  */
 async function getTasksByProject(req, res) {
   try {
     const { projectId } = req.params;
+    const { labels, labelMatch, customFields, sort, order } = req.query;
 
-    const project = await Project.findByPk(projectId);
+    const project = await findAccessibleProject(projectId, req.user.userId);
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    const tasks = await Task.findAll({
-      where: { projectId: projectId },
-      order: [['creation_date', 'DESC']]
+    const filters = { projectId: projectId };
+    if (labels) {
+      filters.id = await findTaskIdsByLabels(labels, { projectIds: [project.id], matchAll: labelMatch === 'all' });
+    }
+
+    let tasks = await Task.findAll({
+      where: filters,
+      order: RANK_ORDER
     });
 
+    // Filtros y orden por campos personalizados (?customFields[points]=3..5&sort=customFields.points)
+    if (customFields) {
+      tasks = filterTasksByCustomFields(tasks, project, customFields);
+    }
+    if (sort) {
+      tasks = sortTasksByCustomField(tasks, project, sort.replace(/^customFields\./, ''), order);
+    }
+
     logger.info(`Tasks retrieved for project: ${projectId}`);
 
+    // Progreso de las subtareas (p. ej. 3/5 completadas) de cada tarea principal
+    const progress = await getProgress(tasks.map(task => task.id));
+    const taskLabels = await getTaskLabels(tasks.map(task => task.id));
+    const loggedMinutes = await getLoggedMinutes(tasks.map(task => task.id));
+
     // ✅ NORMALIZAR fechas para todas las tareas
     const tasksResponse = tasks.map(task => {
       const taskData = task.toJSON();
       taskData.completion_date = normalizeDateForResponse(task.completion_date);
       taskData.creation_date = normalizeDateForResponse(task.creation_date);
+      taskData.subtaskProgress = progress.get(task.id) || null;
+      taskData.labels = taskLabels.get(task.id) || [];
+      taskData.loggedMinutes = loggedMinutes.get(task.id) || 0;
       return taskData;
     });
 
-    res.status(200).json(tasksResponse);
+    // Agrupar por columna en el orden del tablero (un estado sin columna se agrupa al final con su nombre)
+    const columns = project.kanban_columns.map(column => ({ ...column, tasks: [] }));
+    for (const taskData of tasksResponse) {
+      let column = columns.find(candidate => candidate.id === taskData.status);
+      if (!column) {
+        column = { id: taskData.status, title: taskData.status, tasks: [] };
+        columns.push(column);
+      }
+      column.tasks.push(taskData);
+    }
+
+    res.status(200).json({ projectId: project.id, columns });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     logger.error(`Error getting tasks by project: ${error.message}`, error);
     res.status(500).json({ message: 'Error getting tasks' });
   }
@@ -157,7 +259,7 @@ async function getTaskById(req, res) {
   try {
     const { id } = req.params;
 
-    const task = await Task.findByPk(id, {
+    const task = await findAccessibleTask(id, req.user.userId, {
       include: [
         {
           model: Project,
@@ -176,6 +278,24 @@ async function getTaskById(req, res) {
     const taskResponse = task.toJSON();
     taskResponse.completion_date = normalizeDateForResponse(task.completion_date);
     taskResponse.creation_date = normalizeDateForResponse(task.creation_date);
+    taskResponse.labels = (await getTaskLabels([task.id])).get(task.id) || [];
+
+    // Subtareas y su progreso
+    const subtasks = await listSubtasks(task.id);
+    taskResponse.subtasks = subtasks.map(subtask => ({
+      id: subtask.id,
+      title: subtask.title,
+      status: subtask.status,
+      assignedUserId: subtask.assignedUserId,
+      completion_date: normalizeDateForResponse(subtask.completion_date)
+    }));
+    taskResponse.subtaskProgress = (await getProgress([task.id])).get(task.id) || null;
+
+    // Tareas que la bloquean y tareas que bloquea
+    taskResponse.dependencies = await listDependencies(task.id);
+
+    // Estimación frente al tiempo registrado
+    taskResponse.time = compareWithEstimate(task.estimatedMinutes, (await getLoggedMinutes([task.id])).get(task.id) || 0);
 
     res.status(200).json(taskResponse);
   } catch (error) {
@@ -195,23 +315,44 @@ async function updateTask(req, res) {
     }
 
     const { id } = req.params;
-    const { title, description, creation_date, completion_date, status, projectId, assigned_member } = req.body;
+    const {
+      title, description, creation_date, completion_date, status, projectId, assigned_member, assignedUserId,
+      parentTaskId, completeSubtasks, ignoreBlockers, recurrence, labelIds, estimatedMinutes, customFields
+    } = req.body;
 
-    const task = await Task.findByPk(id);
+    const task = await findAccessibleTask(id, req.user.userId);
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
     // Determinar el proyecto actual o el nuevo si se cambia
     let targetProjectId = task.projectId;
+    let movedProject = null;
 
-    if (projectId && projectId !== task.projectId) {
-      const project = await Project.findByPk(projectId);
+    // Comparación numérica: enviar el proyecto actual como texto no debe mover la tarea
+    if (projectId && Number(projectId) !== task.projectId) {
+      const project = await findAccessibleProject(projectId, req.user.userId);
       if (!project) {
         return res.status(404).json({ message: 'Project not found' });
       }
+
+      // Mover la tarea a otro proyecto requiere permiso de escritura también en el destino
+      const targetMembership = await getProjectMembership(projectId, req.user.userId);
+      if (!hasPermission(targetMembership.role, 'task:write')) {
+        return res.status(403).json(forbiddenBody('task:write', targetMembership.role));
+      }
       task.projectId = projectId;
       targetProjectId = projectId;
+      movedProject = project;
+
+      // Una subtarea que cambia de proyecto deja de serlo (salvo que se indique una tarea principal del destino)
+      task.parentTaskId = null;
+
+      // Si el miembro asignado no pertenece al nuevo proyecto, la tarea queda sin asignar
+      if (task.assignedUserId && !(await getProjectMembership(projectId, task.assignedUserId))) {
+        task.assignedUserId = null;
+        task.assigned_member = null;
+      }
     }
 
     // Validar status si se está actualizando
@@ -226,44 +367,200 @@ async function updateTask(req, res) {
       }
     }
 
+    if (parentTaskId !== undefined) {
+      if (parentTaskId) {
+        await validateParent({ parentTaskId, projectId: targetProjectId, task });
+      }
+      task.parentTaskId = parentTaskId || null;
+    }
+
+    if (recurrence !== undefined) {
+      task.recurrenceRule = normalizeRecurrence(recurrence);
+    }
+    if (task.recurrenceRule && task.parentTaskId) {
+      return res.status(400).json({ message: 'Subtasks cannot repeat' });
+    }
+
+    // Los campos personalizados son del proyecto: al cambiar de proyecto se validan de nuevo desde cero
+    if (movedProject) {
+      task.customFields = await validateCustomFieldValues(movedProject, customFields !== undefined ? customFields : {});
+    } else if (customFields !== undefined) {
+      const project = await Project.findByPk(targetProjectId);
+      task.customFields = await validateCustomFieldValues(project, customFields, { current: task.customFields });
+    }
+
     // ✅ CORREGIDO: Usar !== undefined para permitir valores vacíos
     if (title !== undefined) task.title = title;
     if (description !== undefined) task.description = description;
     if (creation_date !== undefined) task.creation_date = creation_date;
     if (completion_date !== undefined) task.completion_date = completion_date;
     if (status !== undefined) task.status = status;
-    if (assigned_member !== undefined) task.assigned_member = assigned_member;
+    if (estimatedMinutes !== undefined) task.estimatedMinutes = estimatedMinutes;
+    if (assignedUserId !== undefined || assigned_member !== undefined) {
+      const assignee = await resolveAssignee(targetProjectId, { assignedUserId, assignedMember: assigned_member });
+      task.assignedUserId = assignee.assignedUserId;
+      task.assigned_member = assignee.assigned_member;
+    }
+
+    const statusChanged = task.changed('status');
+
+    // No se completa una tarea bloqueada por tareas abiertas, salvo que se indique expresamente
+    const warnings = statusChanged ? await checkCompletionBlockers(task, { ignoreBlockers: ignoreBlockers === true }) : [];
+
+    // Al entrar en una columna (por estado o por proyecto) se respetan su límite WIP y sus campos obligatorios
+    const enteredProject = movedProject || (statusChanged ? await Project.findByPk(task.projectId) : null);
 
-    await task.save();
+    // La tarea y sus subtareas cambian juntas o no cambia ninguna
+    const nextOccurrence = await sequelize.transaction(async (transaction) => {
+      if (enteredProject) {
+        await checkColumnEntry(enteredProject, task, { transaction });
+      }
+      await task.save({ transaction });
+
+      // Las subtareas acompañan a su tarea principal al cambiar de proyecto
+      if (movedProject) {
+        const subtaskIds = await moveSubtasks(task, {
+          project: movedProject,
+          validStatuses: movedProject.kanban_columns.map(col => col.id),
+          isMember: async (userId) => Boolean(await getProjectMembership(movedProject.id, userId)),
+          transaction
+        });
+        // Las dependencias y las etiquetas son del proyecto de origen
+        await unlinkTasks([task.id, ...subtaskIds], transaction);
+        await removeTaskLabels([task.id, ...subtaskIds], transaction);
+      }
+      if (labelIds !== undefined) {
+        await setTaskLabels(task, labelIds, { transaction });
+      }
+      if (statusChanged) {
+        await applyParentStatusRules(task, { completeSubtasks: completeSubtasks === true, transaction });
+        // Completar una tarea recurrente genera su siguiente repetición
+        return onStatusChange(task, { transaction });
+      }
+      return null;
+    });
     logger.info(`Task updated: ${task.id}`);
 
     // ✅ NORMALIZAR fechas antes de devolver
     const taskResponse = task.toJSON();
     taskResponse.completion_date = normalizeDateForResponse(task.completion_date);
     taskResponse.creation_date = normalizeDateForResponse(task.creation_date);
+    taskResponse.labels = (await getTaskLabels([task.id])).get(task.id) || [];
+    if (warnings.length > 0) taskResponse.warnings = warnings;
+    if (nextOccurrence) {
+      taskResponse.nextOccurrence = {
+        id: nextOccurrence.id,
+        creation_date: normalizeDateForResponse(nextOccurrence.creation_date),
+        completion_date: normalizeDateForResponse(nextOccurrence.completion_date)
+      };
+    }
 
     console.log('📅 Task response being sent:', taskResponse); // Para debugging
 
     res.status(200).json(taskResponse);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     logger.error(`Error updating task: ${error.message}`, error);
     res.status(500).json({ message: 'Error updating task' });
   }
 }
 
 /**
- * Deletes a task by its ID.
+ * Moves a task card on the Kanban board: changes its column (status) and its position
+ * in the column together.
+ */
+async function moveTask(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { status, index, completeSubtasks, ignoreBlockers } = req.body;
+
+    const task = await findAccessibleTask(id, req.user.userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const project = await Project.findByPk(task.projectId);
+    if (status !== undefined) {
+      const validStatuses = project.kanban_columns.map(col => col.id);
+
+      if (!validStatuses.includes(status)) {
+        return res.status(400).json({
+          message: `Invalid status '${status}'. Valid statuses for this project: ${validStatuses.join(', ')}`
+        });
+      }
+      task.status = status;
+    }
+
+    const statusChanged = task.changed('status');
+
+    // Las mismas reglas que al cambiar el estado con PUT /api/tasks/:id
+    const warnings = statusChanged ? await checkCompletionBlockers(task, { ignoreBlockers: ignoreBlockers === true }) : [];
+
+    // El estado y la posición cambian juntos
+    let position;
+    const nextOccurrence = await sequelize.transaction(async (transaction) => {
+      // Reordenar dentro de la misma columna no cuenta como entrar en ella
+      if (statusChanged) {
+        await checkColumnEntry(project, task, { transaction });
+      }
+      // Sin índice, la tarjeta va arriba de la columna
+      position = await placeInColumn(task, index !== undefined ? index : 0, { transaction });
+      await task.save({ transaction });
+
+      if (statusChanged) {
+        await applyParentStatusRules(task, { completeSubtasks: completeSubtasks === true, transaction });
+        return onStatusChange(task, { transaction });
+      }
+      return null;
+    });
+    logger.info(`Task moved: ${task.id} to ${task.status} at ${position}`);
+
+    // ✅ NORMALIZAR fechas antes de devolver
+    const taskResponse = task.toJSON();
+    taskResponse.completion_date = normalizeDateForResponse(task.completion_date);
+    taskResponse.creation_date = normalizeDateForResponse(task.creation_date);
+    taskResponse.labels = (await getTaskLabels([task.id])).get(task.id) || [];
+    taskResponse.index = position;
+    if (warnings.length > 0) taskResponse.warnings = warnings;
+    if (nextOccurrence) {
+      taskResponse.nextOccurrence = {
+        id: nextOccurrence.id,
+        creation_date: normalizeDateForResponse(nextOccurrence.creation_date),
+        completion_date: normalizeDateForResponse(nextOccurrence.completion_date)
+      };
+    }
+
+    res.status(200).json(taskResponse);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error moving task: ${error.message}`, error);
+    res.status(500).json({ message: 'Error moving task' });
+  }
+}
+
+/**
+ * Moves a task (and its subtasks) to the trash by its ID. It can be restored from /api/trash until it is purged.
  */
 async function deleteTask(req, res) {
   try {
     const { id } = req.params;
 
-    const task = await Task.findByPk(id);
+    const task = await findAccessibleTask(id, req.user.userId);
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    await task.destroy();
+    // Sus subtareas pasan también a la papelera
+    await trashTask(task);
     logger.info(`Task deleted: ${task.id}`);
     res.status(204).send();
   } catch (error) {
@@ -272,4 +569,63 @@ async function deleteTask(req, res) {
   }
 }
 
-module.exports = { createTask, getAllTasks, getTasksByProject, getTaskById, updateTask, deleteTask };
\ No newline at end of file
+/**
+ * Skips the current occurrence of a recurring task: it is moved to the next date of its rule.
+ */
+async function skipTaskOccurrence(req, res) {
+  try {
+    const { id } = req.params;
+
+    const task = await findAccessibleTask(id, req.user.userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    await skipOccurrence(task);
+
+    // ✅ NORMALIZAR fechas antes de devolver
+    const taskResponse = task.toJSON();
+    taskResponse.completion_date = normalizeDateForResponse(task.completion_date);
+    taskResponse.creation_date = normalizeDateForResponse(task.creation_date);
+
+    res.status(200).json(taskResponse);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error skipping occurrence: ${error.message}`, error);
+    res.status(500).json({ message: 'Error skipping occurrence' });
+  }
+}
+
+/**
+ * Retrieves the change history of a task (who changed what, when and from where), oldest first.
+ */
+async function getTaskHistory(req, res) {
+  try {
+    const { id } = req.params;
+
+    const task = await findAccessibleTask(id, req.user.userId, { attributes: ['id'] });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const history = await getEntityHistory('task', task.id);
+    res.status(200).json(history);
+  } catch (error) {
+    logger.error(`Error getting task history: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting task history' });
+  }
+}
+
+module.exports = {
+  createTask,
+  getAllTasks,
+  getTasksByProject,
+  getTaskById,
+  getTaskHistory,
+  updateTask,
+  moveTask,
+  skipTaskOccurrence,
+  deleteTask
+};
\ No newline at end of file
@@ -0,0 +1,177 @@
+const Task = require('../models/task');
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const {
+  listEntries, startTimer, stopTimer, logTime, updateEntry, deleteEntry, getProjectReport
+} = require('../services/timeTracking');
+
+/**
+ * Carga la tarea de la ruta. El middleware authorizeProject ya verificó el acceso a su proyecto.
+ * @param {Object} req - Solicitud con el parámetro `:id`
+ * @returns {Promise<Task|null>} La tarea, o null si no existe
+ */
+function loadTask(req) {
+  return Task.findByPk(req.params.id, { attributes: ['id', 'projectId', 'estimatedMinutes'] });
+}
+
+/**
+ * Lista el tiempo registrado en una tarea (del más reciente al más antiguo) y lo compara con su estimación.
+ */
+async function getTaskTimeEntries(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    res.status(200).json(await listEntries(task));
+  } catch (error) {
+    logger.error(`Error getting time entries: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting time entries' });
+  }
+}
+
+/**
+ * Registra tiempo a mano: `minutes`, o `startedAt` y `endedAt`.
+ */
+async function createTaskTimeEntry(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const entry = await logTime(task, req.user.userId, req.body);
+
+    logger.info(`Time entry ${entry.id} logged on task ${task.id}`);
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error logging time: ${error.message}`, error);
+    res.status(500).json({ message: 'Error logging time' });
+  }
+}
+
+/**
+ * Edita una entrada de tiempo. Solo puede hacerlo el usuario que la registró.
+ */
+async function updateTaskTimeEntry(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const entry = await updateEntry(task, req.params.entryId, req.user.userId, req.body);
+
+    logger.info(`Time entry ${entry.id} updated`);
+    res.status(200).json(entry);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error updating time entry: ${error.message}`, error);
+    res.status(500).json({ message: 'Error updating time entry' });
+  }
+}
+
+/**
+ * Elimina una entrada de tiempo (o descarta un temporizador en marcha). Solo puede hacerlo el usuario que la registró.
+ */
+async function deleteTaskTimeEntry(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    await deleteEntry(task, req.params.entryId, req.user.userId);
+
+    logger.info(`Time entry ${req.params.entryId} deleted`);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error deleting time entry: ${error.message}`, error);
+    res.status(500).json({ message: 'Error deleting time entry' });
+  }
+}
+
+/**
+ * Pone en marcha un temporizador del usuario en la tarea. Cada usuario tiene como mucho uno en marcha.
+ */
+async function startTaskTimer(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const entry = await startTimer(task, req.user.userId, req.body);
+
+    logger.info(`Timer ${entry.id} started on task ${task.id}`);
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error starting timer: ${error.message}`, error);
+    res.status(500).json({ message: 'Error starting timer' });
+  }
+}
+
+/**
+ * Detiene el temporizador del usuario en la tarea; el tiempo pasa a contar como registrado.
+ */
+async function stopTaskTimer(req, res) {
+  try {
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const entry = await stopTimer(task, req.user.userId);
+
+    logger.info(`Timer ${entry.id} stopped on task ${task.id} (${entry.durationSeconds}s)`);
+    res.status(200).json(entry);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error stopping timer: ${error.message}`, error);
+    res.status(500).json({ message: 'Error stopping timer' });
+  }
+}
+
+/**
+ * Informe de tiempo de un proyecto: totales, tiempo por miembro y por tarea (con su estimación).
+ * Se puede limitar a un periodo (`from`, `to`) y a un miembro (`userId`).
+ */
+async function getProjectTimeReport(req, res) {
+  try {
+    const { from, to, userId } = req.query;
+
+    const report = await getProjectReport(Number(req.params.id), {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      userId: userId ? Number(userId) : undefined
+    });
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error(`Error getting time report: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting time report' });
+  }
+}
+
+module.exports = {
+  getTaskTimeEntries,
+  createTaskTimeEntry,
+  updateTaskTimeEntry,
+  deleteTaskTimeEntry,
+  startTaskTimer,
+  stopTaskTimer,
+  getProjectTimeReport
+};
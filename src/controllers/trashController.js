@@ -0,0 +1,51 @@
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { listTrash, restoreProject: restoreTrashedProject, restoreTask: restoreTrashedTask } = require('../services/trash');
+
+/**
+ * Lista la papelera del espacio de trabajo activo: los proyectos eliminados que el usuario
+ * puede restaurar y las tareas eliminadas de sus proyectos, con la fecha de purga de cada una.
+ */
+async function getTrash(req, res) {
+  try {
+    const trash = await listTrash(req.user.userId, req.workspace.id);
+    res.status(200).json(trash);
+  } catch (error) {
+    logger.error(`Error getting trash: ${error.message}`, error);
+    res.status(500).json({ message: 'Error getting trash' });
+  }
+}
+
+/**
+ * Restaura un proyecto de la papelera junto con las tareas que se eliminaron con él.
+ */
+async function restoreProject(req, res) {
+  try {
+    const { project, restoredTasks } = await restoreTrashedProject(req.params.id, req.user.userId);
+    res.status(200).json({ project, restoredTasks });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error restoring project: ${error.message}`, error);
+    res.status(500).json({ message: 'Error restoring project' });
+  }
+}
+
+/**
+ * Restaura una tarea de la papelera. Si su columna ya no existe pasa a la primera del tablero.
+ */
+async function restoreTask(req, res) {
+  try {
+    const task = await restoreTrashedTask(req.params.id, req.user.userId);
+    res.status(200).json(task);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error restoring task: ${error.message}`, error);
+    res.status(500).json({ message: 'Error restoring task' });
+  }
+}
+
+module.exports = { getTrash, restoreProject, restoreTask };
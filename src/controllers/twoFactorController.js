@@ -0,0 +1,77 @@
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const {
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../services/twoFactor');
+
+/**
+ * Responde con el error de un servicio o con un 500 genérico.
+ */
+function handleError(res, error, action) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  logger.error(`Error ${action}`, error);
+  res.status(500).json({ message: `Error ${action}.` });
+}
+
+/**
+ * Inicia la configuración de 2FA: genera un secreto y devuelve el URI otpauth
+ * para mostrarlo como código QR en la app de autenticación.
+ */
+async function setupTwoFactor(req, res) {
+  try {
+    const enrollment = await startEnrollment(req.user.userId);
+    res.status(200).json(enrollment);
+  } catch (error) {
+    handleError(res, error, 'starting two-factor setup');
+  }
+}
+
+/**
+ * Activa 2FA tras verificar un código generado con el secreto.
+ * Devuelve los códigos de recuperación (solo se muestran esta vez).
+ */
+async function enableTwoFactorAuth(req, res) {
+  try {
+    const recoveryCodes = await enableTwoFactor(req.user.userId, req.body.code);
+    res.status(200).json({ message: 'Two-factor authentication enabled.', recoveryCodes });
+  } catch (error) {
+    handleError(res, error, 'enabling two-factor authentication');
+  }
+}
+
+/**
+ * Desactiva 2FA. Requiere un código TOTP (`code`) o de recuperación (`recoveryCode`).
+ */
+async function disableTwoFactorAuth(req, res) {
+  try {
+    const { code, recoveryCode } = req.body;
+    await disableTwoFactor(req.user.userId, { code, recoveryCode });
+    res.status(200).json({ message: 'Two-factor authentication disabled.' });
+  } catch (error) {
+    handleError(res, error, 'disabling two-factor authentication');
+  }
+}
+
+/**
+ * Genera nuevos códigos de recuperación (los anteriores dejan de ser válidos).
+ */
+async function regenerateTwoFactorRecoveryCodes(req, res) {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.userId, req.body.code);
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    handleError(res, error, 'regenerating recovery codes');
+  }
+}
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactorAuth,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes
+};
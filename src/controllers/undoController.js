@@ -0,0 +1,24 @@
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const { undoOperation } = require('../services/undo');
+
+/**
+ * Deshace la operación de un token de deshacer: revierte exactamente los cambios que hizo
+ * (incluidas las creaciones en lote de los comandos de voz). Solo puede usarlo el usuario
+ * que hizo los cambios, una vez y dentro del plazo (UNDO_WINDOW_SECONDS), y solo si aún
+ * tiene el permiso que exige revertir cada cambio.
+ */
+async function undo(req, res) {
+  try {
+    const result = await undoOperation(req.params.token, req.user.userId, { scopes: req.user.scopes });
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error undoing operation: ${error.message}`, error);
+    res.status(500).json({ message: 'Error undoing operation' });
+  }
+}
+
+module.exports = { undo };
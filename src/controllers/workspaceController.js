@@ -0,0 +1,166 @@
+const { Workspace } = require('../models');
+const logger = require('../logger');
+const HttpError = require('../utils/httpError');
+const {
+  listUserWorkspaces,
+  createWorkspace: createWorkspaceForUser,
+  listWorkspaceMembers,
+  addWorkspaceMember: addMember,
+  updateWorkspaceMemberRole: updateMemberRole,
+  removeWorkspaceMember: removeMember
+} = require('../services/workspace');
+const { switchSessionWorkspace } = require('../services/session');
+
+/**
+ * Responde con el error de un servicio o con un 500 genérico.
+ */
+function sendError(res, error, message) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  logger.error(message, error);
+  res.status(500).json({ message });
+}
+
+/**
+ * Lista los espacios de trabajo del usuario con su rol en cada uno.
+ */
+async function getWorkspaces(req, res) {
+  try {
+    const workspaces = await listUserWorkspaces(req.user.userId);
+    res.status(200).json(workspaces);
+  } catch (error) {
+    sendError(res, error, 'Error getting workspaces');
+  }
+}
+
+/**
+ * Crea un espacio de trabajo. El usuario autenticado queda como administrador.
+ */
+async function createWorkspace(req, res) {
+  try {
+    const workspace = await createWorkspaceForUser(req.body.name, req.user.userId);
+    res.status(201).json({ id: workspace.id, name: workspace.name, role: 'admin', createdAt: workspace.createdAt });
+  } catch (error) {
+    sendError(res, error, 'Error creating workspace');
+  }
+}
+
+/**
+ * Obtiene un espacio de trabajo y el rol del usuario en él.
+ */
+async function getWorkspaceById(req, res) {
+  try {
+    const workspace = await Workspace.findByPk(req.params.id);
+    res.status(200).json({
+      id: workspace.id,
+      name: workspace.name,
+      role: req.workspaceMembership.role,
+      createdAt: workspace.createdAt
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting workspace');
+  }
+}
+
+/**
+ * Renombra un espacio de trabajo (solo administradores).
+ */
+async function updateWorkspace(req, res) {
+  try {
+    const { name } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Workspace name is required.' });
+    }
+
+    const workspace = await Workspace.findByPk(req.params.id);
+    await workspace.update({ name: String(name).trim() });
+
+    logger.info(`Workspace updated: ${workspace.id}`);
+    res.status(200).json({ id: workspace.id, name: workspace.name, role: req.workspaceMembership.role, createdAt: workspace.createdAt });
+  } catch (error) {
+    sendError(res, error, 'Error updating workspace');
+  }
+}
+
+/**
+ * Lista los miembros de un espacio de trabajo.
+ */
+async function getWorkspaceMembers(req, res) {
+  try {
+    const members = await listWorkspaceMembers(req.params.id);
+    res.status(200).json(members);
+  } catch (error) {
+    sendError(res, error, 'Error getting workspace members');
+  }
+}
+
+/**
+ * Agrega un usuario registrado al espacio de trabajo por `userId`, `username` o `email` (solo administradores).
+ */
+async function addWorkspaceMember(req, res) {
+  try {
+    const { userId, username, email, role } = req.body;
+    const membership = await addMember(req.params.id, { userId, username, email, role });
+
+    logger.info(`User ${membership.userId} added to workspace ${req.params.id} with role ${membership.role}`);
+    const members = await listWorkspaceMembers(req.params.id);
+    res.status(201).json(members.find(member => member.id === membership.id));
+  } catch (error) {
+    sendError(res, error, 'Error adding workspace member');
+  }
+}
+
+/**
+ * Cambia el rol de un miembro del espacio de trabajo (solo administradores).
+ */
+async function updateWorkspaceMemberRole(req, res) {
+  try {
+    const membership = await updateMemberRole(req.params.id, req.params.memberId, req.body.role);
+
+    logger.info(`Workspace member ${membership.id} role updated to ${membership.role}`);
+    const members = await listWorkspaceMembers(req.params.id);
+    res.status(200).json(members.find(member => member.id === membership.id));
+  } catch (error) {
+    sendError(res, error, 'Error updating workspace member');
+  }
+}
+
+/**
+ * Quita a un miembro del espacio de trabajo y de sus proyectos (solo administradores).
+ */
+async function removeWorkspaceMember(req, res) {
+  try {
+    await removeMember(req.params.id, req.params.memberId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'Error removing workspace member');
+  }
+}
+
+/**
+ * Selecciona el espacio de trabajo de la sesión y devuelve un access token con el claim `wid`.
+ * Los refresh posteriores conservan la selección.
+ */
+async function switchWorkspace(req, res) {
+  try {
+    const session = await switchSessionWorkspace(req.user, req.workspaceMembership.workspaceId);
+
+    logger.info(`User ${req.user.userId} switched to workspace ${req.workspaceMembership.workspaceId}`);
+    res.status(200).json({ workspaceId: req.workspaceMembership.workspaceId, ...session });
+  } catch (error) {
+    sendError(res, error, 'Error switching workspace');
+  }
+}
+
+module.exports = {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspaceById,
+  updateWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember,
+  switchWorkspace
+};
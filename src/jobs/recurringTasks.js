@@ -0,0 +1,32 @@
+const logger = require('../logger');
+const { generateDueOccurrences } = require('../services/recurringTasks');
+
+// Cada cuántos minutos se generan las repeticiones de las tareas recurrentes
+const RECURRENCE_INTERVAL_MINUTES = parseInt(process.env.RECURRENCE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Runs the generation once, logging errors instead of throwing them.
+ * @returns {Promise<void>}
+ */
+async function runGeneration() {
+  try {
+    await generateDueOccurrences();
+  } catch (error) {
+    logger.error(`Error generating recurring tasks: ${error.message}`, error);
+  }
+}
+
+/**
+ * Starts the scheduled generation of recurring tasks: once at startup and then every
+ * RECURRENCE_INTERVAL_MINUTES. The timer does not keep the process alive.
+ * @returns {NodeJS.Timeout} The interval, so it can be cleared
+ */
+function startRecurringTasksJob() {
+  runGeneration();
+  const timer = setInterval(runGeneration, RECURRENCE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  logger.info(`Recurring tasks scheduled every ${RECURRENCE_INTERVAL_MINUTES} minute(s)`);
+  return timer;
+}
+
+module.exports = { startRecurringTasksJob };
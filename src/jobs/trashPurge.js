@@ -0,0 +1,32 @@
+const logger = require('../logger');
+const { purgeExpiredTrash } = require('../services/trash');
+
+// Cada cuántos minutos se purga la papelera
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Runs the purge once, logging errors instead of throwing them.
+ * @returns {Promise<void>}
+ */
+async function runPurge() {
+  try {
+    await purgeExpiredTrash();
+  } catch (error) {
+    logger.error(`Error purging the trash: ${error.message}`, error);
+  }
+}
+
+/**
+ * Starts the scheduled purge of the trash: once at startup and then every
+ * TRASH_PURGE_INTERVAL_MINUTES. The timer does not keep the process alive.
+ * @returns {NodeJS.Timeout} The interval, so it can be cleared
+ */
+function startTrashPurgeJob() {
+  runPurge();
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  logger.info(`Trash purge scheduled every ${PURGE_INTERVAL_MINUTES} minute(s)`);
+  return timer;
+}
+
+module.exports = { startTrashPurgeJob };
@@ -1,28 +1,85 @@
 // Importamos jsonwebtoken para manejar la verificación de tokens JWT
 const jwt = require('jsonwebtoken');
 
+// Servicio de sesiones para comprobar que el token no ha sido revocado
+const { isSessionActive } = require('../services/session');
+const { isPersonalAccessToken, authenticateToken } = require('../services/personalAccessToken');
+const { AuthError, sendAuthError } = require('../utils/authErrors');
+const logger = require('../logger');
+
+// Obtiene el token de `x-auth-token` o de `Authorization: Bearer <token>`
+function extractToken(req) {
+  const header = req.header('x-auth-token');
+  if (header) return header;
+
+  const authorization = req.header('authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return null;
+}
+
 // Middleware de autenticación
-function auth(req, res, next) {
+async function auth(req, res, next) {
   // Obtenemos el token del encabezado de la solicitud
-  const token = req.header('x-auth-token');
-  
+  const token = extractToken(req);
+
   // Si no hay token, se deniega el acceso
-  if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
+  if (!token) return sendAuthError(res, 'TOKEN_MISSING');
+
+  // Tokens de acceso personal (scripts, CI, automatizaciones)
+  if (isPersonalAccessToken(token)) {
+    try {
+      req.user = await authenticateToken(token);
+      return next();
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.status).json(error.toJSON());
+      }
+      logger.error('Error checking personal access token', error);
+      return sendAuthError(res, 'AUTH_SERVER_ERROR');
+    }
+  }
 
+  let decoded;
   try {
     // Verificamos y decodificamos el token con la clave secreta almacenada en las variables de entorno
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Agregamos la información del usuario al objeto de la solicitud para su uso en rutas protegidas
-    req.user = decoded;
-    
-    // Pasamos al siguiente middleware o controlador
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (ex) {
-    // Si el token no es válido, respondemos con un error 400
-    res.status(400).json({ message: 'Token is not valid' });
+    // Un token expirado se puede renovar con el refresh token; uno malformado o mal firmado no
+    return sendAuthError(res, ex.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID');
+  }
+
+  // Los tokens intermedios (p. ej. el desafío de 2FA del login) no son access tokens
+  if (decoded.purpose) return sendAuthError(res, 'TOKEN_INVALID');
+
+  try {
+    // El token debe pertenecer a una sesión que no haya sido revocada (logout, logout-all o reutilización)
+    if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+      return sendAuthError(res, 'SESSION_REVOKED');
+    }
+  } catch (error) {
+    logger.error('Error checking session', error);
+    return sendAuthError(res, 'AUTH_SERVER_ERROR');
+  }
+
+  // Agregamos la información del usuario al objeto de la solicitud para su uso en rutas protegidas
+  req.user = decoded;
+
+  // Pasamos al siguiente middleware o controlador
+  next();
+}
+
+// Rechaza los tokens de acceso personal en rutas que exigen una sesión iniciada con contraseña
+// (gestión de la cuenta, de los propios tokens, cierre de sesión...)
+function requireSession(req, res, next) {
+  if (req.user && req.user.tokenType === 'personal_access_token') {
+    return sendAuthError(res, 'SESSION_REQUIRED');
   }
+  next();
 }
 
 // Exportamos el middleware para su uso en las rutas protegidas
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
+module.exports.requireSession = requireSession;
+module.exports.extractToken = extractToken;
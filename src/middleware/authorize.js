@@ -0,0 +1,174 @@
+// Middleware de autorización basado en el rol del usuario dentro de cada proyecto
+const Task = require('../models/task');
+const logger = require('../logger');
+const { getProjectMembership } = require('../services/projectAccess');
+const { sendAuthError } = require('../utils/authErrors');
+
+/**
+ * Permisos concedidos a cada rol de proyecto.
+ * - owner: control total, incluida la configuración del tablero, la eliminación y los miembros
+ * - editor: edita el proyecto y crea, mueve o elimina tareas
+ * - viewer: lectura del tablero y de los miembros; puede comentar las tareas
+ * - guest: solo lectura del tablero (incluidos los comentarios)
+ */
+const ROLE_PERMISSIONS = {
+  owner: ['project:read', 'project:update', 'project:configure', 'project:delete', 'members:read', 'members:manage', 'task:read', 'task:write', 'comment:write'],
+  editor: ['project:read', 'project:update', 'members:read', 'task:read', 'task:write', 'comment:write'],
+  viewer: ['project:read', 'members:read', 'task:read', 'comment:write'],
+  guest: ['project:read', 'task:read']
+};
+
+/**
+ * Scope que debe tener un token de acceso personal para usar cada permiso.
+ * Las sesiones iniciadas con contraseña no tienen scopes y no se ven limitadas.
+ */
+const PERMISSION_SCOPES = {
+  'project:read': 'projects:read',
+  'members:read': 'projects:read',
+  'project:update': 'projects:admin',
+  'project:configure': 'projects:admin',
+  'project:delete': 'projects:admin',
+  'members:manage': 'projects:admin',
+  'task:read': 'tasks:read',
+  'task:write': 'tasks:write',
+  'comment:write': 'tasks:write'
+};
+
+/**
+ * Indica si la credencial de la solicitud concede un scope.
+ * @param {Object} req - Solicitud autenticada
+ * @param {string} scope - Scope requerido (por ejemplo 'tasks:write')
+ * @returns {boolean} true para sesiones normales o tokens personales con ese scope
+ */
+function hasScope(req, scope) {
+  return !req.user || !Array.isArray(req.user.scopes) || req.user.scopes.includes(scope);
+}
+
+/**
+ * Crea un middleware que exige un scope a los tokens de acceso personal.
+ * Se usa en rutas que no dependen de un proyecto concreto (listados, creación de proyectos...).
+ * @param {string} scope - Scope requerido
+ * @returns {import('express').RequestHandler} Middleware de Express
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req, scope)) {
+      return sendAuthError(res, 'INSUFFICIENT_SCOPE', { requiredScope: scope });
+    }
+    next();
+  };
+}
+
+/**
+ * Indica si un rol tiene un permiso.
+ * @param {string} role - Rol del miembro ('owner', 'editor', 'viewer' o 'guest')
+ * @param {string} permission - Permiso requerido (por ejemplo 'task:write')
+ * @returns {boolean} true si el rol concede el permiso
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Indica si un usuario tiene un permiso sobre un proyecto.
+ * @param {number} userId - ID del usuario
+ * @param {number|string} projectId - ID del proyecto
+ * @param {string} permission - Permiso requerido
+ * @returns {Promise<boolean>} true si el usuario es miembro y su rol concede el permiso
+ */
+async function can(userId, projectId, permission) {
+  const membership = await getProjectMembership(projectId, userId);
+  return !!membership && hasPermission(membership.role, permission);
+}
+
+/**
+ * Cuerpo estándar de las respuestas 403.
+ * @param {string} permission - Permiso que faltó
+ * @param {string|null} role - Rol actual del usuario en el proyecto
+ * @returns {Object} Cuerpo de la respuesta
+ */
+function forbiddenBody(permission, role) {
+  return {
+    error: 'FORBIDDEN',
+    message: 'You do not have permission to perform this action.',
+    requiredPermission: permission,
+    role: role || null
+  };
+}
+
+// Resolutores del proyecto sobre el que se evalúa el permiso
+
+/** El ID del proyecto viene en un parámetro de la ruta (por defecto `:id`). */
+const projectFromParam = (name = 'id') => async (req) => req.params[name];
+
+/** El ID del proyecto viene en el cuerpo de la solicitud (por defecto `projectId`). */
+const projectFromBody = (name = 'projectId') => async (req) => req.body[name];
+
+/** El proyecto es el de la tarea indicada en un parámetro de la ruta (por defecto `:id`). */
+const projectFromTask = (name = 'id') => async (req) => {
+  const task = await Task.findByPk(req.params[name], { attributes: ['id', 'projectId'] });
+  return task ? task.projectId : null;
+};
+
+/**
+ * Crea un middleware que exige un permiso sobre un proyecto.
+ *
+ * Si el proyecto no existe o el usuario no es miembro, responde 404 (para no revelar
+ * su existencia). Si es miembro pero su rol no concede el permiso, responde 403 con
+ * el cuerpo estándar `{ error: 'FORBIDDEN', message, requiredPermission, role }`.
+ * Cuando pasa la verificación, deja la membresía en `req.projectMembership`.
+ *
+ * @param {string|function(Object): string} permission - Permiso requerido, o función que lo calcula a partir de la solicitud
+ * @param {function(Object): Promise<number|string|null>} [resolveProjectId] - Obtiene el ID del proyecto de la solicitud
+ * @param {string} [notFoundMessage='Project not found'] - Mensaje para la respuesta 404
+ * @returns {import('express').RequestHandler} Middleware de Express
+ *
+ * @example
+ * router.delete('/:id', auth, authorizeProject('project:delete'), deleteProject);
+ * router.put('/:id', auth, authorizeProject('task:write', projectFromTask()), updateTask);
+ */
+function authorizeProject(permission, resolveProjectId = projectFromParam(), notFoundMessage = 'Project not found') {
+  return async (req, res, next) => {
+    try {
+      const requiredPermission = typeof permission === 'function' ? permission(req) : permission;
+
+      // Los tokens de acceso personal además necesitan el scope correspondiente
+      const requiredScope = PERMISSION_SCOPES[requiredPermission];
+      if (requiredScope && !hasScope(req, requiredScope)) {
+        return sendAuthError(res, 'INSUFFICIENT_SCOPE', { requiredScope });
+      }
+
+      const projectId = await resolveProjectId(req);
+      const membership = projectId ? await getProjectMembership(projectId, req.user.userId) : null;
+
+      if (!membership) {
+        return res.status(404).json({ message: notFoundMessage });
+      }
+
+      if (!hasPermission(membership.role, requiredPermission)) {
+        logger.warn(`User ${req.user.userId} denied '${requiredPermission}' on project ${projectId} (role: ${membership.role})`);
+        return res.status(403).json(forbiddenBody(requiredPermission, membership.role));
+      }
+
+      req.projectMembership = membership;
+      next();
+    } catch (error) {
+      logger.error(`Error checking project permissions: ${error.message}`, error);
+      res.status(500).json({ message: 'Error checking permissions' });
+    }
+  };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  PERMISSION_SCOPES,
+  hasPermission,
+  hasScope,
+  requireScope,
+  can,
+  forbiddenBody,
+  authorizeProject,
+  projectFromParam,
+  projectFromBody,
+  projectFromTask
+};
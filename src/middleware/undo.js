@@ -0,0 +1,37 @@
+// Middleware que entrega un token para deshacer cada operación que modifica datos
+const { issueUndoToken } = require('../services/undo');
+const logger = require('../logger');
+
+/**
+ * Si la solicitud modifica proyectos, tareas o miembros y termina bien, añade a la respuesta
+ * los encabezados `X-Undo-Token` y `X-Undo-Expires-At`. El token se canjea con
+ * POST /api/undo/:token. Las solicitudes de solo lectura no reciben token.
+ *
+ * Debe montarse después de los middlewares de autenticación y de espacio de trabajo.
+ */
+function undoable(req, res, next) {
+  const send = res.send;
+
+  res.send = function (body) {
+    // res.json() vuelve a llamar a res.send(): se restaura para no procesar la respuesta dos veces
+    res.send = send;
+    if (res.statusCode >= 400 || res.headersSent) {
+      return send.call(res, body);
+    }
+
+    issueUndoToken(req)
+      .then((undo) => {
+        if (undo) {
+          res.set('X-Undo-Token', undo.token);
+          res.set('X-Undo-Expires-At', undo.expiresAt.toISOString());
+        }
+      })
+      .catch((error) => logger.error(`Error issuing undo token: ${error.message}`, error))
+      .finally(() => send.call(res, body));
+    return res;
+  };
+
+  next();
+}
+
+module.exports = undoable;
@@ -0,0 +1,32 @@
+// Middleware para recibir archivos adjuntos (multipart/form-data)
+const multer = require('multer');
+const { MAX_FILE_BYTES } = require('../services/attachments');
+
+// El archivo se mantiene en memoria para detectar su tipo antes de guardarlo en el almacenamiento
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_BYTES,
+    files: 1
+  }
+});
+
+/**
+ * Recibe un único archivo en el campo `file` y lo deja en `req.file`.
+ * Si supera el tamaño máximo (ATTACHMENT_MAX_FILE_MB) responde 413; otros errores de multer, 400.
+ */
+function uploadAttachment(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'FILE_TOO_LARGE',
+        message: `The file exceeds the maximum size of ${MAX_FILE_BYTES / (1024 * 1024)} MB`
+      });
+    }
+    res.status(400).json({ message: `Invalid upload: ${error.message}` });
+  });
+}
+
+module.exports = { uploadAttachment };
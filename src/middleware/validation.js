@@ -1,5 +1,11 @@
 const { body, validationResult } = require('express-validator');
 const { query } = require('express-validator');
+const { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS } = require('../models/auditEvent');
+const { SOURCES } = require('../utils/requestContext');
+const { COMMENT_MAX_LENGTH } = require('../models/comment');
+const { LABEL_NAME_MAX_LENGTH } = require('../models/label');
+const { isHexColor } = require('../utils/color');
+const { TIME_ENTRY_NOTE_MAX_LENGTH } = require('../models/timeEntry');
 /**
  * Middleware para validar los datos de entrada al crear o actualizar un proyecto.
  * 
@@ -39,6 +45,8 @@ const validateProjectCreation = [
  * - `description` (optional):
  *   - Must not be empty if provided.
  *   - Must be a string.
+ * - `column_mapping` (optional): object of old column ID → new column ID.
+ * - `dry_run` (optional): boolean.
  * 
  * If validation fails, a 400 status response is sent with the validation errors.
  * Otherwise, the request proceeds to the next middleware or route handler.
@@ -58,6 +66,19 @@ const validateProjectUpdate = [
         .notEmpty().withMessage('The project description is required') // Verifica que la descripción no esté vacía
         .isString().withMessage('The project description must be a string'), // Verifica que la descripción sea una cadena de texto
 
+    // Validar el mapeo de columnas al cambiar el tablero (ID de la columna anterior → ID de la nueva)
+    body('column_mapping')
+        .optional()
+        .isObject().withMessage('column_mapping must be an object of old column ID → new column ID')
+        .custom(mapping => Object.values(mapping).every(value => typeof value === 'string'))
+        .withMessage('column_mapping values must be column IDs'),
+
+    // Validar el modo de prueba (informa de las tareas que se moverían sin guardar nada)
+    body('dry_run')
+        .optional()
+        .isBoolean().withMessage('dry_run must be a boolean')
+        .toBoolean(),
+
     // Middleware para manejar errores de validación
     (req, res, next) => {
         const errors = validationResult(req);
@@ -113,6 +134,34 @@ const validateTaskCreation = [    // Validar que el título de la tarea no esté
             return true;
         }),
 
+    // Validar que la tarea principal, si está presente, sea un ID numérico
+    body('parentTaskId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('The parent task must be a numeric ID'),
+
+    // Validar que la regla de repetición, si está presente, sea un texto (la regla se valida en el servicio)
+    body('recurrence')
+        .optional({ nullable: true })
+        .isString().withMessage('The recurrence must be a preset or an RRULE string')
+        .isLength({ max: 255 }).withMessage('The recurrence must be at most 255 characters'),
+
+    // Validar que la estimación, si está presente, sea un número de minutos (null la quita)
+    body('estimatedMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0 }).withMessage('estimatedMinutes must be a number of minutes'),
+
+    // Validar que las etiquetas, si están presentes, sean una lista de IDs (se comprueba en el servicio que sean del proyecto)
+    body('labelIds')
+        .optional()
+        .isArray().withMessage('labelIds must be an array of label IDs'),
+    body('labelIds.*')
+        .isInt({ min: 1 }).withMessage('labelIds must be an array of label IDs'),
+
+    // Validar que los campos personalizados, si están presentes, sean un objeto (cada valor se comprueba en el servicio)
+    body('customFields')
+        .optional()
+        .isObject().withMessage('customFields must be an object of values by field ID'),
+
     // Middleware para manejar errores de validación
     (req, res, next) => {
         const errors = validationResult(req);
@@ -131,6 +180,13 @@ const validateTaskCreation = [    // Validar que el título de la tarea no esté
  * - `title` (optional): Must be a non-empty string if provided.
  * - `creation_date` (optional): Must be in a valid ISO 8601 date format if provided.
  * - `completion_date` (optional): Must be in a valid ISO 8601 date format and later than `creation_date` if both are provided.
+ * - `parentTaskId` (optional): Numeric ID of the parent task, or null to turn a subtask into a top-level task.
+ * - `completeSubtasks` (optional): Boolean. Completes the open subtasks when the task is completed.
+ * - `ignoreBlockers` (optional): Boolean. Completes the task even if it is blocked by open tasks.
+ * - `recurrence` (optional): Preset or RRULE string, or null to stop repeating the task.
+ * - `labelIds` (optional): Array of label IDs of the project; replaces the labels of the task.
+ * - `estimatedMinutes` (optional): Estimated work in minutes, or null to remove the estimate.
+ * - `customFields` (optional): Values of the project's custom fields by field ID; null or empty values remove them.
  * 
  * If validation fails, a 400 status code is returned with the validation errors.
  * 
@@ -159,6 +215,46 @@ const validateTaskUpdate = [
             return true;
         }),
 
+    // Validar que el proyecto, si está presente, sea un ID numérico ("5" y 5 son el mismo proyecto)
+    body('projectId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('The project must be a numeric ID')
+        .toInt(),
+
+    // Validar que la tarea principal, si está presente, sea un ID numérico (null la convierte en tarea principal)
+    body('parentTaskId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('The parent task must be a numeric ID'),
+
+    // Validar que la regla de repetición, si está presente, sea un texto (null deja de repetir la tarea)
+    body('recurrence')
+        .optional({ nullable: true })
+        .isString().withMessage('The recurrence must be a preset or an RRULE string')
+        .isLength({ max: 255 }).withMessage('The recurrence must be at most 255 characters'),
+
+    // Validar que la estimación, si está presente, sea un número de minutos (null la quita)
+    body('estimatedMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0 }).withMessage('estimatedMinutes must be a number of minutes'),
+
+    // Validar que las etiquetas, si están presentes, sean una lista de IDs (se comprueba en el servicio que sean del proyecto)
+    body('labelIds')
+        .optional()
+        .isArray().withMessage('labelIds must be an array of label IDs'),
+    body('labelIds.*')
+        .isInt({ min: 1 }).withMessage('labelIds must be an array of label IDs'),
+
+    // Validar que los campos personalizados, si están presentes, sean un objeto (cada valor se comprueba en el servicio)
+    body('customFields')
+        .optional()
+        .isObject().withMessage('customFields must be an object of values by field ID'),
+
+    // Validar que completeSubtasks e ignoreBlockers, si están presentes, sean booleanos
+    body(['completeSubtasks', 'ignoreBlockers'])
+        .optional()
+        .isBoolean().withMessage('completeSubtasks and ignoreBlockers must be booleans')
+        .toBoolean(),
+
     // Middleware para manejar errores de validación
     (req, res, next) => {
         const errors = validationResult(req);
@@ -170,6 +266,44 @@ const validateTaskUpdate = [
     }
 ];
 
+const validateTaskMove = [
+    // Columna de destino (se comprueba en el controlador que exista en el proyecto)
+    body('status')
+        .optional()
+        .isString().withMessage('The status must be a column ID'),
+
+    // Posición dentro de la columna: 0 es arriba
+    body('index')
+        .optional()
+        .isInt({ min: 0 }).withMessage('index must be a position in the column (0 is the top)')
+        .toInt(),
+
+    body(['completeSubtasks', 'ignoreBlockers'])
+        .optional()
+        .isBoolean().withMessage('completeSubtasks and ignoreBlockers must be booleans')
+        .toBoolean(),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+// Filtro por etiquetas: IDs o nombres separados por comas, y si la tarea debe tener alguna o todas
+const labelFilters = [
+    query('labels')
+        .optional()
+        .isString().withMessage('labels must be a comma-separated list of label IDs or names'),
+
+    query('labelMatch')
+        .optional()
+        .isIn(['any', 'all'])
+        .withMessage('labelMatch must be one of: any, all')
+];
+
 const validateTaskFilters = [
     query('assignee')
         .optional()
@@ -189,6 +323,226 @@ const validateTaskFilters = [
         .isIn(['low', 'medium', 'high'])
         .withMessage('Invalid priority value'),
 
+    ...labelFilters,
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateProjectTaskFilters = [
+    ...labelFilters,
+
+    // Filtros por campos personalizados (?customFields[points]=3..5) y orden por uno de ellos
+    query('customFields')
+        .optional()
+        .isObject().withMessage('customFields filters must be sent as customFields[fieldId]=value'),
+
+    query('sort')
+        .optional()
+        .matches(/^customFields\.[a-z][a-z0-9_]*$/).withMessage('sort must be customFields.<fieldId>'),
+
+    query('order')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('order must be one of: asc, desc'),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateAuditFilters = [
+    query('entityType')
+        .optional()
+        .isIn(AUDIT_ENTITY_TYPES)
+        .withMessage(`entityType must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`),
+
+    query(['entityId', 'projectId', 'actorId'])
+        .optional()
+        .isInt().withMessage('IDs must be numeric'),
+
+    query('action')
+        .optional()
+        .isIn(AUDIT_ACTIONS)
+        .withMessage(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+
+    query('source')
+        .optional()
+        .isIn(SOURCES)
+        .withMessage(`source must be one of: ${SOURCES.join(', ')}`),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601().withMessage('Date filters must be valid ISO 8601 dates'),
+
+    query(['page', 'limit'])
+        .optional()
+        .isInt({ min: 1 }).withMessage('page and limit must be positive integers'),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateComment = [
+    body('body')
+        .isString().withMessage('The comment body must be a string')
+        .trim()
+        .notEmpty().withMessage('The comment body is required')
+        .isLength({ max: COMMENT_MAX_LENGTH }).withMessage(`The comment body must be at most ${COMMENT_MAX_LENGTH} characters`),
+
+    body('parentId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('parentId must be a comment ID'),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateCommentFilters = [
+    query(['page', 'limit'])
+        .optional()
+        .isInt({ min: 1 }).withMessage('page and limit must be positive integers'),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateDependency = [
+    body('blockedByTaskId')
+        .isInt({ min: 1 }).withMessage('blockedByTaskId must be a task ID'),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateLabelCreation = [
+    body('name')
+        .isString().withMessage('The label name must be a string')
+        .trim()
+        .notEmpty().withMessage('The label name is required')
+        .isLength({ max: LABEL_NAME_MAX_LENGTH }).withMessage(`The label name must be at most ${LABEL_NAME_MAX_LENGTH} characters`),
+
+    body('color')
+        .optional()
+        .custom(isHexColor).withMessage('The label color must be a valid hex color (#RRGGBB)'),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateLabelUpdate = [
+    body('name')
+        .optional()
+        .isString().withMessage('The label name must be a string')
+        .trim()
+        .notEmpty().withMessage('The label name cannot be empty')
+        .isLength({ max: LABEL_NAME_MAX_LENGTH }).withMessage(`The label name must be at most ${LABEL_NAME_MAX_LENGTH} characters`),
+
+    body('color')
+        .optional()
+        .custom(isHexColor).withMessage('The label color must be a valid hex color (#RRGGBB)'),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+// Nota y facturación de una entrada de tiempo o de un temporizador
+const timeEntryDetails = [
+    body('note')
+        .optional({ nullable: true })
+        .isString().withMessage('The note must be a string')
+        .isLength({ max: TIME_ENTRY_NOTE_MAX_LENGTH }).withMessage(`The note must be at most ${TIME_ENTRY_NOTE_MAX_LENGTH} characters`),
+
+    body('billable')
+        .optional()
+        .isBoolean().withMessage('billable must be a boolean')
+        .toBoolean()
+];
+
+// Periodo de una entrada de tiempo (el servicio comprueba que sea coherente)
+const timeEntryPeriod = [
+    body('minutes')
+        .optional()
+        .isInt({ min: 1, max: 24 * 60 }).withMessage('minutes must be between 1 and 1440'),
+
+    body(['startedAt', 'endedAt'])
+        .optional()
+        .isISO8601().withMessage('startedAt and endedAt must be valid ISO 8601 dates')
+];
+
+const validateTimer = [
+    ...timeEntryDetails,
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateTimeEntry = [
+    ...timeEntryPeriod,
+    ...timeEntryDetails,
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateTimeReportFilters = [
+    query(['from', 'to'])
+        .optional()
+        .isISO8601().withMessage('Date filters must be valid ISO 8601 dates'),
+
+    query('userId')
+        .optional()
+        .isInt().withMessage('userId must be a numeric ID'),
+
     (req, res, next) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -198,4 +552,21 @@ const validateTaskFilters = [
     }
 ];
 
-module.exports = { validateProjectCreation, validateProjectUpdate, validateTaskCreation, validateTaskUpdate, validateTaskFilters };
+module.exports = {
+    validateProjectCreation,
+    validateProjectUpdate,
+    validateTaskCreation,
+    validateTaskUpdate,
+    validateTaskMove,
+    validateTaskFilters,
+    validateProjectTaskFilters,
+    validateAuditFilters,
+    validateComment,
+    validateCommentFilters,
+    validateDependency,
+    validateLabelCreation,
+    validateLabelUpdate,
+    validateTimer,
+    validateTimeEntry,
+    validateTimeReportFilters
+};
@@ -0,0 +1,70 @@
+// Middleware que determina el espacio de trabajo en el que opera cada solicitud
+const HttpError = require('../utils/httpError');
+const { resolveWorkspace, getWorkspaceMembership } = require('../services/workspace');
+const { forbiddenBody } = require('./authorize');
+const logger = require('../logger');
+
+/**
+ * Resuelve el espacio de trabajo activo y lo deja en `req.workspace` ({ id, role }).
+ *
+ * Orden de prioridad:
+ * 1. Encabezado `X-Workspace-Id` (permite cambiar de espacio en cada solicitud)
+ * 2. Claim `wid` del access token (espacio elegido con POST /api/workspaces/:id/switch)
+ * 3. El espacio de trabajo más antiguo del usuario
+ *
+ * Si el usuario no pertenece al espacio indicado responde 404 (como con los proyectos).
+ * Debe montarse después del middleware de autenticación.
+ */
+async function workspace(req, res, next) {
+  try {
+    const requestedId = req.header('x-workspace-id') || req.user.wid || null;
+    req.workspace = await resolveWorkspace(req.user.userId, requestedId);
+
+    if (!req.workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+    next();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Error resolving workspace: ${error.message}`, error);
+    res.status(500).json({ message: 'Error resolving workspace' });
+  }
+}
+
+/**
+ * Crea un middleware que exige pertenecer al espacio de trabajo del parámetro `:id`.
+ *
+ * Si el espacio no existe o el usuario no es miembro responde 404; si `adminOnly` y el
+ * usuario no es administrador responde 403 con el cuerpo estándar de `forbiddenBody`.
+ * Deja la membresía en `req.workspaceMembership`.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.adminOnly=false] - Exige el rol 'admin'
+ * @returns {import('express').RequestHandler} Middleware de Express
+ */
+function authorizeWorkspace({ adminOnly = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const membership = await getWorkspaceMembership(req.params.id, req.user.userId);
+      if (!membership) {
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+
+      if (adminOnly && membership.role !== 'admin') {
+        logger.warn(`User ${req.user.userId} denied 'workspace:manage' on workspace ${req.params.id} (role: ${membership.role})`);
+        return res.status(403).json(forbiddenBody('workspace:manage', membership.role));
+      }
+
+      req.workspaceMembership = membership;
+      next();
+    } catch (error) {
+      logger.error(`Error checking workspace permissions: ${error.message}`, error);
+      res.status(500).json({ message: 'Error checking permissions' });
+    }
+  };
+}
+
+module.exports = workspace;
+module.exports.authorizeWorkspace = authorizeWorkspace;
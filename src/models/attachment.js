@@ -0,0 +1,98 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Represents a file attached to a task.
+ *
+ * The file itself lives in the attachment storage (see services/attachmentStorage)
+ * under `storageKey`. `projectId` is kept to enforce the per-project quota.
+ *
+ * @typedef {Object} Attachment
+ * @property {number} id - The unique identifier for the attachment. Auto-incremented primary key.
+ * @property {number} taskId - The ID of the task. Cannot be null.
+ * @property {number} projectId - The ID of the project of the task. Cannot be null.
+ * @property {number|null} uploadedBy - The ID of the user who uploaded it. Null if the account was deleted.
+ * @property {string} filename - Original file name (sanitized).
+ * @property {string} mimeType - Type detected from the content of the file.
+ * @property {number} size - Size in bytes.
+ * @property {string} checksum - SHA-256 hex digest of the content.
+ * @property {string} storageKey - Key of the file in the storage driver.
+ */
+
+const Attachment = sequelize.define('Attachment', {
+  // ID único para cada adjunto
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Tarea y proyecto a los que pertenece
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'task_id'
+  },
+
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'project_id'
+  },
+
+  // Usuario que lo subió (nulo si eliminó su cuenta)
+  uploadedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'uploaded_by'
+  },
+
+  // Nombre original del archivo
+  filename: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  // Tipo detectado a partir del contenido
+  mimeType: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    field: 'mime_type'
+  },
+
+  // Tamaño en bytes
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    get() {
+      // BIGINT llega como cadena desde Postgres
+      return Number(this.getDataValue('size'));
+    }
+  },
+
+  // Hash SHA-256 del contenido
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+
+  // Clave del archivo en el almacenamiento
+  storageKey: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    unique: true,
+    field: 'storage_key'
+  }
+}, {
+  tableName: 'attachments',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['task_id'] },
+    { fields: ['project_id'] }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = Attachment;
@@ -0,0 +1,116 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Entidades auditadas y acciones registradas
+const AUDIT_ENTITY_TYPES = ['project', 'task', 'membership'];
+// 'delete' mueve a la papelera (o elimina un miembro), 'restore' la recupera y 'purge' elimina definitivamente
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+/**
+ * Represents a change made to a project, a task or a project membership.
+ *
+ * Events are written by Sequelize hooks (see services/audit.js) and are never
+ * updated. They are kept after the entity is deleted, so `projectId` and
+ * `entityId` are not foreign keys.
+ *
+ * @typedef {Object} AuditEvent
+ * @property {number} id - The unique identifier for the event. Auto-incremented primary key.
+ * @property {number|null} workspaceId - The workspace of the affected project.
+ * @property {number|null} projectId - The affected project (the project itself or the one the task/membership belongs to).
+ * @property {'project'|'task'|'membership'} entityType - The kind of entity that changed.
+ * @property {number} entityId - The ID of the entity that changed.
+ * @property {'create'|'update'|'delete'|'restore'|'purge'} action - What happened.
+ * @property {number|null} actorId - The user who made the change. Null for system changes.
+ * @property {'rest'|'voice'|'system'} source - Where the change came from (REST API, voice command or a script/job).
+ * @property {Object|null} before - Previous values: changed fields on update, the whole entity on delete and purge.
+ * @property {Object|null} after - New values: changed fields on update, the whole entity on create and restore.
+ * @property {Date} createdAt - When the change happened.
+ */
+
+const AuditEvent = sequelize.define('AuditEvent', {
+  // ID único para cada evento
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Espacio de trabajo y proyecto afectados (se conservan aunque se eliminen)
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'workspace_id'
+  },
+
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'project_id'
+  },
+
+  // Entidad modificada
+  entityType: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    field: 'entity_type',
+    validate: {
+      isIn: [AUDIT_ENTITY_TYPES]
+    }
+  },
+
+  entityId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'entity_id'
+  },
+
+  // Acción realizada
+  action: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    validate: {
+      isIn: [AUDIT_ACTIONS]
+    }
+  },
+
+  // Usuario que hizo el cambio (nulo para cambios del sistema)
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'actor_id'
+  },
+
+  // Origen del cambio: API REST, comando de voz o sistema
+  source: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    defaultValue: 'rest'
+  },
+
+  // Valores anteriores y nuevos
+  before: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  after: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_events',
+  timestamps: true,
+  updatedAt: false, // Los eventos no se modifican
+  underscored: true,
+  indexes: [
+    { fields: ['entity_type', 'entity_id'] },
+    { fields: ['project_id'] },
+    { fields: ['workspace_id', 'created_at'] }
+  ]
+});
+
+// Exportación del modelo y de los valores válidos
+module.exports = AuditEvent;
+module.exports.AUDIT_ENTITY_TYPES = AUDIT_ENTITY_TYPES;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
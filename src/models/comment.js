@@ -0,0 +1,89 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Longitud máxima del cuerpo de un comentario
+const COMMENT_MAX_LENGTH = 10000;
+
+/**
+ * Represents a comment on a task.
+ *
+ * Comments are threaded one level deep: a reply points to the top-level comment
+ * it answers. The body is markdown and is stored as written; clients render it.
+ * `mentions` holds the project members mentioned with `@username` in the body.
+ *
+ * @typedef {Object} Comment
+ * @property {number} id - The unique identifier for the comment. Auto-incremented primary key.
+ * @property {number} taskId - The ID of the task. Cannot be null.
+ * @property {number|null} authorId - The ID of the user who wrote it. Null if the account was deleted.
+ * @property {number|null} parentId - The top-level comment this one replies to. Null for top-level comments.
+ * @property {string} body - Markdown text of the comment.
+ * @property {Array<{userId: number, username: string}>} mentions - Project members mentioned in the body.
+ * @property {Date|null} editedAt - When the body was last edited by its author. Null if never edited.
+ */
+
+const Comment = sequelize.define('Comment', {
+  // ID único para cada comentario
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Tarea comentada
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'task_id'
+  },
+
+  // Autor del comentario (nulo si eliminó su cuenta)
+  authorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'author_id'
+  },
+
+  // Comentario principal al que responde (nulo si es un comentario principal)
+  parentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'parent_id'
+  },
+
+  // Texto en markdown
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, COMMENT_MAX_LENGTH]
+    }
+  },
+
+  // Miembros del proyecto mencionados con @usuario
+  mentions: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+
+  // Fecha de la última edición del texto
+  editedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'edited_at'
+  }
+}, {
+  tableName: 'comments',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['task_id', 'created_at'] },
+    { fields: ['parent_id'] }
+  ]
+});
+
+// Exportación del modelo y de la longitud máxima
+module.exports = Comment;
+module.exports.COMMENT_MAX_LENGTH = COMMENT_MAX_LENGTH;
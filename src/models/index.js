@@ -12,9 +12,82 @@ const sequelize = require('../config/database');
 const User = require('./user');
 const Project = require('./project');
 const Task = require('./task');
+const ProjectMembership = require('./projectMembership');
+const Session = require('./session');
+const PasswordResetToken = require('./passwordResetToken');
+const LoginAttempt = require('./loginAttempt');
+const PersonalAccessToken = require('./personalAccessToken');
+const Workspace = require('./workspace');
+const WorkspaceMembership = require('./workspaceMembership');
+const AuditEvent = require('./auditEvent');
+const UndoToken = require('./undoToken');
+const Comment = require('./comment');
+const Attachment = require('./attachment');
+const TaskDependency = require('./taskDependency');
+const Label = require('./label');
+const TaskLabel = require('./taskLabel');
+const TimeEntry = require('./timeEntry');
+const { registerAuditHooks } = require('../services/audit');
+const { registerAttachmentCleanup } = require('../services/attachments');
+const { registerTaskOrdering } = require('../services/taskOrder');
 
 // Definición de las relaciones entre modelos
 
+// Un espacio de trabajo contiene muchos proyectos
+Workspace.hasMany(Project, {
+  as: 'projects',
+  foreignKey: {
+    name: 'workspaceId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si se elimina el espacio de trabajo, se eliminan sus proyectos
+});
+
+// Un proyecto pertenece a un único espacio de trabajo
+Project.belongsTo(Workspace, {
+  as: 'workspace',
+  foreignKey: {
+    name: 'workspaceId',
+    allowNull: false
+  }
+});
+
+// Un espacio de trabajo tiene muchas membresías (usuarios con un rol)
+Workspace.hasMany(WorkspaceMembership, {
+  as: 'memberships',
+  foreignKey: {
+    name: 'workspaceId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+WorkspaceMembership.belongsTo(Workspace, {
+  as: 'workspace',
+  foreignKey: {
+    name: 'workspaceId',
+    allowNull: false
+  }
+});
+
+// Un usuario puede pertenecer a muchos espacios de trabajo
+User.hasMany(WorkspaceMembership, {
+  as: 'workspaceMemberships',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+WorkspaceMembership.belongsTo(User, {
+  as: 'user',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  }
+});
+
 // Un proyecto puede tener muchas tareas
 Project.hasMany(Task, { 
   foreignKey: {
@@ -32,10 +105,364 @@ Task.belongsTo(Project, {
   }
 });
 
+// Un usuario puede ser propietario de muchos proyectos
+User.hasMany(Project, {
+  as: 'ownedProjects',
+  foreignKey: {
+    name: 'ownerId', // Clave foránea en la tabla Project que referencia a User
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si se elimina el usuario, se eliminan sus proyectos
+});
+
+// Un proyecto pertenece a un único usuario propietario
+Project.belongsTo(User, {
+  as: 'owner',
+  foreignKey: {
+    name: 'ownerId',
+    allowNull: false
+  }
+});
+
+// Un proyecto tiene muchas membresías (miembros con un rol)
+Project.hasMany(ProjectMembership, {
+  as: 'memberships',
+  foreignKey: {
+    name: 'projectId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si un proyecto se elimina, sus membresías también se eliminan
+});
+
+ProjectMembership.belongsTo(Project, {
+  foreignKey: {
+    name: 'projectId',
+    allowNull: false
+  }
+});
+
+// Un usuario puede ser miembro de muchos proyectos
+User.hasMany(ProjectMembership, {
+  as: 'memberships',
+  foreignKey: 'userId',
+  onDelete: 'CASCADE'
+});
+
+ProjectMembership.belongsTo(User, {
+  as: 'user',
+  foreignKey: 'userId'
+});
+
+// Una tarea puede estar asignada a un usuario miembro del proyecto
+Task.belongsTo(User, {
+  as: 'assignee',
+  foreignKey: 'assignedUserId',
+  onDelete: 'SET NULL'
+});
+
+// Una tarea puede tener subtareas (un solo nivel)
+Task.hasMany(Task, {
+  as: 'subtasks',
+  foreignKey: 'parentTaskId',
+  onDelete: 'CASCADE' // Si se elimina definitivamente la tarea principal, se eliminan sus subtareas
+});
+
+Task.belongsTo(Task, {
+  as: 'parentTask',
+  foreignKey: 'parentTaskId'
+});
+
+// Cada repetición de una tarea recurrente apunta a la siguiente generada
+Task.belongsTo(Task, {
+  as: 'nextOccurrence',
+  foreignKey: 'nextOccurrenceId',
+  onDelete: 'SET NULL'
+});
+
+// Dependencias entre tareas: una tarea puede estar bloqueada por otras y bloquear a otras
+Task.hasMany(TaskDependency, {
+  as: 'blockedByLinks',
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+Task.hasMany(TaskDependency, {
+  as: 'blockingLinks',
+  foreignKey: {
+    name: 'blockedByTaskId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+TaskDependency.belongsTo(Task, {
+  as: 'task',
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  }
+});
+
+TaskDependency.belongsTo(Task, {
+  as: 'blockedBy',
+  foreignKey: {
+    name: 'blockedByTaskId',
+    allowNull: false
+  }
+});
+
+TaskDependency.belongsTo(User, {
+  as: 'creator',
+  foreignKey: 'createdBy',
+  onDelete: 'SET NULL'
+});
+
+// Cada proyecto tiene sus propias etiquetas
+Project.hasMany(Label, {
+  as: 'labels',
+  foreignKey: {
+    name: 'projectId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si se elimina definitivamente el proyecto, se eliminan sus etiquetas
+});
+
+Label.belongsTo(Project, {
+  foreignKey: {
+    name: 'projectId',
+    allowNull: false
+  }
+});
+
+// Una tarea puede tener muchas etiquetas de su proyecto y una etiqueta muchas tareas
+Task.belongsToMany(Label, {
+  through: TaskLabel,
+  as: 'labels',
+  foreignKey: 'taskId',
+  otherKey: 'labelId'
+});
+
+Label.belongsToMany(Task, {
+  through: TaskLabel,
+  as: 'tasks',
+  foreignKey: 'labelId',
+  otherKey: 'taskId'
+});
+
+// Una tarea puede tener muchos comentarios
+Task.hasMany(Comment, {
+  as: 'comments',
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si se elimina definitivamente la tarea, se eliminan sus comentarios
+});
+
+Comment.belongsTo(Task, {
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  }
+});
+
+// Cada comentario tiene un autor (nulo si eliminó su cuenta)
+Comment.belongsTo(User, {
+  as: 'author',
+  foreignKey: 'authorId',
+  onDelete: 'SET NULL'
+});
+
+// Respuestas a un comentario principal
+Comment.hasMany(Comment, {
+  as: 'replies',
+  foreignKey: 'parentId',
+  onDelete: 'CASCADE' // Si se elimina un comentario, se eliminan sus respuestas
+});
+
+Comment.belongsTo(Comment, {
+  as: 'parent',
+  foreignKey: 'parentId'
+});
+
+// Una tarea puede tener muchos archivos adjuntos
+Task.hasMany(Attachment, {
+  as: 'attachments',
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si se elimina definitivamente la tarea, se eliminan sus adjuntos
+});
+
+Attachment.belongsTo(Task, {
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  }
+});
+
+// Los adjuntos cuentan para la cuota de su proyecto
+Project.hasMany(Attachment, {
+  as: 'attachments',
+  foreignKey: {
+    name: 'projectId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+Attachment.belongsTo(User, {
+  as: 'uploader',
+  foreignKey: 'uploadedBy',
+  onDelete: 'SET NULL'
+});
+
+// Tiempo registrado en una tarea (temporizadores y entradas manuales)
+Task.hasMany(TimeEntry, {
+  as: 'timeEntries',
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si se elimina definitivamente la tarea, se elimina su tiempo registrado
+});
+
+TimeEntry.belongsTo(Task, {
+  foreignKey: {
+    name: 'taskId',
+    allowNull: false
+  }
+});
+
+// Cada entrada de tiempo es de un usuario (nulo si eliminó su cuenta)
+TimeEntry.belongsTo(User, {
+  as: 'user',
+  foreignKey: 'userId',
+  onDelete: 'SET NULL'
+});
+
+// Un usuario puede tener muchas sesiones (refresh tokens)
+User.hasMany(Session, {
+  as: 'sessions',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE' // Si se elimina el usuario, se eliminan sus sesiones
+});
+
+Session.belongsTo(User, {
+  as: 'user',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  }
+});
+
+// Un usuario puede tener varias solicitudes de cambio de contraseña
+User.hasMany(PasswordResetToken, {
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+PasswordResetToken.belongsTo(User, {
+  as: 'user',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  }
+});
+
+// Un usuario puede tener varios tokens de acceso personal
+User.hasMany(PersonalAccessToken, {
+  as: 'personalAccessTokens',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+PersonalAccessToken.belongsTo(User, {
+  as: 'user',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  }
+});
+
+// Cada evento de auditoría guarda el usuario que hizo el cambio (nulo si se eliminó la cuenta)
+AuditEvent.belongsTo(User, {
+  as: 'actor',
+  foreignKey: {
+    name: 'actorId',
+    allowNull: true
+  },
+  onDelete: 'SET NULL'
+});
+
+// Un usuario puede deshacer sus operaciones recientes
+User.hasMany(UndoToken, {
+  as: 'undoTokens',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  },
+  onDelete: 'CASCADE'
+});
+
+UndoToken.belongsTo(User, {
+  as: 'user',
+  foreignKey: {
+    name: 'userId',
+    allowNull: false
+  }
+});
+
+// Al crear un proyecto, su propietario queda registrado como miembro con rol 'owner'
+Project.afterCreate(async (project, options) => {
+  await ProjectMembership.create({
+    projectId: project.id,
+    userId: project.ownerId,
+    role: 'owner'
+  }, { transaction: options.transaction });
+});
+
+// Registro de auditoría de los cambios en proyectos, tareas y miembros
+registerAuditHooks({ Project, Task, ProjectMembership });
+
+// Borrado de los archivos adjuntos al eliminar definitivamente una tarea o un proyecto
+registerAttachmentCleanup({ Task, Project });
+
+// Posición de las tareas nuevas o que cambian de columna en el Kanban
+registerTaskOrdering({ Task });
+
 // Exportación de la instancia de Sequelize y los modelos para su uso en otras partes de la aplicación
 module.exports = {
   sequelize,
   User,
   Project,
-  Task
+  Task,
+  ProjectMembership,
+  Session,
+  PasswordResetToken,
+  LoginAttempt,
+  PersonalAccessToken,
+  Workspace,
+  WorkspaceMembership,
+  AuditEvent,
+  UndoToken,
+  Comment,
+  Attachment,
+  TaskDependency,
+  Label,
+  TaskLabel,
+  TimeEntry
 };
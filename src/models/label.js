@@ -0,0 +1,74 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { isHexColor } = require('../utils/color');
+
+// Longitud máxima del nombre de una etiqueta
+const LABEL_NAME_MAX_LENGTH = 50;
+
+// Color de las etiquetas creadas sin color
+const DEFAULT_LABEL_COLOR = '#6c757d';
+
+/**
+ * Represents a label of a project ("bug", "frontend"...), used to tag its tasks.
+ *
+ * Labels belong to one project and their names are unique within it (ignoring case).
+ * A task can carry any number of labels of its project (see TaskLabel).
+ *
+ * @typedef {Object} Label
+ * @property {number} id - The unique identifier for the label. Auto-incremented primary key.
+ * @property {number} projectId - The ID of the project. Cannot be null.
+ * @property {string} name - The name of the label, at most 50 characters.
+ * @property {string} color - Hex color of the label (`#RRGGBB`), like the Kanban columns.
+ */
+
+const Label = sequelize.define('Label', {
+  // ID único para cada etiqueta
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Proyecto al que pertenece la etiqueta
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'project_id'
+  },
+
+  // Nombre de la etiqueta (único en el proyecto)
+  name: {
+    type: DataTypes.STRING(LABEL_NAME_MAX_LENGTH),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // Color de la etiqueta (misma validación que las columnas del Kanban)
+  color: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+    defaultValue: DEFAULT_LABEL_COLOR,
+    validate: {
+      isValidColor(value) {
+        if (!isHexColor(value)) {
+          throw new Error("'color' must be a valid hex color");
+        }
+      }
+    }
+  }
+}, {
+  tableName: 'labels',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['project_id', 'name'] }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = Label;
+module.exports.LABEL_NAME_MAX_LENGTH = LABEL_NAME_MAX_LENGTH;
+module.exports.DEFAULT_LABEL_COLOR = DEFAULT_LABEL_COLOR;
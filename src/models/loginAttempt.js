@@ -0,0 +1,58 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Tracks failed login attempts for a username or an IP address.
+ *
+ * @typedef {Object} LoginAttempt
+ * @property {number} id - The unique identifier. Auto-incremented primary key.
+ * @property {string} key - What is being tracked, e.g. 'username:ana' or 'ip:203.0.113.7'. Unique.
+ * @property {number} failures - Consecutive failed attempts inside the tracking window.
+ * @property {Date|null} lastFailureAt - Date of the last failed attempt.
+ * @property {Date|null} lockedUntil - Attempts are rejected until this date (backoff or lockout).
+ */
+
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  // ID único
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Clave rastreada ('username:<nombre>' o 'ip:<dirección>')
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+
+  // Número de intentos fallidos consecutivos
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Fecha del último intento fallido
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_failure_at'
+  },
+
+  // Hasta cuándo se rechazan los intentos
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_until'
+  }
+}, {
+  tableName: 'login_attempts',
+  timestamps: true,
+  underscored: true
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = LoginAttempt;
@@ -0,0 +1,65 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Represents a password reset request.
+ *
+ * Only the SHA-256 hash of the token sent by email is stored. A token can be
+ * used once and only before `expiresAt`.
+ *
+ * @typedef {Object} PasswordResetToken
+ * @property {number} id - The unique identifier. Auto-incremented primary key.
+ * @property {number} userId - The ID of the user that requested the reset. Cannot be null.
+ * @property {string} tokenHash - SHA-256 hash of the reset token. Unique.
+ * @property {Date} expiresAt - Expiration date of the token.
+ * @property {Date|null} usedAt - Date when the token was used or invalidated. Null while it is usable.
+ */
+
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  // ID único para cada solicitud
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Usuario que solicitó el cambio de contraseña
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+
+  // Hash del token enviado por email
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+
+  // Fecha de expiración del token
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+
+  // Fecha de uso (o invalidación) del token
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'used_at'
+  }
+}, {
+  tableName: 'password_reset_tokens',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = PasswordResetToken;
@@ -0,0 +1,119 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Permisos que se pueden conceder a un token de acceso personal
+// - projects:read  → ver proyectos y sus miembros
+// - projects:admin → crear, editar, configurar y eliminar proyectos y gestionar miembros (incluye projects:read)
+// - tasks:read     → ver tareas
+// - tasks:write    → crear, editar y eliminar tareas (incluye tasks:read)
+const TOKEN_SCOPES = ['projects:read', 'projects:admin', 'tasks:read', 'tasks:write'];
+
+/**
+ * Represents a personal access token used by scripts and automations.
+ *
+ * Only the SHA-256 hash of the token is stored; `tokenPrefix` keeps the first
+ * characters so the user can recognise it in the list.
+ *
+ * @typedef {Object} PersonalAccessToken
+ * @property {number} id - The unique identifier. Auto-incremented primary key.
+ * @property {number} userId - The ID of the user that owns the token. Cannot be null.
+ * @property {string} name - Name given by the user (e.g. "CI pipeline"). Cannot be null.
+ * @property {string} tokenPrefix - First characters of the token, for display.
+ * @property {string} tokenHash - SHA-256 hash of the token. Unique.
+ * @property {string[]} scopes - Granted scopes (see TOKEN_SCOPES).
+ * @property {Date|null} expiresAt - Expiration date. Null for tokens that do not expire.
+ * @property {Date|null} lastUsedAt - Last time the token authenticated a request.
+ * @property {Date|null} revokedAt - Date when the token was revoked. Null while it is usable.
+ */
+
+const PersonalAccessToken = sequelize.define('PersonalAccessToken', {
+  // ID único para cada token
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Usuario dueño del token
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+
+  // Nombre descriptivo del token
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // Primeros caracteres del token (para reconocerlo en el listado)
+  tokenPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    field: 'token_prefix'
+  },
+
+  // Hash del token (nunca se guarda el token en claro)
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+
+  // Permisos concedidos
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      // Solo se admiten los permisos definidos en TOKEN_SCOPES
+      isValidScopes(value) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error('At least one scope is required');
+        }
+        const invalid = value.filter(scope => !TOKEN_SCOPES.includes(scope));
+        if (invalid.length > 0) {
+          throw new Error(`Invalid scopes: ${invalid.join(', ')}. Valid scopes: ${TOKEN_SCOPES.join(', ')}`);
+        }
+      }
+    }
+  },
+
+  // Fecha de expiración (nula si no expira)
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expires_at'
+  },
+
+  // Último uso del token
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  },
+
+  // Fecha de revocación
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  }
+}, {
+  tableName: 'personal_access_tokens',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] }
+  ]
+});
+
+// Exportación del modelo y de los permisos disponibles
+module.exports = PersonalAccessToken;
+module.exports.TOKEN_SCOPES = TOKEN_SCOPES;
@@ -1,20 +1,35 @@
 // Importación de Sequelize y la configuración de la base de datos
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { isHexColor } = require('../utils/color');
+
+// Tipos de los campos personalizados; los de selección necesitan una lista de opciones
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi_select', 'user'];
+const CUSTOM_FIELD_ID_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// Campos que una columna puede exigir a las tareas que entran en ella (además de 'customFields.<id>')
+const COLUMN_REQUIRED_FIELDS = ['assignee', 'description', 'completion_date', 'estimatedMinutes'];
+const CUSTOM_FIELD_REQUIREMENT_PATTERN = /^customFields\.([a-z][a-z0-9_]{0,49})$/;
 
 /**
  * Represents a Project model in the database.
  *
  * @typedef {Object} Project
  * @property {number} id - The unique identifier for the project. Auto-incremented primary key.
- * @property {string} title - The title of the project. Must be unique and cannot exceed 1000 characters.
+ * @property {string} title - The title of the project. Must be unique within its workspace and cannot exceed 1000 characters.
  * @property {string|null} description - A detailed description of the project. Optional field.
  * @property {Date} creation_date - The date when the project was created. Defaults to the current date.
  * @property {Date|null} culmination_date - The date when the project is expected to be completed. Optional field.
  * @property {'high'|'medium'|'low'} priority - The priority level of the project. Defaults to 'medium'.
- * @property {Array<Object>} members - Array of project members with name and email.
  * @property {'default'|'architecture'|'systems_engineering'} kanban_template - Kanban template type. Defaults to 'default'.
- * @property {Array<Object>} kanban_columns - Array of column objects for the Kanban board.
+ * @property {Array<Object>} kanban_columns - Array of column objects for the Kanban board
+ *   (`{ id, title, color, icon, wipLimit?, done?, cancelled?, requiredFields? }`, see services/columns).
+ * @property {Array<Object>} custom_fields - Typed custom fields of the project's tasks
+ *   (`{ id, name, type, options?, required? }`, see CUSTOM_FIELD_TYPES). Task values live in `Task.customFields`.
+ * @property {number} ownerId - The ID of the user who owns the project. Cannot be null.
+ * @property {number} workspaceId - The ID of the workspace the project belongs to. Cannot be null.
+ * @property {Date|null} deletedAt - When the project was moved to the trash. Null for live projects.
+ *   Deleted projects are excluded from every query unless `paranoid: false` is passed.
  *
  * @see {@link https://sequelize.org/} for more information about Sequelize models.
  */
@@ -30,8 +45,7 @@ const Project = sequelize.define('Project', {
   // Título del proyecto
   title: {
     type: DataTypes.STRING(1000), // Cadena de hasta 1000 caracteres
-    allowNull: false, // No puede ser nulo
-    unique: true // No puede haber proyectos con el mismo título
+    allowNull: false // No puede ser nulo (es único dentro de cada espacio de trabajo, ver índices)
   },
 
   // Descripción del proyecto (opcional)
@@ -60,13 +74,6 @@ const Project = sequelize.define('Project', {
     defaultValue: 'medium' // Valor por defecto: medio
   },
 
-  // Miembros del proyecto (opcional)
-  members: {
-    type: DataTypes.JSON,
-    allowNull: true,
-    comment: 'Array of project members with name and email'
-  },
-
   // Plantilla Kanban seleccionada
   kanban_template: {
     type: DataTypes.ENUM('default', 'architecture', 'systems_engineering'),
@@ -82,8 +89,8 @@ const Project = sequelize.define('Project', {
     defaultValue: [ // Valor por defecto: plantilla estándar
       { id: 'pending', title: 'Pending', color: '#ffc107', icon: '📋' },
       { id: 'in_progress', title: 'In Progress', color: '#007bff', icon: '🔄' },
-      { id: 'completed', title: 'Completed', color: '#28a745', icon: '✅' },
-      { id: 'cancelled', title: 'Cancelled', color: '#6c757d', icon: '❌' }
+      { id: 'completed', title: 'Completed', color: '#28a745', icon: '✅', done: true },
+      { id: 'cancelled', title: 'Cancelled', color: '#6c757d', icon: '❌', cancelled: true }
     ],
     comment: 'Array of column objects defining the Kanban board structure',
     validate: {
@@ -101,19 +108,108 @@ const Project = sequelize.define('Project', {
           if (!col.title || typeof col.title !== 'string') {
             throw new Error(`Column ${index}: 'title' is required and must be a string`);
           }
-          if (!col.color || !/^#[0-9A-F]{6}$/i.test(col.color)) {
+          if (!isHexColor(col.color)) {
             throw new Error(`Column ${index}: 'color' must be a valid hex color`);
           }
           if (!col.icon || typeof col.icon !== 'string') {
             throw new Error(`Column ${index}: 'icon' is required and must be a string`);
           }
+          if (col.wipLimit !== undefined && col.wipLimit !== null && (!Number.isInteger(col.wipLimit) || col.wipLimit < 1)) {
+            throw new Error(`Column ${index}: 'wipLimit' must be a positive integer`);
+          }
+          if ((col.done !== undefined && typeof col.done !== 'boolean')
+            || (col.cancelled !== undefined && typeof col.cancelled !== 'boolean')) {
+            throw new Error(`Column ${index}: 'done' and 'cancelled' must be booleans`);
+          }
+          if (col.done === true && col.cancelled === true) {
+            throw new Error(`Column ${index}: a column cannot be both 'done' and 'cancelled'`);
+          }
+          if (col.requiredFields !== undefined && (!Array.isArray(col.requiredFields) || col.requiredFields.some(field =>
+            !COLUMN_REQUIRED_FIELDS.includes(field) && !CUSTOM_FIELD_REQUIREMENT_PATTERN.test(field)))) {
+            throw new Error(`Column ${index}: 'requiredFields' must be an array of: ${COLUMN_REQUIRED_FIELDS.join(', ')} or customFields.<id>`);
+          }
+        });
+      }
+    }
+  },
+
+  // Campos personalizados de las tareas (JSON)
+  custom_fields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of typed custom field definitions for the tasks of the project',
+    validate: {
+      isValidCustomFieldArray(value) {
+        if (!Array.isArray(value)) {
+          throw new Error('custom_fields must be an array');
+        }
+        const ids = new Set();
+        value.forEach((field, index) => {
+          if (!field || typeof field.id !== 'string' || !CUSTOM_FIELD_ID_PATTERN.test(field.id)) {
+            throw new Error(`Custom field ${index}: 'id' must be lowercase letters, digits or underscores, starting with a letter`);
+          }
+          if (ids.has(field.id)) {
+            throw new Error(`Custom field ${index}: duplicate id '${field.id}'`);
+          }
+          ids.add(field.id);
+          if (!field.name || typeof field.name !== 'string') {
+            throw new Error(`Custom field ${index}: 'name' is required and must be a string`);
+          }
+          if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+            throw new Error(`Custom field ${index}: 'type' must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+          }
+          if (field.type === 'select' || field.type === 'multi_select') {
+            if (!Array.isArray(field.options) || field.options.length === 0
+              || field.options.some(option => typeof option !== 'string' || option === '')) {
+              throw new Error(`Custom field ${index}: 'options' must be a non-empty array of strings`);
+            }
+          }
+          if (field.required !== undefined && typeof field.required !== 'boolean') {
+            throw new Error(`Custom field ${index}: 'required' must be a boolean`);
+          }
         });
       }
     }
+  },
+
+  // ID del usuario propietario del proyecto
+  ownerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'owner_id'
+  },
+
+  // ID del espacio de trabajo al que pertenece el proyecto
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'workspace_id'
   }
 }, {
-  timestamps: true // Agrega automáticamente campos createdAt y updatedAt
+  timestamps: true, // Agrega automáticamente campos createdAt y updatedAt
+  paranoid: true, // Eliminación lógica: destroy() rellena deletedAt y el proyecto pasa a la papelera
+  validate: {
+    // Una columna solo puede exigir campos personalizados que existan en el proyecto
+    columnRequirementsMatchCustomFields() {
+      const fieldIds = (Array.isArray(this.custom_fields) ? this.custom_fields : []).map(field => field && field.id);
+      for (const col of Array.isArray(this.kanban_columns) ? this.kanban_columns : []) {
+        for (const field of Array.isArray(col.requiredFields) ? col.requiredFields : []) {
+          const match = CUSTOM_FIELD_REQUIREMENT_PATTERN.exec(field);
+          if (match && !fieldIds.includes(match[1])) {
+            throw new Error(`Column '${col.id}' requires the unknown custom field '${match[1]}'`);
+          }
+        }
+      }
+    }
+  },
+  indexes: [
+    // No puede haber dos proyectos activos con el mismo título en un espacio de trabajo
+    { unique: true, fields: ['workspace_id', 'title'], where: { deleted_at: null } }
+  ]
 });
 
 // Exportación del modelo para su uso en otras partes de la aplicación
-module.exports = Project;
\ No newline at end of file
+module.exports = Project;
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+module.exports.COLUMN_REQUIRED_FIELDS = COLUMN_REQUIRED_FIELDS;
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Roles disponibles dentro de un proyecto, de mayor a menor nivel de acceso
+const PROJECT_ROLES = ['owner', 'editor', 'viewer', 'guest'];
+
+/**
+ * Represents the membership of a user in a project.
+ *
+ * A membership without `userId` is a pending invitation for an email address
+ * that does not belong to any registered user yet. It is claimed automatically
+ * when a user with that email registers.
+ *
+ * @typedef {Object} ProjectMembership
+ * @property {number} id - The unique identifier for the membership. Auto-incremented primary key.
+ * @property {number} projectId - The ID of the project. Cannot be null.
+ * @property {number|null} userId - The ID of the member user. Null while the invitation is pending.
+ * @property {'owner'|'editor'|'viewer'|'guest'} role - The role of the member in the project. Defaults to 'viewer'.
+ * @property {string|null} invitedEmail - Email of a pending invitation. Null once the invitation is claimed.
+ * @property {string|null} invitedName - Display name of a pending invitation.
+ * @property {number|null} invitedBy - The ID of the user who sent the invitation.
+ */
+
+const ProjectMembership = sequelize.define('ProjectMembership', {
+  // ID único para cada membresía
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // ID del proyecto
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'project_id'
+  },
+
+  // ID del usuario miembro (nulo si la invitación está pendiente)
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'user_id'
+  },
+
+  // Rol del miembro dentro del proyecto
+  role: {
+    type: DataTypes.ENUM(...PROJECT_ROLES),
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+
+  // Email de la invitación pendiente
+  invitedEmail: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'invited_email',
+    validate: {
+      isEmail: true
+    }
+  },
+
+  // Nombre de la persona invitada (opcional)
+  invitedName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'invited_name'
+  },
+
+  // Usuario que envió la invitación
+  invitedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'invited_by'
+  }
+}, {
+  tableName: 'project_memberships',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['project_id', 'user_id'] },
+    { unique: true, fields: ['project_id', 'invited_email'] }
+  ],
+  validate: {
+    // Toda membresía debe apuntar a un usuario o a un email invitado
+    hasUserOrInvitation() {
+      if (!this.userId && !this.invitedEmail) {
+        throw new Error('A membership requires either a user or an invited email');
+      }
+    }
+  }
+});
+
+// Exportación del modelo y de los roles disponibles
+module.exports = ProjectMembership;
+module.exports.PROJECT_ROLES = PROJECT_ROLES;
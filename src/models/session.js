@@ -0,0 +1,117 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Represents a refresh token issued to a user.
+ *
+ * Every login starts a new token family (`familyId`). Each refresh rotates the
+ * token: the current row is revoked and a new row is created in the same family.
+ * Access tokens carry the `familyId` as `sid`, so revoking a family also
+ * invalidates the access tokens issued for it.
+ *
+ * Only the SHA-256 hash of the refresh token is stored.
+ *
+ * @typedef {Object} Session
+ * @property {number} id - The unique identifier for the session. Auto-incremented primary key.
+ * @property {number} userId - The ID of the user that owns the session. Cannot be null.
+ * @property {string} familyId - UUID shared by all the refresh tokens issued from the same login.
+ * @property {string} tokenHash - SHA-256 hash of the refresh token. Unique.
+ * @property {Date} expiresAt - Expiration date of the refresh token.
+ * @property {Date|null} revokedAt - Date when the token was revoked. Null while it is usable.
+ * @property {string|null} revokedReason - Why the token was revoked ('rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed', 'password_reset' or 'account_deleted').
+ * @property {number|null} replacedById - ID of the session that replaced this one after a refresh.
+ * @property {string|null} userAgent - User agent of the client that created the session.
+ * @property {string|null} ipAddress - IP address of the client that created the session.
+ * @property {number|null} workspaceId - Workspace selected in this session (`wid` claim of its access tokens).
+ */
+
+const Session = sequelize.define('Session', {
+  // ID único para cada sesión
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Usuario dueño de la sesión
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+
+  // Familia de tokens (un login = una familia)
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'family_id'
+  },
+
+  // Hash del refresh token (nunca se guarda el token en claro)
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+
+  // Fecha de expiración del refresh token
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+
+  // Fecha de revocación (nula mientras el token es válido)
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+
+  // Motivo de la revocación
+  revokedReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'revoked_reason'
+  },
+
+  // Sesión que reemplazó a esta al rotar el token
+  replacedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'replaced_by_id'
+  },
+
+  // Información del cliente
+  userAgent: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'user_agent'
+  },
+
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'ip_address'
+  },
+
+  // Espacio de trabajo seleccionado en la sesión
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'workspace_id'
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['family_id'] }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = Session;
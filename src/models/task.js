@@ -13,8 +13,20 @@ const sequelize = require('../config/database');
  * @property {Date} completion_date - The date when the task is expected to be completed. Cannot be null.
  * @property {string} status - The current status of the task. Must match a column ID from the project's kanban_columns. Defaults to 'pending'.
  * @property {'low'|'medium'|'high'} priority - The priority level of the task. Defaults to 'medium'.
- * @property {Object|null} assigned_member - JSON object with member information (name, email). Can be null.
+ * @property {string|null} assigned_member - Email (or username) of the assigned project member. Can be null.
+ * @property {number|null} assignedUserId - The ID of the assigned user. Must be an active member of the project. Can be null.
  * @property {number} projectId - The ID of the associated project. Cannot be null.
+ * @property {number|null} parentTaskId - The ID of the parent task when this task is a subtask. Only one level
+ *   of nesting is allowed and the parent must belong to the same project. Null for top-level tasks.
+ * @property {string|null} recurrenceRule - Normalized RRULE (see utils/recurrence) of a repeating task. Null if it does not repeat.
+ * @property {number|null} recurrenceSeriesId - The ID of the first occurrence of the series. Null for the first one.
+ * @property {number|null} nextOccurrenceId - The ID of the occurrence generated after this one. Null until it is generated.
+ * @property {number|null} estimatedMinutes - Estimated work, in minutes, compared with the time logged on the task. Null if not estimated.
+ * @property {Object} customFields - Values of the custom fields of the project, by field ID (see services/customFields).
+ * @property {string|null} position - Rank key (see utils/rank) that orders the task within its Kanban column.
+ *   Set when the task is created or changes column (see services/taskOrder).
+ * @property {Date|null} deletedAt - When the task was moved to the trash. Null for live tasks.
+ *   Deleted tasks are excluded from every query unless `paranoid: false` is passed.
  */
 
 const Task = sequelize.define('Task', {
@@ -72,15 +84,79 @@ const Task = sequelize.define('Task', {
     comment: 'Email of the assigned project member'
   },
 
+  // ID del usuario asignado (debe ser miembro del proyecto)
+  assignedUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'assigned_user_id'
+  },
+
   // ID del proyecto asociado
   projectId: {
     type: DataTypes.INTEGER,
     allowNull: false,
     field: 'project_id'
+  },
+
+  // ID de la tarea principal (solo en subtareas)
+  parentTaskId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'parent_task_id'
+  },
+
+  // Regla de repetición (subconjunto de RRULE), solo en tareas recurrentes
+  recurrenceRule: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'recurrence_rule'
+  },
+
+  // Primera repetición de la serie (nula en la primera)
+  recurrenceSeriesId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'recurrence_series_id'
+  },
+
+  // Repetición generada a partir de esta tarea
+  nextOccurrenceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'next_occurrence_id'
+  },
+
+  // Trabajo estimado en minutos (se compara con el tiempo registrado)
+  estimatedMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'estimated_minutes',
+    validate: {
+      min: 0
+    }
+  },
+
+  // Valores de los campos personalizados del proyecto, por ID de campo
+  customFields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    field: 'custom_fields'
+  },
+
+  // Posición de la tarjeta dentro de su columna del Kanban (clave de orden fraccionaria)
+  position: {
+    type: DataTypes.STRING(255),
+    allowNull: true // Se rellena al crear la tarea o al cambiarla de columna
   }
 }, {
   timestamps: true,
-  underscored: true
+  paranoid: true, // Eliminación lógica: destroy() rellena deletedAt y la tarea pasa a la papelera
+  underscored: true,
+  indexes: [
+    // Tarjetas de una columna en orden
+    { fields: ['project_id', 'status', 'position'] }
+  ]
 });
 
 // Exportación del modelo para su uso en otras partes de la aplicación
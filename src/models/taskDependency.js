@@ -0,0 +1,57 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Represents a "blocked by" link between two tasks of the same project:
+ * the task `taskId` cannot be completed while `blockedByTaskId` is open.
+ *
+ * The links form a directed graph without cycles (checked by services/dependencies).
+ *
+ * @typedef {Object} TaskDependency
+ * @property {number} id - The unique identifier for the link. Auto-incremented primary key.
+ * @property {number} taskId - The ID of the blocked task. Cannot be null.
+ * @property {number} blockedByTaskId - The ID of the task that blocks it. Cannot be null.
+ * @property {number|null} createdBy - The ID of the user who added the link. Null if the account was deleted.
+ */
+
+const TaskDependency = sequelize.define('TaskDependency', {
+  // ID único para cada dependencia
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Tarea bloqueada
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'task_id'
+  },
+
+  // Tarea que la bloquea
+  blockedByTaskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'blocked_by_task_id'
+  },
+
+  // Usuario que creó la dependencia
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'task_dependencies',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['task_id', 'blocked_by_task_id'] },
+    { fields: ['blocked_by_task_id'] }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = TaskDependency;
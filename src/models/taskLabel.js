@@ -0,0 +1,47 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Represents a label put on a task (join table between tasks and labels).
+ * The label and the task always belong to the same project (checked by services/labels).
+ *
+ * @typedef {Object} TaskLabel
+ * @property {number} id - The unique identifier for the link. Auto-incremented primary key.
+ * @property {number} taskId - The ID of the task. Cannot be null.
+ * @property {number} labelId - The ID of the label. Cannot be null.
+ */
+
+const TaskLabel = sequelize.define('TaskLabel', {
+  // ID único para cada etiqueta asignada
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Tarea etiquetada
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'task_id'
+  },
+
+  // Etiqueta asignada
+  labelId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'label_id'
+  }
+}, {
+  tableName: 'task_labels',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['task_id', 'label_id'] },
+    { fields: ['label_id'] }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = TaskLabel;
@@ -0,0 +1,98 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Longitud máxima de la nota de una entrada de tiempo
+const TIME_ENTRY_NOTE_MAX_LENGTH = 1000;
+
+/**
+ * Represents time worked by a user on a task: a timer (running until it is stopped)
+ * or an entry logged by hand.
+ *
+ * A user has at most one running timer. Running timers have no `endedAt` nor
+ * `durationSeconds` and do not count as logged time until they are stopped.
+ *
+ * @typedef {Object} TimeEntry
+ * @property {number} id - The unique identifier for the entry. Auto-incremented primary key.
+ * @property {number} taskId - The ID of the task. Cannot be null.
+ * @property {number|null} userId - The ID of the user who worked. Null if the account was deleted.
+ * @property {Date} startedAt - When the work started.
+ * @property {Date|null} endedAt - When the work ended. Null while the timer is running.
+ * @property {number|null} durationSeconds - Time worked, in seconds. Null while the timer is running.
+ * @property {string|null} note - What was done. Optional, at most 1000 characters.
+ * @property {boolean} billable - Whether the time is billed to the client. Defaults to true.
+ */
+
+const TimeEntry = sequelize.define('TimeEntry', {
+  // ID único para cada entrada de tiempo
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Tarea en la que se trabajó
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'task_id'
+  },
+
+  // Usuario que trabajó (nulo si eliminó su cuenta)
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'user_id'
+  },
+
+  // Inicio del trabajo
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at'
+  },
+
+  // Fin del trabajo (nulo mientras el temporizador está en marcha)
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'ended_at'
+  },
+
+  // Tiempo trabajado en segundos (nulo mientras el temporizador está en marcha)
+  durationSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_seconds',
+    validate: {
+      min: 0
+    }
+  },
+
+  // Nota sobre el trabajo realizado
+  note: {
+    type: DataTypes.STRING(TIME_ENTRY_NOTE_MAX_LENGTH),
+    allowNull: true
+  },
+
+  // Si el tiempo se factura al cliente
+  billable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'time_entries',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['task_id'] },
+    { fields: ['user_id', 'started_at'] },
+    // Un solo temporizador en marcha por usuario
+    { unique: true, fields: ['user_id'], where: { ended_at: null }, name: 'time_entries_running_timer' }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = TimeEntry;
+module.exports.TIME_ENTRY_NOTE_MAX_LENGTH = TIME_ENTRY_NOTE_MAX_LENGTH;
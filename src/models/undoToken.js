@@ -0,0 +1,91 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Represents an operation that can be undone.
+ *
+ * Every request that changes projects, tasks or memberships gets an undo token
+ * pointing to the audit events it produced (see services/undo.js). Only the
+ * SHA-256 hash of the token is stored. A token can be redeemed once, by the user
+ * who made the change, and only before `expiresAt`.
+ *
+ * @typedef {Object} UndoToken
+ * @property {number} id - The unique identifier. Auto-incremented primary key.
+ * @property {number} userId - The user who made the change and may undo it. Cannot be null.
+ * @property {number|null} workspaceId - The workspace where the change was made.
+ * @property {string} tokenHash - SHA-256 hash of the undo token. Unique.
+ * @property {'rest'|'voice'|'system'} source - Where the change came from.
+ * @property {number[]} eventIds - Audit events of the changes made by the operation.
+ * @property {Date} expiresAt - End of the undo window.
+ * @property {Date|null} redeemedAt - Date when the operation was undone. Null while it can be undone.
+ */
+
+const UndoToken = sequelize.define('UndoToken', {
+  // ID único para cada operación
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Usuario que hizo los cambios
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+
+  // Espacio de trabajo activo al hacer los cambios
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'workspace_id'
+  },
+
+  // Hash del token entregado al cliente
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+
+  // Origen de los cambios: API REST o comando de voz
+  source: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    defaultValue: 'rest'
+  },
+
+  // Eventos de auditoría de los cambios que se deshacen
+  eventIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    field: 'event_ids'
+  },
+
+  // Fin del plazo para deshacer
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+
+  // Fecha en la que se deshizo la operación
+  redeemedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'redeemed_at'
+  }
+}, {
+  tableName: 'undo_tokens',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] }
+  ]
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = UndoToken;
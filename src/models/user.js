@@ -10,6 +10,11 @@ const sequelize = require('../config/database');
  * @property {string} username - Unique username of the user. This field is required.
  * @property {string} password - Encrypted password of the user. This field is required.
  * @property {string} name - Real name of the user. This field is required.
+ * @property {string|null} email - Unique email of the user. Used to match project invitations. Optional.
+ * @property {boolean} twoFactorEnabled - Whether login requires a TOTP code. Defaults to false.
+ * @property {string|null} twoFactorSecret - Base32 TOTP secret. Set during enrollment, before 2FA is enabled.
+ * @property {string[]|null} twoFactorRecoveryCodes - SHA-256 hashes of the unused recovery codes.
+ * @property {number|null} twoFactorLastStep - Last accepted TOTP time step, to reject replayed codes.
  * @property {Date} createdAt - The date and time when the user was created. Defaults to the current date and time.
  * @property {Date} updatedAt - The date and time when the user was last updated. Defaults to the current date and time.
  */
@@ -34,6 +39,45 @@ const User = sequelize.define('User', {
     allowNull: false // Es obligatorio
   },
   
+  // Email del usuario (opcional, se usa para vincular invitaciones a proyectos)
+  email: {
+    type: DataTypes.STRING,
+    unique: true, // No puede haber usuarios con el mismo email
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  
+  // Autenticación en dos pasos (TOTP)
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'two_factor_enabled'
+  },
+
+  // Secreto TOTP en base32 (se genera al iniciar la configuración)
+  twoFactorSecret: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'two_factor_secret'
+  },
+
+  // Hashes de los códigos de recuperación sin usar
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'two_factor_recovery_codes'
+  },
+
+  // Último paso de tiempo aceptado (evita reutilizar un código)
+  twoFactorLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'two_factor_last_step'
+  },
+  
   // Fecha de creación del usuario
   createdAt: {
     type: DataTypes.DATE,
@@ -0,0 +1,45 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Represents a workspace: the top-level container of projects, usually one per team.
+ * Project titles are unique inside a workspace.
+ *
+ * @typedef {Object} Workspace
+ * @property {number} id - The unique identifier for the workspace. Auto-incremented primary key.
+ * @property {string} name - The name of the workspace. Cannot be null.
+ * @property {number|null} createdBy - The ID of the user who created the workspace.
+ */
+
+const Workspace = sequelize.define('Workspace', {
+  // ID único para cada espacio de trabajo
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Nombre del espacio de trabajo
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // Usuario que creó el espacio de trabajo
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'workspaces',
+  timestamps: true,
+  underscored: true
+});
+
+// Exportación del modelo para su uso en otras partes de la aplicación
+module.exports = Workspace;
@@ -0,0 +1,59 @@
+// Importación de Sequelize y la configuración de la base de datos
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Roles dentro de un espacio de trabajo
+// - admin: gestiona el espacio y sus miembros y tiene acceso de propietario a todos sus proyectos
+// - member: crea proyectos en el espacio y accede a los proyectos de los que es miembro
+const WORKSPACE_ROLES = ['admin', 'member'];
+
+/**
+ * Represents the membership of a user in a workspace.
+ *
+ * @typedef {Object} WorkspaceMembership
+ * @property {number} id - The unique identifier for the membership. Auto-incremented primary key.
+ * @property {number} workspaceId - The ID of the workspace. Cannot be null.
+ * @property {number} userId - The ID of the member user. Cannot be null.
+ * @property {'admin'|'member'} role - The role of the user in the workspace. Defaults to 'member'.
+ */
+
+const WorkspaceMembership = sequelize.define('WorkspaceMembership', {
+  // ID único para cada membresía
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // ID del espacio de trabajo
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'workspace_id'
+  },
+
+  // ID del usuario miembro
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+
+  // Rol del usuario en el espacio de trabajo
+  role: {
+    type: DataTypes.ENUM(...WORKSPACE_ROLES),
+    allowNull: false,
+    defaultValue: 'member'
+  }
+}, {
+  tableName: 'workspace_memberships',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['workspace_id', 'user_id'] }
+  ]
+});
+
+// Exportación del modelo y de los roles disponibles
+module.exports = WorkspaceMembership;
+module.exports.WORKSPACE_ROLES = WORKSPACE_ROLES;
@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const assistantController = require('../controllers/assistantController');
+const { authorizeProject, requireScope } = require('../middleware/authorize');
+
+// El asistente lee proyectos y tareas: los tokens de acceso personal necesitan ambos scopes de lectura
+router.use(requireScope('projects:read'), requireScope('tasks:read'));
 
 /**
  * @route GET /api/assistant/context
- * @description Get full context of all projects and tasks for Claude assistant
+ * @description Get full context of the projects and tasks the user is a member of for Claude assistant
  * @access Private (requires authentication)
  */
 router.get('/context', assistantController.getFullContext);
@@ -14,7 +18,7 @@ router.get('/context', assistantController.getFullContext);
  * @description Get detailed information about a specific project
  * @access Private (requires authentication)
  */
-router.get('/project/:id', assistantController.getProjectDetails);
+router.get('/project/:id', authorizeProject('project:read'), assistantController.getProjectDetails);
 
 /**
  * @route GET /api/assistant/tasks/upcoming
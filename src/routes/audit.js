@@ -0,0 +1,11 @@
+const express = require('express');
+const { getAuditEvents } = require('../controllers/auditController');
+const { validateAuditFilters } = require('../middleware/validation');
+const { requireScope } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Obtener el registro de auditoría del espacio de trabajo activo (filtrable y paginado)
+router.get('/', requireScope('projects:read'), validateAuditFilters, getAuditEvents);
+
+module.exports = router;
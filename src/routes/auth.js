@@ -2,10 +2,38 @@
 const express = require("express");
 
 // Importamos las funciones del controlador de autenticación
-const { register, login, logout } = require("../controllers/authController");
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
+} = require("../controllers/authController");
+
+// Importamos las funciones del controlador de la cuenta del usuario
+const { getProfile, updateProfile, changePassword, deleteProfile } = require("../controllers/accountController");
+
+// Importamos las funciones del controlador de autenticación en dos pasos
+const {
+  setupTwoFactor,
+  enableTwoFactorAuth,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes
+} = require("../controllers/twoFactorController");
+
+// Importamos las funciones del controlador de tokens de acceso personal
+const {
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken
+} = require("../controllers/personalAccessTokenController");
 
 // Importamos el middleware de autenticación para proteger rutas
 const auth = require("../middleware/auth");
+const { requireSession } = require("../middleware/auth");
 
 // Creamos un enrutador de Express
 const router = express.Router();
@@ -18,9 +46,48 @@ router.post("/register", register);
 // No requiere autenticación, ya que se está validando el acceso
 router.post("/login", login);
 
+// Segundo paso del inicio de sesión cuando el usuario tiene 2FA activado
+// No requiere autenticación: se valida el challengeToken devuelto por /login
+router.post("/2fa/verify", verifyTwoFactorLogin);
+
+// Ruta para renovar el access token con un refresh token
+// No requiere autenticación, ya que el access token puede haber expirado
+router.post("/refresh", refresh);
+
+// Rutas para recuperar la contraseña por email
+// No requieren autenticación, ya que el usuario no recuerda su contraseña
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
 // Ruta para cerrar sesión
 // Se protege con middleware de autenticación para asegurarse de que el usuario está logueado
-router.post("/logout", auth, logout);
+router.post("/logout", auth, requireSession, logout);
+
+// Ruta para cerrar sesión en todos los dispositivos
+router.post("/logout-all", auth, requireSession, logoutAll);
+
+// Rutas del perfil del usuario autenticado
+// Los tokens de acceso personal pueden leer el perfil pero no modificar la cuenta
+router.get("/me", auth, getProfile);
+router.put("/me", auth, requireSession, updateProfile);
+
+// Ruta para cambiar la contraseña (requiere la contraseña actual)
+router.put("/me/password", auth, requireSession, changePassword);
+
+// Ruta para eliminar la cuenta (requiere la contraseña actual)
+router.delete("/me", auth, requireSession, deleteProfile);
+
+// Rutas para configurar la autenticación en dos pasos (TOTP)
+router.post("/2fa/setup", auth, requireSession, setupTwoFactor);
+router.post("/2fa/enable", auth, requireSession, enableTwoFactorAuth);
+router.post("/2fa/disable", auth, requireSession, disableTwoFactorAuth);
+router.post("/2fa/recovery-codes", auth, requireSession, regenerateTwoFactorRecoveryCodes);
+
+// Rutas para gestionar los tokens de acceso personal (scripts, CI, automatizaciones)
+// Un token no puede crear ni revocar otros tokens: requieren una sesión iniciada con contraseña
+router.get("/tokens", auth, requireSession, getPersonalAccessTokens);
+router.post("/tokens", auth, requireSession, createPersonalAccessToken);
+router.delete("/tokens/:id", auth, requireSession, revokePersonalAccessToken);
 
 // Exportamos el enrutador para su uso en la aplicación principal
 module.exports = router;
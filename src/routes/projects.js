@@ -1,32 +1,68 @@
 const express = require('express');
-const {createProject, updateProject, deleteProject, getProjectById, getAllProjects, getAllProjectIds, getProjectMembers, getProjectStatuses} = require('../controllers/projectController');
-const { validateProjectCreation, validateProjectUpdate } = require('../middleware/validation');
+const {createProject, updateProject, deleteProject, getProjectById, getAllProjects, getAllProjectIds, getProjectStatuses} = require('../controllers/projectController');
+const { getProjectMembers, addProjectMember, updateProjectMemberRole, removeProjectMember } = require('../controllers/membershipController');
+const { getProjectLabels, createProjectLabel, updateProjectLabel, deleteProjectLabel } = require('../controllers/labelController');
+const { getProjectTimeReport } = require('../controllers/timeEntryController');
+const {
+  validateProjectCreation, validateProjectUpdate, validateLabelCreation, validateLabelUpdate, validateTimeReportFilters
+} = require('../middleware/validation');
 const auth = require('../middleware/auth');
+const { authorizeProject, requireScope } = require('../middleware/authorize');
 
 const router = express.Router();
 
+// Cambiar la plantilla, las columnas del Kanban o los campos personalizados requiere permisos de configuración (solo propietario)
+const projectUpdatePermission = (req) =>
+  (req.body.kanban_columns !== undefined || req.body.kanban_template !== undefined || req.body.custom_fields !== undefined)
+    ? 'project:configure'
+    : 'project:update';
+
 // Ruta para crear un proyecto (protegida y con validaciones)
-router.post('/', auth, validateProjectCreation, createProject);
+router.post('/', auth, requireScope('projects:admin'), validateProjectCreation, createProject);
 
 // Ruta para obtener la lista de todos los IDs de los proyectos (protegida)
-router.get('/all-ids', auth, getAllProjectIds);
+router.get('/all-ids', auth, requireScope('projects:read'), getAllProjectIds);
 
 // Ruta para obtener los estados disponibles de un proyecto (protegida)
-router.get('/:id/statuses', auth, getProjectStatuses);
+router.get('/:id/statuses', auth, authorizeProject('project:read'), getProjectStatuses);
 
 // Ruta para obtener los miembros de un proyecto (protegida)
-router.get('/:id/members', auth, getProjectMembers);
+router.get('/:id/members', auth, authorizeProject('members:read'), getProjectMembers);
+
+// Ruta para invitar un miembro al proyecto (protegida, solo propietario)
+router.post('/:id/members', auth, authorizeProject('members:manage'), addProjectMember);
+
+// Ruta para cambiar el rol de un miembro (protegida, solo propietario)
+router.put('/:id/members/:memberId', auth, authorizeProject('members:manage'), updateProjectMemberRole);
+
+// Ruta para eliminar un miembro del proyecto (protegida, solo propietario)
+router.delete('/:id/members/:memberId', auth, authorizeProject('members:manage'), removeProjectMember);
+
+// Ruta para obtener las etiquetas de un proyecto (protegida)
+router.get('/:id/labels', auth, authorizeProject('project:read'), getProjectLabels);
+
+// Ruta para crear una etiqueta en el proyecto (protegida, propietario o editor)
+router.post('/:id/labels', auth, authorizeProject('project:update'), validateLabelCreation, createProjectLabel);
+
+// Ruta para cambiar el nombre o el color de una etiqueta (protegida, propietario o editor)
+router.put('/:id/labels/:labelId', auth, authorizeProject('project:update'), validateLabelUpdate, updateProjectLabel);
+
+// Ruta para eliminar una etiqueta y quitarla de sus tareas (protegida, propietario o editor)
+router.delete('/:id/labels/:labelId', auth, authorizeProject('project:update'), deleteProjectLabel);
+
+// Ruta para obtener el informe de tiempo de un proyecto, por miembro y por tarea (protegida, miembros salvo invitados)
+router.get('/:id/time-report', auth, authorizeProject('members:read'), validateTimeReportFilters, getProjectTimeReport);
 
 // Ruta para actualizar un proyecto (protegida y con validaciones)
-router.put('/:id', auth, validateProjectUpdate, updateProject);
+router.put('/:id', auth, authorizeProject(projectUpdatePermission), validateProjectUpdate, updateProject);
 
-// Ruta para eliminar un proyecto (protegida)
-router.delete('/:id', auth, deleteProject);
+// Ruta para eliminar un proyecto (protegida, solo propietario)
+router.delete('/:id', auth, authorizeProject('project:delete'), deleteProject);
 
 // Ruta para obtener un proyecto por su ID (protegida)
-router.get('/:id', auth, getProjectById);
+router.get('/:id', auth, authorizeProject('project:read'), getProjectById);
 
 // Ruta para obtener todos los proyectos (protegida)
-router.get('/', auth, getAllProjects);
+router.get('/', auth, requireScope('projects:read'), getAllProjects);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -7,8 +7,19 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
+const { requireSession, extractToken } = require('../middleware/auth');
 const winston = require('winston');
-const { Task, Project } = require('../models');
+const { sequelize, Task, Project } = require('../models');
+const { getAccessibleProjectIds, findAccessibleProject } = require('../services/projectAccess');
+const { can } = require('../middleware/authorize');
+const { withSource } = require('../utils/requestContext');
+const { issueUndoToken } = require('../services/undo');
+const { applyParentStatusRules } = require('../services/subtasks');
+const { checkCompletionBlockers } = require('../services/dependencies');
+const { normalizeRecurrence, onStatusChange } = require('../services/recurringTasks');
+const { validateCustomFieldValues, missingRequiredFields } = require('../services/customFields');
+const { getStatusSemantics, checkColumnEntry } = require('../services/columns');
+const { parseRecurrence, nextOccurrence, describeRecurrence, toDateString } = require('../utils/recurrence');
 const { Op } = require('sequelize');
 const axios = require('axios');
 
@@ -95,7 +106,8 @@ const upload = multer({
 });
 
 // ==================== SPEECH-TO-TEXT CON DETECCIÓN DE IDIOMA ====================
-router.post('/speech-to-text', auth, upload.single('audio'), async (req, res) => {
+// Los comandos de voz requieren una sesión iniciada con contraseña (no tokens de acceso personal)
+router.post('/speech-to-text', auth, requireSession, upload.single('audio'), async (req, res) => {
   try {
     logger.info('Starting audio to text processing with language detection');
     
@@ -204,7 +216,7 @@ router.post('/speech-to-text', auth, upload.single('audio'), async (req, res) =>
 
 
 // ==================== PROCESS VOICE TEXT ====================
-router.post('/process-voice-text', auth, async (req, res) => {
+router.post('/process-voice-text', auth, requireSession, withSource('voice'), async (req, res) => {
   const { transcription, commandType, projectId, detectedLanguage } = req.body;
   
   if (!transcription) {
@@ -212,6 +224,8 @@ router.post('/process-voice-text', auth, async (req, res) => {
   }
 
   const language = detectedLanguage || inferLanguage(transcription);
+  const userId = req.user.userId;
+  const workspaceId = req.workspace.id;
   logger.info(`Processing voice command in language: ${language}`);
 
   try {
@@ -219,7 +233,9 @@ router.post('/process-voice-text', auth, async (req, res) => {
     
     let projects = [];
     try {
-      projects = await Project.findAll();
+      projects = await Project.findAll({
+        where: { id: await getAccessibleProjectIds(userId, { workspaceId }) }
+      });
       logger.info(`Loaded ${projects.length} projects for context`);
     } catch (error) {
       logger.warn(`Error loading projects: ${error.message}`);
@@ -229,8 +245,8 @@ router.post('/process-voice-text', auth, async (req, res) => {
     
     if (isBatchCommand) {
       logger.info('Batch command detected - processing multiple items');
-      const batchResponse = await processBatchCommand(transcription, projects, language);
-      return res.json(batchResponse);
+      const batchResponse = await processBatchCommand(transcription, projects, language, userId);
+      return res.json(await withUndo(req, batchResponse));
     }
     
     const detectedCommandType = commandType || detectCommandType(transcription, language);
@@ -240,38 +256,38 @@ router.post('/process-voice-text', auth, async (req, res) => {
     
     switch (detectedCommandType) {
       case 'createTask':
-        response = await processCreateTaskCommand(transcription, projectId, projects, language);
+        response = await processCreateTaskCommand(transcription, projectId, projects, language, userId);
         break;
       case 'createProject':
-        response = await processCreateProjectCommand(transcription, language);
+        response = await processCreateProjectCommand(transcription, language, userId, workspaceId);
         break;
       case 'searchTask':
-        response = await processSearchTaskCommand(transcription, projectId, language);
+        response = await processSearchTaskCommand(transcription, projectId, projects, language);
         break;
       case 'searchProject':
-        response = await processSearchProjectCommand(transcription, language);
+        response = await processSearchProjectCommand(transcription, projects, language);
         break;
       case 'updateTask':
-        response = await processUpdateTaskCommand(transcription, projects, language);
+        response = await processUpdateTaskCommand(transcription, projects, language, userId);
         break;
       case 'updateProject':
-        response = await processUpdateProjectCommand(transcription, language);
+        response = await processUpdateProjectCommand(transcription, projects, language, userId);
         break;
       case 'countTasks':
-        response = await processCountTasksCommand(language);
+        response = await processCountTasksCommand(projects, language);
         break;
       case 'countProjects':
-        response = await processCountProjectsCommand(language);
+        response = await processCountProjectsCommand(projects, language);
         break;
       case 'assistance':
       default:
         // ✅ PASAR EL TOKEN DEL USUARIO AL ASISTENTE
-        response = await processAssistanceCommand(transcription, projects, language, req.headers['x-auth-token']);
+        response = await processAssistanceCommand(transcription, projects, language, extractToken(req), userId, workspaceId);
         break;
     }
     
     logger.info(`Command processed successfully`);
-    return res.json(response);
+    return res.json(await withUndo(req, response));
   } catch (error) {
     logger.error(`Error processing voice command: ${error.message}`);
     return res.status(500).json({ 
@@ -282,6 +298,82 @@ router.post('/process-voice-text', auth, async (req, res) => {
   }
 });
 
+// ==================== TOKEN PARA DESHACER ====================
+// Los comandos de voz se aplican al momento: si el comando cambió algo, la respuesta incluye
+// el token para deshacerlo (POST /api/undo/:token), además del encabezado X-Undo-Token
+async function withUndo(req, response) {
+  try {
+    const undo = await issueUndoToken(req);
+    return undo ? { ...response, undo } : response;
+  } catch (error) {
+    logger.error(`Error issuing undo token: ${error.message}`);
+    return response;
+  }
+}
+
+// ==================== RESPUESTA DE PERMISO DENEGADO ====================
+// Los comandos de voz pasan por la misma matriz de permisos que las rutas REST (middleware/authorize.js)
+function permissionDeniedResponse(projectName, language) {
+  return {
+    success: false,
+    error: 'FORBIDDEN',
+    response: language === 'en'
+      ? `You don't have permission to make changes in project "${projectName}". Ask the project owner for editor access.`
+      : `No tienes permiso para hacer cambios en el proyecto "${projectName}". Pide al propietario del proyecto acceso como editor.`
+  };
+}
+
+// ==================== ESTADO DICTADO → COLUMNA DEL TABLERO ====================
+// Los comandos de voz usan los estados de la plantilla estándar: "completar" y "cancelar" llevan la tarea
+// a la primera columna marcada como terminada o cancelada del tablero (ver services/columns.js)
+function resolveVoiceStatus(project, status) {
+  const { doneStatus, cancelledStatus } = getStatusSemantics(project);
+  if (status === 'completed' && doneStatus) return doneStatus;
+  if (status === 'cancelled' && cancelledStatus) return cancelledStatus;
+  return project.kanban_columns.some(column => column.id === status) ? status : null;
+}
+
+// ==================== RESPUESTA DE REGLAS DE COLUMNA ====================
+// Límite WIP y campos obligatorios de las columnas: los mismos errores que en la API, explicados al usuario
+const REQUIRED_FIELD_NAMES = {
+  en: { assignee: 'an assignee', description: 'a description', completion_date: 'a due date', estimatedMinutes: 'an estimate' },
+  es: { assignee: 'un responsable', description: 'una descripción', completion_date: 'una fecha límite', estimatedMinutes: 'una estimación' }
+};
+
+function columnPolicyResponse(error, project, taskTitle, language) {
+  const code = error.details && error.details.error;
+  if (code !== 'WIP_LIMIT_REACHED' && code !== 'COLUMN_REQUIREMENTS') return null;
+
+  const column = project.kanban_columns.find(col => col.id === error.details.column);
+  const columnTitle = column ? column.title : error.details.column;
+
+  if (code === 'WIP_LIMIT_REACHED') {
+    return {
+      success: false,
+      error: code,
+      response: language === 'en'
+        ? `The column "${columnTitle}" is full (WIP limit of ${error.details.wipLimit} tasks). Move a task out of it first.`
+        : `La columna "${columnTitle}" está llena (límite WIP de ${error.details.wipLimit} tareas). Saca primero alguna tarea de ella.`
+    };
+  }
+
+  const fieldNames = REQUIRED_FIELD_NAMES[language === 'en' ? 'en' : 'es'];
+  const missing = error.details.missingFields.map(field => {
+    if (field.startsWith('customFields.')) {
+      const definition = (project.custom_fields || []).find(def => `customFields.${def.id}` === field);
+      return definition ? definition.name : field;
+    }
+    return fieldNames[field] || field;
+  }).join(', ');
+  return {
+    success: false,
+    error: code,
+    response: language === 'en'
+      ? `The task "${taskTitle}" needs ${missing} to be in the column "${columnTitle}". Please complete it from the app.`
+      : `La tarea "${taskTitle}" necesita ${missing} para estar en la columna "${columnTitle}". Por favor, complétala desde la aplicación.`
+  };
+}
+
 // ==================== INFERIR IDIOMA DEL TEXTO ====================
 function inferLanguage(text) {
   const spanishKeywords = ['crear', 'tarea', 'proyecto', 'buscar', 'actualizar', 'cuántos', 'cuántas', 'hola', 'para', 'en', 'con'];
@@ -317,7 +409,7 @@ function detectBatchCommand(text, language) {
 }
 
 // ==================== PROCESAR COMANDO POR LOTES ====================
-async function processBatchCommand(transcription, projects, language) {
+async function processBatchCommand(transcription, projects, language, userId) {
   logger.info(`Processing batch command with ${projects.length} projects available`);
   
   try {
@@ -397,19 +489,40 @@ Responde SOLO con JSON válido en este formato:
     const createdTasks = [];
     const errors = [];
     
+    const accessibleProjectIds = projects.map(p => p.id);
+    
     for (const taskData of batchData.tasks) {
       try {
         if (!taskData.projectId && projects.length > 0) {
           taskData.projectId = projects[0].id;
         }
         
-        const newTask = await Task.create({
+        // Solo se permiten tareas en proyectos del usuario donde tenga permiso de escritura
+        if (!accessibleProjectIds.includes(Number(taskData.projectId))) {
+          throw new Error(`Project ${taskData.projectId} not found`);
+        }
+        if (!(await can(userId, taskData.projectId, 'task:write'))) {
+          throw new Error(`You don't have permission to create tasks in project ${taskData.projectId}`);
+        }
+        
+        // Mismas reglas de columna y de campos personalizados que al crear una sola tarea
+        const project = await Project.findByPk(taskData.projectId, { attributes: ['id', 'kanban_columns', 'custom_fields'] });
+        const missingFields = missingRequiredFields(project).map(field => field.name);
+        if (missingFields.length > 0) {
+          throw new Error(`Project ${taskData.projectId} requires these fields: ${missingFields.join(', ')}. Create the task from the app`);
+        }
+        const values = {
           title: taskData.title,
           description: taskData.description || `Task: ${taskData.title}`,
-          status: taskData.status || 'pending',
+          status: (taskData.status && resolveVoiceStatus(project, taskData.status)) || project.kanban_columns[0].id,
           completion_date: taskData.completion_date || getDefaultDate(),
           projectId: taskData.projectId,
-          creation_date: new Date()
+          creation_date: new Date(),
+          customFields: await validateCustomFieldValues(project, {})
+        };
+        const newTask = await sequelize.transaction(async (transaction) => {
+          await checkColumnEntry(project, values, { transaction });
+          return Task.create(values, { transaction });
         });
         
         createdTasks.push(newTask);
@@ -495,7 +608,7 @@ function getDefaultDate() {
 }
 
 // ==================== CREAR TAREA ====================
-async function processCreateTaskCommand(transcription, projectId, projects, language) {
+async function processCreateTaskCommand(transcription, projectId, projects, language, userId) {
   logger.info(`Processing create task command in ${language}`);
   
   try {
@@ -556,15 +669,18 @@ async function processCreateTaskCommand(transcription, projectId, projects, lang
         logger.info(`No project identified in text, using first: ${targetProjectName} (ID: ${targetProjectId})`);
       }
     } else if (targetProjectId) {
-      try {
-        const project = await Project.findByPk(targetProjectId);
-        if (project) {
-          targetProjectName = project.title;
-          logger.info(`Using specified project: ${targetProjectName} (ID: ${targetProjectId})`);
-        }
-      } catch (error) {
-        logger.error(`Error getting project details: ${error.message}`);
+      const project = await findAccessibleProject(targetProjectId, userId);
+      if (!project) {
+        logger.warn(`Specified project ${targetProjectId} not found for user ${userId}`);
+        return {
+          success: false,
+          response: language === 'en'
+            ? 'Could not create task because the specified project was not found.'
+            : 'No se pudo crear la tarea porque no se encontró el proyecto especificado.'
+        };
       }
+      targetProjectName = project.title;
+      logger.info(`Using specified project: ${targetProjectName} (ID: ${targetProjectId})`);
     } else {
       logger.error(`No projects available and no project ID specified`);
       return {
@@ -575,6 +691,24 @@ async function processCreateTaskCommand(transcription, projectId, projects, lang
       };
     }
     
+    if (!(await can(userId, targetProjectId, 'task:write'))) {
+      logger.warn(`User ${userId} cannot create tasks in project ${targetProjectId}`);
+      return permissionDeniedResponse(targetProjectName, language);
+    }
+    
+    // Los campos personalizados obligatorios no se dictan: si el proyecto los tiene, la tarea se crea desde la aplicación
+    const targetProject = await Project.findByPk(targetProjectId, { attributes: ['id', 'kanban_columns', 'custom_fields'] });
+    const missingFields = missingRequiredFields(targetProject).map(field => field.name);
+    if (missingFields.length > 0) {
+      logger.warn(`Project ${targetProjectId} requires custom fields: ${missingFields.join(', ')}`);
+      return {
+        success: false,
+        response: language === 'en'
+          ? `Could not create the task because project "${targetProjectName}" requires these fields: ${missingFields.join(', ')}. Please create it from the app.`
+          : `No se pudo crear la tarea porque el proyecto "${targetProjectName}" exige estos campos: ${missingFields.join(', ')}. Por favor, créala desde la aplicación.`
+      };
+    }
+    
     const taskDetails = await extractTaskDetailsWithClaude(transcription, language);
     
     if (!taskDetails.title || taskDetails.title.trim() === '') {
@@ -603,35 +737,74 @@ async function processCreateTaskCommand(transcription, projectId, projects, lang
         : `Tarea para ${taskDetails.title.toLowerCase()}${targetProjectName ? ` en el proyecto ${targetProjectName}` : ''}.`;
     }
     
+    // Tareas recurrentes ("cada lunes"): una regla no válida se ignora y la tarea se crea sin repetición
+    let recurrenceRule = null;
+    if (taskDetails.recurrence) {
+      try {
+        recurrenceRule = normalizeRecurrence(taskDetails.recurrence);
+      } catch (error) {
+        logger.warn(`Ignoring invalid recurrence "${taskDetails.recurrence}": ${error.message}`);
+      }
+    }
+    
+    if (!taskDetails.completion_date && recurrenceRule) {
+      // La primera repetición vence en la primera fecha de la regla a partir de hoy
+      const today = new Date();
+      const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+      const firstDate = nextOccurrence(parseRecurrence(recurrenceRule), yesterday, today);
+      if (firstDate) taskDetails.completion_date = toDateString(firstDate);
+    }
+    
     if (!taskDetails.completion_date) {
       taskDetails.completion_date = getDefaultDate();
     }
     
+    // Sin estado (o con uno que el tablero no tiene) la tarea va a la primera columna, como en la API
     const taskData = {
       title: taskDetails.title,
       description: taskDetails.description,
-      status: taskDetails.status || 'pending',
+      status: (taskDetails.status && resolveVoiceStatus(targetProject, taskDetails.status)) || targetProject.kanban_columns[0].id,
       completion_date: taskDetails.completion_date,
       projectId: targetProjectId,
-      creation_date: new Date()
+      creation_date: new Date(),
+      recurrenceRule
     };
     
     logger.info(`Creating task with data: ${JSON.stringify(taskData)}`);
     
-    const newTask = await Task.create(taskData);
+    let newTask;
+    try {
+      newTask = await sequelize.transaction(async (transaction) => {
+        await checkColumnEntry(targetProject, taskData, { transaction });
+        return Task.create(taskData, { transaction });
+      });
+    } catch (error) {
+      const policyResponse = columnPolicyResponse(error, targetProject, taskData.title, language);
+      if (policyResponse) return policyResponse;
+      throw error;
+    }
     logger.info(`Task created successfully with ID: ${newTask.id}`);
     
     const statusText = language === 'en'
       ? (taskData.status === 'pending' ? 'pending' : taskData.status)
       : (taskData.status === 'pending' ? 'pendiente' : taskData.status);
     
+    let responseMessage = language === 'en'
+      ? `I've created the task "${taskData.title}" in project "${targetProjectName}". The task has a deadline of ${taskData.completion_date} and is in ${statusText} status.`
+      : `He creado la tarea "${taskData.title}" en el proyecto "${targetProjectName}". La tarea tiene una fecha límite para el ${taskData.completion_date} y está en estado ${statusText}.`;
+    
+    if (recurrenceRule) {
+      const recurrenceText = describeRecurrence(parseRecurrence(recurrenceRule), language);
+      responseMessage += language === 'en'
+        ? ` It will repeat ${recurrenceText}.`
+        : ` Se repetirá ${recurrenceText}.`;
+    }
+    
     return {
       success: true,
       action: 'createTask',
       taskDetails: newTask.dataValues,
-      response: language === 'en'
-        ? `I've created the task "${taskData.title}" in project "${targetProjectName}". The task has a deadline of ${taskData.completion_date} and is in ${statusText} status.`
-        : `He creado la tarea "${taskData.title}" en el proyecto "${targetProjectName}". La tarea tiene una fecha límite para el ${taskData.completion_date} y está en estado ${statusText}.`
+      response: responseMessage
     };
   } catch (error) {
     logger.error(`Error creating task: ${error.message}`);
@@ -647,7 +820,13 @@ async function processCreateTaskCommand(transcription, projectId, projects, lang
 // ==================== EXTRAER DETALLES DE TAREA CON CLAUDE ====================
 async function extractTaskDetailsWithClaude(transcription, language) {
   if (!openaiClient) {
-    return { title: null, description: null, status: 'pending', completion_date: null };
+    return {
+      title: null,
+      description: null,
+      status: 'pending',
+      completion_date: null,
+      recurrence: extractRecurrenceFromText(transcription, language)
+    };
   }
   
   try {
@@ -675,9 +854,11 @@ Return ONLY a JSON object with the fields:
 - description: description (null if not specified)
 - status: status ("pending", "in_progress", "completed" or "cancelled")
 - completion_date: due date in YYYY-MM-DD format
+- recurrence: if the task repeats, a rule in RRULE format using only FREQ (DAILY, WEEKLY or MONTHLY), INTERVAL, BYDAY (MO, TU, WE, TH, FR, SA, SU; only with WEEKLY), BYMONTHDAY (only with MONTHLY) and UNTIL (YYYYMMDD). Examples: "every Monday" → "FREQ=WEEKLY;BYDAY=MO", "every other week" → "FREQ=WEEKLY;INTERVAL=2", "on the 1st of every month until December" → "FREQ=MONTHLY;BYMONTHDAY=1;UNTIL=20261231". null if it does not repeat
 
 If there is no information about a field, leave it as null.
-For completion_date, if a deadline is mentioned like "for tomorrow" or "in a week", calculate the corresponding date.`
+For completion_date, if a deadline is mentioned like "for tomorrow" or "in a week", calculate the corresponding date.
+For a repeating task without an explicit deadline, leave completion_date as null.`
       : `Analiza esta transcripción: "${transcription}"
 
 Extrae los detalles de la tarea que se está solicitando crear.
@@ -687,9 +868,11 @@ Devuelve SOLO un objeto JSON con los campos:
 - description: descripción (null si no está especificada)
 - status: estado ("pending", "in_progress", "completed" o "cancelled")
 - completion_date: fecha de vencimiento en formato YYYY-MM-DD
+- recurrence: si la tarea se repite, una regla en formato RRULE usando solo FREQ (DAILY, WEEKLY o MONTHLY), INTERVAL, BYDAY (MO, TU, WE, TH, FR, SA, SU; solo con WEEKLY), BYMONTHDAY (solo con MONTHLY) y UNTIL (YYYYMMDD). Ejemplos: "cada lunes" → "FREQ=WEEKLY;BYDAY=MO", "cada dos semanas" → "FREQ=WEEKLY;INTERVAL=2", "el día 1 de cada mes hasta diciembre" → "FREQ=MONTHLY;BYMONTHDAY=1;UNTIL=20261231". null si no se repite
 
 Si no hay información sobre algún campo, déjalo como null.
-Para completion_date, si se menciona un plazo como "para mañana" o "en una semana", calcula la fecha correspondiente.`;
+Para completion_date, si se menciona un plazo como "para mañana" o "en una semana", calcula la fecha correspondiente.
+Para una tarea que se repite sin plazo explícito, deja completion_date como null.`;
     
     const completion = await openaiClient.chat.completions.create({
       model: "claude-sonnet-4-20250514",
@@ -706,6 +889,8 @@ Para completion_date, si se menciona un plazo como "para mañana" o "en una sema
     
     if (jsonMatch) {
       const extractedData = JSON.parse(jsonMatch[0]);
+      // Si Claude no detectó la repetición, se intenta con los patrones locales
+      extractedData.recurrence = extractedData.recurrence || extractRecurrenceFromText(transcription, language);
       logger.info(`Task details extracted by Claude: ${JSON.stringify(extractedData)}`);
       return extractedData;
     } else {
@@ -777,11 +962,58 @@ function fallbackExtractTaskDetails(transcription, language) {
     }
   }
   
-  if (!completionDate) {
+  const recurrence = extractRecurrenceFromText(transcription, language);
+  
+  // Una tarea recurrente sin plazo explícito vence en su primera repetición
+  if (!completionDate && !recurrence) {
     completionDate = getDefaultDate();
   }
   
-  return { title, description, status, completion_date: completionDate };
+  return { title, description, status, completion_date: completionDate, recurrence };
+}
+
+// ==================== FALLBACK: EXTRAER REPETICIÓN SIN CLAUDE ====================
+const WEEKDAY_WORDS = {
+  en: { monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA', sunday: 'SU' },
+  es: { lunes: 'MO', martes: 'TU', miercoles: 'WE', jueves: 'TH', viernes: 'FR', sabado: 'SA', domingo: 'SU' }
+};
+
+function extractRecurrenceFromText(transcription, language) {
+  // Sin tildes para aceptar "miércoles"/"miercoles", "sábado"/"sabado", "día"/"dia"
+  const text = transcription.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const weekdays = WEEKDAY_WORDS[language === 'en' ? 'en' : 'es'];
+  const dayPattern = Object.keys(weekdays).join('|');
+  
+  const patterns = language === 'en'
+    ? {
+        weekdays: /\b(?:every weekday|on weekdays|monday (?:to|through) friday)\b/,
+        days: new RegExp(`\\bevery\\s+((?:(?:${dayPattern})s?(?:\\s*(?:,|and)\\s*)?)+)`),
+        daily: /\b(?:every day|each day|daily)\b/,
+        weekly: /\b(?:every week|each week|weekly)\b/,
+        monthly: /\b(?:every month|each month|monthly)\b/
+      }
+    : {
+        weekdays: /\b(?:entre semana|de lunes a viernes|dias laborables)\b/,
+        days: new RegExp(`\\b(?:cada|todos los)\\s+((?:(?:${dayPattern})s?(?:\\s*(?:,|y)\\s*)?)+)`),
+        daily: /\b(?:cada dia|todos los dias|diariamente|a diario)\b/,
+        weekly: /\b(?:cada semana|todas las semanas|semanalmente)\b/,
+        monthly: /\b(?:cada mes|todos los meses|mensualmente)\b/
+      };
+  
+  if (patterns.weekdays.test(text)) return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+  
+  const daysMatch = text.match(patterns.days);
+  if (daysMatch) {
+    const days = Object.keys(weekdays)
+      .filter(word => new RegExp(`\\b${word}`).test(daysMatch[1]))
+      .map(word => weekdays[word]);
+    if (days.length > 0) return `FREQ=WEEKLY;BYDAY=${days.join(',')}`;
+  }
+  
+  if (patterns.daily.test(text)) return 'FREQ=DAILY';
+  if (patterns.weekly.test(text)) return 'FREQ=WEEKLY';
+  if (patterns.monthly.test(text)) return 'FREQ=MONTHLY';
+  return null;
 }
 
 function formatDate(date) {
@@ -792,7 +1024,7 @@ function formatDate(date) {
 }
 
 // ==================== CREAR PROYECTO ====================
-async function processCreateProjectCommand(transcription, language) {
+async function processCreateProjectCommand(transcription, language, userId, workspaceId) {
   logger.info(`Processing create project command in ${language}`);
   
   try {
@@ -816,8 +1048,10 @@ async function processCreateProjectCommand(transcription, language) {
       }
     }
     
+    // Los títulos son únicos dentro de cada espacio de trabajo
     const existingProject = await Project.findOne({
       where: {
+        workspaceId,
         title: {
           [Op.iLike]: projectDetails.title
         }
@@ -849,7 +1083,9 @@ async function processCreateProjectCommand(transcription, language) {
       description: projectDetails.description,
       priority: projectDetails.priority,
       culmination_date: projectDetails.culmination_date,
-      creation_date: new Date()
+      creation_date: new Date(),
+      ownerId: userId,
+      workspaceId
     };
     
     logger.info(`Creating project with data: ${JSON.stringify(projectData)}`);
@@ -962,13 +1198,16 @@ Para culmination_date, si se menciona un plazo como "para fin de año", calcula
 }
 
 // ==================== BUSCAR TAREAS ====================
-async function processSearchTaskCommand(transcription, projectId, language) {
+async function processSearchTaskCommand(transcription, projectId, projects, language) {
   logger.info(`Processing search task command in ${language}`);
   
   try {
     const searchParams = await extractSearchParams(transcription, projectId, language);
     
-    const whereClause = {};
+    // Solo se buscan tareas en los proyectos del usuario
+    const whereClause = {
+      projectId: projects.map(p => p.id)
+    };
     
     if (searchParams.searchTerm) {
       whereClause[Op.or] = [
@@ -982,7 +1221,7 @@ async function processSearchTaskCommand(transcription, projectId, language) {
     }
     
     if (searchParams.projectId) {
-      whereClause.projectId = searchParams.projectId;
+      whereClause.projectId = whereClause.projectId.filter(id => id === Number(searchParams.projectId));
     }
     
     logger.info(`Searching tasks with criteria: ${JSON.stringify(whereClause)}`);
@@ -1129,7 +1368,7 @@ async function extractSearchParams(transcription, projectId, language) {
 }
 
 // ==================== BUSCAR PROYECTOS ====================
-async function processSearchProjectCommand(transcription, language) {
+async function processSearchProjectCommand(transcription, projects, language) {
   logger.info(`Processing search project command in ${language}`);
   
   try {
@@ -1159,8 +1398,9 @@ async function processSearchProjectCommand(transcription, language) {
     
     logger.info(`Searching projects with term: ${searchTerm}`);
     
-    const projects = await Project.findAll({
+    const matchingProjects = await Project.findAll({
       where: {
+        id: projects.map(p => p.id),
         [Op.or]: [
           { title: { [Op.iLike]: `%${searchTerm}%` } },
           { description: { [Op.iLike]: `%${searchTerm}%` } }
@@ -1174,9 +1414,9 @@ async function processSearchProjectCommand(transcription, language) {
       ]
     });
     
-    logger.info(`Found ${projects.length} matching projects`);
+    logger.info(`Found ${matchingProjects.length} matching projects`);
     
-    const searchResults = projects.map(project => {
+    const searchResults = matchingProjects.map(project => {
       const taskCount = project.Tasks ? project.Tasks.length : 0;
       return {
         id: project.id,
@@ -1229,7 +1469,7 @@ async function processSearchProjectCommand(transcription, language) {
 }
 
 // ==================== ACTUALIZAR TAREA ====================
-async function processUpdateTaskCommand(transcription, projects, language) {
+async function processUpdateTaskCommand(transcription, projects, language, userId) {
   logger.info(`Processing update task command in ${language}`);
   
   try {
@@ -1277,9 +1517,15 @@ async function processUpdateTaskCommand(transcription, projects, language) {
     
     let task;
     let whereClause = {};
+    // Solo se pueden actualizar tareas de los proyectos del usuario
+    const accessibleProjectIds = projects.map(p => p.id);
     
     if (!isNaN(updateDetails.taskIdentifier)) {
-      task = await Task.findByPk(parseInt(updateDetails.taskIdentifier), {
+      task = await Task.findOne({
+        where: {
+          id: parseInt(updateDetails.taskIdentifier),
+          projectId: accessibleProjectIds
+        },
         include: [{ model: Project }]
       });
     } else {
@@ -1289,9 +1535,7 @@ async function processUpdateTaskCommand(transcription, projects, language) {
         }
       };
       
-      if (projectId) {
-        whereClause.projectId = projectId;
-      }
+      whereClause.projectId = projectId || accessibleProjectIds;
       
       task = await Task.findOne({
         where: whereClause,
@@ -1305,9 +1549,7 @@ async function processUpdateTaskCommand(transcription, projects, language) {
           }
         };
         
-        if (projectId) {
-          whereClause.projectId = projectId;
-        }
+        whereClause.projectId = projectId || accessibleProjectIds;
         
         task = await Task.findOne({
           where: whereClause,
@@ -1326,9 +1568,7 @@ async function processUpdateTaskCommand(transcription, projects, language) {
             }
           };
           
-          if (projectId) {
-            whereClause.projectId = projectId;
-          }
+          whereClause.projectId = projectId || accessibleProjectIds;
           
           const possibleTasks = await Task.findAll({
             where: whereClause,
@@ -1371,6 +1611,11 @@ async function processUpdateTaskCommand(transcription, projects, language) {
     
     logger.info(`Task found: ${task.id} - ${task.title}`);
     
+    if (!(await can(userId, task.projectId, 'task:write'))) {
+      logger.warn(`User ${userId} cannot update task ${task.id}`);
+      return permissionDeniedResponse(task.Project ? task.Project.title : task.projectId, language);
+    }
+    
     if (!updateDetails.updates || Object.keys(updateDetails.updates).length === 0) {
       const lowercaseText = transcription.toLowerCase();
       
@@ -1428,11 +1673,64 @@ async function processUpdateTaskCommand(transcription, projects, language) {
       }
     }
     
+    const taskProject = await Project.findByPk(task.projectId);
+    if (updateDetails.updates.status) {
+      const status = resolveVoiceStatus(taskProject, updateDetails.updates.status);
+      if (!status) {
+        return {
+          success: false,
+          response: language === 'en'
+            ? `The board of project "${taskProject.title}" has no column for the status "${updateDetails.updates.status}".`
+            : `El tablero del proyecto "${taskProject.title}" no tiene una columna para el estado "${updateDetails.updates.status}".`
+        };
+      }
+      updateDetails.updates.status = status;
+    }
+    
     logger.info(`Updating task ${task.id} with: ${JSON.stringify(updateDetails.updates)}`);
     
     const oldStatus = task.status;
     
-    await task.update(updateDetails.updates);
+    // Mismas reglas que en la API: no completar una tarea bloqueada o con subtareas abiertas, cancelar en cascada
+    // y respetar el límite WIP y los campos obligatorios de la columna de destino
+    try {
+      if (updateDetails.updates.status && updateDetails.updates.status !== oldStatus) {
+        await checkCompletionBlockers({ id: task.id, projectId: task.projectId, status: updateDetails.updates.status });
+      }
+      await sequelize.transaction(async (transaction) => {
+        task.set(updateDetails.updates);
+        if (task.status !== oldStatus) {
+          await checkColumnEntry(taskProject, task, { transaction });
+        }
+        await task.save({ transaction });
+        if (task.status !== oldStatus) {
+          await applyParentStatusRules(task, { transaction });
+          await onStatusChange(task, { transaction });
+        }
+      });
+    } catch (error) {
+      const policyResponse = columnPolicyResponse(error, taskProject, task.title, language);
+      if (policyResponse) return policyResponse;
+      if (error.details && error.details.error === 'OPEN_SUBTASKS') {
+        const openCount = error.details.openSubtasks.length;
+        return {
+          success: false,
+          response: language === 'en'
+            ? `The task "${task.title}" still has ${openCount} open subtask(s). Complete or cancel them first.`
+            : `La tarea "${task.title}" todavía tiene ${openCount} subtarea(s) abierta(s). Complétalas o cancélalas primero.`
+        };
+      }
+      if (error.details && error.details.error === 'TASK_BLOCKED') {
+        const blockerTitles = error.details.blockers.map(blocker => `"${blocker.title}"`).join(', ');
+        return {
+          success: false,
+          response: language === 'en'
+            ? `The task "${task.title}" is blocked by ${blockerTitles}. Complete those tasks first.`
+            : `La tarea "${task.title}" está bloqueada por ${blockerTitles}. Completa esas tareas primero.`
+        };
+      }
+      throw error;
+    }
     
     let responseMessage = language === 'en'
       ? `I've updated the task "${task.title}"`
@@ -1445,19 +1743,22 @@ async function processUpdateTaskCommand(transcription, projects, language) {
     }
     
     if (updateDetails.updates.status && oldStatus !== updateDetails.updates.status) {
+      // Las columnas propias del tablero se nombran por su título
+      const column = taskProject.kanban_columns.find(col => col.id === updateDetails.updates.status);
+      const columnTitle = column ? column.title : updateDetails.updates.status;
       const statusText = language === 'en'
         ? {
             'pending': 'pending',
             'in_progress': 'in progress',
             'completed': 'completed',
             'cancelled': 'cancelled'
-          }[updateDetails.updates.status] || updateDetails.updates.status
+          }[updateDetails.updates.status] || columnTitle
         : {
             'pending': 'pendiente',
             'in_progress': 'en progreso',
             'completed': 'completada',
             'cancelled': 'cancelada'
-          }[updateDetails.updates.status] || updateDetails.updates.status;
+          }[updateDetails.updates.status] || columnTitle;
       
       responseMessage += language === 'en'
         ? `, marking it as ${statusText}`
@@ -1620,7 +1921,7 @@ function fallbackExtractUpdateDetails(transcription, language) {
 }
 
 // ==================== ACTUALIZAR PROYECTO ====================
-async function processUpdateProjectCommand(transcription, language) {
+async function processUpdateProjectCommand(transcription, projects, language, userId) {
   logger.info(`Processing update project command in ${language}`);
   
   try {
@@ -1767,12 +2068,18 @@ async function processUpdateProjectCommand(transcription, language) {
     }
     
     let project;
+    // Solo se pueden actualizar proyectos del usuario
+    const accessibleProjectIds = projects.map(p => p.id);
     
     if (!isNaN(projectIdentifier)) {
-      project = await Project.findByPk(parseInt(projectIdentifier));
+      const requestedId = parseInt(projectIdentifier);
+      project = accessibleProjectIds.includes(requestedId)
+        ? await Project.findByPk(requestedId)
+        : null;
     } else {
       project = await Project.findOne({
         where: {
+          id: accessibleProjectIds,
           title: {
             [Op.iLike]: `%${projectIdentifier}%`
           }
@@ -1786,6 +2093,7 @@ async function processUpdateProjectCommand(transcription, language) {
           
           const possibleProjects = await Project.findAll({
             where: {
+              id: accessibleProjectIds,
               title: {
                 [Op.iLike]: `%${mainKeyword}%`
               }
@@ -1810,6 +2118,11 @@ async function processUpdateProjectCommand(transcription, language) {
       };
     }
     
+    if (!(await can(userId, project.id, 'project:update'))) {
+      logger.warn(`User ${userId} cannot update project ${project.id}`);
+      return permissionDeniedResponse(project.title, language);
+    }
+    
     logger.info(`Updating project ${project.id} with: ${JSON.stringify(updates)}`);
     
     const oldPriority = project.priority;
@@ -1872,24 +2185,21 @@ async function processUpdateProjectCommand(transcription, language) {
 }
 
 // ==================== CONTAR TAREAS ====================
-async function processCountTasksCommand(language) {
+async function processCountTasksCommand(projects, language) {
   logger.info(`Processing count tasks command in ${language}`);
   
   try {
-    const taskCount = await Task.count();
+    // Solo se cuentan las tareas de los proyectos del usuario
+    const projectIds = projects.map(p => p.id);
+    
+    const taskCount = await Task.count({ where: { projectId: projectIds } });
     logger.info(`Total tasks: ${taskCount}`);
     
-    const pendingTasks = await Task.count({ where: { status: 'pending' } });
-    const inProgressTasks = await Task.count({ where: { status: 'in_progress' } });
-    const completedTasks = await Task.count({ where: { status: 'completed' } });
-    const cancelledTasks = await Task.count({ where: { status: 'cancelled' } });
+    const pendingTasks = await Task.count({ where: { projectId: projectIds, status: 'pending' } });
+    const inProgressTasks = await Task.count({ where: { projectId: projectIds, status: 'in_progress' } });
     
-    const totalByStatus = pendingTasks + inProgressTasks + completedTasks + cancelledTasks;
-    if (totalByStatus !== taskCount) {
-      logger.warn(`Discrepancy in task count: total=${taskCount}, sum of statuses=${totalByStatus}`);
-    }
-    
-    const projects = await Project.findAll({
+    const projectsWithTaskList = await Project.findAll({
+      where: { id: projectIds },
       include: [
         {
           model: Task,
@@ -1898,18 +2208,27 @@ async function processCountTasksCommand(language) {
       ]
     });
     
-    const tasksByProject = projects.map(project => {
+    // Las columnas de terminadas y canceladas dependen del tablero de cada proyecto
+    const tasksByProject = projectsWithTaskList.map(project => {
       const projectTasks = project.Tasks || [];
+      const { doneStatuses, cancelledStatuses } = getStatusSemantics(project);
       return {
         projectId: project.id,
         projectName: project.title,
         taskCount: projectTasks.length,
         pendingCount: projectTasks.filter(task => task.status === 'pending').length,
         inProgressCount: projectTasks.filter(task => task.status === 'in_progress').length,
-        completedCount: projectTasks.filter(task => task.status === 'completed').length,
-        cancelledCount: projectTasks.filter(task => task.status === 'cancelled').length
+        completedCount: projectTasks.filter(task => doneStatuses.includes(task.status)).length,
+        cancelledCount: projectTasks.filter(task => cancelledStatuses.includes(task.status)).length
       };
     });
+    const completedTasks = tasksByProject.reduce((sum, project) => sum + project.completedCount, 0);
+    const cancelledTasks = tasksByProject.reduce((sum, project) => sum + project.cancelledCount, 0);
+    
+    const totalByStatus = pendingTasks + inProgressTasks + completedTasks + cancelledTasks;
+    if (totalByStatus !== taskCount) {
+      logger.warn(`Discrepancy in task count: total=${taskCount}, sum of statuses=${totalByStatus}`);
+    }
     
     let responseMessage;
     
@@ -1963,14 +2282,18 @@ async function processCountTasksCommand(language) {
 }
 
 // ==================== CONTAR PROYECTOS ====================
-async function processCountProjectsCommand(language) {
+async function processCountProjectsCommand(projects, language) {
   logger.info(`Processing count projects command in ${language}`);
   
   try {
-    const projectCount = await Project.count();
+    // Solo se cuentan los proyectos del usuario
+    const projectIds = projects.map(p => p.id);
+    
+    const projectCount = await Project.count({ where: { id: projectIds } });
     logger.info(`Total projects: ${projectCount}`);
     
-    const projects = await Project.findAll({
+    const projectsWithTaskList = await Project.findAll({
+      where: { id: projectIds },
       include: [
         {
           model: Task,
@@ -1979,7 +2302,7 @@ async function processCountProjectsCommand(language) {
       ]
     });
     
-    const projectStats = projects.map(project => ({
+    const projectStats = projectsWithTaskList.map(project => ({
       id: project.id,
       title: project.title,
       taskCount: project.Tasks ? project.Tasks.length : 0
@@ -2025,7 +2348,7 @@ async function processCountProjectsCommand(language) {
 
 // ==================== ASISTENCIA GENERAL CON CONTEXTO ====================
 // ==================== ASISTENCIA GENERAL CON CONTEXTO ====================
-async function processAssistanceCommand(transcription, projects, language, userToken) {
+async function processAssistanceCommand(transcription, projects, language, userToken, userId, workspaceId) {
   logger.info(`Processing assistance command with context in ${language}`);
   
   const normalizedText = transcription.toLowerCase()
@@ -2045,13 +2368,13 @@ async function processAssistanceCommand(transcription, projects, language, userT
     if ((normalizedText.includes('crear') || normalizedText.includes('create') || normalizedText.includes('crea')) && 
         (normalizedText.includes('tarea') || normalizedText.includes('task') || normalizedText.includes('actividad') || normalizedText.includes('activity'))) {
       logger.info('Redirecting from assistance to createTask');
-      return processCreateTaskCommand(transcription, null, projects, language);
+      return processCreateTaskCommand(transcription, null, projects, language, userId);
     }
     
     if ((normalizedText.includes('crear') || normalizedText.includes('create') || normalizedText.includes('crea')) && 
         (normalizedText.includes('proyecto') || normalizedText.includes('project'))) {
       logger.info('Redirecting from assistance to createProject');
-      return processCreateProjectCommand(transcription, language);
+      return processCreateProjectCommand(transcription, language, userId, workspaceId);
     }
   }
   
@@ -2067,7 +2390,8 @@ async function processAssistanceCommand(transcription, projects, language, userT
     // ✅ USAR EL TOKEN DEL USUARIO, NO CLAUDE_API_KEY
     const contextResponse = await axios.get(contextURL, {
       headers: {
-        'x-auth-token': userToken || process.env.JWT_SECRET // Usar el token del usuario
+        'x-auth-token': userToken, // El mismo token con el que se autenticó el comando de voz
+        'x-workspace-id': workspaceId // Mismo espacio de trabajo que el comando de voz
       },
       timeout: 5000 // 5 segundos de timeout
     });
@@ -1,26 +1,97 @@
 const express = require('express');
-const { createTask, getAllTasks, getTasksByProject, getTaskById, updateTask, deleteTask } = require('../controllers/taskController');
-const { validateTaskUpdate, validateTaskCreation, validateTaskFilters } = require('../middleware/validation');
+const {
+  createTask, getAllTasks, getTasksByProject, getTaskById, getTaskHistory, updateTask, moveTask, skipTaskOccurrence, deleteTask
+} = require('../controllers/taskController');
+const { getTaskAttachments, uploadTaskAttachment, downloadTaskAttachment, deleteTaskAttachment } = require('../controllers/attachmentController');
+const { getTaskComments, createTaskComment, updateTaskComment, deleteTaskComment } = require('../controllers/commentController');
+const { getTaskDependencies, createTaskDependency, deleteTaskDependency } = require('../controllers/dependencyController');
+const {
+  getTaskTimeEntries, createTaskTimeEntry, updateTaskTimeEntry, deleteTaskTimeEntry, startTaskTimer, stopTaskTimer
+} = require('../controllers/timeEntryController');
+const {
+  validateTaskUpdate, validateTaskMove, validateTaskCreation, validateTaskFilters, validateProjectTaskFilters, validateComment, validateCommentFilters,
+  validateDependency, validateTimer, validateTimeEntry
+} = require('../middleware/validation');
 const auth = require('../middleware/auth');
+const { uploadAttachment } = require('../middleware/upload');
+const { authorizeProject, requireScope, projectFromParam, projectFromBody, projectFromTask } = require('../middleware/authorize');
 
 const router = express.Router();
 
 // Obtener todas las tareas
-router.get('/', auth, validateTaskFilters, getAllTasks);
+router.get('/', auth, requireScope('tasks:read'), validateTaskFilters, getAllTasks);
+
+// Obtener el historial de cambios de una tarea
+router.get('/:id/history', auth, authorizeProject('task:read', projectFromTask(), 'Task not found'), getTaskHistory);
+
+// Comentarios de una tarea (paginados) y sus respuestas
+router.get('/:id/comments', auth, authorizeProject('task:read', projectFromTask(), 'Task not found'), validateCommentFilters, getTaskComments);
+
+// Comentar una tarea o responder a un comentario
+router.post('/:id/comments', auth, authorizeProject('comment:write', projectFromTask(), 'Task not found'), validateComment, createTaskComment);
+
+// Editar un comentario (solo su autor)
+router.put('/:id/comments/:commentId', auth, authorizeProject('comment:write', projectFromTask(), 'Task not found'), validateComment, updateTaskComment);
+
+// Eliminar un comentario y sus respuestas (solo su autor)
+router.delete('/:id/comments/:commentId', auth, authorizeProject('comment:write', projectFromTask(), 'Task not found'), deleteTaskComment);
+
+// Saltar la repetición actual de una tarea recurrente (pasa a la siguiente fecha de su regla)
+router.post('/:id/recurrence/skip', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), skipTaskOccurrence);
+
+// Dependencias de una tarea (las que la bloquean y las que bloquea)
+router.get('/:id/dependencies', auth, authorizeProject('task:read', projectFromTask(), 'Task not found'), getTaskDependencies);
+
+// Marcar una tarea como bloqueada por otra
+router.post('/:id/dependencies', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), validateDependency, createTaskDependency);
+
+// Quitar una dependencia
+router.delete('/:id/dependencies/:blockedByTaskId', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), deleteTaskDependency);
+
+// Tiempo registrado en una tarea y comparación con su estimación
+router.get('/:id/time-entries', auth, authorizeProject('task:read', projectFromTask(), 'Task not found'), getTaskTimeEntries);
+
+// Registrar tiempo a mano
+router.post('/:id/time-entries', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), validateTimeEntry, createTaskTimeEntry);
+
+// Editar una entrada de tiempo (solo quien la registró)
+router.put('/:id/time-entries/:entryId', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), validateTimeEntry, updateTaskTimeEntry);
+
+// Eliminar una entrada de tiempo (solo quien la registró)
+router.delete('/:id/time-entries/:entryId', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), deleteTaskTimeEntry);
+
+// Poner en marcha y detener el temporizador del usuario en una tarea
+router.post('/:id/timer/start', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), validateTimer, startTaskTimer);
+router.post('/:id/timer/stop', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), stopTaskTimer);
+
+// Adjuntos de una tarea
+router.get('/:id/attachments', auth, authorizeProject('task:read', projectFromTask(), 'Task not found'), getTaskAttachments);
+
+// Descargar un adjunto
+router.get('/:id/attachments/:attachmentId/download', auth, authorizeProject('task:read', projectFromTask(), 'Task not found'), downloadTaskAttachment);
+
+// Adjuntar un archivo (multipart, campo "file")
+router.post('/:id/attachments', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), uploadAttachment, uploadTaskAttachment);
+
+// Eliminar un adjunto
+router.delete('/:id/attachments/:attachmentId', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), deleteTaskAttachment);
 
 // Obtener una tarea específica por ID
-router.get('/:id', auth, getTaskById);
+router.get('/:id', auth, authorizeProject('task:read', projectFromTask(), 'Task not found'), getTaskById);
 
 // Obtener todas las tareas de un proyecto específico
-router.get('/project/:projectId', auth, getTasksByProject);
+router.get('/project/:projectId', auth, authorizeProject('task:read', projectFromParam('projectId')), validateProjectTaskFilters, getTasksByProject);
 
 // Crear una nueva tarea
-router.post('/', auth, validateTaskCreation, createTask);
+router.post('/', auth, authorizeProject('task:write', projectFromBody('projectId')), validateTaskCreation, createTask);
 
 // Actualizar una tarea existente
-router.put('/:id', auth, validateTaskUpdate, updateTask);
+router.put('/:id', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), validateTaskUpdate, updateTask);
+
+// Mover una tarjeta del Kanban: cambia su columna y su posición a la vez
+router.patch('/:id/move', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), validateTaskMove, moveTask);
 
 // Eliminar una tarea
-router.delete('/:id', auth, deleteTask);
+router.delete('/:id', auth, authorizeProject('task:write', projectFromTask(), 'Task not found'), deleteTask);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
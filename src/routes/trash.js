@@ -0,0 +1,16 @@
+const express = require('express');
+const { getTrash, restoreProject, restoreTask } = require('../controllers/trashController');
+const { requireScope } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Obtener la papelera del espacio de trabajo activo
+router.get('/', requireScope('projects:read'), getTrash);
+
+// Restaurar un proyecto (y las tareas eliminadas con él)
+router.post('/projects/:id/restore', requireScope('projects:admin'), restoreProject);
+
+// Restaurar una tarea
+router.post('/tasks/:id/restore', requireScope('tasks:write'), restoreTask);
+
+module.exports = router;
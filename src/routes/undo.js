@@ -0,0 +1,10 @@
+const express = require('express');
+const { undo } = require('../controllers/undoController');
+const { requireScope } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Deshacer una operación reciente con su token (cada cambio revertido exige además su propio permiso)
+router.post('/:token', requireScope('tasks:write'), undo);
+
+module.exports = router;
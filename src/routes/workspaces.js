@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspaceById,
+  updateWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember,
+  switchWorkspace
+} = require('../controllers/workspaceController');
+const { requireSession } = require('../middleware/auth');
+const { requireScope } = require('../middleware/authorize');
+const { authorizeWorkspace } = require('../middleware/workspace');
+
+const router = express.Router();
+
+// Ruta para obtener los espacios de trabajo del usuario (protegida)
+router.get('/', requireScope('projects:read'), getWorkspaces);
+
+// Ruta para crear un espacio de trabajo (protegida)
+router.post('/', requireScope('projects:admin'), createWorkspace);
+
+// Ruta para seleccionar el espacio de trabajo de la sesión (solo sesiones iniciadas con contraseña)
+router.post('/:id/switch', requireSession, authorizeWorkspace(), switchWorkspace);
+
+// Ruta para obtener los miembros de un espacio de trabajo (protegida)
+router.get('/:id/members', requireScope('projects:read'), authorizeWorkspace(), getWorkspaceMembers);
+
+// Rutas para gestionar los miembros (solo administradores del espacio de trabajo)
+router.post('/:id/members', requireScope('projects:admin'), authorizeWorkspace({ adminOnly: true }), addWorkspaceMember);
+router.put('/:id/members/:memberId', requireScope('projects:admin'), authorizeWorkspace({ adminOnly: true }), updateWorkspaceMemberRole);
+router.delete('/:id/members/:memberId', requireScope('projects:admin'), authorizeWorkspace({ adminOnly: true }), removeWorkspaceMember);
+
+// Ruta para renombrar un espacio de trabajo (solo administradores)
+router.put('/:id', requireScope('projects:admin'), authorizeWorkspace({ adminOnly: true }), updateWorkspace);
+
+// Ruta para obtener un espacio de trabajo por su ID (protegida)
+router.get('/:id', requireScope('projects:read'), authorizeWorkspace(), getWorkspaceById);
+
+module.exports = router;
@@ -13,7 +13,16 @@ const projectRoutes = require('./routes/projects');
 const taskRoutes = require('./routes/tasks');
 const speechRoutes = require('./routes/speech'); // Nueva importación para rutas de reconocimiento de voz
 const authMiddleware = require('./middleware/auth');
+const workspaceMiddleware = require('./middleware/workspace');
 const assistantRoutes = require('./routes/assistant');
+const workspaceRoutes = require('./routes/workspaces');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const undoRoutes = require('./routes/undo');
+const undoable = require('./middleware/undo');
+const { startTrashPurgeJob } = require('./jobs/trashPurge');
+const { startRecurringTasksJob } = require('./jobs/recurringTasks');
+const { requestContext } = require('./utils/requestContext');
 
 // Carga variables de entorno desde un archivo .env
 require('dotenv').config();
@@ -21,8 +30,13 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 10000; // Puerto en el que correrá el servidor
 
+// En producción la API está detrás del proxy de la plataforma: usar la IP real del cliente (X-Forwarded-For)
+// para que la protección contra fuerza bruta del login cuente los intentos por cliente y no por proxy
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || (process.env.NODE_ENV === 'production' ? 1 : 0));
+
 // Configuración de middleware
 app.use(bodyParser.json()); // Habilita el parsing de JSON en las solicitudes
+app.use(requestContext); // Contexto de la solicitud (autor y origen de los cambios para la auditoría)
 
 // Configuración de CORS mejorada que acepta el dominio con y sin barra final
 app.use(cors({
@@ -44,8 +58,9 @@ app.use(cors({
       callback(new Error('No permitido por CORS'));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'x-auth-token', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'x-auth-token', 'Authorization', 'X-Workspace-Id'],
+  exposedHeaders: ['X-Undo-Token', 'X-Undo-Expires-At'] // Token para deshacer la operación
 }));
 
 app.get('/api/debug', (req, res) => {
@@ -58,10 +73,14 @@ app.get('/api/debug', (req, res) => {
 });
 
 app.use('/api/auth', authRoutes);
-app.use('/api/projects', authMiddleware, projectRoutes);
-app.use('/api/tasks', authMiddleware, taskRoutes);
-app.use('/api/speech', authMiddleware, speechRoutes);
-app.use('/api/assistant', authMiddleware, assistantRoutes);
+app.use('/api/workspaces', authMiddleware, workspaceRoutes);
+app.use('/api/projects', authMiddleware, workspaceMiddleware, undoable, projectRoutes);
+app.use('/api/tasks', authMiddleware, workspaceMiddleware, undoable, taskRoutes);
+app.use('/api/speech', authMiddleware, workspaceMiddleware, undoable, speechRoutes);
+app.use('/api/assistant', authMiddleware, workspaceMiddleware, assistantRoutes);
+app.use('/api/audit', authMiddleware, workspaceMiddleware, auditRoutes);
+app.use('/api/trash', authMiddleware, workspaceMiddleware, undoable, trashRoutes);
+app.use('/api/undo', authMiddleware, workspaceMiddleware, undoRoutes);
 
 // Servir archivos estáticos desde la carpeta build
 app.use(express.static(path.join(__dirname, '..', 'build')));
@@ -88,6 +107,12 @@ sequelize.authenticate()
     app.listen(PORT, () => {
       winston.info(`Server running on port ${PORT}`);
     });
+
+    // Purga periódica de la papelera
+    startTrashPurgeJob();
+
+    // Generación periódica de las repeticiones de las tareas recurrentes
+    startRecurringTasksJob();
   })
   .catch(err => {
     winston.error('Unable to connect to the database:', err);
@@ -0,0 +1,163 @@
+const { Op } = require('sequelize');
+const { sequelize, User, Project, Task, ProjectMembership, Workspace, WorkspaceMembership } = require('../models');
+const HttpError = require('../utils/httpError');
+const { revokeAllUserSessions } = require('./session');
+const logger = require('../logger');
+
+/**
+ * Account lifecycle operations: profile formatting and account deletion.
+ */
+
+/**
+ * Formats a user for API responses (never exposes the password hash).
+ * @param {User} user - The user instance
+ * @returns {Object} Public profile data
+ */
+function formatProfile(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    twoFactorEnabled: user.twoFactorEnabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+/**
+ * Removes a user from their workspaces without leaving any of them without an admin.
+ * @param {number} userId - ID of the user being deleted
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function handOverWorkspaces(userId, transaction) {
+  const memberships = await WorkspaceMembership.findAll({ where: { userId }, transaction });
+
+  for (const membership of memberships) {
+    const others = await WorkspaceMembership.findAll({
+      where: { workspaceId: membership.workspaceId, userId: { [Op.ne]: userId } },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    if (others.length === 0) {
+      // Nadie más usa el espacio de trabajo: se elimina si ya no tiene proyectos
+      const projectCount = await Project.count({ where: { workspaceId: membership.workspaceId }, paranoid: false, transaction });
+      if (projectCount === 0) {
+        await Workspace.destroy({ where: { id: membership.workspaceId }, transaction });
+      }
+      continue;
+    }
+
+    if (membership.role === 'admin' && !others.some(other => other.role === 'admin')) {
+      await others[0].update({ role: 'admin' }, { transaction });
+    }
+  }
+
+  await WorkspaceMembership.destroy({ where: { userId }, transaction });
+}
+
+/**
+ * Deletes a user account.
+ *
+ * Owned projects listed in `transfers` are handed over to the given user, who must
+ * already be an active member of the project and becomes its owner. Every other
+ * owned project (including those in the trash) is permanently deleted with its tasks. The user's memberships are removed, tasks
+ * assigned to them are unassigned and all their sessions are revoked.
+ *
+ * Workspaces where the user is the only admin get a new admin (the oldest member);
+ * workspaces left without members and projects are deleted.
+ *
+ * @param {number} userId - ID of the user to delete
+ * @param {Object<string, number>} [transfers] - Map of projectId → userId of the new owner
+ * @returns {Promise<{transferred: number[], deleted: number[]}>} IDs of the affected projects
+ * @throws {HttpError} 400 when a transfer is invalid (not integer IDs, a project not owned,
+ *   or a new owner who is not a member)
+ */
+async function deleteAccount(userId, transfers = {}) {
+  // Los IDs que no son enteros no llegan a la base de datos (fallaría la conversión)
+  for (const [projectId, newOwnerId] of Object.entries(transfers)) {
+    if (!/^\d+$/.test(String(projectId))) {
+      throw new HttpError(400, `Invalid project ID '${projectId}' in transfers.`);
+    }
+    if (newOwnerId !== null && newOwnerId !== undefined && !/^\d+$/.test(String(newOwnerId))) {
+      throw new HttpError(400, `Invalid user ID '${newOwnerId}' for project ${projectId}.`, { projectId: Number(projectId) });
+    }
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const ownedProjects = await Project.findAll({
+      where: { ownerId: userId },
+      attributes: ['id', 'title', 'ownerId'],
+      paranoid: false, // También los proyectos en la papelera
+      transaction
+    });
+    const ownedIds = ownedProjects.map(project => String(project.id));
+
+    // Validar que las transferencias solo apunten a proyectos propios
+    for (const projectId of Object.keys(transfers)) {
+      if (!ownedIds.includes(String(projectId))) {
+        throw new HttpError(400, `Project ${projectId} is not owned by this account.`);
+      }
+    }
+
+    // Validar los nuevos propietarios antes de modificar nada
+    const newOwners = new Map();
+    for (const project of ownedProjects) {
+      const newOwnerId = transfers[project.id];
+      if (newOwnerId === undefined || newOwnerId === null) continue;
+
+      // El nuevo propietario debe ser un miembro activo del proyecto
+      const membership = await ProjectMembership.findOne({
+        where: { projectId: project.id, userId: Number(newOwnerId) },
+        transaction
+      });
+      if (!membership || Number(newOwnerId) === Number(userId)) {
+        throw new HttpError(400, `User ${newOwnerId} is not a member of project ${project.id}.`, {
+          projectId: project.id
+        });
+      }
+      newOwners.set(project.id, membership);
+    }
+
+    const transferred = [];
+    const deleted = [];
+
+    for (const project of ownedProjects) {
+      const membership = newOwners.get(project.id);
+
+      if (!membership) {
+        // Sin transferencia: se elimina definitivamente el proyecto junto con sus tareas (sin pasar por la papelera)
+        await Task.destroy({ where: { projectId: project.id }, force: true, transaction });
+        await project.destroy({ force: true, transaction });
+        deleted.push(project.id);
+        continue;
+      }
+
+      await membership.update({ role: 'owner' }, { transaction });
+      await project.update({ ownerId: membership.userId }, { transaction });
+      transferred.push(project.id);
+    }
+
+    // Quitar al usuario de los proyectos compartidos y desasignar sus tareas
+    await ProjectMembership.destroy({ where: { userId }, transaction });
+    await Task.update(
+      { assignedUserId: null, assigned_member: null },
+      { where: { assignedUserId: userId }, transaction }
+    );
+
+    await handOverWorkspaces(userId, transaction);
+
+    await revokeAllUserSessions(userId, 'account_deleted', { transaction });
+    await User.destroy({ where: { id: userId }, transaction });
+
+    logger.info(`Account ${userId} deleted: ${transferred.length} project(s) transferred, ${deleted.length} deleted`);
+    return { transferred, deleted };
+  });
+}
+
+module.exports = {
+  formatProfile,
+  deleteAccount
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+const createLocalDiskDriver = require('./localDiskDriver');
+
+/**
+ * Storage of attachment files.
+ *
+ * The attachment service only talks to a driver through this interface, so other
+ * backends (e.g. an S3-compatible bucket) can be added as new drivers selected
+ * with ATTACHMENT_STORAGE_DRIVER.
+ *
+ * @typedef {Object} StorageDriver
+ * @property {string} name - Driver name
+ * @property {function(string, Buffer): Promise<void>} put - Stores a file under a key
+ * @property {function(string): Promise<import('stream').Readable|null>} createReadStream - Opens a file, or null if it does not exist
+ * @property {function(string): Promise<void>} delete - Deletes a file (no error if it does not exist)
+ */
+
+// Carpeta de los adjuntos del driver local
+const LOCAL_STORAGE_DIR = process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '../../uploads/attachments');
+
+let driver = null;
+
+/**
+ * Returns the configured storage driver, creating it on first use.
+ * @returns {StorageDriver}
+ */
+function getStorage() {
+  if (!driver) {
+    const name = process.env.ATTACHMENT_STORAGE_DRIVER || 'local';
+    if (name !== 'local') {
+      throw new Error(`Unknown attachment storage driver: ${name}`);
+    }
+    driver = createLocalDiskDriver(LOCAL_STORAGE_DIR);
+  }
+  return driver;
+}
+
+/**
+ * Replaces the active driver (pass null to go back to the configured one).
+ * @param {StorageDriver|null} customDriver
+ */
+function setStorage(customDriver) {
+  driver = customDriver;
+}
+
+module.exports = { getStorage, setStorage };
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver that keeps attachments as files under a local directory.
+ * Only suitable for a single API instance with a persistent disk.
+ *
+ * @param {string} root - Base directory of the files
+ * @returns {import('./index').StorageDriver}
+ */
+function createLocalDiskDriver(root) {
+  // Las claves las genera el servicio, pero se comprueba que no salgan del directorio base
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    createReadStream: async (key) => {
+      const filePath = resolve(key);
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+    delete: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+module.exports = createLocalDiskDriver;
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const Attachment = require('../models/attachment');
+const HttpError = require('../utils/httpError');
+const { sniffMimeType } = require('../utils/mimeSniff');
+const { getStorage } = require('./attachmentStorage');
+const logger = require('../logger');
+
+/**
+ * File attachments on tasks.
+ *
+ * The type of each file is detected from its content and only known types are
+ * accepted. Every project has a storage quota shared by the attachments of all its
+ * tasks. Files are removed from the storage when their task (or project) is
+ * permanently deleted; a task in the trash keeps its attachments.
+ */
+
+const MB = 1024 * 1024;
+const MAX_FILE_BYTES = (parseInt(process.env.ATTACHMENT_MAX_FILE_MB) || 25) * MB;
+const PROJECT_QUOTA_BYTES = (parseInt(process.env.PROJECT_ATTACHMENT_QUOTA_MB) || 100) * MB;
+
+/**
+ * Cleans a file name sent by the client: no directories or control characters, at most 255 characters.
+ * @param {string} filename
+ * @returns {string}
+ */
+function sanitizeFilename(filename) {
+  const name = path.basename(String(filename || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim();
+  return (name || 'file').slice(-255);
+}
+
+/**
+ * Formats an attachment for API responses.
+ * @param {Attachment} attachment
+ * @returns {Object}
+ */
+function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    taskId: attachment.taskId,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    checksum: attachment.checksum,
+    uploadedBy: attachment.uploadedBy,
+    createdAt: attachment.createdAt,
+    downloadUrl: `/api/tasks/${attachment.taskId}/attachments/${attachment.id}/download`
+  };
+}
+
+/**
+ * Returns the space used by the attachments of a project and its quota.
+ * @param {number} projectId
+ * @returns {Promise<{usedBytes: number, quotaBytes: number}>}
+ */
+async function getProjectUsage(projectId) {
+  const usedBytes = Number(await Attachment.sum('size', { where: { projectId } })) || 0;
+  return { usedBytes, quotaBytes: PROJECT_QUOTA_BYTES };
+}
+
+/**
+ * Lists the attachments of a task, oldest first, with the usage of its project.
+ * @param {{id: number, projectId: number}} task
+ * @returns {Promise<{attachments: Object[], usage: {usedBytes: number, quotaBytes: number}}>}
+ */
+async function listAttachments(task) {
+  const attachments = await Attachment.findAll({
+    where: { taskId: task.id },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  return { attachments: attachments.map(formatAttachment), usage: await getProjectUsage(task.projectId) };
+}
+
+/**
+ * Stores an uploaded file as an attachment of a task.
+ *
+ * @param {{id: number, projectId: number}} task
+ * @param {number} userId - Uploader
+ * @param {{originalname: string, buffer: Buffer, size: number}} file - File received by multer (memory storage)
+ * @returns {Promise<Object>} The formatted attachment
+ * @throws {HttpError} 400 no file, 415 unsupported type, 413 project quota exceeded
+ */
+async function addAttachment(task, userId, file) {
+  if (!file || !file.buffer || file.size === 0) {
+    throw new HttpError(400, 'A non-empty file is required (multipart field "file")');
+  }
+
+  const mimeType = sniffMimeType(file.buffer, file.originalname);
+  if (!mimeType) {
+    throw new HttpError(415, 'Unsupported file type', { error: 'UNSUPPORTED_FILE_TYPE' });
+  }
+
+  const { usedBytes, quotaBytes } = await getProjectUsage(task.projectId);
+  if (usedBytes + file.size > quotaBytes) {
+    throw new HttpError(413, 'The project has no space left for this file', {
+      error: 'QUOTA_EXCEEDED',
+      usedBytes,
+      quotaBytes
+    });
+  }
+
+  const storage = getStorage();
+  const storageKey = `projects/${task.projectId}/tasks/${task.id}/${uuidv4()}`;
+  await storage.put(storageKey, file.buffer);
+
+  try {
+    const attachment = await Attachment.create({
+      taskId: task.id,
+      projectId: task.projectId,
+      uploadedBy: userId,
+      filename: sanitizeFilename(file.originalname),
+      mimeType,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storageKey
+    });
+    return formatAttachment(attachment);
+  } catch (error) {
+    // Sin registro el archivo quedaría huérfano
+    await storage.delete(storageKey);
+    throw error;
+  }
+}
+
+/**
+ * Finds an attachment of a task.
+ * @param {number} taskId
+ * @param {number|string} attachmentId
+ * @returns {Promise<Attachment>}
+ * @throws {HttpError} 404 when it does not exist on that task
+ */
+async function findTaskAttachment(taskId, attachmentId) {
+  const attachment = await Attachment.findOne({ where: { id: attachmentId, taskId } });
+  if (!attachment) {
+    throw new HttpError(404, 'Attachment not found');
+  }
+  return attachment;
+}
+
+/**
+ * Opens an attachment for download.
+ * @param {number} taskId
+ * @param {number|string} attachmentId
+ * @returns {Promise<{attachment: Attachment, stream: import('stream').Readable}>}
+ * @throws {HttpError} 404 when the attachment or its file does not exist
+ */
+async function openAttachment(taskId, attachmentId) {
+  const attachment = await findTaskAttachment(taskId, attachmentId);
+  const stream = await getStorage().createReadStream(attachment.storageKey);
+  if (!stream) {
+    logger.error(`File of attachment ${attachment.id} is missing from the storage (${attachment.storageKey})`);
+    throw new HttpError(404, 'Attachment not found');
+  }
+  return { attachment, stream };
+}
+
+/**
+ * Deletes an attachment and its file.
+ * @param {number} taskId
+ * @param {number|string} attachmentId
+ * @returns {Promise<void>}
+ */
+async function deleteAttachment(taskId, attachmentId) {
+  const attachment = await findTaskAttachment(taskId, attachmentId);
+  await attachment.destroy();
+  await removeStoredFiles([attachment.storageKey]);
+}
+
+/**
+ * Deletes files from the storage, logging (not throwing) the failures.
+ * @param {string[]} storageKeys
+ * @returns {Promise<void>}
+ */
+async function removeStoredFiles(storageKeys) {
+  const storage = getStorage();
+  for (const key of storageKeys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      logger.error(`Error deleting attachment file ${key}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Registers the hooks that remove the files of the attachments when a task or a
+ * project is permanently deleted (forced destroy). The rows go away with the
+ * ON DELETE CASCADE; the files are deleted once the transaction commits.
+ *
+ * @param {{Task: Object, Project: Object}} models
+ */
+function registerAttachmentCleanup({ Task, Project }) {
+  const pending = new WeakMap();
+
+  const collect = (field) => async (instance, options) => {
+    if (!options.force) return;
+    const attachments = await Attachment.findAll({
+      where: { [field]: instance.id },
+      attributes: ['id', 'storageKey'],
+      transaction: options.transaction
+    });
+    if (attachments.length > 0) pending.set(instance, attachments.map(attachment => attachment.storageKey));
+  };
+
+  const cleanup = async (instance, options) => {
+    const storageKeys = pending.get(instance);
+    if (!storageKeys) return;
+    pending.delete(instance);
+
+    if (options.transaction) {
+      options.transaction.afterCommit(() => removeStoredFiles(storageKeys));
+    } else {
+      await removeStoredFiles(storageKeys);
+    }
+  };
+
+  Task.addHook('beforeDestroy', 'attachments', collect('taskId'));
+  Task.addHook('afterDestroy', 'attachments', cleanup);
+  Project.addHook('beforeDestroy', 'attachments', collect('projectId'));
+  Project.addHook('afterDestroy', 'attachments', cleanup);
+}
+
+module.exports = {
+  MAX_FILE_BYTES,
+  PROJECT_QUOTA_BYTES,
+  listAttachments,
+  addAttachment,
+  openAttachment,
+  deleteAttachment,
+  registerAttachmentCleanup
+};
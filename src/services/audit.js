@@ -0,0 +1,220 @@
+const { Op } = require('sequelize');
+const AuditEvent = require('../models/auditEvent');
+const Project = require('../models/project');
+const User = require('../models/user');
+const { getCurrentActor, trackAuditEvent } = require('../utils/requestContext');
+
+/**
+ * Audit log of the changes made to projects, tasks and project memberships.
+ *
+ * Events are written from Sequelize hooks in the same transaction as the change,
+ * so every code path (REST controllers, voice commands, account deletion...) is
+ * covered. The actor and the source come from the request context.
+ */
+
+// Campos que no se registran en los diffs
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Returns the plain values of an entity, without the ignored fields.
+ * @param {Object} instance - Sequelize instance
+ * @returns {Object}
+ */
+function snapshot(instance) {
+  const values = { ...instance.get({ plain: true }) };
+  IGNORED_FIELDS.forEach(field => delete values[field]);
+  return values;
+}
+
+/**
+ * Returns the fields changed by an update with their previous and new values.
+ * @param {Object} instance - Sequelize instance being updated
+ * @returns {{before: Object, after: Object}|null} Null when nothing relevant changed
+ */
+function diff(instance) {
+  const changed = (instance.changed() || []).filter(field => !IGNORED_FIELDS.includes(field));
+  const before = {};
+  const after = {};
+
+  for (const field of changed) {
+    const previous = instance.previous(field);
+    const current = instance.get(field);
+    if (JSON.stringify(previous) === JSON.stringify(current)) continue;
+
+    before[field] = previous === undefined ? null : previous;
+    after[field] = current === undefined ? null : current;
+  }
+
+  return Object.keys(after).length > 0 ? { before, after } : null;
+}
+
+/**
+ * Writes an audit event for a change of an entity.
+ * @param {string} entityType - 'project', 'task' or 'membership'
+ * @param {string} action - 'create', 'update', 'delete', 'restore' or 'purge'
+ * @param {Object} instance - The changed Sequelize instance
+ * @param {Object} options - Hook options (transaction)
+ * @returns {Promise<void>}
+ */
+async function record(entityType, action, instance, options = {}) {
+  let values;
+  if (action === 'create' || action === 'restore') values = { before: null, after: snapshot(instance) };
+  else if (action === 'delete' || action === 'purge') values = { before: snapshot(instance), after: null };
+  else values = diff(instance);
+
+  if (!values) return;
+
+  const projectId = entityType === 'project' ? instance.id : instance.projectId;
+  let workspaceId = entityType === 'project' ? instance.workspaceId : null;
+  if (!workspaceId && projectId) {
+    const project = await Project.findByPk(projectId, {
+      attributes: ['id', 'workspaceId'],
+      paranoid: false, // También para los proyectos en la papelera
+      transaction: options.transaction
+    });
+    workspaceId = project ? project.workspaceId : null;
+  }
+
+  const { actorId, source } = getCurrentActor();
+  const event = await AuditEvent.create({
+    workspaceId,
+    projectId: projectId || null,
+    entityType,
+    entityId: instance.id,
+    action,
+    actorId,
+    source,
+    ...values
+  }, { transaction: options.transaction });
+
+  // La operación en curso podrá deshacerse a partir de sus eventos (ver services/undo.js)
+  trackAuditEvent(event.id);
+}
+
+/**
+ * Registers the audit hooks on a model.
+ *
+ * Bulk updates, deletes and restores (`Model.update(values, { where })`, `Model.destroy({ where })`...)
+ * are switched to individual hooks so each affected row gets its own event. On paranoid
+ * models a forced destroy is recorded as 'purge' (the soft delete is 'delete').
+ *
+ * @param {Object} Model - Sequelize model
+ * @param {string} entityType - Entity type stored in the events
+ */
+function auditModel(Model, entityType) {
+  Model.addHook('afterCreate', 'audit', (instance, options) => record(entityType, 'create', instance, options));
+  Model.addHook('afterUpdate', 'audit', (instance, options) => record(entityType, 'update', instance, options));
+  Model.addHook('afterDestroy', 'audit', (instance, options) =>
+    record(entityType, options.force && Model.options.paranoid ? 'purge' : 'delete', instance, options));
+
+  Model.addHook('beforeBulkUpdate', 'audit', (options) => { options.individualHooks = true; });
+  Model.addHook('beforeBulkDestroy', 'audit', (options) => { options.individualHooks = true; });
+
+  if (Model.options.paranoid) {
+    Model.addHook('afterRestore', 'audit', (instance, options) => record(entityType, 'restore', instance, options));
+    Model.addHook('beforeBulkRestore', 'audit', (options) => { options.individualHooks = true; });
+  }
+}
+
+/**
+ * Registers the audit hooks on the audited models.
+ * @param {{Project: Object, Task: Object, ProjectMembership: Object}} models
+ */
+function registerAuditHooks({ Project: ProjectModel, Task, ProjectMembership }) {
+  auditModel(ProjectModel, 'project');
+  auditModel(Task, 'task');
+  auditModel(ProjectMembership, 'membership');
+}
+
+/**
+ * Formats an event (with its actor loaded) for API responses.
+ * @param {AuditEvent} event
+ * @returns {Object}
+ */
+function formatEvent(event) {
+  return {
+    id: event.id,
+    entityType: event.entityType,
+    entityId: event.entityId,
+    projectId: event.projectId,
+    action: event.action,
+    source: event.source,
+    actor: event.actor
+      ? { id: event.actor.id, username: event.actor.username, name: event.actor.name }
+      : (event.actorId ? { id: event.actorId, username: null, name: null } : null),
+    before: event.before,
+    after: event.after,
+    createdAt: event.createdAt
+  };
+}
+
+/**
+ * Lists audit events, newest first, with pagination.
+ *
+ * @param {Object} scope - What the user may see
+ * @param {number} scope.workspaceId - Current workspace
+ * @param {number[]|null} scope.projectIds - Visible projects, or null to see the whole workspace (workspace admins)
+ * @param {Object} [filters]
+ * @param {string} [filters.entityType]
+ * @param {number} [filters.entityId]
+ * @param {number} [filters.projectId]
+ * @param {number} [filters.actorId]
+ * @param {string} [filters.action]
+ * @param {string} [filters.source]
+ * @param {string} [filters.from] - ISO date, inclusive
+ * @param {string} [filters.to] - ISO date, inclusive
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=50]
+ * @returns {Promise<{events: Object[], pagination: {page: number, limit: number, total: number}}>}
+ */
+async function listAuditEvents({ workspaceId, projectIds }, filters = {}) {
+  const where = { workspaceId };
+  if (projectIds) where.projectId = projectIds;
+
+  if (filters.projectId) {
+    where.projectId = projectIds
+      ? projectIds.filter(id => id === Number(filters.projectId))
+      : Number(filters.projectId);
+  }
+  ['entityType', 'entityId', 'actorId', 'action', 'source'].forEach(field => {
+    if (filters[field] !== undefined && filters[field] !== '') where[field] = filters[field];
+  });
+  if (filters.from || filters.to) {
+    where.createdAt = {};
+    if (filters.from) where.createdAt[Op.gte] = new Date(filters.from);
+    if (filters.to) where.createdAt[Op.lte] = new Date(filters.to);
+  }
+
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const { rows, count } = await AuditEvent.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'actor', attributes: ['id', 'username', 'name'] }],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { events: rows.map(formatEvent), pagination: { page, limit, total: count } };
+}
+
+/**
+ * Returns the history of an entity, oldest first.
+ * @param {string} entityType
+ * @param {number|string} entityId
+ * @returns {Promise<Object[]>}
+ */
+async function getEntityHistory(entityType, entityId) {
+  const events = await AuditEvent.findAll({
+    where: { entityType, entityId },
+    include: [{ model: User, as: 'actor', attributes: ['id', 'username', 'name'] }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  return events.map(formatEvent);
+}
+
+module.exports = { registerAuditHooks, listAuditEvents, getEntityHistory };
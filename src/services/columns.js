@@ -0,0 +1,250 @@
+const { Op } = require('sequelize');
+const Project = require('../models/project');
+const Task = require('../models/task');
+const HttpError = require('../utils/httpError');
+const { hasCustomFieldValue } = require('./customFields');
+const { RANK_ORDER } = require('./taskOrder');
+
+/**
+ * Policies of the Kanban columns.
+ *
+ * Besides `id`, `title`, `color` and `icon`, a column of `Project.kanban_columns` can set:
+ * - `done` / `cancelled`: the tasks in the column are done or cancelled (closed). A board
+ *   can have several done columns; completing a task by voice sends it to the first one.
+ * - `wipLimit`: how many tasks the column holds at most.
+ * - `requiredFields`: what a task needs to enter the column (see COLUMN_REQUIRED_FIELDS
+ *   in the Project model, plus `customFields.<id>`).
+ *
+ * Boards where no column sets `done` or `cancelled` (created before the flags, or saved by
+ * older clients) keep the historic meaning of the `completed` and `cancelled` columns.
+ * The limits and requirements are checked when a task is created in a column or enters it;
+ * tasks moved along automatically (subtasks of a closed task, new occurrences of recurring
+ * tasks, tasks restored from the trash, tasks of a renamed or removed column) are not checked.
+ *
+ * When the columns of a board change, a mapping (old column ID → new column ID) tells where
+ * the tasks of renamed or removed columns go (see planColumnMigration).
+ */
+
+// Significado de las columnas en los tableros que no marcan ninguna
+const LEGACY_DONE_STATUS = 'completed';
+const LEGACY_CANCELLED_STATUS = 'cancelled';
+
+// Cómo se comprueba cada campo que una columna puede exigir
+const REQUIRED_FIELD_CHECKS = {
+  assignee: task => Boolean(task.assignedUserId),
+  description: task => typeof task.description === 'string' && task.description.trim() !== '',
+  completion_date: task => Boolean(task.completion_date),
+  estimatedMinutes: task => task.estimatedMinutes !== null && task.estimatedMinutes !== undefined
+};
+
+/**
+ * Returns the meaning of the statuses of a project.
+ * @param {Project} project - Project with its `kanban_columns`
+ * @returns {{doneStatuses: string[], cancelledStatuses: string[], closedStatuses: string[],
+ *   doneStatus: string|null, cancelledStatus: string|null}} `doneStatus` and `cancelledStatus`
+ *   are the first column of each kind (null when the board has none)
+ */
+function getStatusSemantics(project) {
+  const columns = Array.isArray(project.kanban_columns) ? project.kanban_columns : [];
+  const flagged = columns.some(column => column.done === true || column.cancelled === true);
+  const columnIds = columns.map(column => column.id);
+
+  const doneStatuses = flagged
+    ? columns.filter(column => column.done === true).map(column => column.id)
+    : columnIds.filter(id => id === LEGACY_DONE_STATUS);
+  const cancelledStatuses = flagged
+    ? columns.filter(column => column.cancelled === true).map(column => column.id)
+    : columnIds.filter(id => id === LEGACY_CANCELLED_STATUS);
+
+  return {
+    doneStatuses,
+    cancelledStatuses,
+    closedStatuses: [...doneStatuses, ...cancelledStatuses],
+    doneStatus: doneStatuses[0] || null,
+    cancelledStatus: cancelledStatuses[0] || null
+  };
+}
+
+/**
+ * Loads the meaning of the statuses of several projects (projects in the trash included).
+ * @param {number[]} projectIds
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Map<number, Object>>} Semantics by project ID (see getStatusSemantics)
+ */
+async function loadStatusSemantics(projectIds, { transaction } = {}) {
+  const ids = [...new Set(projectIds)];
+  const semantics = new Map();
+  if (ids.length === 0) return semantics;
+
+  const projects = await Project.findAll({
+    where: { id: ids },
+    attributes: ['id', 'kanban_columns'],
+    paranoid: false,
+    transaction
+  });
+  for (const project of projects) {
+    semantics.set(project.id, getStatusSemantics(project));
+  }
+  return semantics;
+}
+
+/**
+ * Lists the fields a task lacks to be in a column.
+ * @param {Object} column - Column of `kanban_columns`
+ * @param {Task|Object} task - Task with its new values
+ * @returns {string[]} Fields as written in the column's `requiredFields`
+ */
+function missingColumnFields(column, task) {
+  return (column.requiredFields || []).filter((field) => {
+    if (field.startsWith('customFields.')) {
+      return !hasCustomFieldValue(task.customFields, field.slice('customFields.'.length));
+    }
+    const check = REQUIRED_FIELD_CHECKS[field];
+    return check ? !check(task) : false;
+  });
+}
+
+/**
+ * Checks that a task can enter its column: the column has room below its WIP limit
+ * and the task has the fields the column requires. Run it in the transaction that saves
+ * the task: the project row stays locked until it ends, so concurrent entries into a
+ * column with a WIP limit are counted one after another.
+ *
+ * @param {Project} project - Project the task will belong to, with its `kanban_columns`
+ * @param {Task|Object} task - The task with its new values (`id` is omitted on creation)
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 COLUMN_REQUIREMENTS when fields are missing;
+ *   409 WIP_LIMIT_REACHED when the column is full
+ */
+async function checkColumnEntry(project, task, { transaction } = {}) {
+  const column = (project.kanban_columns || []).find(col => col.id === task.status);
+  if (!column) return;
+
+  const missingFields = missingColumnFields(column, task);
+  if (missingFields.length > 0) {
+    throw new HttpError(400, `The task needs ${missingFields.join(', ')} to enter '${column.title}'`, {
+      error: 'COLUMN_REQUIREMENTS',
+      column: column.id,
+      missingFields
+    });
+  }
+
+  if (column.wipLimit) {
+    // Bloquear el proyecto serializa las entradas concurrentes: sin el bloqueo, dos tareas podrían
+    // contar la misma plaza libre y la columna superaría su límite
+    if (transaction) {
+      await Project.findByPk(project.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+    }
+    const count = await Task.count({
+      where: { projectId: project.id, status: column.id, ...(task.id ? { id: { [Op.ne]: task.id } } : {}) },
+      transaction
+    });
+    if (count >= column.wipLimit) {
+      throw new HttpError(409, `'${column.title}' has reached its WIP limit (${column.wipLimit})`, {
+        error: 'WIP_LIMIT_REACHED',
+        column: column.id,
+        wipLimit: column.wipLimit,
+        count
+      });
+    }
+  }
+}
+
+/**
+ * Plans the move of the tasks of a project to a new set of columns. Tasks in a column
+ * of the mapping go to the mapped column; the rest keep their column, which must still
+ * exist. Tasks in the trash follow the mapping too, but are not counted nor block the
+ * change (a trashed task in a removed column is restored to the first column).
+ *
+ * @param {Object} params
+ * @param {number} params.projectId
+ * @param {Object[]} params.currentColumns - The columns of the board before the change
+ * @param {Object[]} params.columns - The new columns
+ * @param {Object<string, string>} [params.mapping={}] - Old column ID → new column ID
+ * @param {Object} [params.transaction]
+ * @returns {Promise<{moves: Object[], taskCount: number, tasks: Object[]}>} `moves` has one
+ *   `{ from, to, taskCount }` entry per pair of columns; `tasks` has the `{ task, status }`
+ *   pairs to move, in the order they must be moved
+ * @throws {HttpError} 400 INVALID_COLUMN_MAPPING when the mapping names unknown columns;
+ *   400 UNMAPPED_COLUMNS when live tasks are left in removed columns
+ */
+async function planColumnMigration({ projectId, currentColumns, columns, mapping = {}, transaction }) {
+  const newColumnIds = columns.map(column => column.id);
+  const tasks = await Task.findAll({
+    where: { projectId },
+    attributes: ['id', 'projectId', 'status', 'position', 'deletedAt'],
+    order: RANK_ORDER,
+    paranoid: false,
+    transaction
+  });
+
+  // El mapeo parte de columnas del tablero actual (o de estados que aún tengan tareas) y lleva a columnas nuevas
+  const knownStatuses = new Set([...(currentColumns || []).map(column => column.id), ...tasks.map(task => task.status)]);
+  const invalidMapping = Object.entries(mapping)
+    .filter(([from, to]) => !knownStatuses.has(from) || !newColumnIds.includes(to))
+    .map(([from, to]) => ({ from, to }));
+  if (invalidMapping.length > 0) {
+    throw new HttpError(400, `column_mapping must map current columns to new columns. New columns: ${newColumnIds.join(', ')}`, {
+      error: 'INVALID_COLUMN_MAPPING',
+      invalidMapping
+    });
+  }
+
+  const targetOf = task => (Object.prototype.hasOwnProperty.call(mapping, task.status)
+    ? mapping[task.status]
+    : (newColumnIds.includes(task.status) ? task.status : null));
+
+  const invalidTasks = tasks.filter(task => !task.deletedAt && targetOf(task) === null);
+  if (invalidTasks.length > 0) {
+    const unmappedColumns = [...new Set(invalidTasks.map(task => task.status))].map(column => ({
+      column,
+      taskCount: invalidTasks.filter(task => task.status === column).length
+    }));
+    throw new HttpError(400, `Cannot update columns: ${invalidTasks.length} tasks have invalid status. Map their columns in column_mapping.`, {
+      error: 'UNMAPPED_COLUMNS',
+      unmappedColumns,
+      invalidTasks: invalidTasks.map(task => ({ id: task.id, status: task.status }))
+    });
+  }
+
+  const toMove = tasks.filter(task => targetOf(task) !== null && targetOf(task) !== task.status);
+  const moves = [];
+  for (const task of toMove.filter(moving => !moving.deletedAt)) {
+    const to = targetOf(task);
+    const move = moves.find(entry => entry.from === task.status && entry.to === to);
+    if (move) move.taskCount += 1;
+    else moves.push({ from: task.status, to, taskCount: 1 });
+  }
+
+  return {
+    moves,
+    taskCount: moves.reduce((sum, move) => sum + move.taskCount, 0),
+    // Cada tarea movida entra arriba de su columna: de abajo arriba se conserva su orden
+    tasks: toMove.reverse().map(task => ({ task, status: targetOf(task) }))
+  };
+}
+
+/**
+ * Moves the tasks of a planned column migration. Must run in the transaction that saves
+ * the new columns. Each task is saved on its own, so the changes are audited.
+ * @param {{tasks: Object[]}} plan - Result of planColumnMigration
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<void>}
+ */
+async function applyColumnMigration(plan, { transaction } = {}) {
+  for (const { task, status } of plan.tasks) {
+    await task.update({ status }, { transaction });
+  }
+}
+
+module.exports = {
+  getStatusSemantics,
+  loadStatusSemantics,
+  checkColumnEntry,
+  planColumnMigration,
+  applyColumnMigration
+};
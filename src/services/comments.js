@@ -0,0 +1,206 @@
+const { sequelize, Comment, User } = require('../models');
+const HttpError = require('../utils/httpError');
+const { listProjectMembers } = require('./membership');
+
+/**
+ * Comments on tasks: one-level threads, markdown bodies and @mentions of
+ * project members. Only the author can edit or delete a comment.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// @usuario al inicio del texto o tras un carácter que no forme parte de un nombre (no en emails)
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.-]*\w)/g;
+
+const AUTHOR_INCLUDE = { model: User, as: 'author', attributes: ['id', 'username', 'name'] };
+
+/**
+ * Resolves the `@username` mentions of a body against the active members of a project.
+ * Unknown usernames are ignored.
+ * @param {number} projectId
+ * @param {string} body - Markdown text
+ * @returns {Promise<Array<{userId: number, username: string}>>} Mentioned members, without duplicates
+ */
+async function resolveMentions(projectId, body) {
+  const usernames = [...body.matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase());
+  if (usernames.length === 0) return [];
+
+  const members = await listProjectMembers(projectId);
+  const mentions = [];
+  for (const member of members) {
+    if (member.userId && member.username && usernames.includes(member.username.toLowerCase())) {
+      mentions.push({ userId: member.userId, username: member.username });
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Formats a comment (with its author and, optionally, its replies loaded) for API responses.
+ * @param {Comment} comment
+ * @returns {Object}
+ */
+function formatComment(comment) {
+  const formatted = {
+    id: comment.id,
+    taskId: comment.taskId,
+    parentId: comment.parentId,
+    body: comment.body,
+    mentions: comment.mentions,
+    author: comment.author
+      ? { id: comment.author.id, username: comment.author.username, name: comment.author.name }
+      : null,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt
+  };
+  if (comment.replies) {
+    formatted.replies = comment.replies
+      .sort((a, b) => a.createdAt - b.createdAt || a.id - b.id)
+      .map(formatComment);
+  }
+  return formatted;
+}
+
+/**
+ * Lists the comments of a task, oldest first, with their replies.
+ * Pagination applies to the top-level comments.
+ *
+ * @param {number} taskId
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{comments: Object[], pagination: {page: number, limit: number, total: number}}>}
+ */
+async function listComments(taskId, options = {}) {
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const { rows, count } = await Comment.findAndCountAll({
+    where: { taskId, parentId: null },
+    include: [AUTHOR_INCLUDE],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  // Las respuestas se cargan aparte para no alterar la paginación
+  const replies = rows.length > 0
+    ? await Comment.findAll({ where: { parentId: rows.map(comment => comment.id) }, include: [AUTHOR_INCLUDE] })
+    : [];
+  for (const comment of rows) {
+    comment.replies = replies.filter(reply => reply.parentId === comment.id);
+  }
+
+  return { comments: rows.map(formatComment), pagination: { page, limit, total: count } };
+}
+
+/**
+ * Finds a comment of a task.
+ * @param {number} taskId
+ * @param {number|string} commentId
+ * @returns {Promise<Comment>}
+ * @throws {HttpError} 404 when the comment does not exist on that task
+ */
+async function findTaskComment(taskId, commentId) {
+  const comment = await Comment.findOne({ where: { id: commentId, taskId }, include: [AUTHOR_INCLUDE] });
+  if (!comment) {
+    throw new HttpError(404, 'Comment not found');
+  }
+  return comment;
+}
+
+/**
+ * Checks that a user is the author of a comment.
+ * @param {Comment} comment
+ * @param {number} userId
+ * @throws {HttpError} 403 otherwise
+ */
+function assertAuthor(comment, userId) {
+  if (comment.authorId !== userId) {
+    throw new HttpError(403, 'Only the author can change this comment.', { error: 'FORBIDDEN' });
+  }
+}
+
+/**
+ * Adds a comment to a task. Replying to a reply adds the comment to the same thread.
+ *
+ * @param {{id: number, projectId: number}} task
+ * @param {number} authorId
+ * @param {{body: string, parentId?: number|null}} data
+ * @returns {Promise<Object>} The formatted comment
+ * @throws {HttpError} 400 when the parent comment does not belong to the task
+ */
+async function createComment(task, authorId, { body, parentId }) {
+  let threadId = null;
+  if (parentId) {
+    const parent = await Comment.findOne({ where: { id: parentId, taskId: task.id } });
+    if (!parent) {
+      throw new HttpError(400, 'The parent comment does not belong to this task');
+    }
+    threadId = parent.parentId || parent.id;
+  }
+
+  const comment = await Comment.create({
+    taskId: task.id,
+    authorId,
+    parentId: threadId,
+    body,
+    mentions: await resolveMentions(task.projectId, body)
+  });
+
+  return formatComment(await findTaskComment(task.id, comment.id));
+}
+
+/**
+ * Edits the body of a comment. Only its author can do it.
+ *
+ * @param {{id: number, projectId: number}} task
+ * @param {number|string} commentId
+ * @param {number} userId
+ * @param {string} body
+ * @returns {Promise<Object>} The formatted comment
+ * @throws {HttpError} 404 not found, 403 not the author
+ */
+async function updateComment(task, commentId, userId, body) {
+  const comment = await findTaskComment(task.id, commentId);
+  assertAuthor(comment, userId);
+
+  await comment.update({
+    body,
+    mentions: await resolveMentions(task.projectId, body),
+    editedAt: new Date()
+  });
+  return formatComment(comment);
+}
+
+/**
+ * Deletes a comment and its replies. Only its author can do it, and only while
+ * the replies are their own: nobody deletes what others wrote.
+ *
+ * @param {{id: number}} task
+ * @param {number|string} commentId
+ * @param {number} userId
+ * @returns {Promise<void>}
+ * @throws {HttpError} 404 not found, 403 not the author, 409 COMMENT_HAS_REPLIES when others replied
+ */
+async function deleteComment(task, commentId, userId) {
+  const comment = await findTaskComment(task.id, commentId);
+  assertAuthor(comment, userId);
+
+  await sequelize.transaction(async (transaction) => {
+    // Con el comentario bloqueado, una respuesta que se esté creando a la vez se cuenta (o espera)
+    await Comment.findByPk(comment.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+    const replies = await Comment.findAll({ where: { parentId: comment.id }, attributes: ['authorId'], transaction });
+    if (replies.some(reply => reply.authorId !== userId)) {
+      throw new HttpError(409, 'The comment has replies from other users and cannot be deleted.', {
+        error: 'COMMENT_HAS_REPLIES'
+      });
+    }
+
+    await Comment.destroy({ where: { parentId: comment.id }, transaction });
+    await comment.destroy({ transaction });
+  });
+}
+
+module.exports = { listComments, createComment, updateComment, deleteComment };
@@ -0,0 +1,301 @@
+const { Task } = require('../models');
+const HttpError = require('../utils/httpError');
+const { getProjectMembership } = require('./projectAccess');
+
+/**
+ * Custom fields of a project's tasks.
+ *
+ * A project defines its fields in `custom_fields` (next to its `kanban_columns`) and each
+ * task keeps its values in `customFields`, by field ID. A value is stored in a normalized
+ * form: text is trimmed, dates are `YYYY-MM-DD`, select options must be one of the field's
+ * options and users must be members of the project. Empty values are not stored, so a
+ * required field always has a value.
+ */
+
+const TEXT_MAX_LENGTH = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T.*)?$/;
+
+/**
+ * Returns the custom field definitions of a project.
+ * @param {Project} project
+ * @returns {Object[]}
+ */
+function getDefinitions(project) {
+  return Array.isArray(project.custom_fields) ? project.custom_fields : [];
+}
+
+/**
+ * Whether a value counts as empty (empty values are removed from the task).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === ''
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Normalizes a value for a field.
+ * @param {Object} field - Field definition
+ * @param {*} value - Non-empty value sent by the client
+ * @returns {*} The value to store
+ * @throws {Error} When the value does not fit the type of the field
+ */
+function coerceValue(field, value) {
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') throw new Error('must be a string');
+      if (value.trim().length > TEXT_MAX_LENGTH) throw new Error(`must be at most ${TEXT_MAX_LENGTH} characters`);
+      return value.trim();
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error('must be a number');
+      return value;
+    case 'date': {
+      const date = typeof value === 'string' && DATE_PATTERN.test(value) ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) throw new Error('must be a date (YYYY-MM-DD)');
+      return date.toISOString().slice(0, 10);
+    }
+    case 'select':
+      if (!field.options.includes(value)) throw new Error(`must be one of: ${field.options.join(', ')}`);
+      return value;
+    case 'multi_select':
+      if (!Array.isArray(value) || value.some(option => !field.options.includes(option))) {
+        throw new Error(`must be a list of: ${field.options.join(', ')}`);
+      }
+      return field.options.filter(option => value.includes(option));
+    case 'user':
+      if (!Number.isInteger(value) || value < 1) throw new Error('must be a user ID');
+      return value;
+    default:
+      throw new Error(`has an unknown type '${field.type}'`);
+  }
+}
+
+/**
+ * Validates the custom field values sent for a task and merges them with its current values.
+ *
+ * Only the fields present in `values` change; an empty value (`null`, `''`, `[]`) removes it.
+ *
+ * @param {Project} project - Project of the task (with its `custom_fields`)
+ * @param {Object} values - Values by field ID
+ * @param {Object} [options]
+ * @param {Object} [options.current={}] - Current values of the task
+ * @returns {Promise<Object>} The values to store
+ * @throws {HttpError} 400 with the `errors` of each field (unknown field, wrong type, missing required value)
+ */
+async function validateCustomFieldValues(project, values, { current = {} } = {}) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new HttpError(400, 'customFields must be an object of values by field ID');
+  }
+
+  const definitions = getDefinitions(project);
+  const result = { ...current };
+  const errors = [];
+
+  for (const [id, value] of Object.entries(values)) {
+    const field = definitions.find(definition => definition.id === id);
+    if (!field) {
+      errors.push({ field: id, message: `Unknown custom field '${id}'` });
+      continue;
+    }
+    if (isEmpty(value)) {
+      delete result[id];
+      continue;
+    }
+    try {
+      result[id] = coerceValue(field, value);
+    } catch (error) {
+      errors.push({ field: id, message: `${field.name} ${error.message}` });
+      continue;
+    }
+    // Un campo de usuario solo admite miembros del proyecto
+    if (field.type === 'user' && !(await getProjectMembership(project.id, result[id]))) {
+      errors.push({ field: id, message: `${field.name} must be a member of the project` });
+    }
+  }
+
+  for (const field of definitions) {
+    if (field.required && isEmpty(result[field.id]) && !errors.some(error => error.field === field.id)) {
+      errors.push({ field: field.id, message: `${field.name} is required` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid custom field values', { errors });
+  }
+  return result;
+}
+
+/**
+ * Lists the required custom fields of a project that have no value.
+ * @param {Project} project
+ * @param {Object} [values={}]
+ * @returns {Object[]} Field definitions
+ */
+function missingRequiredFields(project, values = {}) {
+  return getDefinitions(project).filter(field => field.required && isEmpty(values[field.id]));
+}
+
+/**
+ * Tells whether a task has a value for a custom field.
+ * @param {Object} values - Custom field values of the task
+ * @param {string} fieldId
+ * @returns {boolean}
+ */
+function hasCustomFieldValue(values, fieldId) {
+  return !isEmpty((values || {})[fieldId]);
+}
+
+/**
+ * Keeps the values that fit a set of field definitions: values of unknown fields, or of
+ * the wrong type or option, are dropped.
+ * @param {Object[]} definitions - Custom fields of a project
+ * @param {Object} [values] - Stored values by field ID
+ * @returns {Object} The values that fit, normalized
+ */
+function fitCustomFieldValues(definitions, values) {
+  const result = {};
+  for (const [id, value] of Object.entries(values || {})) {
+    const field = definitions.find(definition => definition.id === id);
+    if (!field) continue;
+    try {
+      result[id] = coerceValue(field, value);
+    } catch (error) {
+      // El valor ya no encaja con el campo
+    }
+  }
+  return result;
+}
+
+/**
+ * Drops the task values that no longer fit the fields of their project (after a field is
+ * removed, changes its type or loses an option). Tasks in the trash are included.
+ * @param {Project} project - Project with its new `custom_fields`
+ * @param {Object} [transaction]
+ * @returns {Promise<number>} Number of tasks changed
+ */
+async function pruneCustomFieldValues(project, transaction) {
+  const definitions = getDefinitions(project);
+  const tasks = await Task.findAll({
+    where: { projectId: project.id },
+    attributes: ['id', 'customFields'],
+    paranoid: false,
+    transaction
+  });
+
+  let changed = 0;
+  for (const task of tasks) {
+    const values = fitCustomFieldValues(definitions, task.customFields);
+    if (JSON.stringify(values) !== JSON.stringify(task.customFields || {})) {
+      await task.update({ customFields: values }, { transaction });
+      changed++;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Parses a filter value: a range (`1..5`, `..2025-03-01`) for numbers and dates,
+ * a comma-separated list for options and users, and plain text otherwise.
+ * @param {Object} field
+ * @param {string} filter
+ * @returns {function(*): boolean} Test for a stored value
+ */
+function buildMatcher(field, filter) {
+  const text = String(filter).trim();
+
+  if (field.type === 'number' || field.type === 'date') {
+    const parse = field.type === 'number' ? Number : (value) => value;
+    const [min, max] = text.includes('..') ? text.split('..') : [text, text];
+    return (value) => !isEmpty(value)
+      && (min === '' || value >= parse(min))
+      && (max === '' || value <= parse(max));
+  }
+  if (field.type === 'text') {
+    return (value) => typeof value === 'string' && value.toLowerCase().includes(text.toLowerCase());
+  }
+
+  const wanted = text.split(',').map(value => value.trim()).filter(Boolean);
+  if (field.type === 'multi_select') {
+    return (value) => Array.isArray(value) && value.some(option => wanted.includes(option));
+  }
+  return (value) => !isEmpty(value) && wanted.includes(String(value));
+}
+
+/**
+ * Filters tasks of a project by their custom field values (`?customFields[points]=3..5`).
+ * @param {Task[]} tasks
+ * @param {Project} project
+ * @param {Object} filters - Filter values by field ID
+ * @returns {Task[]}
+ * @throws {HttpError} 400 when a field does not exist in the project
+ */
+function filterTasksByCustomFields(tasks, project, filters) {
+  const definitions = getDefinitions(project);
+  const matchers = Object.entries(filters).map(([id, filter]) => {
+    const field = definitions.find(definition => definition.id === id);
+    if (!field) {
+      throw new HttpError(400, `Unknown custom field '${id}'`, { validFields: definitions.map(definition => definition.id) });
+    }
+    return { id, matches: buildMatcher(field, Array.isArray(filter) ? filter.join(',') : filter) };
+  });
+
+  return tasks.filter(task => matchers.every(({ id, matches }) => matches((task.customFields || {})[id])));
+}
+
+/**
+ * Sorts tasks of a project by a custom field. Tasks without a value go last in both orders.
+ * @param {Task[]} tasks
+ * @param {Project} project
+ * @param {string} fieldId
+ * @param {'asc'|'desc'} [order='asc']
+ * @returns {Task[]} A sorted copy
+ * @throws {HttpError} 400 when the field does not exist in the project
+ */
+function sortTasksByCustomField(tasks, project, fieldId, order = 'asc') {
+  const definitions = getDefinitions(project);
+  const field = definitions.find(definition => definition.id === fieldId);
+  if (!field) {
+    throw new HttpError(400, `Unknown custom field '${fieldId}'`, { validFields: definitions.map(definition => definition.id) });
+  }
+
+  const direction = order === 'desc' ? -1 : 1;
+  const valueOf = (task) => (task.customFields || {})[fieldId];
+  const compare = (a, b) => {
+    if (field.type === 'number' || field.type === 'user') return a - b;
+    if (field.type === 'select') return field.options.indexOf(a) - field.options.indexOf(b);
+    return String(a).localeCompare(String(b));
+  };
+
+  return [...tasks].sort((a, b) => {
+    const valueA = valueOf(a);
+    const valueB = valueOf(b);
+    if (isEmpty(valueA) || isEmpty(valueB)) return isEmpty(valueA) - isEmpty(valueB);
+    return direction * compare(valueA, valueB);
+  });
+}
+
+/**
+ * Describes the custom field values of a task by field name, for the assistant.
+ * @param {Project} project
+ * @param {Object} values
+ * @returns {Object} Values by field name (fields without a value are left out)
+ */
+function describeCustomFields(project, values) {
+  const described = {};
+  for (const field of getDefinitions(project)) {
+    if (!isEmpty((values || {})[field.id])) described[field.name] = values[field.id];
+  }
+  return described;
+}
+
+module.exports = {
+  validateCustomFieldValues,
+  fitCustomFieldValues,
+  missingRequiredFields,
+  hasCustomFieldValue,
+  pruneCustomFieldValues,
+  filterTasksByCustomFields,
+  sortTasksByCustomField,
+  describeCustomFields
+};
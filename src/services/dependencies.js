@@ -0,0 +1,219 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { Task, TaskDependency } = require('../models');
+const HttpError = require('../utils/httpError');
+const { loadStatusSemantics } = require('./columns');
+
+/**
+ * Dependencies between tasks ("task B is blocked by task A").
+ *
+ * Links only join tasks of the same project and never form a cycle. A blocker is
+ * open until it enters a done or cancelled column of its board; tasks in the trash do
+ * not block. A task with open blockers cannot be completed unless the client explicitly
+ * ignores them.
+ */
+
+const TASK_ATTRIBUTES = ['id', 'title', 'status', 'projectId'];
+
+/**
+ * Formats a linked task for API responses.
+ * @param {Task} task
+ * @param {Map<number, Object>} semantics - Status semantics by project (see services/columns)
+ * @returns {{id: number, title: string, status: string, open: boolean}}
+ */
+function formatLinkedTask(task, semantics) {
+  return {
+    id: task.id,
+    title: task.title,
+    status: task.status,
+    open: !semantics.get(task.projectId).closedStatuses.includes(task.status)
+  };
+}
+
+/**
+ * Lists the tasks that block a task and the tasks it blocks. Tasks in the trash are left out.
+ * @param {number} taskId
+ * @returns {Promise<{blockedBy: Object[], blocking: Object[]}>}
+ */
+async function listDependencies(taskId) {
+  const blockedBy = await TaskDependency.findAll({
+    where: { taskId },
+    include: [{ model: Task, as: 'blockedBy', attributes: TASK_ATTRIBUTES, required: true }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  const blocking = await TaskDependency.findAll({
+    where: { blockedByTaskId: taskId },
+    include: [{ model: Task, as: 'task', attributes: TASK_ATTRIBUTES, required: true }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  const semantics = await loadStatusSemantics([
+    ...blockedBy.map(link => link.blockedBy.projectId),
+    ...blocking.map(link => link.task.projectId)
+  ]);
+
+  return {
+    blockedBy: blockedBy.map(link => formatLinkedTask(link.blockedBy, semantics)),
+    blocking: blocking.map(link => formatLinkedTask(link.task, semantics))
+  };
+}
+
+/**
+ * Looks for a chain of "blocked by" links from `fromTaskId` to `toTaskId`.
+ * @param {number} fromTaskId
+ * @param {number} toTaskId
+ * @returns {Promise<number[]|null>} Task IDs of the chain (both ends included), or null
+ */
+async function findBlockingPath(fromTaskId, toTaskId) {
+  const previous = new Map([[fromTaskId, null]]);
+  let frontier = [fromTaskId];
+
+  while (frontier.length > 0) {
+    const links = await TaskDependency.findAll({
+      where: { taskId: frontier },
+      attributes: ['taskId', 'blockedByTaskId']
+    });
+
+    frontier = [];
+    for (const link of links) {
+      if (previous.has(link.blockedByTaskId)) continue;
+      previous.set(link.blockedByTaskId, link.taskId);
+
+      if (link.blockedByTaskId === toTaskId) {
+        const path = [];
+        for (let id = toTaskId; id !== null; id = previous.get(id)) path.unshift(id);
+        return path;
+      }
+      frontier.push(link.blockedByTaskId);
+    }
+  }
+  return null;
+}
+
+/**
+ * Marks a task as blocked by another task of the same project.
+ *
+ * @param {{id: number, projectId: number}} task - The blocked task
+ * @param {number|string} blockedByTaskId - The blocking task
+ * @param {number} userId - User adding the link
+ * @returns {Promise<{blockedBy: Object[], blocking: Object[]}>} The dependencies of the task
+ * @throws {HttpError} 400 same task or not in the project, 409 duplicate link or DEPENDENCY_CYCLE
+ */
+async function addDependency(task, blockedByTaskId, userId) {
+  const blockerId = Number(blockedByTaskId);
+  if (blockerId === task.id) {
+    throw new HttpError(400, 'A task cannot block itself');
+  }
+
+  const blocker = await Task.findOne({ where: { id: blockerId, projectId: task.projectId }, attributes: ['id'] });
+  if (!blocker) {
+    throw new HttpError(400, 'The blocking task does not exist in this project');
+  }
+
+  // La nueva dependencia cerraría un ciclo si la tarea bloqueante ya depende (directa o indirectamente) de esta
+  const path = await findBlockingPath(blockerId, task.id);
+  if (path) {
+    throw new HttpError(409, 'This dependency would create a cycle', {
+      error: 'DEPENDENCY_CYCLE',
+      cycle: [task.id, ...path]
+    });
+  }
+
+  try {
+    await TaskDependency.create({ taskId: task.id, blockedByTaskId: blockerId, createdBy: userId });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw new HttpError(409, 'The task is already blocked by that task');
+    }
+    throw error;
+  }
+  return listDependencies(task.id);
+}
+
+/**
+ * Removes a "blocked by" link.
+ * @param {{id: number}} task - The blocked task
+ * @param {number|string} blockedByTaskId
+ * @returns {Promise<void>}
+ * @throws {HttpError} 404 when the link does not exist
+ */
+async function removeDependency(task, blockedByTaskId) {
+  const removed = await TaskDependency.destroy({ where: { taskId: task.id, blockedByTaskId } });
+  if (removed === 0) {
+    throw new HttpError(404, 'Dependency not found');
+  }
+}
+
+/**
+ * Removes every link of the given tasks. Used when tasks leave their project,
+ * since links only join tasks of the same project.
+ * @param {number[]} taskIds
+ * @param {Object} [transaction]
+ * @returns {Promise<void>}
+ */
+async function unlinkTasks(taskIds, transaction) {
+  if (taskIds.length === 0) return;
+  await TaskDependency.destroy({
+    where: { [Op.or]: [{ taskId: taskIds }, { blockedByTaskId: taskIds }] },
+    transaction
+  });
+}
+
+/**
+ * Returns the open blockers of each of the given tasks.
+ * @param {number[]} taskIds
+ * @returns {Promise<Map<number, Object[]>>} Only the tasks with open blockers are in the map
+ */
+async function getOpenBlockers(taskIds) {
+  const blockers = new Map();
+  if (taskIds.length === 0) return blockers;
+
+  const links = await TaskDependency.findAll({
+    where: { taskId: taskIds },
+    include: [{ model: Task, as: 'blockedBy', attributes: TASK_ATTRIBUTES, required: true }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  // Qué columnas cierran una tarea depende del tablero de su proyecto
+  const semantics = await loadStatusSemantics(links.map(link => link.blockedBy.projectId));
+
+  for (const link of links) {
+    const blocker = formatLinkedTask(link.blockedBy, semantics);
+    if (!blocker.open) continue;
+    if (!blockers.has(link.taskId)) blockers.set(link.taskId, []);
+    blockers.get(link.taskId).push(blocker);
+  }
+  return blockers;
+}
+
+/**
+ * Checks whether a task can be completed (moved to a done column) given its blockers.
+ *
+ * @param {{id: number, projectId: number, status: string}} task - Task about to be saved (its new status already set)
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreBlockers=false] - Complete it anyway, returning a warning
+ * @returns {Promise<Object[]>} Warnings for the response (empty when nothing blocks the task)
+ * @throws {HttpError} 409 TASK_BLOCKED when it has open blockers and they are not ignored
+ */
+async function checkCompletionBlockers(task, { ignoreBlockers = false } = {}) {
+  const { doneStatuses } = (await loadStatusSemantics([task.projectId])).get(task.projectId);
+  if (!doneStatuses.includes(task.status)) return [];
+
+  const blockers = (await getOpenBlockers([task.id])).get(task.id) || [];
+  if (blockers.length === 0) return [];
+
+  if (!ignoreBlockers) {
+    throw new HttpError(409, 'The task is blocked by open tasks. Complete them first or send ignoreBlockers: true.', {
+      error: 'TASK_BLOCKED',
+      blockers
+    });
+  }
+  return [{ code: 'OPEN_BLOCKERS', message: 'The task was completed while blocked by open tasks', blockers }];
+}
+
+module.exports = {
+  listDependencies,
+  addDependency,
+  removeDependency,
+  unlinkTasks,
+  getOpenBlockers,
+  checkCompletionBlockers
+};
@@ -0,0 +1,316 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Task, Label, TaskLabel } = require('../models');
+const HttpError = require('../utils/httpError');
+const { loadStatusSemantics } = require('./columns');
+
+/**
+ * Task labels.
+ *
+ * Every project has its own labels (a name, unique in the project ignoring case,
+ * and a hex color). A task can only carry labels of its project, so its labels are
+ * removed when it moves to another project. Deleting a label removes it from its tasks.
+ */
+
+/**
+ * Formats a label for API responses.
+ * @param {Label} label
+ * @returns {{id: number, projectId: number, name: string, color: string}}
+ */
+function formatLabel(label) {
+  return { id: label.id, projectId: label.projectId, name: label.name, color: label.color };
+}
+
+/**
+ * Looks for a label of the project with the same name (ignoring case).
+ * @param {number} projectId
+ * @param {string} name
+ * @param {number} [exceptId] - Label being renamed
+ * @returns {Promise<Label|null>}
+ */
+function findLabelByName(projectId, name, exceptId) {
+  return Label.findOne({
+    where: {
+      projectId,
+      ...(exceptId ? { id: { [Op.ne]: exceptId } } : {}),
+      [Op.and]: [sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase())]
+    }
+  });
+}
+
+/**
+ * Lists the labels of a project, by name, with the number of live tasks carrying each one.
+ * @param {number} projectId
+ * @returns {Promise<Object[]>}
+ */
+async function listLabels(projectId) {
+  const counts = await getLabelCounts([projectId]);
+  return counts.map(({ openTaskCount, ...label }) => label);
+}
+
+/**
+ * Finds a label of a project.
+ * @param {number} projectId
+ * @param {number|string} labelId
+ * @returns {Promise<Label>}
+ * @throws {HttpError} 404 when the project has no such label
+ */
+async function findProjectLabel(projectId, labelId) {
+  const label = await Label.findOne({ where: { id: labelId, projectId } });
+  if (!label) {
+    throw new HttpError(404, 'Label not found');
+  }
+  return label;
+}
+
+/**
+ * Saves a label, turning the unique index violation into a 409.
+ * @param {Label} label
+ * @returns {Promise<Label>}
+ */
+async function saveLabel(label) {
+  if (await findLabelByName(label.projectId, label.name, label.id)) {
+    throw new HttpError(409, `The project already has a label named '${label.name}'`);
+  }
+  try {
+    return await label.save();
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw new HttpError(409, `The project already has a label named '${label.name}'`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates a label in a project.
+ * @param {number} projectId
+ * @param {{name: string, color?: string}} data
+ * @returns {Promise<Object>} The formatted label
+ * @throws {HttpError} 409 when the project already has a label with that name
+ */
+async function createLabel(projectId, { name, color }) {
+  const label = Label.build({ projectId, name: name.trim(), ...(color ? { color } : {}) });
+  return formatLabel(await saveLabel(label));
+}
+
+/**
+ * Renames or recolors a label.
+ * @param {number} projectId
+ * @param {number|string} labelId
+ * @param {{name?: string, color?: string}} data
+ * @returns {Promise<Object>} The formatted label
+ * @throws {HttpError} 404 unknown label, 409 name already used in the project
+ */
+async function updateLabel(projectId, labelId, { name, color }) {
+  const label = await findProjectLabel(projectId, labelId);
+  if (name !== undefined) label.name = name.trim();
+  if (color !== undefined) label.color = color;
+  return formatLabel(await saveLabel(label));
+}
+
+/**
+ * Deletes a label and removes it from the tasks that carry it.
+ * @param {number} projectId
+ * @param {number|string} labelId
+ * @returns {Promise<void>}
+ * @throws {HttpError} 404 unknown label
+ */
+async function deleteLabel(projectId, labelId) {
+  const label = await findProjectLabel(projectId, labelId);
+  await sequelize.transaction(async (transaction) => {
+    await TaskLabel.destroy({ where: { labelId: label.id }, transaction });
+    await label.destroy({ transaction });
+  });
+}
+
+/**
+ * Replaces the labels of a task.
+ *
+ * @param {{id: number, projectId: number}} task
+ * @param {number[]} labelIds - Labels of the project of the task (an empty list removes them all)
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 when some label does not belong to the project of the task
+ */
+async function setTaskLabels(task, labelIds, { transaction } = {}) {
+  const wanted = [...new Set(labelIds.map(Number))];
+
+  const labels = wanted.length > 0
+    ? await Label.findAll({ where: { id: wanted, projectId: task.projectId }, attributes: ['id'], transaction })
+    : [];
+  const unknown = wanted.filter(id => !labels.some(label => label.id === id));
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Some labels do not belong to the project of the task', { unknownLabelIds: unknown });
+  }
+
+  const current = await TaskLabel.findAll({ where: { taskId: task.id }, attributes: ['labelId'], transaction });
+  const currentIds = current.map(link => link.labelId);
+
+  const removed = currentIds.filter(id => !wanted.includes(id));
+  if (removed.length > 0) {
+    await TaskLabel.destroy({ where: { taskId: task.id, labelId: removed }, transaction });
+  }
+  const added = wanted.filter(id => !currentIds.includes(id));
+  if (added.length > 0) {
+    await TaskLabel.bulkCreate(added.map(labelId => ({ taskId: task.id, labelId })), { transaction });
+  }
+}
+
+/**
+ * Copies the labels of a task to another task of the same project.
+ * @param {number} fromTaskId
+ * @param {number} toTaskId
+ * @param {Object} [transaction]
+ * @returns {Promise<void>}
+ */
+async function copyTaskLabels(fromTaskId, toTaskId, transaction) {
+  const links = await TaskLabel.findAll({ where: { taskId: fromTaskId }, attributes: ['labelId'], transaction });
+  if (links.length === 0) return;
+  await TaskLabel.bulkCreate(links.map(link => ({ taskId: toTaskId, labelId: link.labelId })), { transaction });
+}
+
+/**
+ * Removes every label of the given tasks. Used when tasks leave their project,
+ * since labels belong to a project.
+ * @param {number[]} taskIds
+ * @param {Object} [transaction]
+ * @returns {Promise<void>}
+ */
+async function removeTaskLabels(taskIds, transaction) {
+  if (taskIds.length === 0) return;
+  await TaskLabel.destroy({ where: { taskId: taskIds }, transaction });
+}
+
+/**
+ * Returns the labels of each of the given tasks, by name.
+ * @param {number[]} taskIds
+ * @returns {Promise<Map<number, Object[]>>} Only the tasks with labels are in the map
+ */
+async function getTaskLabels(taskIds) {
+  const labels = new Map();
+  if (taskIds.length === 0) return labels;
+
+  const links = await TaskLabel.findAll({
+    where: { taskId: taskIds },
+    attributes: ['taskId', 'labelId']
+  });
+  if (links.length === 0) return labels;
+
+  const byId = new Map((await Label.findAll({
+    where: { id: [...new Set(links.map(link => link.labelId))] }
+  })).map(label => [label.id, formatLabel(label)]));
+
+  for (const link of links) {
+    if (!labels.has(link.taskId)) labels.set(link.taskId, []);
+    labels.get(link.taskId).push(byId.get(link.labelId));
+  }
+  for (const list of labels.values()) {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return labels;
+}
+
+/**
+ * Resolves a label filter (`?labels=3,bug`) to the IDs of the tasks that match it.
+ *
+ * Each value is a label ID or a label name (ignoring case). Since labels belong to a
+ * project, a name matches the label with that name in every project of `projectIds`.
+ *
+ * @param {string} filter - Comma-separated label IDs or names
+ * @param {Object} params
+ * @param {number[]} params.projectIds - Projects the tasks can belong to
+ * @param {boolean} [params.matchAll=false] - Tasks must carry every label (by default, any of them)
+ * @returns {Promise<number[]>} IDs of the matching tasks
+ */
+async function findTaskIdsByLabels(filter, { projectIds, matchAll = false }) {
+  const values = String(filter).split(',').map(value => value.trim()).filter(Boolean);
+  if (values.length === 0 || projectIds.length === 0) return [];
+
+  const ids = values.filter(value => /^\d+$/.test(value)).map(Number);
+  const names = values.filter(value => !/^\d+$/.test(value)).map(value => value.toLowerCase());
+
+  const labels = await Label.findAll({
+    where: {
+      projectId: projectIds,
+      [Op.or]: [
+        ...(ids.length > 0 ? [{ id: ids }] : []),
+        ...(names.length > 0 ? [sequelize.where(sequelize.fn('lower', sequelize.col('name')), { [Op.in]: names })] : [])
+      ]
+    },
+    attributes: ['id', 'name']
+  });
+  if (labels.length === 0) return [];
+
+  const links = await TaskLabel.findAll({
+    where: { labelId: labels.map(label => label.id) },
+    attributes: ['taskId', 'labelId']
+  });
+
+  if (!matchAll) {
+    return [...new Set(links.map(link => link.taskId))];
+  }
+
+  // Con matchAll cada valor del filtro debe estar en la tarea (por ID o por nombre)
+  const labelsOf = new Map();
+  for (const link of links) {
+    if (!labelsOf.has(link.taskId)) labelsOf.set(link.taskId, []);
+    labelsOf.get(link.taskId).push(labels.find(label => label.id === link.labelId));
+  }
+  return [...labelsOf.entries()]
+    .filter(([, taskLabels]) => values.every(value => taskLabels.some(label => (
+      /^\d+$/.test(value) ? label.id === Number(value) : label.name.toLowerCase() === value.toLowerCase()
+    ))))
+    .map(([taskId]) => taskId);
+}
+
+/**
+ * Counts the live tasks carrying each label of the given projects.
+ * @param {number[]} projectIds
+ * @returns {Promise<Object[]>} Labels with `taskCount` and `openTaskCount`, by project and name
+ */
+async function getLabelCounts(projectIds) {
+  if (projectIds.length === 0) return [];
+
+  const labels = await Label.findAll({
+    where: { projectId: projectIds },
+    order: [['projectId', 'ASC'], ['name', 'ASC']]
+  });
+  if (labels.length === 0) return [];
+
+  const links = await TaskLabel.findAll({
+    where: { labelId: labels.map(label => label.id) },
+    attributes: ['taskId', 'labelId']
+  });
+  // Las tareas de la papelera no cuentan
+  const tasks = links.length > 0
+    ? await Task.findAll({ where: { id: [...new Set(links.map(link => link.taskId))] }, attributes: ['id', 'status'] })
+    : [];
+  const statusOf = new Map(tasks.map(task => [task.id, task.status]));
+  const semantics = await loadStatusSemantics(projectIds);
+
+  return labels.map(label => {
+    const { closedStatuses } = semantics.get(label.projectId);
+    const statuses = links
+      .filter(link => link.labelId === label.id && statusOf.has(link.taskId))
+      .map(link => statusOf.get(link.taskId));
+    return {
+      ...formatLabel(label),
+      taskCount: statuses.length,
+      openTaskCount: statuses.filter(status => !closedStatuses.includes(status)).length
+    };
+  });
+}
+
+module.exports = {
+  listLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  setTaskLabels,
+  copyTaskLabels,
+  removeTaskLabels,
+  getTaskLabels,
+  findTaskIdsByLabels,
+  getLabelCounts
+};
@@ -0,0 +1,29 @@
+const LoginAttempt = require('../../models/loginAttempt');
+
+/**
+ * Attempt store backed by the login_attempts table, shared by every instance of the API.
+ * @returns {{name: string, get: Function, set: Function, delete: Function}}
+ */
+function createDatabaseStore() {
+  return {
+    name: 'database',
+    get: async (key) => {
+      const attempt = await LoginAttempt.findOne({ where: { key } });
+      if (!attempt) return null;
+
+      return {
+        failures: attempt.failures,
+        lastFailureAt: attempt.lastFailureAt,
+        lockedUntil: attempt.lockedUntil
+      };
+    },
+    set: async (key, record) => {
+      await LoginAttempt.upsert({ key, ...record }, { conflictFields: ['key'] });
+    },
+    delete: async (key) => {
+      await LoginAttempt.destroy({ where: { key } });
+    }
+  };
+}
+
+module.exports = createDatabaseStore;
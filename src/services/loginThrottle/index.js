@@ -0,0 +1,150 @@
+const logger = require('../../logger');
+const { audit } = require('../../auditLogger');
+const createDatabaseStore = require('./databaseStore');
+const createMemoryStore = require('./memoryStore');
+
+/**
+ * Brute-force protection for the login.
+ *
+ * Failed attempts are counted per username and per IP address. After a few free
+ * attempts every new failure blocks the key for an exponentially growing delay
+ * (backoff); when the failures reach the lockout threshold the key is locked for
+ * a longer period and an audit entry is written. Failures older than the tracking
+ * window are forgotten. A successful login clears the username counter.
+ *
+ * Records live in the login_attempts table; LOGIN_ATTEMPT_STORE=memory (the
+ * default when NODE_ENV is 'test') keeps them in memory instead.
+ */
+
+const int = (value, fallback) => (Number.isNaN(parseInt(value)) ? fallback : parseInt(value));
+
+// Política por tipo de clave; las IP toleran más fallos porque pueden compartirse (NAT, oficinas)
+const POLICIES = {
+  username: {
+    freeAttempts: int(process.env.LOGIN_FREE_ATTEMPTS, 3),
+    lockoutThreshold: int(process.env.LOGIN_LOCKOUT_THRESHOLD, 10)
+  },
+  ip: {
+    freeAttempts: int(process.env.LOGIN_IP_FREE_ATTEMPTS, 10),
+    lockoutThreshold: int(process.env.LOGIN_IP_LOCKOUT_THRESHOLD, 50)
+  }
+};
+
+const BACKOFF_BASE_MS = int(process.env.LOGIN_BACKOFF_BASE_SECONDS, 1) * 1000;
+const BACKOFF_MAX_MS = int(process.env.LOGIN_BACKOFF_MAX_SECONDS, 300) * 1000;
+const LOCKOUT_MS = int(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000;
+const WINDOW_MS = int(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 15) * 60 * 1000;
+
+let store = null;
+
+/**
+ * Returns the active attempt store, creating it on first use.
+ * @returns {{name: string, get: Function, set: Function, delete: Function}}
+ */
+function getStore() {
+  if (!store) {
+    const name = process.env.LOGIN_ATTEMPT_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'database');
+    store = name === 'memory' ? createMemoryStore() : createDatabaseStore();
+  }
+  return store;
+}
+
+/**
+ * Replaces the active store (pass null to go back to the configured one).
+ * @param {Object|null} customStore
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Builds the tracked keys of a login attempt.
+ * @param {string} username - Username sent by the client (it may not exist)
+ * @param {string} [ip] - IP address of the client
+ * @returns {{scope: string, key: string}[]}
+ */
+function keysFor(username, ip) {
+  const keys = [{ scope: 'username', key: `username:${String(username).trim().toLowerCase()}` }];
+  if (ip) keys.push({ scope: 'ip', key: `ip:${ip}` });
+  return keys;
+}
+
+/**
+ * Checks whether a login attempt is currently allowed.
+ * @param {string} username - Username sent by the client
+ * @param {string} [ip] - IP address of the client
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter in seconds
+ */
+async function checkLoginAllowed(username, ip) {
+  const now = Date.now();
+  let blockedUntil = 0;
+
+  for (const { key } of keysFor(username, ip)) {
+    const record = await getStore().get(key);
+    if (record && record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+      blockedUntil = Math.max(blockedUntil, new Date(record.lockedUntil).getTime());
+    }
+  }
+
+  if (blockedUntil === 0) {
+    return { allowed: true, retryAfter: 0 };
+  }
+  return { allowed: false, retryAfter: Math.ceil((blockedUntil - now) / 1000) };
+}
+
+/**
+ * Records a failed login attempt and applies backoff or lockout.
+ * @param {string} username - Username sent by the client
+ * @param {string} [ip] - IP address of the client
+ * @returns {Promise<void>}
+ */
+async function registerFailedLogin(username, ip) {
+  const now = Date.now();
+
+  for (const { scope, key } of keysFor(username, ip)) {
+    const policy = POLICIES[scope];
+    const previous = await getStore().get(key);
+
+    // Los fallos fuera de la ventana se olvidan (salvo que la clave siga bloqueada)
+    const expired = !previous || (
+      now - new Date(previous.lastFailureAt).getTime() > WINDOW_MS &&
+      !(previous.lockedUntil && new Date(previous.lockedUntil).getTime() > now)
+    );
+    const failures = (expired ? 0 : previous.failures) + 1;
+
+    let lockedUntil = null;
+    if (failures >= policy.lockoutThreshold) {
+      lockedUntil = new Date(now + LOCKOUT_MS);
+    } else if (failures > policy.freeAttempts) {
+      const delay = Math.min(BACKOFF_BASE_MS * 2 ** (failures - policy.freeAttempts - 1), BACKOFF_MAX_MS);
+      lockedUntil = new Date(now + delay);
+    }
+
+    await getStore().set(key, { failures, lastFailureAt: new Date(now), lockedUntil });
+
+    // Registrar en el log de auditoría cada bloqueo (los intentos durante un bloqueo no se cuentan)
+    if (failures >= policy.lockoutThreshold) {
+      audit('auth.lockout', { scope, key, failures, lockedUntil: lockedUntil.toISOString(), ip: ip || null });
+      logger.warn(`Login locked for ${key} until ${lockedUntil.toISOString()}`);
+    }
+  }
+}
+
+/**
+ * Clears the failed attempts of a username after a successful login.
+ * The IP counter is kept so an attacker cannot reset it with their own account.
+ * @param {string} username - Username that logged in
+ * @returns {Promise<void>}
+ */
+async function registerSuccessfulLogin(username) {
+  const [{ key }] = keysFor(username);
+  await getStore().delete(key);
+}
+
+module.exports = {
+  checkLoginAllowed,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  getStore,
+  setStore
+};
@@ -0,0 +1,21 @@
+/**
+ * In-memory attempt store. Used in tests and as a fallback when no database is
+ * available; records are lost on restart and are not shared between instances.
+ * @returns {{name: string, get: Function, set: Function, delete: Function}}
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => (records.has(key) ? { ...records.get(key) } : null),
+    set: async (key, record) => {
+      records.set(key, { ...record });
+    },
+    delete: async (key) => {
+      records.delete(key);
+    }
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,16 @@
+const logger = require('../../logger');
+
+/**
+ * Development/test transport that prints every email to the log instead of sending it.
+ * @returns {{name: string, send: Function}}
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      logger.info(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Development/test transport that writes every email as a JSON file
+ * in MAIL_FILE_DIR (defaults to ./tmp/mail).
+ * @returns {{name: string, send: Function}}
+ */
+function createFileTransport() {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || path.join('tmp', 'mail'));
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+}
+
+module.exports = createFileTransport;
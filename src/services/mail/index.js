@@ -0,0 +1,73 @@
+const logger = require('../../logger');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+/**
+ * Mail delivery abstraction.
+ *
+ * A transport is an object `{ name, send(message) }` where `send` returns a promise.
+ * The transport is chosen with MAIL_TRANSPORT ('smtp', 'file' or 'console'); by default
+ * production uses SMTP and any other environment uses the console transport.
+ * Tests can replace it with `setTransport`.
+ */
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * Creates the transport configured by the environment.
+ * @returns {{name: string, send: Function}}
+ */
+function createDefaultTransport() {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport '${name}'. Valid transports: ${Object.keys(transportFactories).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Returns the active transport, creating it on first use.
+ * @returns {{name: string, send: Function}}
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replaces the active transport (pass null to go back to the configured one).
+ * @param {{name: string, send: Function}|null} customTransport
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Sends an email through the active transport.
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  const activeTransport = getTransport();
+  const from = process.env.MAIL_FROM || 'SmartTask <no-reply@smarttask.local>';
+
+  await activeTransport.send({ from, ...message });
+  logger.info(`Mail "${message.subject}" sent through ${activeTransport.name} transport`);
+}
+
+module.exports = { sendMail, getTransport, setTransport };
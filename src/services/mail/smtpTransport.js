@@ -0,0 +1,29 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport backed by nodemailer. Configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ * @returns {{name: string, send: Function}}
+ */
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not defined in the .env file');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,225 @@
+const { Op, fn, col, where } = require('sequelize');
+const User = require('../models/user');
+const Project = require('../models/project');
+const ProjectMembership = require('../models/projectMembership');
+const { PROJECT_ROLES } = require('../models/projectMembership');
+const { ensureWorkspaceMember } = require('./workspace');
+const HttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+/**
+ * Project membership operations shared by the project, task and voice handlers:
+ * listing members, inviting users (or pending emails), claiming invitations and
+ * validating task assignees against the real members of a project.
+ */
+
+/**
+ * Formats a membership (with its user loaded) for API responses.
+ * @param {ProjectMembership} membership - Membership with the `user` association loaded
+ * @returns {Object} Member data
+ */
+function formatMember(membership) {
+  const user = membership.user;
+
+  return {
+    id: membership.id,
+    userId: membership.userId,
+    username: user ? user.username : null,
+    name: user ? user.name : membership.invitedName,
+    email: user ? user.email : membership.invitedEmail,
+    role: membership.role,
+    status: membership.userId ? 'active' : 'invited'
+  };
+}
+
+/**
+ * Lists every member (active and invited) of a project, ordered by role.
+ * @param {number|string} projectId - ID of the project
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<Object[]>} Formatted members
+ */
+async function listProjectMembers(projectId, options = {}) {
+  const memberships = await ProjectMembership.findAll({
+    where: { projectId },
+    include: [{ model: User, as: 'user', attributes: ['id', 'username', 'name', 'email'] }],
+    order: [['created_at', 'ASC']],
+    ...options
+  });
+
+  return memberships
+    .map(formatMember)
+    .sort((a, b) => PROJECT_ROLES.indexOf(a.role) - PROJECT_ROLES.indexOf(b.role));
+}
+
+/**
+ * Finds a registered user by email or username (exact match, case-insensitive).
+ * @param {string} identifier - Email or username
+ * @returns {Promise<User|null>} The user, or null if none matches
+ */
+async function findUserByEmailOrUsername(identifier) {
+  if (!identifier || typeof identifier !== 'string') return null;
+
+  // Comparación exacta en minúsculas: con iLike, '%' y '_' funcionarían como comodines y encontrarían a otro usuario
+  const value = identifier.toLowerCase();
+  return User.findOne({
+    where: {
+      [Op.or]: [
+        where(fn('lower', col('email')), value),
+        where(fn('lower', col('username')), value)
+      ]
+    }
+  });
+}
+
+/**
+ * Adds a user to the workspace of a project (as workspace member) if they are not in it yet.
+ * @param {number|string} projectId - ID of the project
+ * @param {number} userId - ID of the user
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<void>}
+ */
+async function joinProjectWorkspace(projectId, userId, options = {}) {
+  const project = await Project.findByPk(projectId, { attributes: ['id', 'workspaceId'], transaction: options.transaction });
+  if (project) {
+    await ensureWorkspaceMember(project.workspaceId, userId, options);
+  }
+}
+
+/**
+ * Adds a member to a project. If the invited email does not belong to a
+ * registered user, a pending invitation is stored instead.
+ * Registered users also join the workspace of the project.
+ *
+ * @param {number|string} projectId - ID of the project
+ * @param {Object} invitation - Who to invite
+ * @param {number} [invitation.userId] - ID of an existing user
+ * @param {string} [invitation.username] - Username of an existing user
+ * @param {string} [invitation.email] - Email of the person to invite
+ * @param {string} [invitation.name] - Display name for pending invitations
+ * @param {string} [invitation.role='editor'] - Role to grant (cannot be 'owner')
+ * @param {number} invitedBy - ID of the user sending the invitation
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<ProjectMembership>} The created membership
+ * @throws {HttpError} 400 for invalid input, 404 if the user does not exist, 409 if already a member
+ */
+async function inviteMember(projectId, invitation, invitedBy, options = {}) {
+  const { userId, username, email, name, role = 'editor' } = invitation;
+
+  if (!PROJECT_ROLES.includes(role) || role === 'owner') {
+    throw new HttpError(400, `Invalid role '${role}'. Valid roles: ${PROJECT_ROLES.filter(r => r !== 'owner').join(', ')}`);
+  }
+
+  let user = null;
+  if (userId) {
+    user = await User.findByPk(userId);
+  } else if (username) {
+    user = await User.findOne({ where: { username } });
+  } else if (email) {
+    user = await findUserByEmailOrUsername(email);
+  } else {
+    throw new HttpError(400, 'A userId, username or email is required to invite a member');
+  }
+
+  if (!user && !email) {
+    throw new HttpError(404, 'User not found');
+  }
+
+  if (user) {
+    const existing = await ProjectMembership.findOne({ where: { projectId, userId: user.id }, ...options });
+    if (existing) {
+      throw new HttpError(409, 'The user is already a member of this project');
+    }
+
+    const membership = await ProjectMembership.create({ projectId, userId: user.id, role, invitedBy }, options);
+    await joinProjectWorkspace(projectId, user.id, options);
+    return membership;
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const pending = await ProjectMembership.findOne({ where: { projectId, invitedEmail: normalizedEmail }, ...options });
+  if (pending) {
+    throw new HttpError(409, 'This email has already been invited to the project');
+  }
+
+  logger.info(`Pending invitation created for ${normalizedEmail} in project ${projectId}`);
+  return ProjectMembership.create({
+    projectId,
+    role,
+    invitedEmail: normalizedEmail,
+    invitedName: name || null,
+    invitedBy
+  }, options);
+}
+
+/**
+ * Links the pending invitations sent to the user's email to their account,
+ * and adds the user to the workspaces of those projects.
+ * @param {User} user - Newly registered (or updated) user
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<number>} Number of invitations claimed
+ */
+async function claimPendingInvitations(user, options = {}) {
+  if (!user.email) return 0;
+
+  const where = { userId: null, invitedEmail: user.email.toLowerCase() };
+  const pending = await ProjectMembership.findAll({ where, attributes: ['id', 'projectId'], ...options });
+  if (pending.length === 0) return 0;
+
+  const [claimed] = await ProjectMembership.update(
+    { userId: user.id, invitedEmail: null },
+    { where: { ...where, id: pending.map(membership => membership.id) }, ...options }
+  );
+
+  for (const projectId of new Set(pending.map(membership => membership.projectId))) {
+    await joinProjectWorkspace(projectId, user.id, options);
+  }
+
+  if (claimed > 0) {
+    logger.info(`User ${user.id} claimed ${claimed} pending project invitation(s)`);
+  }
+  return claimed;
+}
+
+/**
+ * Validates a task assignee against the active members of a project.
+ *
+ * Accepts either the user ID (`assignedUserId`) or the legacy email/username
+ * string (`assignedMember`). Passing null for either clears the assignment.
+ *
+ * @param {number|string} projectId - ID of the project the task belongs to
+ * @param {Object} assignee - Requested assignee
+ * @param {number|null} [assignee.assignedUserId] - ID of the user to assign
+ * @param {string|null} [assignee.assignedMember] - Email or username of the user to assign
+ * @returns {Promise<{assignedUserId: number|null, assigned_member: string|null}>} Values to store on the task
+ * @throws {HttpError} 400 if the assignee is not an active member of the project
+ */
+async function resolveAssignee(projectId, { assignedUserId, assignedMember }) {
+  if (assignedUserId === null || assignedMember === null || assignedMember === '') {
+    return { assignedUserId: null, assigned_member: null };
+  }
+
+  let user = null;
+  if (assignedUserId !== undefined) {
+    user = await User.findByPk(assignedUserId);
+  } else if (assignedMember !== undefined) {
+    user = await findUserByEmailOrUsername(assignedMember);
+  }
+
+  const membership = user
+    ? await ProjectMembership.findOne({ where: { projectId, userId: user.id } })
+    : null;
+
+  if (!membership) {
+    throw new HttpError(400, 'The assigned member must be an active member of the project');
+  }
+
+  return { assignedUserId: user.id, assigned_member: user.email || user.username };
+}
+
+module.exports = {
+  listProjectMembers,
+  findUserByEmailOrUsername,
+  inviteMember,
+  claimPendingInvitations,
+  resolveAssignee
+};
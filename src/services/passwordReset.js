@@ -0,0 +1,132 @@
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { sequelize, User, PasswordResetToken } = require('../models');
+const HttpError = require('../utils/httpError');
+const { generateToken, hashToken } = require('../utils/token');
+const { sendMail } = require('./mail');
+const { revokeAllUserSessions } = require('./session');
+const logger = require('../logger');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+
+/**
+ * Builds the email sent to the user with the reset link.
+ * @param {User} user - The user that requested the reset
+ * @param {string} token - The reset token in clear text
+ * @returns {Object} Mail message
+ */
+function buildResetMail(user, token) {
+  const baseURL = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const link = `${baseURL.replace(/\/$/, '')}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'SmartTask - Restablecer contraseña',
+    text: `Hola ${user.name},\n\n` +
+      `Recibimos una solicitud para restablecer tu contraseña. Usa este enlace en los próximos ${PASSWORD_RESET_TTL_MINUTES} minutos:\n\n` +
+      `${link}\n\n` +
+      'Si no fuiste tú, ignora este mensaje: tu contraseña no cambiará.'
+  };
+}
+
+/**
+ * Starts the password recovery of an account identified by username or email.
+ *
+ * Nothing is reported back to the caller: whether the account exists or has an
+ * email is only logged, so the endpoint cannot be used to enumerate users.
+ * Previous unused tokens of the user are invalidated.
+ *
+ * @param {string} identifier - Username or email of the account
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(identifier) {
+  const value = String(identifier || '').trim();
+  if (!value) return;
+
+  const user = await User.findOne({
+    where: {
+      [Op.or]: [
+        { username: value },
+        { email: value.toLowerCase() }
+      ]
+    }
+  });
+
+  if (!user || !user.email) {
+    logger.info('Password reset requested for an unknown account or an account without email');
+    return;
+  }
+
+  const token = generateToken();
+
+  await sequelize.transaction(async (transaction) => {
+    // Solo el último enlace enviado es válido
+    await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, usedAt: null }, transaction }
+    );
+
+    await PasswordResetToken.create({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    }, { transaction });
+  });
+
+  // El envío no se espera para que el tiempo de respuesta no delate si la cuenta existe
+  sendMail(buildResetMail(user, token))
+    .catch(error => logger.error(`Error sending password reset email to user ${user.id}`, error));
+
+  logger.info(`Password reset requested for user ${user.id}`);
+}
+
+/**
+ * Sets a new password using a reset token. The token is consumed and every
+ * session of the user is revoked.
+ *
+ * @param {string} token - The reset token received by email
+ * @param {string} newPassword - The new password
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 when the token is unknown, expired or already used
+ */
+async function resetPassword(token, newPassword) {
+  if (!token || !newPassword) {
+    throw new HttpError(400, 'Token and new password are required.');
+  }
+
+  const resetToken = await PasswordResetToken.findOne({
+    where: {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+
+  if (!resetToken) {
+    throw new HttpError(400, 'Invalid or expired reset token.');
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+
+  await sequelize.transaction(async (transaction) => {
+    // Consumir el token de forma condicional para que solo se pueda usar una vez
+    const [consumed] = await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { id: resetToken.id, usedAt: null }, transaction }
+    );
+    if (consumed === 0) {
+      throw new HttpError(400, 'Invalid or expired reset token.');
+    }
+
+    await User.update({ password: hashedPassword }, { where: { id: resetToken.userId }, transaction });
+    await revokeAllUserSessions(resetToken.userId, 'password_reset', { transaction });
+  });
+
+  logger.info(`Password reset completed for user ${resetToken.userId}`);
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
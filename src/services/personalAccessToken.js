@@ -0,0 +1,181 @@
+const { User, PersonalAccessToken } = require('../models');
+const { TOKEN_SCOPES } = require('../models/personalAccessToken');
+const HttpError = require('../utils/httpError');
+const { AuthError } = require('../utils/authErrors');
+const { generateToken, hashToken } = require('../utils/token');
+const logger = require('../logger');
+
+/**
+ * Personal access tokens: long-lived, scoped and revocable credentials for scripts
+ * and automations, sent as `Authorization: Bearer stk_...`.
+ */
+
+// Prefijo que distingue los tokens personales de los JWT
+const TOKEN_PREFIX = 'stk_';
+
+// Frecuencia máxima con la que se actualiza lastUsedAt (evita una escritura por petición)
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Permisos que incluyen a otros
+const IMPLIED_SCOPES = {
+  'projects:admin': ['projects:read'],
+  'tasks:write': ['tasks:read']
+};
+
+/**
+ * Indicates whether a bearer credential looks like a personal access token.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isPersonalAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Expands the granted scopes with the scopes they imply.
+ * @param {string[]} scopes
+ * @returns {string[]}
+ */
+function expandScopes(scopes) {
+  const expanded = new Set(scopes);
+  for (const scope of scopes) {
+    (IMPLIED_SCOPES[scope] || []).forEach(implied => expanded.add(implied));
+  }
+  return [...expanded];
+}
+
+/**
+ * Formats a token for API responses (never includes the hash).
+ * @param {PersonalAccessToken} token
+ * @returns {Object}
+ */
+function formatToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    prefix: token.tokenPrefix,
+    scopes: token.scopes,
+    expiresAt: token.expiresAt,
+    lastUsedAt: token.lastUsedAt,
+    revokedAt: token.revokedAt,
+    createdAt: token.createdAt
+  };
+}
+
+/**
+ * Lists the tokens of a user, newest first.
+ * @param {number} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listTokens(userId) {
+  const tokens = await PersonalAccessToken.findAll({
+    where: { userId },
+    order: [['createdAt', 'DESC']]
+  });
+  return tokens.map(formatToken);
+}
+
+/**
+ * Creates a token. The clear-text value is only returned here.
+ * @param {number} userId
+ * @param {Object} data
+ * @param {string} data.name - Descriptive name
+ * @param {string[]} data.scopes - Granted scopes
+ * @param {string|Date} [data.expiresAt] - Optional expiration date (must be in the future)
+ * @returns {Promise<{token: string, personalAccessToken: Object}>}
+ * @throws {HttpError} 400 on invalid data
+ */
+async function createToken(userId, { name, scopes, expiresAt }) {
+  if (!name || !String(name).trim()) {
+    throw new HttpError(400, 'Token name is required.');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new HttpError(400, `At least one scope is required. Valid scopes: ${TOKEN_SCOPES.join(', ')}`);
+  }
+
+  const invalidScopes = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    throw new HttpError(400, `Invalid scopes: ${invalidScopes.join(', ')}. Valid scopes: ${TOKEN_SCOPES.join(', ')}`);
+  }
+
+  let expiration = null;
+  if (expiresAt) {
+    expiration = new Date(expiresAt);
+    if (Number.isNaN(expiration.getTime()) || expiration <= new Date()) {
+      throw new HttpError(400, 'expiresAt must be a valid date in the future.');
+    }
+  }
+
+  const token = `${TOKEN_PREFIX}${generateToken(32)}`;
+  const personalAccessToken = await PersonalAccessToken.create({
+    userId,
+    name: String(name).trim(),
+    tokenPrefix: token.slice(0, 12),
+    tokenHash: hashToken(token),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiration
+  });
+
+  logger.info(`Personal access token ${personalAccessToken.id} created for user ${userId}`);
+  return { token, personalAccessToken: formatToken(personalAccessToken) };
+}
+
+/**
+ * Revokes a token of a user.
+ * @param {number} userId
+ * @param {number|string} tokenId
+ * @returns {Promise<void>}
+ * @throws {HttpError} 404 when the token does not belong to the user
+ */
+async function revokeToken(userId, tokenId) {
+  const token = await PersonalAccessToken.findOne({ where: { id: tokenId, userId } });
+  if (!token) {
+    throw new HttpError(404, 'Token not found.');
+  }
+
+  if (!token.revokedAt) {
+    await token.update({ revokedAt: new Date() });
+    logger.info(`Personal access token ${token.id} revoked by user ${userId}`);
+  }
+}
+
+/**
+ * Authenticates a request made with a personal access token.
+ * @param {string} token - The bearer credential
+ * @returns {Promise<Object>} The `req.user` value: { userId, username, tokenType, tokenId, scopes }
+ * @throws {AuthError} TOKEN_INVALID when unknown or revoked, PERSONAL_ACCESS_TOKEN_EXPIRED when expired
+ */
+async function authenticateToken(token) {
+  const personalAccessToken = await PersonalAccessToken.findOne({
+    where: { tokenHash: hashToken(token), revokedAt: null },
+    include: [{ model: User, as: 'user', attributes: ['id', 'username'] }]
+  });
+
+  if (!personalAccessToken || !personalAccessToken.user) {
+    throw new AuthError('TOKEN_INVALID');
+  }
+  if (personalAccessToken.expiresAt && personalAccessToken.expiresAt <= new Date()) {
+    throw new AuthError('PERSONAL_ACCESS_TOKEN_EXPIRED');
+  }
+
+  const now = new Date();
+  if (!personalAccessToken.lastUsedAt || now - personalAccessToken.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await personalAccessToken.update({ lastUsedAt: now });
+  }
+
+  return {
+    userId: personalAccessToken.user.id,
+    username: personalAccessToken.user.username,
+    tokenType: 'personal_access_token',
+    tokenId: personalAccessToken.id,
+    scopes: expandScopes(personalAccessToken.scopes)
+  };
+}
+
+module.exports = {
+  isPersonalAccessToken,
+  listTokens,
+  createToken,
+  revokeToken,
+  authenticateToken
+};
@@ -0,0 +1,116 @@
+const { Op } = require('sequelize');
+const Project = require('../models/project');
+const Task = require('../models/task');
+const ProjectMembership = require('../models/projectMembership');
+const WorkspaceMembership = require('../models/workspaceMembership');
+
+/**
+ * Helpers to scope project and task queries to the data the authenticated user
+ * is allowed to see. A user can access every project where they hold an active
+ * membership (owner, editor, viewer or guest), plus every project of the
+ * workspaces they administer (with owner rights). Records outside that set are
+ * treated exactly like records that do not exist, so callers should answer with
+ * a 404 instead of a 403. Projects and tasks in the trash are also treated as
+ * missing unless `includeDeleted` is passed (trash endpoints).
+ */
+
+/**
+ * Returns the IDs of every project the user can access.
+ * @param {number} userId - ID of the authenticated user (req.user.userId)
+ * @param {Object} [options]
+ * @param {number} [options.workspaceId] - Only return projects of this workspace (req.workspace.id)
+ * @param {boolean} [options.includeDeleted=false] - Also return projects in the trash
+ * @returns {Promise<number[]>} List of project IDs
+ */
+async function getAccessibleProjectIds(userId, options = {}) {
+  const memberships = await ProjectMembership.findAll({
+    where: { userId },
+    attributes: ['projectId']
+  });
+
+  const adminWorkspaces = await WorkspaceMembership.findAll({
+    where: { userId, role: 'admin' },
+    attributes: ['workspaceId']
+  });
+
+  const or = [{ id: memberships.map(membership => membership.projectId) }];
+  if (adminWorkspaces.length > 0) {
+    or.push({ workspaceId: adminWorkspaces.map(membership => membership.workspaceId) });
+  }
+
+  const where = { [Op.or]: or };
+  if (options.workspaceId) where.workspaceId = options.workspaceId;
+
+  const projects = await Project.findAll({ where, attributes: ['id'], paranoid: !options.includeDeleted });
+  return projects.map(project => project.id);
+}
+
+/**
+ * Returns the membership of a user in a project.
+ *
+ * Workspace admins that are not members of the project get a virtual owner
+ * membership (`viaWorkspaceAdmin: true`) that is not stored in the database.
+ *
+ * @param {number|string} projectId - ID of the project
+ * @param {number} userId - ID of the authenticated user
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Also resolve projects in the trash
+ * @returns {Promise<ProjectMembership|Object|null>} The membership, or null if the user has no access
+ */
+async function getProjectMembership(projectId, userId, options = {}) {
+  if (!projectId || !userId) return null;
+
+  const project = await Project.findByPk(projectId, {
+    attributes: ['id', 'workspaceId'],
+    paranoid: !options.includeDeleted
+  });
+  if (!project) return null;
+
+  const membership = await ProjectMembership.findOne({ where: { projectId, userId } });
+  if (membership) return membership;
+
+  const workspaceMembership = await WorkspaceMembership.findOne({
+    where: { workspaceId: project.workspaceId, userId, role: 'admin' }
+  });
+  if (!workspaceMembership) return null;
+
+  return { projectId: project.id, userId, role: 'owner', viaWorkspaceAdmin: true };
+}
+
+/**
+ * Finds a project by ID only if the user can access it.
+ * @param {number|string} projectId - ID of the project
+ * @param {number} userId - ID of the authenticated user
+ * @param {Object} [options] - Extra Sequelize options (include, attributes, transaction...). `paranoid: false` also finds projects in the trash.
+ * @returns {Promise<Project|null>} The project, or null if it does not exist or is not accessible
+ */
+async function findAccessibleProject(projectId, userId, options = {}) {
+  const membership = await getProjectMembership(projectId, userId, { includeDeleted: options.paranoid === false });
+  if (!membership) return null;
+
+  const { where = {}, ...rest } = options;
+  return Project.findOne({
+    ...rest,
+    where: { ...where, id: projectId }
+  });
+}
+
+/**
+ * Finds a task by ID only if it belongs to a project the user can access.
+ * @param {number|string} taskId - ID of the task
+ * @param {number} userId - ID of the authenticated user
+ * @param {Object} [options] - Extra Sequelize options (include, attributes, transaction...). `paranoid: false` also finds tasks in the trash.
+ * @returns {Promise<Task|null>} The task, or null if it does not exist or is not accessible
+ */
+async function findAccessibleTask(taskId, userId, options = {}) {
+  if (!taskId || !userId) return null;
+
+  const projectIds = await getAccessibleProjectIds(userId, { includeDeleted: options.paranoid === false });
+  const { where = {}, ...rest } = options;
+  return Task.findOne({
+    ...rest,
+    where: { ...where, id: taskId, projectId: projectIds }
+  });
+}
+
+module.exports = { getAccessibleProjectIds, getProjectMembership, findAccessibleProject, findAccessibleTask };
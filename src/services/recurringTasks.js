@@ -0,0 +1,191 @@
+const { Op } = require('sequelize');
+const { sequelize, Task, Project } = require('../models');
+const HttpError = require('../utils/httpError');
+const { parseRecurrence, formatRecurrence, nextOccurrence } = require('../utils/recurrence');
+const { getProjectMembership } = require('./projectAccess');
+const { runWithContext } = require('../utils/requestContext');
+const { loadStatusSemantics } = require('./columns');
+const { copyTaskLabels } = require('./labels');
+const logger = require('../logger');
+
+/**
+ * Recurring tasks.
+ *
+ * A task with a recurrence rule is one occurrence of a series. The next occurrence
+ * is generated once, either when the current one is completed (moved to a done
+ * column) or, on schedule, when its due date arrives. Cancelling an occurrence ends the series; so does
+ * reaching the UNTIL date of the rule. Skipping an occurrence moves it to the
+ * next date of the rule.
+ */
+
+/**
+ * Validates and normalizes the recurrence sent by a client.
+ * @param {string|null} input - Preset ('daily', 'weekly', 'monthly'), RRULE string, or null to stop repeating
+ * @returns {string|null} Normalized RRULE
+ * @throws {HttpError} 400 when the rule is invalid or unsupported
+ */
+function normalizeRecurrence(input) {
+  if (input === null || input === '') return null;
+  try {
+    return formatRecurrence(parseRecurrence(input));
+  } catch (error) {
+    throw new HttpError(400, `Invalid recurrence: ${error.message}`);
+  }
+}
+
+/**
+ * Returns the new dates of a task moved to the due date `dueDate`, keeping the
+ * time between its start and due dates.
+ * @param {Task} task
+ * @param {Date} dueDate
+ * @returns {{creation_date: Date, completion_date: Date}}
+ */
+function shiftDates(task, dueDate) {
+  const duration = Math.max(new Date(task.completion_date) - new Date(task.creation_date), 0);
+  return { creation_date: new Date(dueDate.getTime() - duration), completion_date: dueDate };
+}
+
+/**
+ * Generates the occurrence that follows a recurring task, if it was not generated yet.
+ *
+ * The copy keeps the title, description, priority, estimate, custom fields, labels and assignee (if still a member),
+ * starts in the first column of the board and is due on the next date of the rule
+ * that is not in the past.
+ *
+ * @param {Task} task
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @param {Date} [options.now]
+ * @returns {Promise<Task|null>} The new occurrence, or null when the task does not repeat,
+ *   already has a next occurrence or the series has ended
+ */
+async function spawnNextOccurrence(task, { transaction, now = new Date() } = {}) {
+  if (!task.recurrenceRule || task.nextOccurrenceId) return null;
+
+  if (transaction) {
+    // Bloqueo de la fila: la tarea programada y una petición no pueden generar dos veces la misma repetición
+    const current = await Task.findByPk(task.id, {
+      attributes: ['id', 'nextOccurrenceId'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!current || current.nextOccurrenceId) return null;
+  }
+
+  const dueDate = nextOccurrence(parseRecurrence(task.recurrenceRule), task.completion_date, now);
+  if (!dueDate) {
+    logger.info(`Recurring series of task ${task.id} has ended`);
+    return null;
+  }
+
+  const project = await Project.findByPk(task.projectId, { attributes: ['id', 'kanban_columns'], transaction });
+  const keepAssignee = task.assignedUserId && (await getProjectMembership(project.id, task.assignedUserId));
+
+  const occurrence = await Task.create({
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    estimatedMinutes: task.estimatedMinutes,
+    customFields: task.customFields,
+    status: project.kanban_columns[0].id,
+    projectId: task.projectId,
+    assignedUserId: keepAssignee ? task.assignedUserId : null,
+    assigned_member: keepAssignee ? task.assigned_member : null,
+    recurrenceRule: task.recurrenceRule,
+    recurrenceSeriesId: task.recurrenceSeriesId || task.id,
+    ...shiftDates(task, dueDate)
+  }, { transaction });
+  await copyTaskLabels(task.id, occurrence.id, transaction);
+
+  await task.update({ nextOccurrenceId: occurrence.id }, { transaction });
+  logger.info(`Recurring task ${task.id}: next occurrence ${occurrence.id} due ${dueDate.toISOString().slice(0, 10)}`);
+  return occurrence;
+}
+
+/**
+ * Applies the rules of recurring tasks after a status change: completing an
+ * occurrence generates the next one. Must run in the same transaction as the change.
+ *
+ * @param {Task} task - The task, already saved with its new status
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Task|null>} The new occurrence, if any
+ */
+async function onStatusChange(task, { transaction } = {}) {
+  const { doneStatuses } = (await loadStatusSemantics([task.projectId], { transaction })).get(task.projectId);
+  if (!doneStatuses.includes(task.status)) return null;
+  return spawnNextOccurrence(task, { transaction });
+}
+
+/**
+ * Skips an occurrence: the task is moved to the next date of its rule (and not to a past date).
+ *
+ * @param {Task} task
+ * @param {Date} [now]
+ * @returns {Promise<Task>} The rescheduled task
+ * @throws {HttpError} 400 the task does not repeat, 409 SERIES_ENDED when there is no next date
+ */
+async function skipOccurrence(task, now = new Date()) {
+  if (!task.recurrenceRule) {
+    throw new HttpError(400, 'The task does not repeat');
+  }
+  if (task.nextOccurrenceId) {
+    throw new HttpError(409, 'The next occurrence of this task has already been generated', {
+      nextOccurrenceId: task.nextOccurrenceId
+    });
+  }
+
+  const dueDate = nextOccurrence(parseRecurrence(task.recurrenceRule), task.completion_date, now);
+  if (!dueDate) {
+    throw new HttpError(409, 'The series has no more occurrences (UNTIL reached)', { error: 'SERIES_ENDED' });
+  }
+
+  await task.update(shiftDates(task, dueDate));
+  logger.info(`Occurrence ${task.id} skipped to ${dueDate.toISOString().slice(0, 10)}`);
+  return task;
+}
+
+/**
+ * Generates the next occurrence of the recurring tasks whose due date has arrived.
+ * Cancelled occurrences end their series and are left out.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of generated occurrences
+ */
+async function generateDueOccurrences(now = new Date()) {
+  return runWithContext({ actorId: null, source: 'system' }, async () => {
+    const tasks = await Task.findAll({
+      where: {
+        recurrenceRule: { [Op.ne]: null },
+        nextOccurrenceId: null,
+        completion_date: { [Op.lte]: now }
+      }
+    });
+    // Las columnas canceladas dependen del tablero de cada proyecto
+    const semantics = await loadStatusSemantics(tasks.map(task => task.projectId));
+
+    let generated = 0;
+    for (const task of tasks) {
+      if (semantics.get(task.projectId).cancelledStatuses.includes(task.status)) continue;
+      try {
+        const occurrence = await sequelize.transaction(transaction => spawnNextOccurrence(task, { transaction, now }));
+        if (occurrence) generated += 1;
+      } catch (error) {
+        logger.error(`Error generating the next occurrence of task ${task.id}: ${error.message}`, error);
+      }
+    }
+
+    if (generated > 0) {
+      logger.info(`Recurring tasks: ${generated} occurrence(s) generated`);
+    }
+    return generated;
+  });
+}
+
+module.exports = {
+  normalizeRecurrence,
+  spawnNextOccurrence,
+  onStatusChange,
+  skipOccurrence,
+  generateDueOccurrences
+};
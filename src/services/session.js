@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, Session } = require('../models');
+const { AuthError } = require('../utils/authErrors');
+const { generateToken, hashToken } = require('../utils/token');
+const logger = require('../logger');
+
+// Los access tokens son de corta duración; la sesión se mantiene con el refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Signs a short-lived access token bound to a token family.
+ *
+ * @param {Object} user - The user the token is issued to.
+ * @param {string} familyId - The token family (`sid` claim).
+ * @param {number|null} [workspaceId] - The selected workspace (`wid` claim).
+ * @returns {string} The signed JWT.
+ */
+function signAccessToken(user, familyId, workspaceId = null) {
+  const payload = { userId: user.id, username: user.username, sid: familyId };
+  if (workspaceId) payload.wid = workspaceId;
+
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, algorithm: 'HS256' }
+  );
+}
+
+/**
+ * Stores a new refresh token in the given family and returns it in clear text.
+ *
+ * @param {number} userId - The owner of the session.
+ * @param {string} familyId - The token family.
+ * @param {Object} [meta] - Client information ({ userAgent, ipAddress }).
+ * @param {Object} [options] - Sequelize options (e.g. transaction).
+ * @param {number|null} [options.workspaceId] - The workspace selected in the session.
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+async function issueRefreshToken(userId, familyId, meta = {}, options = {}) {
+  const refreshToken = generateToken(48);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const session = await Session.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+    userAgent: meta.userAgent ? String(meta.userAgent).slice(0, 255) : null,
+    ipAddress: meta.ipAddress || null,
+    workspaceId: options.workspaceId || null
+  }, { transaction: options.transaction });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Starts a new session (token family) for a user after a successful login or registration.
+ *
+ * @param {Object} user - The authenticated user.
+ * @param {Object} [meta] - Client information ({ userAgent, ipAddress }).
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ */
+async function createSession(user, meta = {}) {
+  const familyId = crypto.randomUUID();
+  const { refreshToken } = await issueRefreshToken(user.id, familyId, meta);
+
+  return {
+    token: signAccessToken(user, familyId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+/**
+ * Revokes every active refresh token of a token family.
+ *
+ * @param {string} familyId - The token family.
+ * @param {string} reason - The revocation reason.
+ * @param {Object} [options] - Sequelize options (e.g. transaction).
+ * @returns {Promise<number>} Number of revoked tokens.
+ */
+async function revokeFamily(familyId, reason, options = {}) {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { familyId, revokedAt: null }, transaction: options.transaction }
+  );
+  return count;
+}
+
+/**
+ * Revokes every active refresh token of a user ("log out all devices").
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} reason - The revocation reason.
+ * @param {Object} [options] - Sequelize options (e.g. transaction).
+ * @param {string} [options.exceptFamilyId] - Token family to keep (e.g. the current session).
+ * @returns {Promise<number>} Number of revoked tokens.
+ */
+async function revokeAllUserSessions(userId, reason, options = {}) {
+  const where = { userId, revokedAt: null };
+  if (options.exceptFamilyId) {
+    where.familyId = { [Op.ne]: options.exceptFamilyId };
+  }
+
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where, transaction: options.transaction }
+  );
+  return count;
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ *
+ * The presented token is revoked and replaced (rotation). Presenting a token that
+ * was already rotated means it was copied: the whole family is revoked so both
+ * the attacker and the legitimate client have to log in again.
+ *
+ * @param {string} refreshToken - The refresh token in clear text.
+ * @param {Object} [meta] - Client information ({ userAgent, ipAddress }).
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ * @throws {AuthError} REFRESH_TOKEN_INVALID or REFRESH_TOKEN_EXPIRED.
+ */
+async function rotateSession(refreshToken, meta = {}) {
+  if (!refreshToken) {
+    throw new AuthError('REFRESH_TOKEN_INVALID');
+  }
+
+  const current = await Session.findOne({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: [{ association: 'user', attributes: ['id', 'username'] }]
+  });
+
+  if (!current || !current.user) {
+    throw new AuthError('REFRESH_TOKEN_INVALID');
+  }
+
+  if (current.revokedAt) {
+    // Un token ya rotado se está reutilizando: revocar toda la familia
+    if (current.revokedReason === 'rotated') {
+      const revoked = await revokeFamily(current.familyId, 'reuse_detected');
+      logger.warn(`Refresh token reuse detected for user ${current.userId}, family ${current.familyId}: ${revoked} token(s) revoked`);
+    }
+    throw new AuthError('REFRESH_TOKEN_INVALID');
+  }
+
+  if (current.expiresAt <= new Date()) {
+    throw new AuthError('REFRESH_TOKEN_EXPIRED');
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    // Revocación condicional: si otra petición ya rotó este token, se trata como reutilización
+    const [updated] = await Session.update(
+      { revokedAt: new Date(), revokedReason: 'rotated' },
+      { where: { id: current.id, revokedAt: null }, transaction }
+    );
+
+    if (updated === 0) {
+      await revokeFamily(current.familyId, 'reuse_detected', { transaction });
+      logger.warn(`Concurrent refresh token reuse for user ${current.userId}, family ${current.familyId}`);
+      throw new AuthError('REFRESH_TOKEN_INVALID');
+    }
+
+    const { session, refreshToken: nextToken } = await issueRefreshToken(
+      current.userId, current.familyId, meta, { transaction, workspaceId: current.workspaceId }
+    );
+    await Session.update({ replacedById: session.id }, { where: { id: current.id }, transaction });
+
+    return {
+      token: signAccessToken(current.user, current.familyId, current.workspaceId),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+  });
+}
+
+/**
+ * Selects a workspace for a session and returns a new access token carrying it.
+ *
+ * The choice is stored in the token family so later refreshes keep it. The caller
+ * must check that the user belongs to the workspace.
+ *
+ * @param {Object} user - The authenticated user ({ userId, username, sid } from the access token).
+ * @param {number} workspaceId - The workspace to select.
+ * @returns {Promise<{token: string, expiresIn: string}>}
+ * @throws {AuthError} SESSION_REVOKED when the session is no longer active.
+ */
+async function switchSessionWorkspace(user, workspaceId) {
+  const [updated] = await Session.update(
+    { workspaceId },
+    { where: { familyId: user.sid, userId: user.userId, revokedAt: null } }
+  );
+
+  if (updated === 0) {
+    throw new AuthError('SESSION_REVOKED');
+  }
+
+  return {
+    token: signAccessToken({ id: user.userId, username: user.username }, user.sid, workspaceId),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+/**
+ * Checks whether a token family still has a usable refresh token,
+ * i.e. whether access tokens issued for it should be accepted.
+ *
+ * @param {string} familyId - The token family (`sid` claim).
+ * @param {number} userId - The user the access token was issued to.
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(familyId, userId) {
+  if (!familyId) return false;
+
+  const active = await Session.count({
+    where: {
+      familyId,
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+  return active > 0;
+}
+
+/**
+ * Extracts the client information stored with a session from a request.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @returns {{userAgent: string|null, ipAddress: string|null}}
+ */
+function requestMeta(req) {
+  return {
+    userAgent: req.get ? req.get('user-agent') || null : null,
+    ipAddress: req.ip || null
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  createSession,
+  rotateSession,
+  revokeFamily,
+  revokeAllUserSessions,
+  switchSessionWorkspace,
+  isSessionActive,
+  requestMeta
+};
@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { Task } = require('../models');
+const HttpError = require('../utils/httpError');
+const { loadStatusSemantics } = require('./columns');
+const { fitCustomFieldValues } = require('./customFields');
+
+/**
+ * Subtasks: tasks with a `parentTaskId`.
+ *
+ * Only one level of nesting is allowed and a subtask always lives in the project of
+ * its parent. The progress of a parent is the share of its subtasks that are done;
+ * cancelled subtasks do not count. When a parent is cancelled its open subtasks are
+ * cancelled too, and it can only be completed once its subtasks are closed (or
+ * completing them along with it). Which columns are done or cancelled depends on the
+ * board of the project (see services/columns).
+ */
+
+/**
+ * Checks that a task can become a subtask of another one.
+ *
+ * @param {Object} params
+ * @param {number|string} params.parentTaskId - Requested parent
+ * @param {number} params.projectId - Project the subtask will belong to
+ * @param {Task} [params.task] - The task being changed (omitted on creation)
+ * @param {Object} [params.transaction]
+ * @returns {Promise<Task>} The parent task
+ * @throws {HttpError} 400 when the parent is not a live top-level task of the same project,
+ *   or when the task already has subtasks
+ */
+async function validateParent({ parentTaskId, projectId, task, transaction }) {
+  if (task && Number(parentTaskId) === task.id) {
+    throw new HttpError(400, 'A task cannot be its own subtask');
+  }
+
+  const parent = await Task.findOne({ where: { id: parentTaskId, projectId }, transaction });
+  if (!parent) {
+    throw new HttpError(400, 'The parent task does not exist in this project');
+  }
+  if (parent.parentTaskId) {
+    throw new HttpError(400, 'Subtasks cannot have subtasks of their own');
+  }
+
+  if (task && (await Task.count({ where: { parentTaskId: task.id }, transaction })) > 0) {
+    throw new HttpError(400, 'A task with subtasks cannot become a subtask');
+  }
+  return parent;
+}
+
+/**
+ * Computes the progress of the given parent tasks from their live subtasks.
+ *
+ * @param {number[]} taskIds
+ * @returns {Promise<Map<number, {done: number, total: number, percent: number}>>}
+ *   Only the tasks with subtasks are in the map
+ */
+async function getProgress(taskIds) {
+  const progress = new Map();
+  if (taskIds.length === 0) return progress;
+
+  const subtasks = await Task.findAll({
+    where: { parentTaskId: taskIds },
+    attributes: ['id', 'parentTaskId', 'projectId', 'status']
+  });
+  const semantics = await loadStatusSemantics(subtasks.map(subtask => subtask.projectId));
+
+  for (const subtask of subtasks) {
+    const { doneStatuses, cancelledStatuses } = semantics.get(subtask.projectId);
+    const entry = progress.get(subtask.parentTaskId) || { done: 0, total: 0, percent: 0 };
+    if (!cancelledStatuses.includes(subtask.status)) entry.total += 1;
+    if (doneStatuses.includes(subtask.status)) entry.done += 1;
+    progress.set(subtask.parentTaskId, entry);
+  }
+  for (const entry of progress.values()) {
+    entry.percent = entry.total > 0 ? Math.round((entry.done / entry.total) * 100) : 100;
+  }
+  return progress;
+}
+
+/**
+ * Lists the subtasks of a task, oldest first.
+ * @param {number} taskId
+ * @returns {Promise<Task[]>}
+ */
+async function listSubtasks(taskId) {
+  return Task.findAll({
+    where: { parentTaskId: taskId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+/**
+ * Applies the rules for the subtasks of a task whose status has just changed.
+ * Must run in the same transaction as the change of the parent.
+ *
+ * - cancelled: the open subtasks are cancelled too
+ * - done: refused while subtasks are open, unless `completeSubtasks` is set,
+ *   in which case they are completed too
+ *
+ * The subtasks go to the same column as their parent.
+ *
+ * @param {Task} task - The parent, already saved with its new status
+ * @param {Object} [options]
+ * @param {boolean} [options.completeSubtasks=false]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<number[]>} IDs of the subtasks that changed
+ * @throws {HttpError} 409 OPEN_SUBTASKS when completing a task with open subtasks
+ */
+async function applyParentStatusRules(task, { completeSubtasks = false, transaction } = {}) {
+  const { doneStatuses, closedStatuses } = (await loadStatusSemantics([task.projectId], { transaction })).get(task.projectId);
+  if (!closedStatuses.includes(task.status)) return [];
+
+  const openSubtasks = await Task.findAll({
+    where: { parentTaskId: task.id, status: { [Op.notIn]: closedStatuses } },
+    attributes: ['id', 'title', 'status'],
+    transaction
+  });
+  if (openSubtasks.length === 0) return [];
+
+  if (doneStatuses.includes(task.status) && !completeSubtasks) {
+    throw new HttpError(409, 'The task has open subtasks. Close them first or send completeSubtasks: true.', {
+      error: 'OPEN_SUBTASKS',
+      openSubtasks: openSubtasks.map(subtask => ({ id: subtask.id, title: subtask.title, status: subtask.status }))
+    });
+  }
+
+  for (const subtask of openSubtasks) {
+    await subtask.update({ status: task.status }, { transaction });
+  }
+  return openSubtasks.map(subtask => subtask.id);
+}
+
+/**
+ * Moves the subtasks of a task to the project its parent was moved to.
+ *
+ * @param {Task} task - The parent, already saved in its new project
+ * @param {Object} params
+ * @param {Project} params.project - The new project, with its `custom_fields`
+ * @param {string[]} params.validStatuses - Column IDs of the new project
+ * @param {(userId: number) => Promise<boolean>} params.isMember - Whether a user belongs to the new project
+ * @param {Object} [params.transaction]
+ * @returns {Promise<number[]>} IDs of the moved subtasks
+ */
+async function moveSubtasks(task, { project, validStatuses, isMember, transaction }) {
+  const subtasks = await Task.findAll({ where: { parentTaskId: task.id }, transaction });
+  const definitions = Array.isArray(project.custom_fields) ? project.custom_fields : [];
+
+  for (const subtask of subtasks) {
+    subtask.projectId = task.projectId;
+    // Mismas reglas que al mover la tarea principal: columna por defecto y sin asignar si el miembro no pertenece
+    if (!validStatuses.includes(subtask.status)) subtask.status = validStatuses[0];
+    if (subtask.assignedUserId && !(await isMember(subtask.assignedUserId))) {
+      subtask.assignedUserId = null;
+      subtask.assigned_member = null;
+    }
+
+    // Los valores de los campos personalizados se ajustan a los campos del nuevo proyecto (y a sus miembros)
+    const customFields = fitCustomFieldValues(definitions, subtask.customFields);
+    for (const field of definitions.filter(definition => definition.type === 'user')) {
+      if (customFields[field.id] && !(await isMember(customFields[field.id]))) delete customFields[field.id];
+    }
+    subtask.customFields = customFields;
+
+    await subtask.save({ transaction });
+  }
+  return subtasks.map(subtask => subtask.id);
+}
+
+module.exports = {
+  validateParent,
+  getProgress,
+  listSubtasks,
+  applyParentStatusRules,
+  moveSubtasks
+};
@@ -0,0 +1,126 @@
+const { Op } = require('sequelize');
+const Task = require('../models/task');
+const { rankBetween, initialRanks } = require('../utils/rank');
+
+/**
+ * Order of the cards in the Kanban columns.
+ *
+ * Every task has a rank key (`position`, see utils/rank) that orders it within its
+ * column (its project and status). New tasks and tasks that change column without a
+ * position go to the top of the column. Moving a card only rewrites that card, unless
+ * the keys around it run out of room: then its column is ranked again from scratch.
+ */
+
+// Las claves crecen al insertar siempre en el mismo hueco; al superar este largo se reordena la columna
+const RANK_MAX_LENGTH = 64;
+
+// Orden de las tarjetas de una columna (el ID desempata claves iguales)
+const RANK_ORDER = [['position', 'ASC'], ['id', 'ASC']];
+
+/**
+ * Lists the tasks of a column, in order.
+ * @param {number} projectId
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {number} [options.exceptId] - Task left out (the one being moved)
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Task[]>}
+ */
+function listColumn(projectId, status, { exceptId, transaction } = {}) {
+  return Task.findAll({
+    where: { projectId, status, ...(exceptId ? { id: { [Op.ne]: exceptId } } : {}) },
+    attributes: ['id', 'position'],
+    order: RANK_ORDER,
+    transaction
+  });
+}
+
+/**
+ * Ranks a column again with evenly spaced keys, keeping its order.
+ * Bookkeeping only: the tasks do not change, so no audit events are recorded.
+ * @param {Task[]} tasks - The tasks of the column, in order
+ * @param {Object} [transaction]
+ * @returns {Promise<void>}
+ */
+async function rebalance(tasks, transaction) {
+  const ranks = initialRanks(tasks.length);
+  for (const [index, task] of tasks.entries()) {
+    task.position = ranks[index];
+    await Task.update({ position: ranks[index] }, { where: { id: task.id }, hooks: false, silent: true, transaction });
+  }
+}
+
+/**
+ * Returns a key for a card placed at an index of a column.
+ * @param {Task[]} column - The other tasks of the column, in order
+ * @param {number} index - 0 for the top; the length of the column for the bottom
+ * @param {Object} [transaction]
+ * @returns {Promise<string>}
+ */
+async function rankAt(column, index, transaction) {
+  const neighbours = () => [
+    index > 0 ? column[index - 1].position : null,
+    index < column.length ? column[index].position : null
+  ];
+  let [before, after] = neighbours();
+
+  // Sin clave (tareas anteriores al orden) o con claves repetidas (altas simultáneas) no hay hueco: se reordena la columna
+  const missing = (index > 0 && !before) || (index < column.length && !after);
+  if (missing || (before && after && before >= after)) {
+    await rebalance(column, transaction);
+    [before, after] = neighbours();
+  }
+
+  let rank = rankBetween(before, after);
+  if (rank.length > RANK_MAX_LENGTH) {
+    await rebalance(column, transaction);
+    [before, after] = neighbours();
+    rank = rankBetween(before, after);
+  }
+  return rank;
+}
+
+/**
+ * Places a task in its column (its current project and status), at an index.
+ * Sets `position` without saving the task.
+ * @param {Task} task
+ * @param {number} index - 0 for the top; past the end for the bottom
+ * @param {Object} [options]
+ * @param {number} [options.projectId=task.projectId] - Project of the task, when it was loaded without it
+ * @param {Object} [options.transaction]
+ * @returns {Promise<number>} The index the task ends up at
+ */
+async function placeInColumn(task, index, { projectId = task.projectId, transaction } = {}) {
+  const column = await listColumn(projectId, task.status, { exceptId: task.id, transaction });
+  const target = Math.max(0, Math.min(index, column.length));
+  task.position = await rankAt(column, target, transaction);
+  return target;
+}
+
+/**
+ * Registers the hooks that put new tasks, and tasks that change column without a
+ * position, at the top of their column.
+ * @param {{Task: Object}} models
+ */
+function registerTaskOrdering({ Task: TaskModel }) {
+  TaskModel.addHook('beforeCreate', 'ordering', async (task, options) => {
+    if (!task.position) {
+      await placeInColumn(task, 0, { transaction: options.transaction });
+    }
+  });
+  TaskModel.addHook('beforeUpdate', 'ordering', async (task, options) => {
+    if ((task.changed('status') || task.changed('projectId')) && !task.changed('position')) {
+      // Las tareas cargadas con pocos atributos (p. ej. subtareas al cerrar su tarea principal) no traen el proyecto
+      const projectId = task.projectId !== undefined
+        ? task.projectId
+        : (await TaskModel.findByPk(task.id, { attributes: ['projectId'], paranoid: false, transaction: options.transaction })).projectId;
+      await placeInColumn(task, 0, { projectId, transaction: options.transaction });
+    }
+  });
+}
+
+module.exports = {
+  RANK_ORDER,
+  placeInColumn,
+  registerTaskOrdering
+};
@@ -0,0 +1,447 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { Task, TimeEntry, User } = require('../models');
+const HttpError = require('../utils/httpError');
+
+/**
+ * Time tracking on tasks.
+ *
+ * Time is logged per task and per user, either with a timer (start/stop) or by
+ * hand. A user has at most one running timer, and running timers do not count
+ * until they are stopped. Only the user who logged an entry can change it. The
+ * time logged on a task is compared with its estimate (`Task.estimatedMinutes`).
+ */
+
+const USER_INCLUDE = { model: User, as: 'user', attributes: ['id', 'username', 'name'] };
+
+/**
+ * Converts seconds to whole minutes.
+ * @param {number} seconds
+ * @returns {number}
+ */
+function toMinutes(seconds) {
+  return Math.round(seconds / 60);
+}
+
+/**
+ * Converts minutes to hours, with two decimals.
+ * @param {number} minutes
+ * @returns {number}
+ */
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+/**
+ * Formats a time entry (with its user loaded) for API responses.
+ * @param {TimeEntry} entry
+ * @param {Date} [now] - To compute the elapsed time of a running timer
+ * @returns {Object}
+ */
+function formatEntry(entry, now = new Date()) {
+  const running = !entry.endedAt;
+  return {
+    id: entry.id,
+    taskId: entry.taskId,
+    user: entry.user ? { id: entry.user.id, username: entry.user.username, name: entry.user.name } : null,
+    startedAt: entry.startedAt,
+    endedAt: entry.endedAt,
+    running,
+    durationSeconds: running
+      ? Math.max(Math.floor((now - new Date(entry.startedAt)) / 1000), 0)
+      : entry.durationSeconds,
+    minutes: running ? null : toMinutes(entry.durationSeconds),
+    note: entry.note,
+    billable: entry.billable,
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * Finds the logged time (stopped timers and manual entries) of the given tasks.
+ * @param {number[]} taskIds
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Only entries started at or after this date
+ * @param {Date} [options.to] - Only entries started before this date
+ * @param {number} [options.userId] - Only entries of this user
+ * @returns {Promise<TimeEntry[]>}
+ */
+function findLoggedEntries(taskIds, { from, to, userId } = {}) {
+  const where = { taskId: taskIds, endedAt: { [Op.ne]: null } };
+  if (from || to) {
+    where.startedAt = { ...(from ? { [Op.gte]: from } : {}), ...(to ? { [Op.lt]: to } : {}) };
+  }
+  if (userId) where.userId = userId;
+
+  return TimeEntry.findAll({ where, include: [USER_INCLUDE] });
+}
+
+/**
+ * Returns the minutes logged on each of the given tasks.
+ * @param {number[]} taskIds
+ * @returns {Promise<Map<number, number>>} Only the tasks with logged time are in the map
+ */
+async function getLoggedMinutes(taskIds) {
+  const seconds = new Map();
+  if (taskIds.length === 0) return seconds;
+
+  for (const entry of await findLoggedEntries(taskIds)) {
+    seconds.set(entry.taskId, (seconds.get(entry.taskId) || 0) + entry.durationSeconds);
+  }
+  for (const [taskId, total] of seconds) {
+    seconds.set(taskId, toMinutes(total));
+  }
+  return seconds;
+}
+
+/**
+ * Compares the estimate of a task with the time logged on it.
+ * @param {number|null} estimatedMinutes
+ * @param {number} loggedMinutes
+ * @returns {{estimatedMinutes: number|null, loggedMinutes: number, remainingMinutes: number|null, overEstimate: boolean}}
+ */
+function compareWithEstimate(estimatedMinutes, loggedMinutes) {
+  const estimated = estimatedMinutes === null || estimatedMinutes === undefined ? null : estimatedMinutes;
+  return {
+    estimatedMinutes: estimated,
+    loggedMinutes,
+    remainingMinutes: estimated === null ? null : Math.max(estimated - loggedMinutes, 0),
+    overEstimate: estimated !== null && loggedMinutes > estimated
+  };
+}
+
+/**
+ * Lists the time entries of a task, newest first, with its estimate vs. the time logged.
+ * @param {{id: number, estimatedMinutes: number|null}} task
+ * @returns {Promise<{entries: Object[], summary: Object}>}
+ */
+async function listEntries(task) {
+  const entries = await TimeEntry.findAll({
+    where: { taskId: task.id },
+    include: [USER_INCLUDE],
+    order: [['startedAt', 'DESC'], ['id', 'DESC']]
+  });
+
+  const loggedSeconds = entries
+    .filter(entry => entry.endedAt)
+    .reduce((total, entry) => total + entry.durationSeconds, 0);
+
+  const now = new Date();
+  return {
+    entries: entries.map(entry => formatEntry(entry, now)),
+    summary: compareWithEstimate(task.estimatedMinutes, toMinutes(loggedSeconds))
+  };
+}
+
+/**
+ * Returns the running timer of a user, if any.
+ * @param {number} userId
+ * @returns {Promise<TimeEntry|null>}
+ */
+function findRunningTimer(userId) {
+  return TimeEntry.findOne({ where: { userId, endedAt: null }, include: [USER_INCLUDE] });
+}
+
+/**
+ * Starts a timer on a task for a user.
+ *
+ * @param {{id: number}} task
+ * @param {number} userId
+ * @param {{note?: string, billable?: boolean}} [data]
+ * @returns {Promise<Object>} The formatted running entry
+ * @throws {HttpError} 409 TIMER_RUNNING when the user already has a running timer
+ */
+async function startTimer(task, userId, { note, billable } = {}) {
+  const timerRunning = (running) => new HttpError(409, 'You already have a running timer. Stop it first.', {
+    error: 'TIMER_RUNNING',
+    timer: running ? formatEntry(running) : null
+  });
+
+  const running = await findRunningTimer(userId);
+  if (running) throw timerRunning(running);
+
+  try {
+    const entry = await TimeEntry.create({
+      taskId: task.id,
+      userId,
+      startedAt: new Date(),
+      note: note || null,
+      ...(billable !== undefined ? { billable } : {})
+    });
+    return formatEntry(await TimeEntry.findByPk(entry.id, { include: [USER_INCLUDE] }));
+  } catch (error) {
+    // Dos inicios simultáneos: el índice único deja pasar solo uno
+    if (error instanceof UniqueConstraintError) throw timerRunning(await findRunningTimer(userId));
+    throw error;
+  }
+}
+
+/**
+ * Stops the running timer of a user on a task.
+ *
+ * @param {{id: number}} task
+ * @param {number} userId
+ * @param {Date} [now]
+ * @returns {Promise<Object>} The formatted entry
+ * @throws {HttpError} 409 NO_RUNNING_TIMER when the user has no timer running on the task
+ */
+async function stopTimer(task, userId, now = new Date()) {
+  const entry = await TimeEntry.findOne({ where: { taskId: task.id, userId, endedAt: null }, include: [USER_INCLUDE] });
+  if (!entry) {
+    throw new HttpError(409, 'You have no timer running on this task', { error: 'NO_RUNNING_TIMER' });
+  }
+
+  await entry.update({
+    endedAt: now,
+    durationSeconds: Math.max(Math.floor((now - new Date(entry.startedAt)) / 1000), 0)
+  });
+  return formatEntry(entry);
+}
+
+/**
+ * Stops the running timers on some tasks, when their users can no longer reach them
+ * to stop them (the tasks go to the trash, or the user leaves the project). The time
+ * logged ends now, so the time spent in the trash is not billed.
+ *
+ * @param {Object} scope
+ * @param {number[]} [scope.taskIds] - Timers on these tasks
+ * @param {number[]} [scope.projectIds] - Timers on the tasks of these projects
+ * @param {number} [scope.userId] - Only the timers of this user
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} How many timers were stopped
+ */
+async function stopRunningTimers({ taskIds, projectIds, userId }, { transaction, now = new Date() } = {}) {
+  const where = { endedAt: null };
+  if (taskIds) where.taskId = taskIds;
+  if (userId) where.userId = userId;
+
+  const entries = await TimeEntry.findAll({
+    where,
+    include: projectIds
+      ? [{ model: Task, attributes: [], where: { projectId: projectIds }, paranoid: false }]
+      : [],
+    transaction
+  });
+  for (const entry of entries) {
+    await entry.update({
+      endedAt: now,
+      durationSeconds: Math.max(Math.floor((now - new Date(entry.startedAt)) / 1000), 0)
+    }, { transaction });
+  }
+  return entries.length;
+}
+
+/**
+ * Works out the period of a manual entry: `startedAt` + `endedAt`, or `minutes`
+ * (ending at `endedAt`, or starting at `startedAt`, or ending now).
+ *
+ * @param {{startedAt?: string, endedAt?: string, minutes?: number}} data
+ * @returns {{startedAt: Date, endedAt: Date, durationSeconds: number}}
+ * @throws {HttpError} 400 when the period is missing or inconsistent
+ */
+function resolvePeriod({ startedAt, endedAt, minutes }) {
+  if (minutes !== undefined && minutes !== null) {
+    const durationSeconds = Number(minutes) * 60;
+    if (startedAt && endedAt) {
+      throw new HttpError(400, 'Send either minutes or startedAt and endedAt, not both');
+    }
+    if (startedAt) {
+      const start = new Date(startedAt);
+      return { startedAt: start, endedAt: new Date(start.getTime() + durationSeconds * 1000), durationSeconds };
+    }
+    const end = endedAt ? new Date(endedAt) : new Date();
+    return { startedAt: new Date(end.getTime() - durationSeconds * 1000), endedAt: end, durationSeconds };
+  }
+
+  if (!startedAt || !endedAt) {
+    throw new HttpError(400, 'Send the minutes worked, or startedAt and endedAt');
+  }
+  const start = new Date(startedAt);
+  const end = new Date(endedAt);
+  if (end <= start) {
+    throw new HttpError(400, 'endedAt must be later than startedAt');
+  }
+  return { startedAt: start, endedAt: end, durationSeconds: Math.floor((end - start) / 1000) };
+}
+
+/**
+ * Logs time on a task by hand.
+ *
+ * @param {{id: number}} task
+ * @param {number} userId
+ * @param {{startedAt?: string, endedAt?: string, minutes?: number, note?: string, billable?: boolean}} data
+ * @returns {Promise<Object>} The formatted entry
+ * @throws {HttpError} 400 when the period is missing or inconsistent
+ */
+async function logTime(task, userId, { startedAt, endedAt, minutes, note, billable }) {
+  const entry = await TimeEntry.create({
+    taskId: task.id,
+    userId,
+    ...resolvePeriod({ startedAt, endedAt, minutes }),
+    note: note || null,
+    ...(billable !== undefined ? { billable } : {})
+  });
+  return formatEntry(await TimeEntry.findByPk(entry.id, { include: [USER_INCLUDE] }));
+}
+
+/**
+ * Finds a time entry of a task logged by a user.
+ * @param {number} taskId
+ * @param {number|string} entryId
+ * @param {number} userId
+ * @returns {Promise<TimeEntry>}
+ * @throws {HttpError} 404 not found, 403 logged by another user
+ */
+async function findOwnEntry(taskId, entryId, userId) {
+  const entry = await TimeEntry.findOne({ where: { id: entryId, taskId }, include: [USER_INCLUDE] });
+  if (!entry) {
+    throw new HttpError(404, 'Time entry not found');
+  }
+  if (entry.userId !== userId) {
+    throw new HttpError(403, 'Only the user who logged this time can change it.', { error: 'FORBIDDEN' });
+  }
+  return entry;
+}
+
+/**
+ * Changes a time entry. The period of a running timer cannot be changed, only its note and billing.
+ *
+ * @param {{id: number}} task
+ * @param {number|string} entryId
+ * @param {number} userId
+ * @param {{startedAt?: string, endedAt?: string, minutes?: number, note?: string|null, billable?: boolean}} data
+ * @returns {Promise<Object>} The formatted entry
+ * @throws {HttpError} 404 not found, 403 not the owner, 400 inconsistent period
+ */
+async function updateEntry(task, entryId, userId, { startedAt, endedAt, minutes, note, billable }) {
+  const entry = await findOwnEntry(task.id, entryId, userId);
+
+  const periodChanged = [startedAt, endedAt, minutes].some(value => value !== undefined);
+  if (periodChanged) {
+    if (!entry.endedAt) {
+      throw new HttpError(400, 'Stop the timer before changing its period');
+    }
+    // Lo que no se envía se conserva: con solo minutes se mantiene el inicio
+    const period = minutes !== undefined
+      ? { startedAt: startedAt || entry.startedAt, minutes }
+      : { startedAt: startedAt || entry.startedAt, endedAt: endedAt || entry.endedAt };
+    entry.set(resolvePeriod(period));
+  }
+  if (note !== undefined) entry.note = note || null;
+  if (billable !== undefined) entry.billable = billable;
+
+  await entry.save();
+  return formatEntry(entry);
+}
+
+/**
+ * Deletes a time entry (or discards a running timer).
+ * @param {{id: number}} task
+ * @param {number|string} entryId
+ * @param {number} userId
+ * @returns {Promise<void>}
+ * @throws {HttpError} 404 not found, 403 not the owner
+ */
+async function deleteEntry(task, entryId, userId) {
+  const entry = await findOwnEntry(task.id, entryId, userId);
+  await entry.destroy();
+}
+
+/**
+ * Builds the time report of a project: time logged per member and per task, and
+ * the estimate of each task vs. all the time logged on it.
+ *
+ * Tasks in the trash are left out.
+ *
+ * @param {number} projectId
+ * @param {Object} [filters]
+ * @param {Date} [filters.from] - Only time started at or after this date
+ * @param {Date} [filters.to] - Only time started before this date
+ * @param {number} [filters.userId] - Only time logged by this member
+ * @returns {Promise<Object>}
+ */
+async function getProjectReport(projectId, { from, to, userId } = {}) {
+  const tasks = await Task.findAll({
+    where: { projectId },
+    attributes: ['id', 'title', 'status', 'estimatedMinutes'],
+    order: [['id', 'ASC']]
+  });
+  const taskIds = tasks.map(task => task.id);
+
+  const entries = taskIds.length > 0 ? await findLoggedEntries(taskIds, { from, to, userId }) : [];
+  const totalMinutes = await getLoggedMinutes(taskIds);
+
+  const members = new Map();
+  const perTask = new Map();
+  let loggedSeconds = 0;
+  let billableSeconds = 0;
+
+  for (const entry of entries) {
+    loggedSeconds += entry.durationSeconds;
+    if (entry.billable) billableSeconds += entry.durationSeconds;
+
+    const key = entry.userId || 0;
+    const member = members.get(key) || {
+      userId: entry.userId,
+      username: entry.user ? entry.user.username : null,
+      name: entry.user ? entry.user.name : null,
+      loggedSeconds: 0,
+      billableSeconds: 0,
+      entries: 0
+    };
+    member.loggedSeconds += entry.durationSeconds;
+    if (entry.billable) member.billableSeconds += entry.durationSeconds;
+    member.entries += 1;
+    members.set(key, member);
+
+    perTask.set(entry.taskId, (perTask.get(entry.taskId) || 0) + entry.durationSeconds);
+  }
+
+  const byTask = tasks
+    .filter(task => perTask.has(task.id) || task.estimatedMinutes !== null)
+    .map(task => ({
+      taskId: task.id,
+      title: task.title,
+      status: task.status,
+      periodMinutes: toMinutes(perTask.get(task.id) || 0),
+      ...compareWithEstimate(task.estimatedMinutes, totalMinutes.get(task.id) || 0)
+    }));
+
+  return {
+    projectId,
+    from: from || null,
+    to: to || null,
+    totals: {
+      loggedMinutes: toMinutes(loggedSeconds),
+      billableMinutes: toMinutes(billableSeconds),
+      loggedHours: toHours(toMinutes(loggedSeconds)),
+      billableHours: toHours(toMinutes(billableSeconds)),
+      estimatedMinutes: tasks.reduce((total, task) => total + (task.estimatedMinutes || 0), 0),
+      tasksOverEstimate: byTask.filter(task => task.overEstimate).length
+    },
+    byMember: [...members.values()]
+      .map(({ loggedSeconds: logged, billableSeconds: billable, ...member }) => ({
+        ...member,
+        loggedMinutes: toMinutes(logged),
+        billableMinutes: toMinutes(billable),
+        loggedHours: toHours(toMinutes(logged))
+      }))
+      .sort((a, b) => b.loggedMinutes - a.loggedMinutes),
+    byTask
+  };
+}
+
+module.exports = {
+  toHours,
+  compareWithEstimate,
+  getLoggedMinutes,
+  listEntries,
+  startTimer,
+  stopTimer,
+  stopRunningTimers,
+  logTime,
+  updateEntry,
+  deleteEntry,
+  getProjectReport
+};
@@ -0,0 +1,302 @@
+const { Op } = require('sequelize');
+const { sequelize, Project, Task } = require('../models');
+const HttpError = require('../utils/httpError');
+const { getAccessibleProjectIds, getProjectMembership } = require('./projectAccess');
+const { hasPermission, forbiddenBody } = require('../middleware/authorize');
+const { runWithContext } = require('../utils/requestContext');
+const { stopRunningTimers } = require('./timeTracking');
+const logger = require('../logger');
+
+/**
+ * Trash bin for projects and tasks.
+ *
+ * Projects and tasks are paranoid models: `destroy()` only fills `deletedAt`.
+ * Deleting a project also moves its tasks to the trash; restoring it brings back
+ * the tasks deleted with it (those deleted at or after the project). Tasks and
+ * their subtasks follow the same rule. Items are
+ * purged for good once they have been in the trash for TRASH_RETENTION_DAYS.
+ */
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the date when an item deleted at `deletedAt` will be purged.
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Checks that a user has a permission on a project, including projects in the trash.
+ * @param {number} projectId
+ * @param {number} userId
+ * @param {string} permission
+ * @param {string} notFoundMessage
+ * @throws {HttpError} 404 when the user has no access, 403 when the role lacks the permission
+ */
+async function assertPermission(projectId, userId, permission, notFoundMessage) {
+  const membership = await getProjectMembership(projectId, userId, { includeDeleted: true });
+  if (!membership) {
+    throw new HttpError(404, notFoundMessage);
+  }
+  if (!hasPermission(membership.role, permission)) {
+    const { message, ...details } = forbiddenBody(permission, membership.role);
+    throw new HttpError(403, message, details);
+  }
+}
+
+/**
+ * Moves a project and its tasks to the trash.
+ * @param {Project} project
+ * @returns {Promise<void>}
+ */
+async function trashProject(project) {
+  await sequelize.transaction(async (transaction) => {
+    // Primero el proyecto: sus tareas quedan con un deletedAt igual o posterior, lo que permite restaurarlas juntas
+    await project.destroy({ transaction });
+    await Task.destroy({ where: { projectId: project.id }, transaction });
+    // Desde la papelera no se podrían parar: los temporizadores en marcha terminan ahora
+    await stopRunningTimers({ projectIds: [project.id] }, { transaction });
+  });
+}
+
+/**
+ * Moves a task and its subtasks to the trash.
+ * @param {Task} task
+ * @returns {Promise<void>}
+ */
+async function trashTask(task) {
+  await sequelize.transaction(async (transaction) => {
+    // Primero la tarea principal, como con los proyectos
+    await task.destroy({ transaction });
+    const subtasks = await Task.findAll({ where: { parentTaskId: task.id }, attributes: ['id'], transaction });
+    await Task.destroy({ where: { parentTaskId: task.id }, transaction });
+    await stopRunningTimers({ taskIds: [task.id, ...subtasks.map(subtask => subtask.id)] }, { transaction });
+  });
+}
+
+/**
+ * Lists the trash of the current workspace: the deleted projects the user could
+ * restore (project:delete) and the tasks deleted on their own from live projects
+ * where the user can write tasks.
+ *
+ * @param {number} userId
+ * @param {number} workspaceId
+ * @returns {Promise<{retentionDays: number, projects: Object[], tasks: Object[]}>}
+ */
+async function listTrash(userId, workspaceId) {
+  const projectIds = await getAccessibleProjectIds(userId, { workspaceId, includeDeleted: true });
+  const projects = await Project.findAll({
+    where: { id: projectIds },
+    attributes: ['id', 'title', 'deletedAt'],
+    paranoid: false
+  });
+
+  const deletedProjects = [];
+  const writableProjects = [];
+  for (const project of projects) {
+    const membership = await getProjectMembership(project.id, userId, { includeDeleted: true });
+    if (project.deletedAt && hasPermission(membership.role, 'project:delete')) {
+      deletedProjects.push(project);
+    } else if (!project.deletedAt && hasPermission(membership.role, 'task:write')) {
+      writableProjects.push(project);
+    }
+  }
+
+  const projectItems = [];
+  for (const project of deletedProjects) {
+    const taskCount = await Task.count({
+      where: { projectId: project.id, deletedAt: { [Op.gte]: project.deletedAt } },
+      paranoid: false
+    });
+    projectItems.push({
+      id: project.id,
+      title: project.title,
+      deletedAt: project.deletedAt,
+      purgeAt: purgeDate(project.deletedAt),
+      taskCount
+    });
+  }
+
+  const tasks = await Task.findAll({
+    where: { projectId: writableProjects.map(project => project.id), deletedAt: { [Op.ne]: null } },
+    include: [{ model: Project, attributes: ['id', 'title'] }],
+    order: [['deletedAt', 'DESC']],
+    paranoid: false
+  });
+
+  return {
+    retentionDays: TRASH_RETENTION_DAYS,
+    projects: projectItems.sort((a, b) => b.deletedAt - a.deletedAt),
+    tasks: tasks.map(task => ({
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      projectId: task.projectId,
+      parentTaskId: task.parentTaskId,
+      projectTitle: task.Project ? task.Project.title : null,
+      deletedAt: task.deletedAt,
+      purgeAt: purgeDate(task.deletedAt)
+    }))
+  };
+}
+
+/**
+ * Restores a project from the trash together with the tasks deleted with it.
+ * @param {number|string} projectId
+ * @param {number} userId
+ * @returns {Promise<{project: Project, restoredTasks: number}>}
+ * @throws {HttpError} 404 not in the trash, 403 not allowed, 409 title already in use
+ */
+async function restoreProject(projectId, userId) {
+  await assertPermission(projectId, userId, 'project:delete', 'Project not found in the trash');
+
+  const project = await Project.findByPk(projectId, { paranoid: false });
+  if (!project || !project.deletedAt) {
+    throw new HttpError(404, 'Project not found in the trash');
+  }
+
+  const titleInUse = await Project.findOne({ where: { workspaceId: project.workspaceId, title: project.title } });
+  if (titleInUse) {
+    throw new HttpError(409, 'A project with the same name already exists. Rename it before restoring this one.');
+  }
+
+  const deletedAt = project.deletedAt;
+  const restoredTasks = await sequelize.transaction(async (transaction) => {
+    await project.restore({ transaction });
+
+    const tasks = await Task.findAll({
+      where: { projectId: project.id, deletedAt: { [Op.gte]: deletedAt } },
+      attributes: ['id'],
+      paranoid: false,
+      transaction
+    });
+    if (tasks.length > 0) {
+      await Task.restore({ where: { id: tasks.map(task => task.id) }, transaction });
+    }
+    return tasks.length;
+  });
+
+  logger.info(`Project ${project.id} restored from the trash with ${restoredTasks} task(s)`);
+  return { project, restoredTasks };
+}
+
+/**
+ * Restores a task from the trash together with the subtasks deleted with it.
+ * Its project (and its parent task, for a subtask) must not be in the trash.
+ *
+ * If the board changed meanwhile, a status that no longer exists is replaced by
+ * the first column and an assignee that left the project is removed.
+ *
+ * @param {number|string} taskId
+ * @param {number} userId
+ * @returns {Promise<Task>}
+ * @throws {HttpError} 404 not in the trash, 403 not allowed, 409 the project or the parent task is in the trash
+ */
+async function restoreTask(taskId, userId) {
+  const task = await Task.findByPk(taskId, { paranoid: false });
+  if (!task || !task.deletedAt) {
+    throw new HttpError(404, 'Task not found in the trash');
+  }
+
+  await assertPermission(task.projectId, userId, 'task:write', 'Task not found in the trash');
+
+  const project = await Project.findByPk(task.projectId, { paranoid: false });
+  if (project.deletedAt) {
+    throw new HttpError(409, 'The project of this task is in the trash. Restore the project first.', {
+      projectId: project.id
+    });
+  }
+
+  if (task.parentTaskId) {
+    const parent = await Task.findByPk(task.parentTaskId, { attributes: ['id', 'projectId', 'deletedAt'], paranoid: false });
+    if (parent && parent.deletedAt) {
+      throw new HttpError(409, 'The parent task of this subtask is in the trash. Restore the parent task first.', {
+        parentTaskId: parent.id
+      });
+    }
+    // La tarea principal se movió a otro proyecto mientras tanto: la subtarea vuelve como tarea principal
+    if (parent && parent.projectId !== task.projectId) {
+      task.parentTaskId = null;
+    }
+  }
+
+  const deletedAt = task.deletedAt;
+  const subtasks = await Task.findAll({
+    where: { parentTaskId: task.id, deletedAt: { [Op.gte]: deletedAt } },
+    paranoid: false
+  });
+
+  const columnIds = project.kanban_columns.map(column => column.id);
+  const memberCache = new Map();
+  const isMember = async (userId) => {
+    if (!memberCache.has(userId)) memberCache.set(userId, Boolean(await getProjectMembership(project.id, userId)));
+    return memberCache.get(userId);
+  };
+
+  await sequelize.transaction(async (transaction) => {
+    for (const item of [task, ...subtasks]) {
+      if (!columnIds.includes(item.status)) {
+        item.status = columnIds[0];
+      }
+      if (item.assignedUserId && !(await isMember(item.assignedUserId))) {
+        item.assignedUserId = null;
+        item.assigned_member = null;
+      }
+      await item.restore({ transaction });
+    }
+  });
+
+  logger.info(`Task ${task.id} restored from the trash with ${subtasks.length} subtask(s)`);
+  return task;
+}
+
+/**
+ * Permanently deletes the projects and tasks that have been in the trash longer
+ * than the retention period. Deleting a project also deletes its tasks and memberships
+ * (ON DELETE CASCADE).
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{projects: number, tasks: number}>} Number of purged items
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  return runWithContext({ actorId: null, source: 'system' }, async () => {
+    const tasks = await Task.findAll({
+      where: { deletedAt: { [Op.lt]: cutoff } },
+      paranoid: false
+    });
+    // Las subtareas primero: las de una tarea principal purgada desaparecerían en cascada sin pasar por los hooks
+    tasks.sort((a, b) => Boolean(b.parentTaskId) - Boolean(a.parentTaskId));
+    for (const task of tasks) {
+      await task.destroy({ force: true });
+    }
+
+    const projects = await Project.findAll({
+      where: { deletedAt: { [Op.lt]: cutoff } },
+      paranoid: false
+    });
+    for (const project of projects) {
+      await project.destroy({ force: true });
+    }
+
+    if (tasks.length > 0 || projects.length > 0) {
+      logger.info(`Trash purged: ${projects.length} project(s) and ${tasks.length} task(s) older than ${TRASH_RETENTION_DAYS} days`);
+    }
+    return { projects: projects.length, tasks: tasks.length };
+  });
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashProject,
+  trashTask,
+  listTrash,
+  restoreProject,
+  restoreTask,
+  purgeExpiredTrash
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const HttpError = require('../utils/httpError');
+const { AuthError } = require('../utils/authErrors');
+const { hashToken } = require('../utils/token');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const logger = require('../logger');
+
+/**
+ * Optional two-factor authentication with TOTP codes.
+ *
+ * Enrollment: `startEnrollment` stores a new secret and returns the otpauth URI;
+ * `enableTwoFactor` activates 2FA once the user proves the app is configured and
+ * returns the recovery codes (shown only once, stored hashed).
+ *
+ * Login: when 2FA is enabled the password step only returns a short-lived
+ * challenge token; the session is created after `verifyLoginChallenge`.
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'SmartTask';
+const CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const CHALLENGE_PURPOSE = '2fa_challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generates a set of recovery codes (format xxxxx-xxxxx).
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Hashes a recovery code ignoring case, spaces and dashes.
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+  return hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+}
+
+/**
+ * Verifies a TOTP code of a user and rejects codes already used (replay).
+ * @param {User} user - The user (with the 2FA fields loaded)
+ * @param {string} code - The code typed by the user
+ * @returns {Promise<boolean>}
+ */
+async function verifyUserCode(user, code) {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null || (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)) {
+    return false;
+  }
+
+  await user.update({ twoFactorLastStep: step });
+  return true;
+}
+
+/**
+ * Consumes a recovery code of a user. Each code can be used once.
+ * @param {User} user - The user (with the 2FA fields loaded)
+ * @param {string} code - The recovery code
+ * @returns {Promise<boolean>}
+ */
+async function consumeRecoveryCode(user, code) {
+  const hashes = Array.isArray(user.twoFactorRecoveryCodes) ? user.twoFactorRecoveryCodes : [];
+  const hash = hashRecoveryCode(code);
+
+  if (!hashes.includes(hash)) return false;
+
+  await user.update({ twoFactorRecoveryCodes: hashes.filter(h => h !== hash) });
+  logger.info(`Recovery code used by user ${user.id} (${hashes.length - 1} left)`);
+  return true;
+}
+
+/**
+ * Verifies either a TOTP code or a recovery code.
+ * @param {User} user
+ * @param {{code?: string, recoveryCode?: string}} credentials
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) return consumeRecoveryCode(user, recoveryCode);
+  return verifyUserCode(user, code);
+}
+
+/**
+ * Starts (or restarts) the 2FA enrollment of a user.
+ * @param {number} userId
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ * @throws {HttpError} 409 when 2FA is already enabled
+ */
+async function startEnrollment(userId) {
+  const user = await User.findByPk(userId);
+  if (!user) throw new HttpError(404, 'User not found.');
+  if (user.twoFactorEnabled) {
+    throw new HttpError(409, 'Two-factor authentication is already enabled.');
+  }
+
+  const secret = generateSecret();
+  await user.update({ twoFactorSecret: secret, twoFactorLastStep: null });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email || user.username, ISSUER)
+  };
+}
+
+/**
+ * Enables 2FA after checking a code generated with the enrolled secret.
+ * @param {number} userId
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} Recovery codes in clear text (only returned here)
+ * @throws {HttpError} 400 when enrollment was not started, 409 when already enabled
+ * @throws {AuthError} TWO_FACTOR_CODE_INVALID
+ */
+async function enableTwoFactor(userId, code) {
+  const user = await User.findByPk(userId);
+  if (!user) throw new HttpError(404, 'User not found.');
+  if (user.twoFactorEnabled) {
+    throw new HttpError(409, 'Two-factor authentication is already enabled.');
+  }
+  if (!user.twoFactorSecret) {
+    throw new HttpError(400, 'Two-factor enrollment has not been started.');
+  }
+  if (!(await verifyUserCode(user, code))) {
+    throw new AuthError('TWO_FACTOR_CODE_INVALID');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({ twoFactorEnabled: true, twoFactorRecoveryCodes: hashes });
+
+  logger.info(`Two-factor authentication enabled for user ${user.id}`);
+  return codes;
+}
+
+/**
+ * Disables 2FA. Requires a valid TOTP or recovery code.
+ * @param {number} userId
+ * @param {{code?: string, recoveryCode?: string}} credentials
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(userId, credentials) {
+  const user = await User.findByPk(userId);
+  if (!user) throw new HttpError(404, 'User not found.');
+  if (!user.twoFactorEnabled) {
+    throw new HttpError(400, 'Two-factor authentication is not enabled.');
+  }
+  if (!(await verifySecondFactor(user, credentials))) {
+    throw new AuthError('TWO_FACTOR_CODE_INVALID');
+  }
+
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorRecoveryCodes: null,
+    twoFactorLastStep: null
+  });
+  logger.info(`Two-factor authentication disabled for user ${user.id}`);
+}
+
+/**
+ * Replaces the recovery codes. Requires a valid TOTP code.
+ * @param {number} userId
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} New recovery codes in clear text
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  const user = await User.findByPk(userId);
+  if (!user) throw new HttpError(404, 'User not found.');
+  if (!user.twoFactorEnabled) {
+    throw new HttpError(400, 'Two-factor authentication is not enabled.');
+  }
+  if (!(await verifyUserCode(user, code))) {
+    throw new AuthError('TWO_FACTOR_CODE_INVALID');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({ twoFactorRecoveryCodes: hashes });
+  return codes;
+}
+
+/**
+ * Signs the intermediate token returned by the password step of the login.
+ * It cannot be used as an access token (the auth middleware rejects it).
+ * @param {User} user
+ * @returns {string}
+ */
+function createLoginChallenge(user) {
+  return jwt.sign(
+    { userId: user.id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN, algorithm: 'HS256' }
+  );
+}
+
+/**
+ * Resolves the user of a login challenge token.
+ * @param {string} challengeToken
+ * @returns {Promise<User>}
+ * @throws {AuthError} TWO_FACTOR_CHALLENGE_INVALID
+ */
+async function resolveLoginChallenge(challengeToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AuthError('TWO_FACTOR_CHALLENGE_INVALID');
+  }
+
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new AuthError('TWO_FACTOR_CHALLENGE_INVALID');
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user || !user.twoFactorEnabled) {
+    throw new AuthError('TWO_FACTOR_CHALLENGE_INVALID');
+  }
+  return user;
+}
+
+module.exports = {
+  CHALLENGE_PURPOSE,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  resolveLoginChallenge
+};
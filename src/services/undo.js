@@ -0,0 +1,259 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Project, Task, ProjectMembership, AuditEvent, UndoToken } = require('../models');
+const HttpError = require('../utils/httpError');
+const { generateToken, hashToken } = require('../utils/token');
+const { getCurrentActor, getTrackedAuditEvents } = require('../utils/requestContext');
+const { getProjectMembership } = require('./projectAccess');
+const { PERMISSION_SCOPES, hasPermission, forbiddenBody } = require('../middleware/authorize');
+const { AuthError } = require('../utils/authErrors');
+const logger = require('../logger');
+
+/**
+ * Undo of recent operations.
+ *
+ * The audit hooks remember the events written while handling a request. When the
+ * request succeeds it gets an undo token pointing to those events; redeeming the
+ * token (within UNDO_WINDOW_SECONDS) reverts them in reverse order, in a single
+ * transaction. The revert is refused when an entity was changed again afterwards.
+ */
+
+const UNDO_WINDOW_SECONDS = parseInt(process.env.UNDO_WINDOW_SECONDS) || 300;
+
+// Campos del proyecto cuyo cambio requiere permisos de configuración (como en routes/projects.js)
+const PROJECT_CONFIGURATION_FIELDS = ['kanban_columns', 'kanban_template', 'custom_fields'];
+
+// Modelo de cada tipo de entidad auditada
+const ENTITY_MODELS = {
+  project: Project,
+  task: Task,
+  membership: ProjectMembership
+};
+
+/**
+ * Creates the undo token of the current request, if it changed anything.
+ *
+ * Calling it again in the same request returns the same token unless new changes
+ * were made in between.
+ *
+ * @param {Object} req - Authenticated request (req.user, req.workspace)
+ * @returns {Promise<{token: string, expiresAt: Date}|null>} Null when there is nothing to undo
+ */
+async function issueUndoToken(req) {
+  const trackedIds = getTrackedAuditEvents();
+  if (trackedIds.length === 0 || !req.user) return null;
+  if (req.undo && req.undo.eventCount === trackedIds.length) return req.undo.result;
+
+  // Los eventos de transacciones revertidas no existen: no hay nada que deshacer
+  const events = await AuditEvent.findAll({ where: { id: trackedIds }, attributes: ['id'] });
+  if (events.length === 0) return null;
+
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + UNDO_WINDOW_SECONDS * 1000);
+
+  await UndoToken.create({
+    userId: req.user.userId,
+    workspaceId: req.workspace ? req.workspace.id : null,
+    tokenHash: hashToken(token),
+    source: getCurrentActor().source,
+    eventIds: events.map(event => event.id),
+    expiresAt
+  });
+
+  // Limpieza de los tokens caducados del usuario
+  await UndoToken.destroy({ where: { userId: req.user.userId, expiresAt: { [Op.lt]: new Date() } } });
+
+  req.undo = { eventCount: trackedIds.length, result: { token, expiresAt } };
+  return req.undo.result;
+}
+
+/**
+ * Builds the error returned when a change can no longer be reverted.
+ * @param {AuditEvent} event
+ * @param {string} reason
+ * @param {string[]} [fields] - Fields changed since the operation
+ * @returns {HttpError}
+ */
+function undoConflict(event, reason, fields) {
+  return new HttpError(409, `The operation cannot be undone: ${event.entityType} ${event.entityId} ${reason}.`, {
+    error: 'UNDO_CONFLICT',
+    entityType: event.entityType,
+    entityId: event.entityId,
+    ...(fields ? { fields } : {})
+  });
+}
+
+/**
+ * Returns the fields whose current value differs from the one left by the operation.
+ * @param {Object} instance - Current entity
+ * @param {Object} values - Values recorded by the audit event (`after`)
+ * @returns {string[]}
+ */
+function changedSince(instance, values) {
+  return Object.keys(values)
+    .filter(field => JSON.stringify(instance.get(field)) !== JSON.stringify(values[field]));
+}
+
+/**
+ * Reverts the change recorded by an audit event.
+ *
+ * - create: the entity is permanently deleted (it never existed), unless it was changed afterwards
+ * - update: the previous values are written back, if the fields still have the new ones
+ * - delete: the entity is restored from the trash (or recreated, for memberships)
+ * - restore: the entity goes back to the trash
+ * - purge: cannot be undone
+ *
+ * @param {AuditEvent} event
+ * @param {Object} transaction
+ * @returns {Promise<void>}
+ * @throws {HttpError} 409 when the entity changed afterwards
+ */
+async function revertEvent(event, transaction) {
+  const Model = ENTITY_MODELS[event.entityType];
+  const instance = await Model.findByPk(event.entityId, { paranoid: false, transaction });
+  const isDeleted = !instance || Boolean(Model.options.paranoid && instance.deletedAt);
+
+  switch (event.action) {
+    case 'create': {
+      // Si ya no existe no hay nada que revertir
+      if (!instance) return;
+
+      const changedFields = changedSince(instance, event.after).filter(field => field !== 'deletedAt');
+      if (changedFields.length > 0) throw undoConflict(event, 'was changed afterwards', changedFields);
+
+      // Eliminar el proyecto borraría en cascada las tareas y miembros añadidos después
+      if (event.entityType === 'project') {
+        const taskCount = await Task.count({ where: { projectId: instance.id }, paranoid: false, transaction });
+        const memberCount = await ProjectMembership.count({ where: { projectId: instance.id }, transaction });
+        if (taskCount > 0 || memberCount > 1) throw undoConflict(event, 'has tasks or members added afterwards');
+      }
+
+      await instance.destroy({ force: true, transaction });
+      return;
+    }
+
+    case 'update': {
+      if (isDeleted) throw undoConflict(event, 'has been deleted');
+
+      const changedFields = changedSince(instance, event.after);
+      if (changedFields.length > 0) throw undoConflict(event, 'was changed afterwards', changedFields);
+
+      await instance.update(event.before, { transaction });
+      return;
+    }
+
+    case 'delete':
+      if (Model.options.paranoid) {
+        if (!instance) throw undoConflict(event, 'has been permanently deleted');
+        if (instance.deletedAt) await instance.restore({ transaction });
+        return;
+      }
+      if (!instance) await Model.create(event.before, { transaction });
+      return;
+
+    case 'restore':
+      if (!instance) throw undoConflict(event, 'has been permanently deleted');
+      if (!isDeleted) await instance.destroy({ transaction });
+      return;
+
+    default:
+      throw undoConflict(event, 'has been permanently deleted');
+  }
+}
+
+/**
+ * Returns the project permission needed to revert an audited change: the one its
+ * original action required.
+ * @param {AuditEvent} event
+ * @returns {string} Permission (see ROLE_PERMISSIONS)
+ */
+function undoPermission(event) {
+  if (event.entityType === 'task') return 'task:write';
+  if (event.entityType === 'membership') return 'members:manage';
+  if (event.action === 'update') {
+    const fields = Object.keys(event.after || {});
+    return fields.some(field => PROJECT_CONFIGURATION_FIELDS.includes(field)) ? 'project:configure' : 'project:update';
+  }
+  // Crear, eliminar o restaurar un proyecto
+  return 'project:delete';
+}
+
+/**
+ * Undoes the operation of an undo token.
+ *
+ * @param {string} token - Undo token in clear text
+ * @param {number} userId - User redeeming the token (must be the one who made the changes)
+ * @param {Object} [options]
+ * @param {string[]} [options.scopes] - Scopes of the personal access token used, if any
+ * @returns {Promise<{undone: number, changes: Object[]}>} The reverted changes, newest first
+ * @throws {HttpError} 404 unknown token, 409 already undone or conflicting changes, 410 expired,
+ *   403 no access anymore or no permission (or scope) to revert a change
+ */
+async function undoOperation(token, userId, { scopes } = {}) {
+  const undoToken = await UndoToken.findOne({ where: { tokenHash: hashToken(token) } });
+  if (!undoToken || undoToken.userId !== userId) {
+    throw new HttpError(404, 'Undo token not found');
+  }
+  if (undoToken.redeemedAt) {
+    throw new HttpError(409, 'This operation has already been undone');
+  }
+  if (undoToken.expiresAt <= new Date()) {
+    throw new HttpError(410, 'The time to undo this operation has expired');
+  }
+
+  const events = await AuditEvent.findAll({
+    where: { id: undoToken.eventIds },
+    order: [['id', 'DESC']]
+  });
+
+  // El usuario debe seguir teniendo, en cada proyecto afectado, el permiso que exige revertir cada cambio
+  const memberships = new Map();
+  for (const event of events.filter(entry => entry.projectId)) {
+    if (!memberships.has(event.projectId)) {
+      memberships.set(event.projectId, await getProjectMembership(event.projectId, userId, { includeDeleted: true }));
+    }
+    const membership = memberships.get(event.projectId);
+    if (!membership) {
+      throw new HttpError(403, 'You no longer have access to the project changed by this operation', { projectId: event.projectId });
+    }
+
+    const permission = undoPermission(event);
+    const requiredScope = PERMISSION_SCOPES[permission];
+    if (Array.isArray(scopes) && requiredScope && !scopes.includes(requiredScope)) {
+      throw new AuthError('INSUFFICIENT_SCOPE', { requiredScope });
+    }
+    if (!hasPermission(membership.role, permission)) {
+      const { message, ...details } = forbiddenBody(permission, membership.role);
+      throw new HttpError(403, message, { ...details, projectId: event.projectId });
+    }
+  }
+
+  try {
+    await sequelize.transaction(async (transaction) => {
+      for (const event of events) {
+        await revertEvent(event, transaction);
+      }
+      await undoToken.update({ redeemedAt: new Date() }, { transaction });
+    });
+  } catch (error) {
+    // Por ejemplo, restaurar un proyecto cuyo título ya usa otro proyecto
+    if (error instanceof UniqueConstraintError) {
+      throw new HttpError(409, 'The operation cannot be undone because it conflicts with existing data.', {
+        error: 'UNDO_CONFLICT'
+      });
+    }
+    throw error;
+  }
+
+  logger.info(`Operation undone by user ${userId}: ${events.length} change(s)`);
+  return {
+    undone: events.length,
+    changes: events.map(event => ({
+      entityType: event.entityType,
+      entityId: event.entityId,
+      projectId: event.projectId,
+      action: event.action
+    }))
+  };
+}
+
+module.exports = { UNDO_WINDOW_SECONDS, issueUndoToken, undoOperation };
@@ -0,0 +1,271 @@
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  User,
+  Project,
+  ProjectMembership,
+  Workspace,
+  WorkspaceMembership
+} = require('../models');
+const { WORKSPACE_ROLES } = require('../models/workspaceMembership');
+const HttpError = require('../utils/httpError');
+const { stopRunningTimers } = require('./timeTracking');
+const logger = require('../logger');
+
+/**
+ * Workspace operations: membership lookups, the workspace selected by a request,
+ * and management of workspaces and their members.
+ */
+
+// Mayor valor de una columna INTEGER de PostgreSQL
+const MAX_ID = 2147483647;
+
+/**
+ * Returns the membership of a user in a workspace.
+ * @param {number|string} workspaceId - Not found when it is not a positive integer (e.g. a malformed header)
+ * @param {number} userId
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<WorkspaceMembership|null>}
+ */
+async function getWorkspaceMembership(workspaceId, userId, options = {}) {
+  if (!workspaceId || !userId) return null;
+  // Un ID que no es un entero haría fallar la consulta: se trata como un espacio inexistente
+  if (!/^\d+$/.test(String(workspaceId)) || Number(workspaceId) > MAX_ID) return null;
+  return WorkspaceMembership.findOne({ where: { workspaceId, userId }, transaction: options.transaction });
+}
+
+/**
+ * Returns the IDs of the workspaces where the user is an admin.
+ * @param {number} userId
+ * @returns {Promise<number[]>}
+ */
+async function getAdminWorkspaceIds(userId) {
+  const memberships = await WorkspaceMembership.findAll({
+    where: { userId, role: 'admin' },
+    attributes: ['workspaceId']
+  });
+  return memberships.map(membership => membership.workspaceId);
+}
+
+/**
+ * Lists the workspaces of a user with their role, oldest membership first.
+ * @param {number} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listUserWorkspaces(userId) {
+  const memberships = await WorkspaceMembership.findAll({
+    where: { userId },
+    include: [{ model: Workspace, as: 'workspace' }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  return memberships.map(membership => ({
+    id: membership.workspace.id,
+    name: membership.workspace.name,
+    role: membership.role,
+    createdAt: membership.workspace.createdAt
+  }));
+}
+
+/**
+ * Resolves the workspace a request works in.
+ *
+ * Priority: the requested workspace (X-Workspace-Id header or `wid` token claim),
+ * then the oldest workspace of the user.
+ *
+ * @param {number} userId
+ * @param {number|string|null} requestedId
+ * @returns {Promise<{id: number, role: string}|null>} Null when the user has no workspace
+ * @throws {HttpError} 404 when the requested workspace does not exist or the user is not a member
+ */
+async function resolveWorkspace(userId, requestedId) {
+  if (requestedId) {
+    const membership = await getWorkspaceMembership(requestedId, userId);
+    if (!membership) {
+      throw new HttpError(404, 'Workspace not found');
+    }
+    return { id: membership.workspaceId, role: membership.role };
+  }
+
+  const membership = await WorkspaceMembership.findOne({
+    where: { userId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  return membership ? { id: membership.workspaceId, role: membership.role } : null;
+}
+
+/**
+ * Adds a user to a workspace as member if they do not belong to it yet.
+ * @param {number} workspaceId
+ * @param {number} userId
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<WorkspaceMembership>}
+ */
+async function ensureWorkspaceMember(workspaceId, userId, options = {}) {
+  const existing = await getWorkspaceMembership(workspaceId, userId, options);
+  if (existing) return existing;
+
+  return WorkspaceMembership.create({ workspaceId, userId, role: 'member' }, { transaction: options.transaction });
+}
+
+/**
+ * Creates a workspace with the given user as admin.
+ * @param {string} name
+ * @param {number} userId
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<Workspace>}
+ */
+async function createWorkspace(name, userId, options = {}) {
+  if (!name || !String(name).trim()) {
+    throw new HttpError(400, 'Workspace name is required.');
+  }
+
+  const create = async (transaction) => {
+    const workspace = await Workspace.create({ name: String(name).trim(), createdBy: userId }, { transaction });
+    await WorkspaceMembership.create({ workspaceId: workspace.id, userId, role: 'admin' }, { transaction });
+    return workspace;
+  };
+
+  const workspace = options.transaction
+    ? await create(options.transaction)
+    : await sequelize.transaction(create);
+
+  logger.info(`Workspace created: ${workspace.id} by user ${userId}`);
+  return workspace;
+}
+
+/**
+ * Lists the members of a workspace.
+ * @param {number} workspaceId
+ * @returns {Promise<Object[]>}
+ */
+async function listWorkspaceMembers(workspaceId) {
+  const memberships = await WorkspaceMembership.findAll({
+    where: { workspaceId },
+    include: [{ model: User, as: 'user', attributes: ['id', 'username', 'name', 'email'] }],
+    order: [['role', 'ASC'], ['createdAt', 'ASC']]
+  });
+
+  return memberships.map(membership => ({
+    id: membership.id,
+    userId: membership.userId,
+    username: membership.user ? membership.user.username : null,
+    name: membership.user ? membership.user.name : null,
+    email: membership.user ? membership.user.email : null,
+    role: membership.role
+  }));
+}
+
+/**
+ * Adds a registered user to a workspace.
+ * @param {number} workspaceId
+ * @param {{userId?: number, username?: string, email?: string, role?: string}} data
+ * @returns {Promise<WorkspaceMembership>}
+ * @throws {HttpError} 400 invalid role, 404 user not found, 409 already a member
+ */
+async function addWorkspaceMember(workspaceId, { userId, username, email, role = 'member' }) {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    throw new HttpError(400, `Invalid role '${role}'. Valid roles: ${WORKSPACE_ROLES.join(', ')}`);
+  }
+
+  let user = null;
+  if (userId) {
+    user = await User.findByPk(userId);
+  } else if (username || email) {
+    const conditions = [];
+    if (username) conditions.push({ username });
+    if (email) conditions.push({ email: String(email).trim().toLowerCase() });
+    user = await User.findOne({ where: { [Op.or]: conditions } });
+  } else {
+    throw new HttpError(400, 'userId, username or email is required.');
+  }
+
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  if (await getWorkspaceMembership(workspaceId, user.id)) {
+    throw new HttpError(409, 'The user is already a member of this workspace.');
+  }
+
+  return WorkspaceMembership.create({ workspaceId, userId: user.id, role });
+}
+
+/**
+ * Counts the admins of a workspace.
+ * @param {number} workspaceId
+ * @param {Object} [options] - Sequelize options (transaction)
+ * @returns {Promise<number>}
+ */
+function countAdmins(workspaceId, options = {}) {
+  return WorkspaceMembership.count({ where: { workspaceId, role: 'admin' }, transaction: options.transaction });
+}
+
+/**
+ * Changes the role of a workspace member. A workspace always keeps at least one admin.
+ * @param {number} workspaceId
+ * @param {number|string} membershipId
+ * @param {string} role
+ * @returns {Promise<WorkspaceMembership>}
+ */
+async function updateWorkspaceMemberRole(workspaceId, membershipId, role) {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    throw new HttpError(400, `Invalid role '${role}'. Valid roles: ${WORKSPACE_ROLES.join(', ')}`);
+  }
+
+  const membership = await WorkspaceMembership.findOne({ where: { id: membershipId, workspaceId } });
+  if (!membership) {
+    throw new HttpError(404, 'Member not found');
+  }
+  if (membership.role === 'admin' && role !== 'admin' && await countAdmins(workspaceId) <= 1) {
+    throw new HttpError(400, 'A workspace must have at least one admin.');
+  }
+
+  return membership.update({ role });
+}
+
+/**
+ * Removes a user from a workspace, together with their memberships in the workspace projects.
+ * Users that still own projects in the workspace cannot be removed.
+ * @param {number} workspaceId
+ * @param {number|string} membershipId
+ * @returns {Promise<void>}
+ */
+async function removeWorkspaceMember(workspaceId, membershipId) {
+  const membership = await WorkspaceMembership.findOne({ where: { id: membershipId, workspaceId } });
+  if (!membership) {
+    throw new HttpError(404, 'Member not found');
+  }
+  if (membership.role === 'admin' && await countAdmins(workspaceId) <= 1) {
+    throw new HttpError(400, 'A workspace must have at least one admin.');
+  }
+
+  const ownedProjects = await Project.count({ where: { workspaceId, ownerId: membership.userId }, paranoid: false });
+  if (ownedProjects > 0) {
+    throw new HttpError(409, 'The user owns projects in this workspace. Transfer or delete them first.');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const projects = await Project.findAll({ where: { workspaceId }, attributes: ['id'], paranoid: false, transaction });
+    await ProjectMembership.destroy({
+      where: { userId: membership.userId, projectId: projects.map(project => project.id) },
+      transaction
+    });
+    await stopRunningTimers({ projectIds: projects.map(project => project.id), userId: membership.userId }, { transaction });
+    await membership.destroy({ transaction });
+  });
+
+  logger.info(`User ${membership.userId} removed from workspace ${workspaceId}`);
+}
+
+module.exports = {
+  getWorkspaceMembership,
+  getAdminWorkspaceIds,
+  listUserWorkspaces,
+  resolveWorkspace,
+  ensureWorkspaceMember,
+  createWorkspace,
+  listWorkspaceMembers,
+  addWorkspaceMember,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember
+};
@@ -0,0 +1,68 @@
+const HttpError = require('./httpError');
+
+/**
+ * Error codes returned by the authentication endpoints and the auth middleware.
+ *
+ * Every auth error is sent as `{ error: <CODE>, message }`. Codes are stable and can
+ * be used by the frontend; messages are for humans and may change. Internal details
+ * (stack traces, password hashes, whether a username exists...) are never included.
+ *
+ * The frontend should try POST /api/auth/refresh on TOKEN_EXPIRED and send the
+ * user back to the login screen on any other 401 code.
+ */
+const AUTH_ERRORS = {
+  VALIDATION_ERROR: { status: 400, message: 'Invalid or missing fields.' },
+  USERNAME_TAKEN: { status: 409, message: 'The username is already in use.' },
+  EMAIL_TAKEN: { status: 409, message: 'The email is already in use.' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Invalid username or password.' },
+  TOKEN_MISSING: { status: 401, message: 'No token, authorization denied.' },
+  TOKEN_EXPIRED: { status: 401, message: 'The access token has expired.' },
+  TOKEN_INVALID: { status: 401, message: 'The access token is not valid.' },
+  SESSION_REVOKED: { status: 401, message: 'The session has been closed, please log in again.' },
+  REFRESH_TOKEN_INVALID: { status: 401, message: 'The refresh token is not valid.' },
+  REFRESH_TOKEN_EXPIRED: { status: 401, message: 'The refresh token has expired, please log in again.' },
+  PERSONAL_ACCESS_TOKEN_EXPIRED: { status: 401, message: 'The personal access token has expired.' },
+  SESSION_REQUIRED: { status: 403, message: 'This action requires logging in with a password; personal access tokens are not accepted.' },
+  INSUFFICIENT_SCOPE: { status: 403, message: 'The personal access token does not have the required scope.' },
+  TWO_FACTOR_CODE_INVALID: { status: 401, message: 'The verification code is not valid.' },
+  TWO_FACTOR_CHALLENGE_INVALID: { status: 401, message: 'The login challenge is not valid or has expired, please log in again.' },
+  TOO_MANY_ATTEMPTS: { status: 429, message: 'Too many failed login attempts. Try again later.' },
+  AUTH_SERVER_ERROR: { status: 500, message: 'Authentication failed due to a server error.' }
+};
+
+/**
+ * HttpError carrying one of the AUTH_ERRORS codes.
+ *
+ * @example
+ * throw new AuthError('TOKEN_EXPIRED');
+ * // → 401 { error: 'TOKEN_EXPIRED', message: 'The access token has expired.' }
+ */
+class AuthError extends HttpError {
+  /**
+   * @param {string} code - One of the AUTH_ERRORS keys
+   * @param {Object} [details] - Extra public fields (e.g. invalid field names)
+   */
+  constructor(code, details = {}) {
+    const definition = AUTH_ERRORS[code] || AUTH_ERRORS.AUTH_SERVER_ERROR;
+    super(definition.status, definition.message, details);
+    this.name = 'AuthError';
+    this.code = AUTH_ERRORS[code] ? code : 'AUTH_SERVER_ERROR';
+  }
+
+  toJSON() {
+    return { error: this.code, message: this.message, ...this.details };
+  }
+}
+
+/**
+ * Sends an auth error response.
+ * @param {Object} res - Express response
+ * @param {string} code - One of the AUTH_ERRORS keys
+ * @param {Object} [details] - Extra public fields
+ */
+function sendAuthError(res, code, details) {
+  const error = new AuthError(code, details);
+  return res.status(error.status).json(error.toJSON());
+}
+
+module.exports = { AUTH_ERRORS, AuthError, sendAuthError };
@@ -0,0 +1,16 @@
+/**
+ * Colors used by the board (Kanban columns, labels): `#RRGGBB` hex strings.
+ */
+
+const HEX_COLOR_PATTERN = /^#[0-9A-F]{6}$/i;
+
+/**
+ * Tells whether a value is a `#RRGGBB` hex color.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHexColor(value) {
+  return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+}
+
+module.exports = { HEX_COLOR_PATTERN, isHexColor };
@@ -0,0 +1,35 @@
+/**
+ * Error with an HTTP status code, thrown by services so controllers can turn
+ * business-rule violations into the right response without knowing the details.
+ *
+ * @example
+ * throw new HttpError(404, 'Project not found');
+ *
+ * // En el controlador
+ * if (error instanceof HttpError) {
+ *   return res.status(error.status).json(error.toJSON());
+ * }
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Human-readable error message
+   * @param {Object} [details] - Extra fields merged into the JSON response body
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * Builds the JSON body sent to the client.
+   * @returns {Object} Response body with the message and any extra details
+   */
+  toJSON() {
+    return { message: this.message, ...this.details };
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,83 @@
+/**
+ * Detects the type of a file from its content (magic bytes) instead of trusting
+ * the name or the Content-Type sent by the client.
+ */
+
+// Firmas binarias reconocidas: bytes esperados a partir de un desplazamiento
+const SIGNATURES = [
+  { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }, // RIFF....WEBP
+  { mimeType: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimeType: 'application/zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+// Los documentos de Office son archivos zip: se distinguen por la extensión
+const ZIP_BASED_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Tipos de texto según la extensión (el contenido solo indica que es texto)
+const TEXT_TYPES = {
+  csv: 'text/csv',
+  md: 'text/markdown',
+  json: 'application/json'
+};
+
+/**
+ * Returns the lowercase extension of a file name.
+ * @param {string} filename
+ * @returns {string}
+ */
+function extensionOf(filename) {
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Indicates whether a buffer looks like UTF-8 text (valid UTF-8 without NUL bytes).
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  try {
+    // stream: un carácter multibyte cortado al final de la muestra no es un error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detects the MIME type of a file from its content.
+ *
+ * Text files are always reported as text (never as HTML or SVG), so they can be
+ * served safely. Unknown binary content returns null.
+ *
+ * @param {Buffer} buffer - File content
+ * @param {string} [filename] - Original name, only used to tell apart zip-based and text formats
+ * @returns {string|null} The detected MIME type, or null if it is not recognized
+ */
+function sniffMimeType(buffer, filename) {
+  for (const { mimeType, offset, bytes } of SIGNATURES) {
+    if (buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte)) {
+      if (mimeType === 'application/zip') {
+        return ZIP_BASED_TYPES[extensionOf(filename)] || mimeType;
+      }
+      return mimeType;
+    }
+  }
+
+  if (buffer.length > 0 && looksLikeText(buffer)) {
+    return TEXT_TYPES[extensionOf(filename)] || 'text/plain';
+  }
+  return null;
+}
+
+module.exports = { sniffMimeType };
@@ -0,0 +1,79 @@
+/**
+ * Rank keys for ordering cards in a Kanban column (fractional indexing).
+ *
+ * A key is a base-36 fraction written with `0-9a-z` and without trailing zeros, so
+ * keys compare as plain strings (also in SQL, since they only use digits and lowercase
+ * letters). A key can always be generated between two others, so moving a card only
+ * rewrites that card.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Returns a key between two keys.
+ * @param {string} a - Lower key ('' for the start)
+ * @param {string|null} b - Upper key (null for the end)
+ * @returns {string}
+ */
+function midpoint(a, b) {
+  if (b !== null) {
+    // Prefijo común: la clave se genera después de él
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Tells whether a value is a valid rank key.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isRank(value) {
+  return typeof value === 'string' && /^[0-9a-z]*[1-9a-z]$/.test(value);
+}
+
+/**
+ * Returns a key that sorts between two keys.
+ * @param {string|null} before - Key of the previous card (null at the top of the column)
+ * @param {string|null} after - Key of the next card (null at the bottom of the column)
+ * @returns {string}
+ * @throws {Error} When the keys are not valid or `before` does not sort before `after`
+ */
+function rankBetween(before, after) {
+  if ((before !== null && !isRank(before)) || (after !== null && !isRank(after))) {
+    throw new Error('Invalid rank key');
+  }
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Rank '${before}' must sort before '${after}'`);
+  }
+  return midpoint(before || '', after);
+}
+
+/**
+ * Returns evenly spaced keys for a column of cards, in order.
+ * @param {number} count
+ * @returns {string[]}
+ */
+function initialRanks(count) {
+  let width = 1;
+  while (DIGITS.length ** width < (count + 1) * 2) width++;
+
+  const span = DIGITS.length ** width;
+  return Array.from({ length: count }, (_, index) => Math.floor(((index + 1) * span) / (count + 1))
+    .toString(36)
+    .padStart(width, '0')
+    .replace(/0+$/, ''));
+}
+
+module.exports = { isRank, rankBetween, initialRanks };
@@ -0,0 +1,240 @@
+/**
+ * Recurrence rules for repeating tasks: a subset of the iCalendar RRULE (RFC 5545).
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly only,
+ * without ordinals), BYMONTHDAY (monthly only, 1..31 or -1 for the last day) and
+ * UNTIL (a date, inclusive). Dates are calendar days in UTC, like the task dates.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Días de la semana en el orden de Date#getUTCDay (domingo = 0)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Atajos aceptados en lugar de una regla completa
+const PRESETS = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY'
+};
+
+// Límite de días explorados al buscar la siguiente fecha (evita bucles con reglas imposibles)
+const MAX_SEARCH_DAYS = 366 * 20;
+
+/**
+ * @typedef {Object} RecurrenceRule
+ * @property {'DAILY'|'WEEKLY'|'MONTHLY'} freq
+ * @property {number} interval - Every how many days, weeks or months (1 or more)
+ * @property {string[]} byDay - Weekdays (MO..SU) of a weekly rule; empty to repeat on the weekday of the task
+ * @property {number|null} byMonthDay - Day of the month of a monthly rule (-1 = last); null for the day of the task
+ * @property {string|null} until - Last possible date (YYYY-MM-DD), or null for no end
+ */
+
+/**
+ * Returns a date at 00:00 UTC of the same calendar day.
+ * @param {Date|string} value
+ * @returns {Date}
+ */
+function startOfDay(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Formats a date as YYYY-MM-DD (UTC).
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses a recurrence: a preset ('daily', 'weekly', 'monthly') or an RRULE string
+ * such as `FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231` (an `RRULE:` prefix is allowed).
+ *
+ * @param {string} input
+ * @returns {RecurrenceRule}
+ * @throws {Error} With a readable message when the rule is invalid or unsupported
+ */
+function parseRecurrence(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new Error('the rule must be a non-empty string');
+  }
+
+  const text = PRESETS[input.trim().toLowerCase()] || input.trim().replace(/^RRULE:/i, '');
+  const parts = {};
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      throw new Error(`malformed part "${part}"`);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL'].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`unsupported part(s): ${unsupported.join(', ')}`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = { freq: parts.FREQ, interval: 1, byDay: [], byMonthDay: null, until: null };
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 366) {
+      throw new Error('INTERVAL must be an integer between 1 and 366');
+    }
+  }
+
+  if (parts.BYDAY !== undefined) {
+    if (rule.freq !== 'WEEKLY') throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+    rule.byDay = [...new Set(parts.BYDAY.split(','))];
+    if (rule.byDay.some(day => !WEEKDAYS.includes(day))) {
+      throw new Error(`BYDAY must list weekdays (${WEEKDAYS.join(', ')})`);
+    }
+    rule.byDay.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    if (rule.freq !== 'MONTHLY') throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+    rule.byMonthDay = Number(parts.BYMONTHDAY);
+    if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay === 0 || rule.byMonthDay < -1 || rule.byMonthDay > 31) {
+      throw new Error('BYMONTHDAY must be a day between 1 and 31, or -1 for the last day');
+    }
+  }
+
+  if (parts.UNTIL !== undefined) {
+    const match = parts.UNTIL.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    const until = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!until || isNaN(until.getTime()) || toDateString(until) !== `${match[1]}-${match[2]}-${match[3]}`) {
+      throw new Error('UNTIL must be a date (YYYYMMDD or YYYY-MM-DD)');
+    }
+    rule.until = toDateString(until);
+  }
+
+  return rule;
+}
+
+/**
+ * Serializes a rule as a normalized RRULE string (the stored form).
+ * @param {RecurrenceRule} rule
+ * @returns {string}
+ */
+function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`, `INTERVAL=${rule.interval}`];
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+/**
+ * Returns the date of a monthly occurrence, moving days that do not exist in the
+ * month (31 in April...) to its last day.
+ * @param {number} year
+ * @param {number} month - 0-based, may overflow into the next years
+ * @param {number} day - Day of the month, or -1 for the last one
+ * @returns {Date}
+ */
+function monthlyDate(year, month, day) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, day === -1 ? lastDay : Math.min(day, lastDay)));
+}
+
+/**
+ * Computes the next occurrence of a rule.
+ *
+ * The occurrences are counted from `anchor` (the due date of the current task):
+ * weekly rules repeat every `interval` weeks from the week of the anchor, monthly
+ * rules every `interval` months from its month.
+ *
+ * @param {RecurrenceRule} rule
+ * @param {Date|string} anchor - Due date of the current occurrence
+ * @param {Date|string} [notBefore] - Occurrences before this date are skipped (e.g. today)
+ * @returns {Date|null} The next due date (00:00 UTC), or null when the series has ended (UNTIL)
+ */
+function nextOccurrence(rule, anchor, notBefore = anchor) {
+  const start = startOfDay(anchor);
+  const minimum = startOfDay(notBefore);
+  const until = rule.until ? new Date(`${rule.until}T00:00:00Z`) : null;
+  const accept = (date) => date > start && date >= minimum;
+
+  let candidate = null;
+
+  if (rule.freq === 'DAILY') {
+    const stepMs = rule.interval * DAY_MS;
+    const steps = Math.max(1, Math.ceil((minimum - start) / stepMs));
+    candidate = new Date(start.getTime() + steps * stepMs);
+  } else if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.length > 0 ? rule.byDay : [WEEKDAYS[start.getUTCDay()]];
+    // Lunes de la semana del ancla: las semanas válidas son múltiplos de INTERVAL a partir de ella
+    const anchorWeek = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+    for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+      const date = new Date(start.getTime() + offset * DAY_MS);
+      const week = Math.floor((date.getTime() - anchorWeek) / (7 * DAY_MS));
+      if (week % rule.interval === 0 && days.includes(WEEKDAYS[date.getUTCDay()]) && accept(date)) {
+        candidate = date;
+        break;
+      }
+    }
+  } else {
+    const day = rule.byMonthDay !== null ? rule.byMonthDay : start.getUTCDate();
+    for (let months = 0; months <= MAX_SEARCH_DAYS / 28; months += rule.interval) {
+      const date = monthlyDate(start.getUTCFullYear(), start.getUTCMonth() + months, day);
+      if (accept(date)) {
+        candidate = date;
+        break;
+      }
+    }
+  }
+
+  if (!candidate || (until && candidate > until)) return null;
+  return candidate;
+}
+
+/**
+ * Describes a rule in words, for voice responses.
+ * @param {RecurrenceRule} rule
+ * @param {'es'|'en'} [language='es']
+ * @returns {string}
+ */
+function describeRecurrence(rule, language = 'es') {
+  const names = language === 'en'
+    ? { SU: 'Sunday', MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday' }
+    : { SU: 'domingo', MO: 'lunes', TU: 'martes', WE: 'miércoles', TH: 'jueves', FR: 'viernes', SA: 'sábado' };
+  const units = language === 'en'
+    ? { DAILY: ['day', 'days'], WEEKLY: ['week', 'weeks'], MONTHLY: ['month', 'months'] }
+    : { DAILY: ['día', 'días'], WEEKLY: ['semana', 'semanas'], MONTHLY: ['mes', 'meses'] };
+
+  const [singular, plural] = units[rule.freq];
+  let text = language === 'en'
+    ? (rule.interval === 1 ? `every ${singular}` : `every ${rule.interval} ${plural}`)
+    : (rule.interval === 1 ? `cada ${singular}` : `cada ${rule.interval} ${plural}`);
+
+  if (rule.byDay.length > 0) {
+    const days = rule.byDay.map(day => names[day]).join(', ');
+    text += language === 'en' ? ` on ${days}` : ` los ${days}`;
+  }
+  if (rule.byMonthDay !== null) {
+    text += language === 'en'
+      ? (rule.byMonthDay === -1 ? ' on the last day' : ` on day ${rule.byMonthDay}`)
+      : (rule.byMonthDay === -1 ? ' el último día' : ` el día ${rule.byMonthDay}`);
+  }
+  if (rule.until) {
+    text += language === 'en' ? ` until ${rule.until}` : ` hasta el ${rule.until}`;
+  }
+  return text;
+}
+
+module.exports = {
+  parseRecurrence,
+  formatRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+  toDateString
+};
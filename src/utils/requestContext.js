@@ -0,0 +1,91 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context available anywhere in the call chain of a request
+ * (including Sequelize hooks), without passing `req` around.
+ *
+ * It is used by the audit log to know who made a change and from where, and to
+ * collect the audit events of the request so the operation can be undone.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Orígenes posibles de un cambio
+const SOURCES = ['rest', 'voice', 'system'];
+
+/**
+ * Express middleware that opens a context for the request. Changes made while
+ * handling it are attributed to `req.user` with source 'rest' unless a route
+ * changes it (see `withSource`).
+ */
+function requestContext(req, res, next) {
+  storage.run({ request: req, source: 'rest' }, () => next());
+}
+
+/**
+ * Creates a middleware that changes the source of the changes made by a route.
+ * @param {string} source - One of SOURCES (e.g. 'voice' for voice commands)
+ * @returns {import('express').RequestHandler}
+ */
+function withSource(source) {
+  return (req, res, next) => {
+    const context = storage.getStore();
+    if (context) context.source = source;
+    next();
+  };
+}
+
+/**
+ * Runs a function outside of any request (scripts, scheduled jobs...) with its own context.
+ * @param {{actorId?: number|null, source?: string}} context
+ * @param {Function} fn
+ * @returns {*} The result of `fn`
+ */
+function runWithContext(context, fn) {
+  return storage.run({ request: null, source: 'system', ...context }, fn);
+}
+
+/**
+ * Returns who is making the current change and from where.
+ * @returns {{actorId: number|null, source: string}}
+ */
+function getCurrentActor() {
+  const context = storage.getStore();
+  if (!context) return { actorId: null, source: 'system' };
+
+  const user = context.request && context.request.user;
+  return {
+    actorId: context.actorId !== undefined ? context.actorId : (user ? user.userId : null),
+    source: context.source
+  };
+}
+
+/**
+ * Remembers an audit event written while handling the current request.
+ * @param {number} eventId
+ */
+function trackAuditEvent(eventId) {
+  const context = storage.getStore();
+  if (!context) return;
+  if (!context.auditEventIds) context.auditEventIds = [];
+  context.auditEventIds.push(eventId);
+}
+
+/**
+ * Returns the audit events written so far while handling the current request.
+ * @returns {number[]}
+ */
+function getTrackedAuditEvents() {
+  const context = storage.getStore();
+  return context && context.auditEventIds ? [...context.auditEventIds] : [];
+}
+
+module.exports = {
+  SOURCES,
+  requestContext,
+  withSource,
+  runWithContext,
+  getCurrentActor,
+  trackAuditEvent,
+  getTrackedAuditEvents
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers for opaque tokens (refresh tokens, password reset tokens...).
+ * Tokens are given to the client in clear text and only their hash is stored.
+ */
+
+/**
+ * Generates a random URL-safe token.
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} The token in clear text
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Returns the SHA-256 hex digest of a token.
+ * @param {string} token - The token in clear text
+ * @returns {string} The hashed token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { generateToken, hashToken };
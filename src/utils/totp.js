@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with Google Authenticator,
+ * Authy, 1Password, etc.: SHA-1, 6 digits, 30 second period.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Encodes a buffer as base32 (RFC 4648, without padding).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decodes a base32 string (case-insensitive, spaces and padding ignored).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a random base32 secret (160 bits).
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes the HOTP code of a counter (RFC 4226).
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Returns the time step of a date.
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number}
+ */
+function timeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Verifies a TOTP code allowing a small clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [window=1] - Accepted steps before/after the current one
+ * @returns {number|null} The matching time step, or null when the code is not valid
+ */
+function verifyTotp(secret, code, window = 1) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = timeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (username or email)
+ * @param {string} issuer - Application name
+ * @returns {string}
+ */
+function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  timeStep,
+  verifyTotp,
+  buildOtpauthUri
+};